@@ -1,13 +1,28 @@
 // deploySurfPoints.js
-const { ethers, upgrades } = require("hardhat");
+const fs = require("fs");
+const { ethers, upgrades, network } = require("hardhat");
+const { loadConfig, requireConfig, verifyChainId } = require("./src/config");
+const { ERC20_ABI } = require("./src/abi");
+const { adminsFromEvents, auditAdmins, planSync } = require("./src/adminPolicy");
+const { TokenUnits } = require("./src/amounts");
+const { manifestDeposit, readManifest } = require("./src/deployManifest");
 
 /**
  * Deployment script for UUPS upgradeable SurfPoints contract
  *
  * Prerequisites:
  * 1. Install dependencies: npm install @openzeppelin/hardhat-upgrades
- * 2. Configure hardhat.config.js with your network settings
- * 3. Set SURF_TOKEN_ADDRESS in this script
+ * 2. Configure hardhat.config.js with your network settings (localhost and holesky are set up)
+ * 3. Set SURF_TOKEN_ADDRESS in the environment or in config/<network>.json
+ *    (the hardhat network name selects the config file; localhost/hardhat use config/local.json)
+ *
+ * The proxy in the deployment file is reused when it exists on the chain, so
+ * the script can be rerun. The deployment manifest (config/deploy/<network>.json
+ * or SURFPOINTS_MANIFEST, see src/deployManifest.js) then sets admins, lock
+ * period, deposit and pause state. Each step is skipped when the contract is
+ * already in the desired state, and every transaction is recorded under
+ * `bootstrap` in the deployment file as soon as it is sent; a rerun first waits
+ * for the ones it finds unconfirmed.
  */
 
 async function main() {
@@ -18,13 +33,55 @@ async function main() {
   console.log("Deploying contracts with account:", deployer.address);
   console.log("Account balance:", (await ethers.provider.getBalance(deployer.address)).toString(), "\n");
 
-  // CONFIGURATION: Set your SURF token address here
-  const SURF_TOKEN_ADDRESS = "0xYourSurfTokenAddressHere"; // CHANGE THIS
+  // CONFIGURATION: SURF token address comes from src/config.js
+  const config = loadConfig({ network: network.name });
+  const SURF_TOKEN_ADDRESS = requireConfig(config, "surfTokenAddress");
+  await verifyChainId(ethers.provider, config);
+  const manifest = fs.existsSync(config.manifestFile) ? readManifest(config.manifestFile) : null;
+
+  let deploymentInfo = config.deployment;
+  let surfPoints;
+  if (deploymentInfo && deploymentInfo.proxyAddress && (await ethers.provider.getCode(deploymentInfo.proxyAddress)) !== "0x") {
+    surfPoints = await ethers.getContractAt("SurfPoints", deploymentInfo.proxyAddress);
+    const surfToken = await surfPoints.surfToken();
+    if (surfToken !== ethers.getAddress(SURF_TOKEN_ADDRESS)) {
+      throw new Error(`The deployed proxy ${deploymentInfo.proxyAddress} uses SURF token ${surfToken}, not ${SURF_TOKEN_ADDRESS}`);
+    }
+    console.log("Reusing SurfPoints proxy from", config.deploymentFile);
+    console.log("SurfPoints Proxy Address:", deploymentInfo.proxyAddress);
+    console.log("Contract Version:", await surfPoints.version(), "\n");
+  } else {
+    ({ surfPoints, deploymentInfo } = await deployProxy(deployer, SURF_TOKEN_ADDRESS));
+    saveDeployment(config.deploymentFile, deploymentInfo);
+    console.log("Deployment info saved to", config.deploymentFile, "\n");
+  }
 
-  if (SURF_TOKEN_ADDRESS === "0xYourSurfTokenAddressHere") {
-    throw new Error("Please set SURF_TOKEN_ADDRESS in the deployment script");
+  if (!manifest) {
+    console.log(`No deployment manifest at ${config.manifestFile}: admins, lock period, deposit and pause state left as they are\n`);
+    console.log("========================================");
+    console.log("NEXT STEPS:");
+    console.log("========================================");
+    console.log("1. Write the manifest (admins, claimLockPeriodDays, deposit, paused) and rerun this script,");
+    console.log("   or approve + deposit SURF and add admins by hand (surfpoints setup --amount <n>)");
+    console.log("\n2. Start recording surf points:");
+    console.log("   surfpoints record <user> <points>");
+    console.log("========================================\n");
+    return deploymentInfo.proxyAddress;
   }
 
+  await bootstrap({ config, manifest, deployer, surfPoints, deployment: deploymentInfo });
+
+  console.log("========================================");
+  console.log("NEXT STEPS:");
+  console.log("========================================");
+  console.log("Start recording surf points:");
+  console.log("   surfpoints record <user> <points>");
+  console.log("========================================\n");
+
+  return deploymentInfo.proxyAddress;
+}
+
+async function deployProxy(deployer, SURF_TOKEN_ADDRESS) {
   // Get the SurfPoints contract factory
   const SurfPoints = await ethers.getContractFactory("SurfPoints");
 
@@ -42,11 +99,14 @@ async function main() {
 
   await surfPoints.waitForDeployment();
   const proxyAddress = await surfPoints.getAddress();
+  const deploymentReceipt = await surfPoints.deploymentTransaction().wait();
+  const implementationAddress = await upgrades.erc1967.getImplementationAddress(proxyAddress);
 
   console.log("\n========================================");
   console.log("Deployment successful!");
   console.log("========================================");
   console.log("SurfPoints Proxy Address:", proxyAddress);
+  console.log("Implementation Address:", implementationAddress);
   console.log("SURF Token Address:", SURF_TOKEN_ADDRESS);
   console.log("Deployer (Owner & Admin):", deployer.address);
   console.log("========================================\n");
@@ -64,44 +124,167 @@ async function main() {
   console.log("Contract Version:", version);
   console.log("\nDeployment verification complete!\n");
 
-  // Save deployment info
-  const fs = require("fs");
   const deploymentInfo = {
     network: (await ethers.provider.getNetwork()).name,
     chainId: (await ethers.provider.getNetwork()).chainId.toString(),
     proxyAddress: proxyAddress,
+    implementationAddress: implementationAddress,
+    deploymentBlock: deploymentReceipt.blockNumber,
     surfTokenAddress: SURF_TOKEN_ADDRESS,
     owner: deployer.address,
     deploymentTime: new Date().toISOString(),
     version: version,
   };
+  return { surfPoints, deploymentInfo };
+}
 
-  fs.writeFileSync(
-    "surfpoints-deployment.json",
-    JSON.stringify(deploymentInfo, null, 2)
-  );
-  console.log("Deployment info saved to surfpoints-deployment.json\n");
+function saveDeployment(file, deployment) {
+  fs.writeFileSync(file, JSON.stringify(deployment, null, 2));
+}
 
-  // Next steps
-  console.log("========================================");
-  console.log("NEXT STEPS:");
-  console.log("========================================");
-  console.log("1. Approve the contract to spend SURF tokens:");
-  console.log("   surfToken.approve(proxyAddress, amount)");
-  console.log("\n2. Deposit SURF tokens to the contract:");
-  console.log("   surfPoints.depositSurfToken(amount)");
-  console.log("\n3. Add additional admins if needed:");
-  console.log("   surfPoints.addAdmin(adminAddress)");
-  console.log("\n4. Start recording surf points:");
-  console.log("   surfPoints.recordSurfPoints(userAddress, points)");
-  console.log("========================================\n");
+/**
+ * Applies the manifest, one step at a time
+ */
+async function bootstrap({ config, manifest, deployer, surfPoints, deployment }) {
+  console.log("Applying deployment manifest", manifest.file);
+  console.log("Manifest sha256:", manifest.hash, "\n");
 
-  return proxyAddress;
+  const proxyAddress = await surfPoints.getAddress();
+  const fromBlock = deployment.deploymentBlock || 0;
+  const owner = await surfPoints.owner();
+  if (owner !== deployer.address) {
+    throw new Error(`${deployer.address} is not the owner (${owner}): the manifest can only be applied with the owner key`);
+  }
+
+  // A transaction an earlier run sent but did not see mined may still land: wait for it before reading state
+  for (const entry of (deployment.bootstrap || []).filter((item) => item.status === "submitted")) {
+    // A dropped or replaced transaction is unknown to the node: the state checks below redo the step if needed
+    if (!(await ethers.provider.getTransaction(entry.transactionHash))) {
+      entry.status = "dropped";
+      saveDeployment(config.deploymentFile, deployment);
+      console.log(`${entry.method} ${entry.transactionHash} from an earlier run is unknown to the node: marked as dropped\n`);
+      continue;
+    }
+    console.log(`Waiting for ${entry.method} ${entry.transactionHash} from an earlier run...`);
+    const receipt = await ethers.provider.waitForTransaction(entry.transactionHash, 1, 10 * 60 * 1000).catch((error) => {
+      if (error.code === "TIMEOUT") return null;
+      throw error;
+    });
+    // Still pending: it stays "submitted", and no step may run before it settles
+    if (!receipt) {
+      throw new Error(
+        `${entry.method} ${entry.transactionHash} from an earlier run is still pending after 10 minutes. ` +
+          "Rerun once it is mined, or replace it (surfpoints speed-up / cancel) and rerun"
+      );
+    }
+    Object.assign(entry, receipt.status === 1
+      ? { status: "executed", blockNumber: receipt.blockNumber }
+      : { status: "failed", blockNumber: receipt.blockNumber });
+    saveDeployment(config.deploymentFile, deployment);
+    console.log(`   ${entry.status === "executed" ? "✅ Mined" : "❌ Reverted"} in block ${receipt.blockNumber}\n`);
+  }
+
+  let sent = 0;
+  async function send(step, contract, method, args) {
+    const tx = await contract.connect(deployer).getFunction(method)(...args);
+    const entry = {
+      step,
+      method,
+      args: args.map(String),
+      by: deployer.address,
+      manifestHash: manifest.hash,
+      status: "submitted",
+      transactionHash: tx.hash,
+      time: new Date().toISOString(),
+    };
+    deployment.bootstrap = [...(deployment.bootstrap || []), entry];
+    saveDeployment(config.deploymentFile, deployment);
+
+    const receipt = await tx.wait();
+    Object.assign(entry, { status: "executed", blockNumber: receipt.blockNumber });
+    saveDeployment(config.deploymentFile, deployment);
+    sent += 1;
+    console.log(`   ✅ ${method}(${entry.args.join(", ")}): ${receipt.hash}`);
+  }
+
+  // 1. Admins: the minimal addAdmin / removeAdmin calls to match the policy
+  console.log("1. Admins");
+  if (manifest.admins) {
+    const events = [
+      ...(await surfPoints.queryFilter(surfPoints.filters.AdminAdded(), fromBlock)),
+      ...(await surfPoints.queryFilter(surfPoints.filters.AdminRemoved(), fromBlock)),
+    ]
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+      .map((event) => ({ name: event.fragment.name, args: { admin: event.args.admin }, blockNumber: event.blockNumber, transactionHash: event.transactionHash }));
+    const admins = adminsFromEvents(events);
+    const addresses = [...new Set([...admins.keys(), ...manifest.admins.admins.map(({ address }) => address)])];
+    const onChain = new Map(await Promise.all(addresses.map(async (address) => [address, await surfPoints.isAdmin(address)])));
+    const plan = planSync(auditAdmins({ policy: manifest.admins, admins, onChain }));
+    if (plan.length === 0) console.log(`   Already match ${manifest.admins.file}`);
+    for (const { method, address } of plan) await send("admins", surfPoints, method, [address]);
+  } else {
+    console.log("   Not in the manifest");
+  }
+
+  // 2. Lock period
+  console.log("2. Claim lock period");
+  if (manifest.claimLockPeriod !== null) {
+    const current = await surfPoints.claimLockPeriod();
+    if (current === manifest.claimLockPeriod) console.log(`   Already ${current / 86400n} days`);
+    else await send("claimLockPeriod", surfPoints, "updateClaimLockPeriod", [manifest.claimLockPeriod]);
+  } else {
+    console.log("   Not in the manifest");
+  }
+
+  // 3. Deposit: the manifest gives the total, SurfTokenDeposited events what is already in
+  console.log("3. SURF deposit");
+  if (manifest.deposit !== null) {
+    const token = new ethers.Contract(await surfPoints.surfToken(), ERC20_ABI, deployer);
+    const units = await TokenUnits.load(token);
+    const target = manifestDeposit(manifest, units);
+    const deposits = await surfPoints.queryFilter(surfPoints.filters.SurfTokenDeposited(), fromBlock);
+    const deposited = deposits.reduce((sum, event) => sum + event.args.amount, 0n);
+    const missing = target - deposited;
+    if (missing <= 0n) {
+      console.log(`   Already deposited ${units.format(deposited)}`);
+    } else {
+      const balance = await token.balanceOf(deployer.address);
+      if (balance < missing) {
+        throw new Error(`The deployer holds ${units.format(balance)}, ${units.format(missing)} needed for the deposit`);
+      }
+      if ((await token.allowance(deployer.address, proxyAddress)) < missing) {
+        await send("deposit", token, "approve", [proxyAddress, missing]);
+      }
+      await send("deposit", surfPoints, "depositSurfToken", [missing]);
+    }
+  } else {
+    console.log("   Not in the manifest");
+  }
+
+  // 4. Pause state, last: a contract meant to start paused is fully configured before it is paused
+  console.log("4. Pause state");
+  if (manifest.paused !== null) {
+    const paused = await surfPoints.paused();
+    if (paused === manifest.paused) console.log(`   Already ${paused ? "paused" : "unpaused"}`);
+    else await send("paused", surfPoints, manifest.paused ? "pause" : "unpause", []);
+  } else {
+    console.log("   Not in the manifest");
+  }
+
+  console.log(sent === 0
+    ? "\n✅ The deployment already matches the manifest\n"
+    : `\n✅ ${sent} transaction(s) sent, recorded in ${config.deploymentFile}\n`);
+  return sent;
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+module.exports = { main };
+
+// `npx hardhat run deploySurfPoints.js` runs the deployment; the tests require main() instead
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,49 @@
+// hardhat.config.js
+const fs = require("fs");
+const path = require("path");
+const { subtask } = require("hardhat/config");
+const { TASK_COMPILE_SOLIDITY_GET_SOURCE_PATHS } = require("hardhat/builtin-tasks/task-names");
+
+require("@nomicfoundation/hardhat-ethers");
+require("@openzeppelin/hardhat-upgrades");
+
+/**
+ * Hardhat setup for compiling, deploying and testing SurfPoints
+ *
+ * SurfPoints.sol lives at the repository root; contracts only used by the
+ * tests (the mock SURF token) live in test/contracts.
+ */
+
+const TEST_CONTRACTS_DIR = path.join(__dirname, "test", "contracts");
+
+// The default source directory is ./contracts; compile the root contract and the test mocks instead
+subtask(TASK_COMPILE_SOLIDITY_GET_SOURCE_PATHS).setAction(async () => [
+  path.join(__dirname, "SurfPoints.sol"),
+  ...fs
+    .readdirSync(TEST_CONTRACTS_DIR)
+    .filter((file) => file.endsWith(".sol"))
+    .map((file) => path.join(TEST_CONTRACTS_DIR, file)),
+]);
+
+/** @type {import("hardhat/config").HardhatUserConfig} */
+module.exports = {
+  solidity: {
+    version: "0.8.24",
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      viaIR: true,
+    },
+  },
+  networks: {
+    localhost: {
+      url: process.env.SURFPOINTS_RPC_URL || "http://127.0.0.1:8545",
+    },
+    holesky: {
+      url: process.env.SURFPOINTS_RPC_URL || require("./config/holesky.json").rpcUrl,
+      accounts: process.env.OWNER_PRIVATE_KEY ? [process.env.OWNER_PRIVATE_KEY] : [],
+    },
+  },
+  mocha: {
+    timeout: 120_000,
+  },
+};
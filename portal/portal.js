@@ -0,0 +1,320 @@
+// portal/portal.js
+import { ethers } from "./ethers.js";
+
+/**
+ * SurfPoints user portal
+ *
+ * Talks to the contract through the visitor's EIP-1193 wallet (window.ethereum):
+ * reads go through the wallet's RPC and every write is signed there. The ABI
+ * and the network come from the server (ABI.json and config.json, see
+ * src/portalServer.js).
+ *
+ * Unlock countdowns run on chain time: the latest block's timestamp plus the
+ * time elapsed locally since it was read, so they stay right on a node whose
+ * clock was moved (e.g. Hardhat's evm_increaseTime).
+ */
+
+const REFRESH_INTERVAL_MS = 15_000;
+
+const $ = (id) => document.getElementById(id);
+
+const settings = await (await fetch("config.json")).json();
+const abi = await (await fetch("ABI.json")).json();
+
+let provider = null;
+let contract = null;
+let account = null;
+let busy = false;
+// Latest reads, see refresh()
+let state = null;
+
+// ========== DISPLAY ==========
+
+function showMessage(text, { error = false } = {}) {
+  const message = $("message");
+  message.textContent = text;
+  message.classList.toggle("error", error);
+  message.hidden = !text;
+}
+
+function chainNow() {
+  return state.chainTime + BigInt(Math.floor((Date.now() - state.readAt) / 1000));
+}
+
+function formatDuration(seconds) {
+  const total = Number(seconds);
+  const days = Math.floor(total / 86400);
+  const clock = [Math.floor(total / 3600) % 24, Math.floor(total / 60) % 60, total % 60]
+    .map((part) => String(part).padStart(2, "0"))
+    .join(":");
+  return days > 0 ? `${days}d ${clock}` : clock;
+}
+
+// Amounts as the CLI prints them (see src/amounts.js), with the SURF decimals and symbol from config.json
+function formatSurf(amount) {
+  return `${ethers.formatUnits(amount, settings.token.decimals).replace(/\.0$/, "")} ${settings.token.symbol}`;
+}
+
+function formatPoints(points) {
+  return `${points} points (${formatSurf(points)})`;
+}
+
+function formatTime(timestamp) {
+  return new Date(Number(timestamp) * 1000).toLocaleString();
+}
+
+function render() {
+  if (!state) return;
+  const { points, skipped, claimCount, totalClaimed, claims, lockPeriod, paused } = state;
+
+  $("points").textContent = formatPoints(points);
+  $("skip-status").textContent = skipped ? "Enabled" : "Off";
+  $("total-claimed").textContent = formatSurf(totalClaimed);
+  $("lock-period").textContent = `${lockPeriod / 86400n} days`;
+  $("paused-notice").hidden = !paused;
+
+  $("skip").textContent = skipped ? "Stop skipping" : "Skip rewards";
+  $("claim").disabled = busy || paused || skipped || points === 0n;
+  $("skip").disabled = busy || paused || claimCount > 0n || (!skipped && points === 0n);
+  $("withdraw-all").disabled = busy || paused || !claims.some((claim) => claim.unlockTime <= chainNow());
+
+  let hint = "";
+  if (skipped) hint = "Skip is enabled: new points cannot be claimed until you stop skipping.";
+  else if (claimCount > 0n) hint = "Skipping is not possible once you have claimed.";
+  $("action-hint").textContent = hint;
+
+  renderClaims();
+}
+
+function renderClaims() {
+  const now = chainNow();
+  const rows = state.claims.map(({ claimId, amount, unlockTime }) => {
+    const row = document.createElement("tr");
+    const remaining = unlockTime - now;
+    const cells = [
+      `#${claimId}`,
+      formatSurf(amount),
+      formatTime(unlockTime),
+      remaining > 0n ? `Locked, ${formatDuration(remaining)}` : "Unlocked",
+    ];
+    for (const text of cells) {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      row.append(cell);
+    }
+    row.lastChild.classList.toggle("unlocked", remaining <= 0n);
+    return row;
+  });
+  $("claims").querySelector("tbody").replaceChildren(...rows);
+  $("claims").hidden = rows.length === 0;
+  $("no-claims").hidden = rows.length > 0;
+}
+
+// ========== CHAIN ==========
+
+async function refresh() {
+  if (!contract) return;
+  const [points, skipped, claimCount, totalClaimed, pending, lockPeriod, paused, block] = await Promise.all([
+    contract.userSurfPoints(account),
+    contract.hasSkippedClaim(account),
+    contract.userClaimCount(account),
+    contract.userTotalClaimed(account),
+    contract.getPendingClaims(account),
+    contract.claimLockPeriod(),
+    contract.paused(),
+    provider.getBlock("latest"),
+  ]);
+  const [claimIds, amounts, unlockTimes] = pending;
+  state = {
+    points,
+    skipped,
+    claimCount,
+    totalClaimed,
+    claims: claimIds.map((claimId, i) => ({ claimId, amount: amounts[i], unlockTime: unlockTimes[i] })),
+    lockPeriod,
+    paused,
+    chainTime: BigInt(block.timestamp),
+    readAt: Date.now(),
+  };
+  render();
+}
+
+function describeError(error) {
+  if (error.code === "ACTION_REJECTED") return "Cancelled in your wallet.";
+  if (error.revert) return `The contract rejected the transaction: ${error.revert.name}.`;
+  return error.shortMessage || error.message;
+}
+
+/**
+ * Sends one transaction from the wallet and waits for it
+ */
+async function send(description, method, args = []) {
+  showMessage(`${description}: confirm in your wallet...`);
+  const signer = await provider.getSigner(account);
+  const tx = await contract.connect(signer).getFunction(method)(...args);
+  showMessage(`${description}: waiting for ${tx.hash}...`);
+  const receipt = await tx.wait();
+  showMessage(`${description}: done in block ${receipt.blockNumber}.`);
+}
+
+async function run(action) {
+  busy = true;
+  render();
+  try {
+    await action();
+  } catch (error) {
+    showMessage(describeError(error), { error: true });
+  } finally {
+    busy = false;
+    await refresh().catch((error) => showMessage(describeError(error), { error: true }));
+  }
+}
+
+// ========== WALLET ==========
+
+async function onCorrectNetwork() {
+  const chainId = BigInt(await window.ethereum.request({ method: "eth_chainId" }));
+  return chainId === BigInt(settings.chainId);
+}
+
+async function switchNetwork() {
+  const chainId = ethers.toQuantity(settings.chainId);
+  try {
+    await window.ethereum.request({ method: "wallet_switchEthereumChain", params: [{ chainId }] });
+  } catch (error) {
+    // 4902: the wallet does not know the chain yet
+    if (error.code !== 4902 || !settings.rpcUrl) throw error;
+    await window.ethereum.request({
+      method: "wallet_addEthereumChain",
+      params: [{
+        chainId,
+        chainName: settings.chainName,
+        rpcUrls: [settings.rpcUrl],
+        nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+      }],
+    });
+  }
+}
+
+async function connect() {
+  if (!window.ethereum) {
+    showMessage("No browser wallet found. Install one (e.g. MetaMask) and reload the page.", { error: true });
+    return;
+  }
+  const [address] = await window.ethereum.request({ method: "eth_requestAccounts" });
+  account = ethers.getAddress(address);
+  $("account").textContent = `${account.slice(0, 6)}…${account.slice(-4)}`;
+  $("account").title = account;
+  $("account").hidden = false;
+  $("connect").hidden = true;
+
+  contract = null;
+  state = null;
+  $("account-panel").hidden = true;
+  if (!(await onCorrectNetwork())) {
+    $("network-name").textContent = `${settings.chainName} (chain ID ${settings.chainId})`;
+    $("wrong-network").hidden = false;
+    return;
+  }
+  $("wrong-network").hidden = true;
+
+  provider = new ethers.BrowserProvider(window.ethereum);
+  contract = new ethers.Contract(settings.contractAddress, abi, provider);
+  await refresh();
+  $("account-panel").hidden = false;
+  showMessage("");
+}
+
+// ========== ACTIONS ==========
+
+function claim() {
+  return run(() => send(`Claiming ${state.points} points`, "claimSurfPoints"));
+}
+
+/**
+ * Enabling skip forfeits every unclaimed point, so the visitor types the exact
+ * amount first. The amount is read again just before sending: if points were
+ * recorded in between, the confirmation no longer matches and is asked again.
+ */
+async function toggleSkip() {
+  if (state.skipped) {
+    await run(() => send("Turning skip off", "skipClaimRewards"));
+    return;
+  }
+
+  const amount = (await contract.userSurfPoints(account)).toString();
+  const dialog = $("skip-dialog");
+  $("forfeit-amount").textContent = amount;
+  $("forfeit-amount-again").textContent = amount;
+  $("forfeit-confirmation").value = "";
+  $("confirm-skip").disabled = true;
+  dialog.dataset.amount = amount;
+  dialog.returnValue = "";
+  dialog.showModal();
+}
+
+async function onSkipDialogClose() {
+  const dialog = $("skip-dialog");
+  if (dialog.returnValue !== "confirm") return;
+  const confirmed = dialog.dataset.amount;
+
+  await run(async () => {
+    const current = (await contract.userSurfPoints(account)).toString();
+    if (current !== confirmed) {
+      throw new Error(`Your unclaimed points changed from ${confirmed} to ${current}: nothing was forfeited, confirm the new amount.`);
+    }
+    await send(`Forfeiting ${confirmed} points`, "skipClaimRewards");
+  });
+}
+
+function withdrawAll() {
+  return run(async () => {
+    // Unlock times from a fresh read, not the countdown
+    await refresh();
+    const due = state.claims.filter((claim) => claim.unlockTime <= state.chainTime);
+    if (due.length === 0) throw new Error("No claim is unlocked yet.");
+    // withdrawClaim takes one claim: one transaction each
+    for (const [i, { claimId, amount }] of due.entries()) {
+      await send(`Withdrawing claim #${claimId} (${amount}), ${i + 1} of ${due.length}`, "withdrawClaim", [claimId]);
+    }
+  });
+}
+
+// ========== WIRING ==========
+
+const guard = (fn) => () => fn().catch((error) => showMessage(describeError(error), { error: true }));
+
+$("connect").addEventListener("click", guard(connect));
+$("switch-network").addEventListener("click", guard(async () => {
+  await switchNetwork();
+  await connect();
+}));
+$("claim").addEventListener("click", guard(claim));
+$("skip").addEventListener("click", guard(toggleSkip));
+$("withdraw-all").addEventListener("click", guard(withdrawAll));
+$("forfeit-confirmation").addEventListener("input", (event) => {
+  $("confirm-skip").disabled = event.target.value.trim() !== $("skip-dialog").dataset.amount;
+});
+$("skip-dialog").addEventListener("close", guard(onSkipDialogClose));
+
+if (window.ethereum) {
+  // Disconnecting the site in the wallet leaves no account: start over
+  window.ethereum.on("accountsChanged", (accounts) => (accounts.length === 0 ? window.location.reload() : guard(connect)()));
+  window.ethereum.on("chainChanged", () => guard(connect)());
+}
+
+// Countdowns tick every second; state is re-read periodically and when a claim unlocks
+let lastUnlocked = 0;
+setInterval(() => {
+  if (!state || busy) return;
+  const unlocked = state.claims.filter((claim) => claim.unlockTime <= chainNow()).length;
+  if (unlocked !== lastUnlocked) {
+    lastUnlocked = unlocked;
+    render();
+  } else {
+    renderClaims();
+  }
+}, 1000);
+setInterval(() => {
+  if (state && !busy) guard(refresh)();
+}, REFRESH_INTERVAL_MS);
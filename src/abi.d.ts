@@ -0,0 +1,5 @@
+// src/abi.d.ts
+import type { JsonFragment } from "ethers";
+
+export declare const SURF_POINTS_ABI: JsonFragment[];
+export declare const ERC20_ABI: string[];
@@ -0,0 +1,20 @@
+// src/abi.js
+
+/**
+ * Contract interfaces shared by the CLI and SurfPointsClient
+ */
+
+// SurfPoints ABI, compiled from SurfPoints.sol; `surfpoints check-abi` checks it against the
+// current compiler output and the deployed implementation
+const SURF_POINTS_ABI = require("../ABI.json");
+
+const ERC20_ABI = [
+  "function approve(address spender, uint256 amount) external returns (bool)",
+  "function transfer(address to, uint256 amount) external returns (bool)",
+  "function allowance(address owner, address spender) external view returns (uint256)",
+  "function balanceOf(address account) external view returns (uint256)",
+  "function decimals() external view returns (uint8)",
+  "function symbol() external view returns (string)"
+];
+
+module.exports = { SURF_POINTS_ABI, ERC20_ABI };
@@ -0,0 +1,196 @@
+// src/abiCheck.js
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * ABI drift checks
+ *
+ * The SDK and CLI talk to the contract through ABI.json. These checks compare
+ * it with the ABI compiled from SurfPoints.sol (the Hardhat artifact) and with
+ * the code actually deployed behind the proxy:
+ * - every ABI.json function selector must be dispatched by the implementation
+ *   and every event topic must appear in its code
+ * - the implementation's runtime bytecode must equal the artifact's, ignoring
+ *   immutables (filled in at deployment) and the trailing metadata hash
+ */
+
+const ROOT_DIR = path.resolve(__dirname, "..");
+const DEFAULT_ARTIFACT = path.join(ROOT_DIR, "artifacts", "SurfPoints.sol", "SurfPoints.json");
+// ERC-1967: bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+// ========== ABI COMPARISON ==========
+
+function formatParams(params, withIndexed = false) {
+  return params.map((param) => param.format("sighash") + (withIndexed && param.indexed ? " indexed" : "")).join(",");
+}
+
+/**
+ * Interface entries keyed by signature; the value also covers what the signature
+ * leaves out (mutability, outputs, indexed flags). Parameter names are ignored.
+ * @param {ethers.InterfaceAbi} abi
+ * @returns {Map<string, string>}
+ */
+function describeAbi(abi) {
+  const iface = new ethers.Interface(abi);
+  const entries = new Map();
+
+  iface.forEachFunction((fragment) => {
+    const signature = `function ${fragment.format("sighash")}`;
+    entries.set(signature, `${signature} ${fragment.stateMutability} returns (${formatParams(fragment.outputs)})`);
+  });
+  iface.forEachEvent((fragment) => {
+    const signature = `event ${fragment.format("sighash")}`;
+    entries.set(signature, `event ${fragment.name}(${formatParams(fragment.inputs, true)})${fragment.anonymous ? " anonymous" : ""}`);
+  });
+  iface.forEachError((fragment) => {
+    const signature = `error ${fragment.format("sighash")}`;
+    entries.set(signature, signature);
+  });
+  if (iface.receive) entries.set("receive", "receive() payable");
+  if (iface.fallback) entries.set("fallback", `fallback() ${iface.fallback.payable ? "payable" : "nonpayable"}`);
+
+  return entries;
+}
+
+/**
+ * Differences between two ABIs
+ * @returns {Array<{type: "missing"|"extra"|"changed", signature: string, expected?: string, actual?: string}>}
+ *   "missing": in `expected` only; "extra": in `actual` only
+ */
+function compareAbis(expected, actual) {
+  const want = describeAbi(expected);
+  const have = describeAbi(actual);
+  const differences = [];
+
+  for (const [signature, description] of want) {
+    if (!have.has(signature)) differences.push({ type: "missing", signature, expected: description });
+    else if (have.get(signature) !== description) {
+      differences.push({ type: "changed", signature, expected: description, actual: have.get(signature) });
+    }
+  }
+  for (const [signature, description] of have) {
+    if (!want.has(signature)) differences.push({ type: "extra", signature, actual: description });
+  }
+  return differences;
+}
+
+// ========== ARTIFACT ==========
+
+/**
+ * Reads a Hardhat artifact and, from its build info, the immutable positions in the runtime code
+ * @param {string} [file] Artifact JSON (default: artifacts/SurfPoints.sol/SurfPoints.json)
+ * @returns {{file: string, abi: Array<object>, deployedBytecode: string, immutableReferences: object|null}}
+ */
+function readArtifact(file = DEFAULT_ARTIFACT) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`No compiled artifact at ${resolved}: run \`npm run compile\` or pass --artifact`);
+  }
+  const artifact = JSON.parse(fs.readFileSync(resolved, "utf8"));
+
+  // Hardhat keeps the compiler output, with immutableReferences, in the build info named by the .dbg.json
+  let immutableReferences = null;
+  const dbgFile = resolved.replace(/\.json$/, ".dbg.json");
+  if (fs.existsSync(dbgFile)) {
+    const { buildInfo } = JSON.parse(fs.readFileSync(dbgFile, "utf8"));
+    const buildInfoFile = path.resolve(path.dirname(dbgFile), buildInfo);
+    if (fs.existsSync(buildInfoFile)) {
+      const { output } = JSON.parse(fs.readFileSync(buildInfoFile, "utf8"));
+      const compiled = output.contracts[artifact.sourceName][artifact.contractName];
+      immutableReferences = compiled.evm.deployedBytecode.immutableReferences || {};
+    }
+  }
+
+  return { file: resolved, abi: artifact.abi, deployedBytecode: artifact.deployedBytecode, immutableReferences };
+}
+
+// ========== BYTECODE ==========
+
+/**
+ * 4- and 32-byte constants pushed by the code: function selectors in the
+ * dispatcher and event topics
+ */
+function scanPushes(code) {
+  const bytes = ethers.getBytes(code);
+  const push4 = new Set();
+  const push32 = new Set();
+  for (let i = 0; i < bytes.length; i++) {
+    const op = bytes[i];
+    // PUSH1 (0x60) .. PUSH32 (0x7f)
+    if (op >= 0x60 && op <= 0x7f) {
+      const size = op - 0x5f;
+      if (size === 4) push4.add(ethers.hexlify(bytes.slice(i + 1, i + 5)));
+      if (size === 32) push32.add(ethers.hexlify(bytes.slice(i + 1, i + 33)));
+      i += size;
+    }
+  }
+  return { push4, push32 };
+}
+
+/**
+ * ABI functions and events that the deployed code cannot be using
+ * @returns {{missingFunctions: string[], missingEvents: string[]}}
+ */
+function checkSelectors(abi, code) {
+  const iface = new ethers.Interface(abi);
+  const { push4, push32 } = scanPushes(code);
+  const missingFunctions = [];
+  const missingEvents = [];
+  iface.forEachFunction((fragment) => {
+    if (!push4.has(fragment.selector)) missingFunctions.push(fragment.format("sighash"));
+  });
+  iface.forEachEvent((fragment) => {
+    if (!fragment.anonymous && !push32.has(fragment.topicHash)) missingEvents.push(fragment.format("sighash"));
+  });
+  return { missingFunctions, missingEvents };
+}
+
+/**
+ * Runtime code without the CBOR metadata (its length is in the last two bytes)
+ * and with immutables zeroed
+ */
+function normalizeCode(code, immutableReferences) {
+  const bytes = ethers.getBytes(code);
+  let end = bytes.length;
+  if (end >= 2) {
+    const metadataLength = (bytes[end - 2] << 8) | bytes[end - 1];
+    if (metadataLength + 2 <= end) end -= metadataLength + 2;
+  }
+  const normalized = bytes.slice(0, end);
+  for (const references of Object.values(immutableReferences || {})) {
+    for (const { start, length } of references) {
+      normalized.fill(0, Math.min(start, end), Math.min(start + length, end));
+    }
+  }
+  return ethers.hexlify(normalized);
+}
+
+/**
+ * Whether deployed runtime code was compiled from the artifact
+ */
+function compareBytecode(deployedCode, artifact) {
+  return normalizeCode(deployedCode, artifact.immutableReferences) === normalizeCode(artifact.deployedBytecode, artifact.immutableReferences);
+}
+
+/**
+ * Implementation behind an ERC-1967 proxy, or null if the slot is empty
+ */
+async function getImplementationAddress(provider, proxyAddress) {
+  const slot = await provider.getStorage(proxyAddress, IMPLEMENTATION_SLOT);
+  const address = ethers.getAddress(ethers.dataSlice(slot, 12));
+  return address === ethers.ZeroAddress ? null : address;
+}
+
+module.exports = {
+  DEFAULT_ARTIFACT,
+  IMPLEMENTATION_SLOT,
+  describeAbi,
+  compareAbis,
+  readArtifact,
+  checkSelectors,
+  normalizeCode,
+  compareBytecode,
+  getImplementationAddress,
+};
@@ -0,0 +1,161 @@
+// src/adminPolicy.js
+const fs = require("fs");
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+/**
+ * Admin-role policy
+ *
+ * `isAdmin` is a mapping, so the contract cannot list its admins. The current
+ * set is rebuilt from AdminAdded / AdminRemoved events (the event index) and
+ * compared with a policy file kept in version control (config/admins/<network>.json):
+ *
+ *   { "admins": [{ "address": "0x..", "label": "points backend" }] }
+ *
+ * Syncing issues the minimal addAdmin / removeAdmin calls to reach the policy;
+ * every call is appended to a JSON-lines change log.
+ */
+
+/**
+ * Thrown when the policy file cannot be used
+ */
+class PolicyError extends Error {
+  constructor(message, details = []) {
+    super(details.length > 0 ? `${message}:\n  ${details.join("\n  ")}` : message);
+    this.name = "PolicyError";
+    this.details = details;
+  }
+}
+
+/**
+ * Reads and validates a policy file
+ * @returns {{file: string, hash: string, admins: Array<{address: string, label: string|null}>}}
+ */
+function readPolicy(file) {
+  if (!fs.existsSync(file)) {
+    throw new PolicyError(`No admin policy at ${file}: create it or set SURFPOINTS_ADMIN_POLICY`);
+  }
+  const content = fs.readFileSync(file, "utf8");
+  let policy;
+  try {
+    policy = JSON.parse(content);
+  } catch (error) {
+    throw new PolicyError(`Invalid JSON in ${file}: ${error.message}`);
+  }
+  if (!policy || !Array.isArray(policy.admins)) throw new PolicyError(`${file} must contain { "admins": [...] }`);
+
+  const errors = [];
+  const admins = [];
+  const seen = new Set();
+  policy.admins.forEach((item, i) => {
+    const entry = typeof item === "string" ? { address: item } : item || {};
+    if (typeof entry.address !== "string" || !ethers.isAddress(entry.address)) {
+      errors.push(`admin ${i + 1}: invalid address ${JSON.stringify(entry.address)}`);
+      return;
+    }
+    const address = ethers.getAddress(entry.address);
+    if (address === ethers.ZeroAddress) errors.push(`admin ${i + 1}: zero address`);
+    else if (seen.has(address)) errors.push(`admin ${i + 1}: ${address} is listed twice`);
+    seen.add(address);
+    admins.push({ address, label: entry.label || null });
+  });
+  if (errors.length > 0) throw new PolicyError(`Invalid admin policy ${file}`, errors);
+  if (admins.length === 0) throw new PolicyError(`${file} lists no admins: nobody could record points`);
+
+  return { file, hash: `0x${crypto.createHash("sha256").update(content).digest("hex")}`, admins };
+}
+
+/**
+ * Admin grants and revocations from stored events (see src/indexer.js)
+ * @returns {Map<string, {address: string, isAdmin: boolean, history: Array<object>}>} Every address that ever held the role
+ */
+function adminsFromEvents(events) {
+  const admins = new Map();
+  for (const event of events) {
+    if (event.name !== "AdminAdded" && event.name !== "AdminRemoved") continue;
+    const address = ethers.getAddress(event.args.admin);
+    if (!admins.has(address)) admins.set(address, { address, isAdmin: false, history: [] });
+    const admin = admins.get(address);
+    admin.isAdmin = event.name === "AdminAdded";
+    admin.history.push({
+      action: event.name === "AdminAdded" ? "added" : "removed",
+      blockNumber: event.blockNumber,
+      timestamp: event.timestamp,
+      transactionHash: event.transactionHash,
+    });
+  }
+  return admins;
+}
+
+/**
+ * Compares the admin set with the policy
+ * @param {object} params
+ * @param {object} params.policy Output of readPolicy()
+ * @param {Map<string, object>} params.admins Output of adminsFromEvents()
+ * @param {Map<string, boolean>} params.onChain isAdmin() of every address in either, read at the chain head
+ * @returns {{ok: boolean, admins: Array<object>, missing: Array<object>, unexpected: Array<object>, indexMismatches: string[]}}
+ */
+function auditAdmins({ policy, admins, onChain }) {
+  const labels = new Map(policy.admins.map(({ address, label }) => [address, label]));
+  const addresses = [...new Set([...admins.keys(), ...labels.keys()])];
+
+  const rows = addresses.map((address) => {
+    const isAdmin = onChain.get(address);
+    const event = admins.get(address);
+    const last = event && event.history[event.history.length - 1];
+    const expected = labels.has(address);
+    return {
+      address,
+      label: labels.get(address) || null,
+      isAdmin,
+      expected,
+      status: isAdmin === expected ? "ok" : expected ? "missing" : "unexpected",
+      since: last && last.action === "added" ? last : null,
+      history: event ? event.history : [],
+    };
+  });
+
+  // The index may lag the chain head; isAdmin() is authoritative
+  const indexMismatches = rows
+    .filter((row) => row.isAdmin !== Boolean(admins.get(row.address) && admins.get(row.address).isAdmin))
+    .map((row) => row.address);
+
+  const missing = rows.filter((row) => row.status === "missing");
+  const unexpected = rows.filter((row) => row.status === "unexpected");
+  return {
+    ok: missing.length === 0 && unexpected.length === 0,
+    admins: rows.filter((row) => row.isAdmin),
+    missing,
+    unexpected,
+    indexMismatches,
+  };
+}
+
+/**
+ * The calls that bring the admin set to the policy: grants first, so the
+ * role is never left with fewer holders than needed along the way
+ * @returns {Array<{method: "addAdmin"|"removeAdmin", address: string, label: string|null}>}
+ */
+function planSync(audit) {
+  return [
+    ...audit.missing.map(({ address, label }) => ({ method: "addAdmin", address, label })),
+    ...audit.unexpected.map(({ address, label }) => ({ method: "removeAdmin", address, label })),
+  ];
+}
+
+/**
+ * Appends entries to a JSON-lines change log
+ */
+function appendChangeLog(file, entries) {
+  const lines = entries.map((entry) => JSON.stringify(entry, (key, value) => (typeof value === "bigint" ? value.toString() : value)));
+  fs.appendFileSync(file, lines.map((line) => `${line}\n`).join(""));
+}
+
+module.exports = {
+  PolicyError,
+  readPolicy,
+  adminsFromEvents,
+  auditAdmins,
+  planSync,
+  appendChangeLog,
+};
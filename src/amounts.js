@@ -0,0 +1,120 @@
+// src/amounts.js
+const { ethers } = require("ethers");
+const { ERC20_ABI } = require("./abi");
+
+/**
+ * Token amounts and points as people write and read them
+ *
+ * Points pay out 1:1 in the token's base units: 1 point is 10^-decimals SURF,
+ * so 1 SURF takes 10^decimals points. TokenUnits reads the token's decimals()
+ * and symbol() once and converts both ways:
+ *
+ *   parse("1.5k SURF")  -> 1500 SURF in base units (= points)
+ *   parse("250 points") -> 250
+ *   parse("1000")       -> in the unit the command expects (SURF or points)
+ *
+ * k and M multiply by a thousand and a million. Input is refused rather than
+ * rounded: more decimals than the token has, fractions of a point, commas (a
+ * thousands or a decimal separator?), a lowercase m (milli or million?) and
+ * exponents.
+ */
+
+const POINT_UNITS = ["point", "points", "pt", "pts"];
+const MULTIPLIERS = { k: 3, K: 3, M: 6 };
+const AMOUNT_PATTERN = /^(\d+)(?:\.(\d+))?\s*([kKM])?(?:\s*([A-Za-z][A-Za-z0-9]*))?$/;
+
+/**
+ * Thrown for an amount that cannot be parsed without guessing or rounding
+ */
+class AmountError extends Error {
+  constructor(message, details = []) {
+    super(details.length > 0 ? `${message}:\n  ${details.join("\n  ")}` : message);
+    this.name = "AmountError";
+    this.details = details;
+  }
+}
+
+class TokenUnits {
+  /**
+   * @param {object} params
+   * @param {number} params.decimals
+   * @param {string} params.symbol
+   * @param {boolean} [params.points] Whether amounts can be given in points (the SURF token)
+   */
+  constructor({ decimals, symbol, points = true }) {
+    this.decimals = Number(decimals);
+    this.symbol = symbol;
+    this.points = points;
+  }
+
+  /**
+   * Reads decimals() and symbol() of `token`
+   * @param {ethers.Contract|string} token ERC20 contract, or its address with `runner`
+   * @param {object} [options]
+   * @param {ethers.ContractRunner} [options.runner]
+   * @param {boolean} [options.points] See the constructor; true for the SURF token
+   */
+  static async load(token, { runner, points = true } = {}) {
+    const contract = typeof token === "string" ? new ethers.Contract(token, ERC20_ABI, runner) : token;
+    const [decimals, symbol] = await Promise.all([contract.decimals(), contract.symbol()]);
+    return new TokenUnits({ decimals, symbol, points });
+  }
+
+  /**
+   * Base units (= points) for a human amount
+   * @param {string} value e.g. "1.5k SURF", "250 points" or "1000"
+   * @param {object} [options]
+   * @param {string} [options.name] What the amount is, for error messages
+   * @param {"token"|"points"} [options.unit] Unit of a bare number
+   * @returns {bigint}
+   */
+  parse(value, { name = "amount", unit = "token" } = {}) {
+    const input = String(value ?? "").trim();
+    const invalid = (reason) => new AmountError(`Invalid ${name}: ${input || "(empty)"} (${reason})`);
+    const units = this.points ? `${this.symbol} or points` : this.symbol;
+
+    if (input.includes(",")) throw invalid("ambiguous comma: write decimals with a dot and no thousands separators");
+    if (/^\d+(\.\d+)?e\d+\b/i.test(input)) throw invalid("no exponents: write the number out or use k or M");
+    const match = AMOUNT_PATTERN.exec(input);
+    if (!match) throw invalid(`expected e.g. 1.5k ${this.symbol}${this.points ? " or 250 points" : ""}`);
+    const [, whole, fraction = "", multiplier, suffix] = match;
+
+    let inPoints = unit === "points";
+    if (suffix === "m") throw invalid("ambiguous m: write M for a million");
+    if (suffix) {
+      if (suffix.toLowerCase() === this.symbol.toLowerCase()) inPoints = false;
+      else if (this.points && POINT_UNITS.includes(suffix.toLowerCase())) inPoints = true;
+      else throw invalid(`unknown unit ${suffix}, expected ${units}`);
+    }
+
+    const exponent = (multiplier ? MULTIPLIERS[multiplier] : 0) + (inPoints ? 0 : this.decimals);
+    if (fraction.replace(/0+$/, "").length > exponent) {
+      throw invalid(inPoints
+        ? "not a whole number of points"
+        : `${this.symbol} has ${this.decimals} decimals`);
+    }
+    const digits = fraction.length > exponent ? whole + fraction.slice(0, exponent) : whole + fraction;
+    const amount = BigInt(digits) * 10n ** BigInt(exponent - Math.min(fraction.length, exponent));
+    if (amount === 0n) throw invalid("must be more than 0");
+    return amount;
+  }
+
+  /**
+   * e.g. "1500 SURF" or "0.25 SURF" for an amount in base units
+   */
+  format(amount) {
+    return `${ethers.formatUnits(amount, this.decimals).replace(/\.0$/, "")} ${this.symbol}`;
+  }
+
+  /**
+   * e.g. "250 points (0.00000000000000025 SURF)": the points and what they pay out
+   */
+  formatPoints(points) {
+    return `${points} points (${this.format(points)})`;
+  }
+}
+
+module.exports = {
+  AmountError,
+  TokenUnits,
+};
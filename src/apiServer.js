@@ -0,0 +1,423 @@
+// src/apiServer.js
+const http = require("http");
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const { ImportError, normalizeEntries } = require("./pointsImport");
+const { TransactionError } = require("./txManager");
+const openApiSpec = require("../openapi.json");
+
+/**
+ * HTTP API over SurfPointsClient
+ *
+ * Reads (users, stats) are public; recording points needs an API key. Point
+ * writes are not sent inline: they are queued, sent one at a time by the admin
+ * client and tracked as jobs the caller polls with GET /jobs/{id}. Every
+ * request counts against a per-client rate limit (a valid API key, or else the
+ * IP address). The routes are described in openapi.json.
+ */
+
+const DEFAULT_RATE_LIMIT = 60;
+const RATE_LIMIT_WINDOW_MS = 60_000;
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_BATCH_SIZE = 100;
+// Finished jobs kept for GET /jobs/{id}
+const MAX_FINISHED_JOBS = 1000;
+
+/**
+ * Whether an error came from the node or the contract (ethers errors carry a
+ * shortMessage); anything else is a bug in the server
+ */
+function isChainError(error) {
+  return error instanceof TransactionError || typeof error.shortMessage === "string";
+}
+
+/**
+ * Error with the HTTP status to answer with
+ */
+class HttpError extends Error {
+  constructor(status, message, details, headers) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+// ========== RATE LIMITING ==========
+
+/**
+ * Fixed-window request counter per client
+ */
+class RateLimiter {
+  /**
+   * @param {object} [params]
+   * @param {number} [params.limit=60] Requests per window
+   * @param {number} [params.windowMs=60000]
+   */
+  constructor({ limit = DEFAULT_RATE_LIMIT, windowMs = RATE_LIMIT_WINDOW_MS } = {}) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.windows = new Map();
+  }
+
+  /**
+   * Counts a request from `key`
+   * @returns {{allowed: boolean, remaining: number, resetAt: number}}
+   */
+  take(key, now = Date.now()) {
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      // Drop expired windows as new ones open so the map does not grow with every client seen
+      for (const [other, { resetAt }] of this.windows) if (resetAt <= now) this.windows.delete(other);
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(key, window);
+    }
+    window.count += 1;
+    return { allowed: window.count <= this.limit, remaining: Math.max(this.limit - window.count, 0), resetAt: window.resetAt };
+  }
+}
+
+// ========== WRITE QUEUE ==========
+
+/**
+ * Sends point records one at a time and keeps their status
+ */
+class PointsQueue {
+  /**
+   * @param {import("./surfPointsClient").SurfPointsClient} client Client signing as an admin
+   * @param {object} [options]
+   * @param {function} [options.log]
+   */
+  constructor(client, { log = () => {} } = {}) {
+    this.client = client;
+    this.log = log;
+    this.jobs = new Map();
+    this._tail = Promise.resolve();
+  }
+
+  /**
+   * Queues a record; a single entry uses recordSurfPoints, several use batchRecordSurfPoints
+   * @param {Array<{user: string, points: bigint}>} entries
+   * @returns {object} The job
+   */
+  enqueue(entries) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: "queued",
+      method: entries.length === 1 ? "recordSurfPoints" : "batchRecordSurfPoints",
+      entries,
+      totalPoints: entries.reduce((sum, entry) => sum + entry.points, 0n),
+      createdAt: new Date().toISOString(),
+      hash: null,
+      blockNumber: null,
+      error: null,
+    };
+    this.jobs.set(job.id, job);
+    this._prune();
+
+    this._tail = this._tail.then(() => this._run(job));
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Resolves once every queued job has finished
+   */
+  idle() {
+    return this._tail;
+  }
+
+  async _run(job) {
+    job.status = "sending";
+    const onSubmitted = (hash) => {
+      job.status = "submitted";
+      job.hash = hash;
+    };
+
+    try {
+      const [first] = job.entries;
+      const result = job.method === "recordSurfPoints"
+        ? await this.client.recordPoints(first.user, first.points, { onSubmitted })
+        : await this.client.batchRecord(job.entries, { onSubmitted });
+
+      if (result.dryRun) {
+        job.status = "simulated";
+        job.simulation = result;
+      } else {
+        job.status = "confirmed";
+        job.hash = result.hash;
+        job.blockNumber = result.blockNumber;
+      }
+      this.log(`Job ${job.id}: ${job.method} for ${job.entries.length} user(s) ${job.status}${job.hash ? ` (${job.hash})` : ""}`);
+    } catch (error) {
+      job.status = "failed";
+      job.error = { message: error.shortMessage || error.message, code: error.code || null, reason: error.reason || null };
+      this.log(`Job ${job.id}: ${job.method} failed: ${job.error.message}`);
+    }
+    job.finishedAt = new Date().toISOString();
+  }
+
+  _prune() {
+    const finished = [...this.jobs.values()].filter((job) => job.finishedAt);
+    for (const job of finished.slice(0, Math.max(finished.length - MAX_FINISHED_JOBS, 0))) this.jobs.delete(job.id);
+  }
+}
+
+// ========== REQUEST HELPERS ==========
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest();
+}
+
+/**
+ * API key from `X-API-Key` or `Authorization: Bearer`, or null
+ */
+function getApiKey(req) {
+  const header = req.headers["x-api-key"];
+  if (header) return String(header);
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  return match ? match[1].trim() : null;
+}
+
+function readJsonBody(req) {
+  if (!/^application\/json\b/i.test(req.headers["content-type"] || "")) {
+    return Promise.reject(new HttpError(415, "Content-Type must be application/json"));
+  }
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      // Keep reading (and discarding) so the 413 response can still be sent
+      if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, `Request body larger than ${MAX_BODY_BYTES} bytes`));
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch {
+        reject(new HttpError(400, "Request body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Validates `[{user, points}]` from a request body
+ */
+function parseEntries(items) {
+  const rows = items.map((item, i) => {
+    if (item === null || typeof item !== "object") return { line: i + 1, address: undefined, points: undefined };
+    // Larger numbers lose precision in JSON; they must be sent as strings
+    if (typeof item.points === "number" && !Number.isSafeInteger(item.points)) {
+      throw new HttpError(400, `Entry ${i + 1}: points ${item.points} is not a safe integer, send it as a string`);
+    }
+    return { line: i + 1, address: item.user, points: item.points };
+  });
+
+  try {
+    return normalizeEntries(rows).entries;
+  } catch (error) {
+    if (error instanceof ImportError) {
+      throw new HttpError(400, "Invalid entries", error.details.map((detail) => detail.replace(/^row/, "entry")));
+    }
+    throw error;
+  }
+}
+
+function sendJson(res, status, body, headers = {}) {
+  const json = JSON.stringify(body, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+  res.writeHead(status, { "content-type": "application/json; charset=utf-8", ...headers });
+  res.end(json);
+}
+
+// ========== SERVER ==========
+
+/**
+ * Creates the HTTP server (not yet listening)
+ * @param {object} params
+ * @param {import("./surfPointsClient").SurfPointsClient} params.client Read-only client
+ * @param {PointsQueue} [params.queue] Write queue; without it the POST routes answer 503
+ * @param {string[]} [params.apiKeys=[]] Keys accepted for authenticated routes
+ * @param {number} [params.rateLimit=60] Requests per minute per client
+ * @param {function} [params.log]
+ * @returns {http.Server}
+ */
+function createApiServer({ client, queue = null, apiKeys = [], rateLimit = DEFAULT_RATE_LIMIT, log = () => {} }) {
+  const keyHashes = apiKeys.map(hashKey);
+  const limiter = new RateLimiter({ limit: rateLimit });
+
+  function isKnownKey(key) {
+    const hash = hashKey(key);
+    return keyHashes.some((known) => crypto.timingSafeEqual(known, hash));
+  }
+
+  function authenticate(req) {
+    const key = getApiKey(req);
+    if (!key) throw new HttpError(401, "Missing API key (X-API-Key header or Authorization: Bearer)");
+    if (!isKnownKey(key)) throw new HttpError(401, "Invalid API key");
+  }
+
+  /**
+   * Rate limit key: a valid API key, else the remote address, so that made-up
+   * keys cannot open a fresh window per request
+   */
+  function clientId(req) {
+    const key = getApiKey(req);
+    if (key && isKnownKey(key)) return `key:${hashKey(key).toString("hex")}`;
+    return `ip:${req.socket.remoteAddress}`;
+  }
+
+  function requireQueue() {
+    if (!queue) throw new HttpError(503, "Recording points is disabled on this server");
+    return queue;
+  }
+
+  const routes = [
+    {
+      method: "GET",
+      path: /^\/health$/,
+      handler: async () => ({ status: 200, body: { ok: true, block: await client.runner.provider.getBlockNumber() } }),
+    },
+    {
+      method: "GET",
+      path: /^\/openapi\.json$/,
+      handler: async () => ({ status: 200, body: openApiSpec }),
+    },
+    {
+      method: "GET",
+      path: /^\/users\/([^/]+)$/,
+      handler: async (req, [address]) => {
+        if (!ethers.isAddress(address)) throw new HttpError(400, `Invalid address: ${address}`);
+        const [user, pendingClaims] = await Promise.all([client.getUser(address), client.getPendingClaims(address)]);
+        return { status: 200, body: { ...user, pendingClaims } };
+      },
+    },
+    {
+      method: "GET",
+      path: /^\/stats$/,
+      handler: async () => {
+        const [info, stats, totalUsers, paused] = await Promise.all([
+          client.getInfo(),
+          client.getStats(),
+          client.getTotalUsersCount(),
+          client.isPaused(),
+        ]);
+        return { status: 200, body: { ...info, ...stats, totalUsers, paused } };
+      },
+    },
+    {
+      method: "POST",
+      path: /^\/points$/,
+      auth: true,
+      handler: async (req) => {
+        const points = requireQueue();
+        const body = await readJsonBody(req);
+        if (body === null || typeof body !== "object" || Array.isArray(body)) {
+          throw new HttpError(400, "Expected an object {user, points}");
+        }
+        const job = points.enqueue(parseEntries([body]));
+        return { status: 202, body: job, headers: { location: `/jobs/${job.id}` } };
+      },
+    },
+    {
+      method: "POST",
+      path: /^\/points\/batch$/,
+      auth: true,
+      handler: async (req) => {
+        const points = requireQueue();
+        const body = await readJsonBody(req);
+        if (!body || !Array.isArray(body.entries) || body.entries.length === 0) {
+          throw new HttpError(400, "Expected {entries: [{user, points}, ...]} with at least one entry");
+        }
+        if (body.entries.length > MAX_BATCH_SIZE) {
+          throw new HttpError(400, `At most ${MAX_BATCH_SIZE} entries per batch, got ${body.entries.length}`);
+        }
+        const job = points.enqueue(parseEntries(body.entries));
+        return { status: 202, body: job, headers: { location: `/jobs/${job.id}` } };
+      },
+    },
+    {
+      method: "GET",
+      path: /^\/jobs\/([^/]+)$/,
+      auth: true,
+      handler: async (req, [id]) => {
+        const job = requireQueue().get(id);
+        if (!job) throw new HttpError(404, `Unknown job: ${id}`);
+        return { status: 200, body: job };
+      },
+    },
+  ];
+
+  async function handle(req, res) {
+    const limit = limiter.take(clientId(req));
+    const rateHeaders = {
+      "x-ratelimit-limit": String(limiter.limit),
+      "x-ratelimit-remaining": String(limit.remaining),
+    };
+    if (!limit.allowed) {
+      const retryAfter = Math.ceil((limit.resetAt - Date.now()) / 1000);
+      throw new HttpError(429, "Rate limit exceeded", undefined, { ...rateHeaders, "retry-after": String(retryAfter) });
+    }
+
+    let pathname;
+    try {
+      ({ pathname } = new URL(req.url, "http://localhost"));
+    } catch {
+      throw new HttpError(400, `Malformed request target: ${req.url}`);
+    }
+
+    const matching = routes.filter((route) => route.path.test(pathname));
+    if (matching.length === 0) throw new HttpError(404, `Not found: ${pathname}`);
+    const route = matching.find((candidate) => candidate.method === req.method);
+    if (!route) {
+      throw new HttpError(405, `Method ${req.method} not allowed`, undefined, { allow: matching.map((r) => r.method).join(", ") });
+    }
+
+    if (route.auth) authenticate(req);
+    const params = route.path.exec(pathname).slice(1).map((param) => {
+      try {
+        return decodeURIComponent(param);
+      } catch {
+        throw new HttpError(400, `Malformed escape in path: ${pathname}`);
+      }
+    });
+    const { status, body, headers } = await route.handler(req, params);
+    sendJson(res, status, body, { ...rateHeaders, ...headers });
+  }
+
+  return http.createServer((req, res) => {
+    const started = Date.now();
+    handle(req, res)
+      .catch((error) => {
+        if (error instanceof HttpError) {
+          sendJson(res, error.status, { error: error.message, ...(error.details && { details: error.details }) }, error.headers);
+        } else if (isChainError(error)) {
+          // RPC failures and reverts of reads
+          log(`${req.method} ${req.url} failed: ${error.shortMessage || error.message}`);
+          sendJson(res, 502, { error: error.shortMessage || error.message, ...(error.reason && { reason: error.reason }) });
+        } else {
+          log(`${req.method} ${req.url} failed: ${error.stack || error.message}`);
+          sendJson(res, 500, { error: "Internal server error" });
+        }
+      })
+      .finally(() => log(`${req.method} ${req.url} ${res.statusCode} ${Date.now() - started}ms`));
+  });
+}
+
+module.exports = {
+  DEFAULT_RATE_LIMIT,
+  MAX_BATCH_SIZE,
+  HttpError,
+  RateLimiter,
+  PointsQueue,
+  createApiServer,
+};
@@ -0,0 +1,136 @@
+// src/claimKeeper.js
+const { TokenUnits } = require("./amounts");
+const { sleep, withRetry } = require("./retry");
+
+/**
+ * Claim keeper: withdraws vesting claims for a set of wallets as soon as they unlock
+ *
+ * Each cycle reads the pending claims of every wallet, withdraws the ones that
+ * can be withdrawn and then sleeps until the earliest remaining unlockTime (or
+ * the poll interval, whichever comes first, so claims made in the meantime are
+ * picked up). RPC failures are retried with backoff; a claim that still fails
+ * is reported and tried again next cycle.
+ */
+
+const DEFAULT_POLL_INTERVAL = 5 * 60 * 1000;
+// Wake a little after the unlock time so the next block's timestamp is past it
+const UNLOCK_MARGIN_MS = 2_000;
+
+class ClaimKeeper {
+  /**
+   * @param {object} params
+   * @param {Array<import("./surfPointsClient").SurfPointsClient>} params.clients One client per wallet, each signing as that wallet
+   * @param {number} [params.pollInterval=300000] Longest sleep between cycles in ms
+   * @param {number} [params.retries=5] Retries of a failed RPC call
+   * @param {number} [params.retryDelay=2000] Delay before the first retry in ms
+   * @param {import("./amounts").TokenUnits} [params.units] SURF decimals and symbol for the log; read from the token when not given
+   * @param {function} [params.log]
+   */
+  constructor({ clients, pollInterval = DEFAULT_POLL_INTERVAL, retries = 5, retryDelay = 2_000, units = null, log = () => {} }) {
+    if (clients.length === 0) throw new Error("Claim keeper needs at least one wallet");
+
+    this.clients = clients;
+    this.pollInterval = pollInterval;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.units = units;
+    this.log = log;
+  }
+
+  _retry(fn, label, signal) {
+    return withRetry(fn, {
+      retries: this.retries,
+      delay: this.retryDelay,
+      signal,
+      onRetry: (error, attempt, wait) => {
+        this.log(`   ⚠️ ${label} failed (${error.shortMessage || error.message}), retry ${attempt}/${this.retries} in ${wait}ms`);
+      },
+    });
+  }
+
+  /**
+   * Withdraws every matured claim of every wallet once
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{withdrawn: Array<object>, failed: Array<object>, nextUnlock: bigint|null, chainTime: bigint}>}
+   */
+  async runOnce(signal) {
+    const provider = this.clients[0].runner.provider;
+    const withdrawn = [];
+    const failed = [];
+    let nextUnlock = null;
+    if (!this.units) {
+      const token = await this._retry(() => this.clients[0].getSurfToken(), "surfToken()", signal);
+      this.units = await this._retry(() => TokenUnits.load(token), "token decimals and symbol", signal);
+    }
+
+    for (const client of this.clients) {
+      const user = await client.getSignerAddress();
+      const claims = await this._retry(() => client.getPendingClaims(user), `getPendingClaims(${user})`, signal);
+
+      const ready = [];
+      for (const claim of claims) {
+        if (claim.canWithdraw) ready.push(claim);
+        else if (nextUnlock === null || claim.unlockTime < nextUnlock) nextUnlock = claim.unlockTime;
+      }
+
+      // The client's transaction manager hands out nonces, so a wallet's claims go out in parallel
+      const results = await Promise.all(ready.map((claim) => this._withdraw(client, user, claim, signal)));
+      for (const result of results) (result.error ? failed : withdrawn).push(result);
+    }
+
+    const block = await this._retry(() => provider.getBlock("latest"), "getBlock(latest)", signal);
+    return { withdrawn, failed, nextUnlock, chainTime: BigInt(block.timestamp) };
+  }
+
+  async _withdraw(client, user, claim, signal) {
+    try {
+      const tx = await this._retry(async (attempt) => {
+        // A failed attempt may still have been mined; never send a second withdrawal for it
+        if (attempt > 0 && (await client.getClaimInfo(user, claim.claimId)).withdrawn) return null;
+        return client.withdraw(claim.claimId);
+      }, `withdrawClaim(${claim.claimId}) for ${user}`, signal);
+
+      if (tx && !tx.dryRun) this.log(`   ✅ ${user} claim ${claim.claimId}: withdrew ${this.units.format(claim.amount)} (${tx.hash})`);
+      else if (!tx) this.log(`   ✅ ${user} claim ${claim.claimId}: already withdrawn`);
+      return { user, claimId: claim.claimId, amount: claim.amount, tx };
+    } catch (error) {
+      this.log(`   ❌ ${user} claim ${claim.claimId}: ${error.shortMessage || error.message}`);
+      return { user, claimId: claim.claimId, amount: claim.amount, error };
+    }
+  }
+
+  /**
+   * Milliseconds to sleep after a cycle: until the next unlock, capped at the poll interval
+   */
+  nextDelay({ nextUnlock, chainTime, failed }) {
+    // Failed withdrawals are retried on the regular poll interval
+    if (nextUnlock === null || failed.length > 0) return this.pollInterval;
+    const untilUnlock = Number(nextUnlock - chainTime) * 1000 + UNLOCK_MARGIN_MS;
+    return Math.min(Math.max(untilUnlock, UNLOCK_MARGIN_MS), this.pollInterval);
+  }
+
+  /**
+   * Runs cycles until `signal` aborts
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {function(object): *} [options.onCycle] Called after each cycle with its result and the chosen delay
+   */
+  async run({ signal, onCycle } = {}) {
+    while (!(signal && signal.aborted)) {
+      let result;
+      try {
+        result = await this.runOnce(signal);
+      } catch (error) {
+        // Retries are exhausted; keep the keeper alive and try again next interval
+        this.log(`   ❌ Keeper cycle failed: ${error.shortMessage || error.message}`);
+        result = { withdrawn: [], failed: [], nextUnlock: null, chainTime: null, error };
+      }
+
+      const delay = this.nextDelay(result);
+      if (onCycle) await onCycle({ ...result, delay });
+      await sleep(delay, signal);
+    }
+  }
+}
+
+module.exports = { ClaimKeeper, DEFAULT_POLL_INTERVAL };
@@ -0,0 +1,69 @@
+// src/config.d.ts
+import { Provider } from "ethers";
+
+export type Role = "owner" | "admin" | "user";
+
+export interface SurfPointsConfig {
+  network: string;
+  rpcUrl?: string;
+  chainId?: bigint;
+  surfPointsAddress?: string;
+  surfTokenAddress?: string;
+  deploymentFile: string;
+  indexFile: string;
+  adminPolicyFile: string;
+  manifestFile: string;
+  startBlock?: number;
+  alertWebhook?: string;
+  confirmations?: number;
+  maxFeeGwei?: string | number;
+  priorityFeeGwei?: string | number;
+  safeAddress?: string;
+  apiPort?: number;
+  apiRateLimit?: number;
+  metricsPort?: number;
+  subscribersFile: string;
+  notificationsFile: string;
+  notifyWebhook?: string;
+  smtpUrl?: string;
+  smtpFrom?: string;
+  deployment: Record<string, unknown> | null;
+  privateKeys: Partial<Record<Role, string>>;
+  signers: Partial<Record<Role, SignerSettings>>;
+  keeperKeys: string[];
+  apiKeys: string[];
+  sources: Record<string, string>;
+}
+
+export interface SignerSettings {
+  keystore?: string;
+  keystorePassword?: string;
+  signerUrl?: string;
+  signerAddress?: string;
+}
+
+export type SignerSource =
+  | { type: "privateKey"; privateKey: string }
+  | { type: "keystore"; keystore: string; password?: string }
+  | { type: "external"; url: string; address: string | null };
+
+export interface LoadConfigOptions {
+  network?: string;
+  configFile?: string;
+  env?: Record<string, string | undefined>;
+}
+
+export declare class ConfigError extends Error {}
+
+export declare function loadConfig(options?: LoadConfigOptions): SurfPointsConfig;
+export declare function requireConfig<K extends keyof SurfPointsConfig>(
+  config: SurfPointsConfig,
+  field: K
+): NonNullable<SurfPointsConfig[K]>;
+export declare function requirePrivateKey(config: SurfPointsConfig, role: Role): string;
+export declare function describeSigner(config: SurfPointsConfig, role: Role): SignerSource;
+export declare function requireKeeperKeys(config: SurfPointsConfig): string[];
+export declare function verifyChainId(provider: Provider, config: SurfPointsConfig): Promise<bigint>;
+
+export declare const DEFAULT_DEPLOYMENT_FILE: string;
+export declare const PRIVATE_KEY_ENV_VARS: Record<Role, string>;
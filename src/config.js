@@ -0,0 +1,349 @@
+// src/config.js
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * Shared configuration loader for the SurfPoints scripts
+ *
+ * Values are resolved in this order (first match wins):
+ * 1. Environment variables
+ * 2. Per-network config file: config/<network>.json (or --config / SURFPOINTS_CONFIG)
+ * 3. surfpoints-deployment.json written by deploySurfPoints.js (same chainId only)
+ *
+ * Private keys, API keys and other signer settings are only ever read from the environment.
+ * Relative paths, from the environment or a config file, are resolved against
+ * the project root, so a command finds the same files wherever it is run from.
+ */
+
+const ROOT_DIR = path.resolve(__dirname, "..");
+const CONFIG_DIR = path.join(ROOT_DIR, "config");
+const DEFAULT_NETWORK = "holesky";
+const DEFAULT_DEPLOYMENT_FILE = "surfpoints-deployment.json";
+
+// Hardhat network names that share a config file
+const NETWORK_ALIASES = {
+  localhost: "local",
+  hardhat: "local",
+};
+
+// Config field => environment variable
+const ENV_VARS = {
+  rpcUrl: "SURFPOINTS_RPC_URL",
+  chainId: "SURFPOINTS_CHAIN_ID",
+  surfPointsAddress: "SURF_POINTS_CONTRACT_ADDRESS",
+  surfTokenAddress: "SURF_TOKEN_ADDRESS",
+  deploymentFile: "SURFPOINTS_DEPLOYMENT_FILE",
+  indexFile: "SURFPOINTS_INDEX_FILE",
+  adminPolicyFile: "SURFPOINTS_ADMIN_POLICY",
+  manifestFile: "SURFPOINTS_MANIFEST",
+  startBlock: "SURFPOINTS_START_BLOCK",
+  alertWebhook: "SURFPOINTS_ALERT_WEBHOOK",
+  confirmations: "SURFPOINTS_CONFIRMATIONS",
+  maxFeeGwei: "SURFPOINTS_MAX_FEE_GWEI",
+  priorityFeeGwei: "SURFPOINTS_PRIORITY_FEE_GWEI",
+  safeAddress: "SURFPOINTS_SAFE_ADDRESS",
+  apiPort: "SURFPOINTS_API_PORT",
+  apiRateLimit: "SURFPOINTS_API_RATE_LIMIT",
+  metricsPort: "SURFPOINTS_METRICS_PORT",
+  subscribersFile: "SURFPOINTS_SUBSCRIBERS_FILE",
+  notificationsFile: "SURFPOINTS_NOTIFICATIONS_FILE",
+  notifyWebhook: "SURFPOINTS_NOTIFY_WEBHOOK",
+  smtpFrom: "SURFPOINTS_SMTP_FROM",
+};
+
+const PRIVATE_KEY_ENV_VARS = {
+  owner: "OWNER_PRIVATE_KEY",
+  admin: "ADMIN_PRIVATE_KEY",
+  user: "USER_PRIVATE_KEY",
+};
+// Alternatives to a raw key, per role: <ROLE>_KEYSTORE, <ROLE>_SIGNER_URL, ...
+const SIGNER_ENV_SUFFIXES = {
+  keystore: "KEYSTORE",
+  keystorePassword: "KEYSTORE_PASSWORD",
+  signerUrl: "SIGNER_URL",
+  signerAddress: "SIGNER_ADDRESS",
+};
+// Comma-separated keys of the wallets the claim keeper withdraws for
+const KEEPER_KEYS_ENV_VAR = "KEEPER_PRIVATE_KEYS";
+// Comma-separated keys accepted by the HTTP API for recording points
+const API_KEYS_ENV_VAR = "SURFPOINTS_API_KEYS";
+// smtp:// or smtps:// URL of the mail server, with credentials
+const SMTP_URL_ENV_VAR = "SURFPOINTS_SMTP_URL";
+const PRIVATE_KEY_PATTERN = /^(0x)?[0-9a-fA-F]{64}$/;
+
+/**
+ * Thrown for missing or invalid configuration values
+ */
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConfigError";
+  }
+}
+
+function readJsonFile(file, description) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new ConfigError(`Cannot read ${description} ${file}: ${error.message}`);
+  }
+}
+
+function validateAddress(value, field, source) {
+  if (!ethers.isAddress(value)) {
+    throw new ConfigError(`Invalid ${field} from ${source}: ${value} is not an address, or its checksum is wrong`);
+  }
+  // All-lowercase addresses carry no checksum, so a typo in them would go unnoticed
+  const checksummed = ethers.getAddress(value);
+  if (value !== checksummed) {
+    throw new ConfigError(`Invalid ${field} from ${source}: ${value} is not checksummed, write it as ${checksummed}`);
+  }
+  return value;
+}
+
+function validateChainId(value, source) {
+  if (!/^\d+$/.test(String(value))) {
+    throw new ConfigError(`Invalid chainId from ${source}: ${value}`);
+  }
+  return BigInt(value);
+}
+
+/**
+ * Loads and validates the configuration for a network
+ * @param {object} [options]
+ * @param {string} [options.network] Network name (default: SURFPOINTS_NETWORK or "holesky")
+ * @param {string} [options.configFile] Explicit config file path (default: config/<network>.json)
+ * @param {object} [options.env] Environment to read from (default: process.env)
+ * @returns {object} Resolved config; `sources` records where each value came from
+ */
+function loadConfig({ network, configFile, env = process.env } = {}) {
+  const requested = network || env.SURFPOINTS_NETWORK || DEFAULT_NETWORK;
+  const name = NETWORK_ALIASES[requested] || requested;
+
+  const file = configFile || env.SURFPOINTS_CONFIG || path.join(CONFIG_DIR, `${name}.json`);
+  if (!configFile && !env.SURFPOINTS_CONFIG && !fs.existsSync(file)) {
+    throw new ConfigError(`Unknown network "${requested}": no config file at ${file}`);
+  }
+  const fileValues = readJsonFile(file, "config file");
+
+  const config = { network: name, privateKeys: {}, signers: {}, keeperKeys: [], apiKeys: [], sources: {}, deployment: null };
+
+  for (const [field, envVar] of Object.entries(ENV_VARS)) {
+    if (env[envVar]) {
+      config[field] = env[envVar];
+      config.sources[field] = `env ${envVar}`;
+    } else if (fileValues[field] !== undefined && fileValues[field] !== null && fileValues[field] !== "") {
+      config[field] = fileValues[field];
+      config.sources[field] = path.relative(process.cwd(), file) || file;
+    }
+  }
+
+  if (config.chainId !== undefined) {
+    config.chainId = validateChainId(config.chainId, config.sources.chainId);
+  }
+
+  // Fall back to the deployment output for addresses, if it belongs to this chain
+  const deploymentFile = path.resolve(ROOT_DIR, config.deploymentFile || DEFAULT_DEPLOYMENT_FILE);
+  config.deploymentFile = deploymentFile;
+  if (fs.existsSync(deploymentFile)) {
+    const deployment = readJsonFile(deploymentFile, "deployment file");
+    const deploymentChainId = validateChainId(deployment.chainId, deploymentFile);
+
+    if (config.chainId === undefined || config.chainId === deploymentChainId) {
+      config.deployment = deployment;
+      const source = path.relative(process.cwd(), deploymentFile);
+      if (!config.surfPointsAddress && deployment.proxyAddress) {
+        config.surfPointsAddress = deployment.proxyAddress;
+        config.sources.surfPointsAddress = source;
+      }
+      if (!config.surfTokenAddress && deployment.surfTokenAddress) {
+        config.surfTokenAddress = deployment.surfTokenAddress;
+        config.sources.surfTokenAddress = source;
+      }
+      if (config.chainId === undefined) {
+        config.chainId = deploymentChainId;
+        config.sources.chainId = source;
+      }
+      if (config.startBlock === undefined && deployment.deploymentBlock !== undefined) {
+        config.startBlock = deployment.deploymentBlock;
+        config.sources.startBlock = source;
+      }
+    }
+  }
+
+  // Event index (see src/indexer.js), one file per network
+  config.indexFile = path.resolve(ROOT_DIR, config.indexFile || `surfpoints-index-${name}.json`);
+  if (config.startBlock !== undefined) {
+    if (!/^\d+$/.test(String(config.startBlock))) {
+      throw new ConfigError(`Invalid startBlock from ${config.sources.startBlock}: ${config.startBlock}`);
+    }
+    config.startBlock = Number(config.startBlock);
+  }
+
+  // Expected admins (see src/adminPolicy.js), one file per network
+  config.adminPolicyFile = path.resolve(ROOT_DIR, config.adminPolicyFile || path.join("config", "admins", `${name}.json`));
+  // State applied by deploySurfPoints.js (see src/deployManifest.js)
+  config.manifestFile = path.resolve(ROOT_DIR, config.manifestFile || path.join("config", "deploy", `${name}.json`));
+
+  // Notifications (see src/notifier.js): who opted in, and what was already sent
+  config.subscribersFile = path.resolve(ROOT_DIR, config.subscribersFile || `surfpoints-subscribers-${name}.json`);
+  config.notificationsFile = path.resolve(ROOT_DIR, config.notificationsFile || `surfpoints-notifications-${name}.json`);
+
+  // Transaction settings (see src/txManager.js)
+  if (config.confirmations !== undefined) {
+    if (!/^[1-9]\d*$/.test(String(config.confirmations))) {
+      throw new ConfigError(`Invalid confirmations from ${config.sources.confirmations}: ${config.confirmations}`);
+    }
+    config.confirmations = Number(config.confirmations);
+  }
+  // HTTP API and metrics exporter settings (see src/apiServer.js, src/metrics.js)
+  for (const field of ["apiPort", "apiRateLimit", "metricsPort"]) {
+    if (config[field] !== undefined) {
+      if (!/^[1-9]\d*$/.test(String(config[field]))) {
+        throw new ConfigError(`Invalid ${field} from ${config.sources[field]}: ${config[field]}`);
+      }
+      config[field] = Number(config[field]);
+    }
+  }
+  for (const field of ["maxFeeGwei", "priorityFeeGwei"]) {
+    if (config[field] !== undefined && !/^\d+(\.\d+)?$/.test(String(config[field]))) {
+      throw new ConfigError(`Invalid ${field} from ${config.sources[field]}: ${config[field]} (expected gwei)`);
+    }
+  }
+
+  for (const field of ["surfPointsAddress", "surfTokenAddress", "safeAddress"]) {
+    if (config[field]) {
+      config[field] = validateAddress(config[field], field, config.sources[field]);
+    }
+  }
+
+  for (const [role, envVar] of Object.entries(PRIVATE_KEY_ENV_VARS)) {
+    if (env[envVar]) config.privateKeys[role] = env[envVar];
+
+    const prefix = envVar.replace(/_PRIVATE_KEY$/, "");
+    const signer = {};
+    for (const [field, suffix] of Object.entries(SIGNER_ENV_SUFFIXES)) {
+      if (env[`${prefix}_${suffix}`]) signer[field] = env[`${prefix}_${suffix}`];
+    }
+    if (signer.signerAddress) {
+      signer.signerAddress = validateAddress(signer.signerAddress, `${role} signer address`, `env ${prefix}_SIGNER_ADDRESS`);
+    }
+    if (signer.keystore) signer.keystore = path.resolve(ROOT_DIR, signer.keystore);
+    config.signers[role] = signer;
+  }
+  if (env[KEEPER_KEYS_ENV_VAR]) {
+    config.keeperKeys = env[KEEPER_KEYS_ENV_VAR].split(",").map((key) => key.trim()).filter(Boolean);
+  }
+  if (env[API_KEYS_ENV_VAR]) {
+    config.apiKeys = env[API_KEYS_ENV_VAR].split(",").map((key) => key.trim()).filter(Boolean);
+  }
+  if (env[SMTP_URL_ENV_VAR]) config.smtpUrl = env[SMTP_URL_ENV_VAR];
+
+  return config;
+}
+
+/**
+ * Returns a config value or throws a ConfigError explaining how to set it
+ * @param {object} config Result of loadConfig()
+ * @param {string} field Config field name
+ */
+function requireConfig(config, field) {
+  if (config[field] === undefined || config[field] === null) {
+    const hints = [`set ${ENV_VARS[field]}`, `add "${field}" to config/${config.network}.json`];
+    if (field === "surfPointsAddress" || field === "surfTokenAddress") {
+      hints.push("or run deploySurfPoints.js to write surfpoints-deployment.json");
+    }
+    throw new ConfigError(`Missing ${field} for network "${config.network}": ${hints.join(", ")}`);
+  }
+  return config[field];
+}
+
+/**
+ * Returns the private key for a role ("owner", "admin" or "user")
+ */
+function requirePrivateKey(config, role) {
+  const key = config.privateKeys[role];
+  const envVar = PRIVATE_KEY_ENV_VARS[role];
+
+  if (!key) {
+    throw new ConfigError(`Missing ${role} private key: set ${envVar}`);
+  }
+  if (!PRIVATE_KEY_PATTERN.test(key)) {
+    throw new ConfigError(`Invalid ${role} private key in ${envVar}: expected 32 bytes of hex`);
+  }
+  return key;
+}
+
+/**
+ * Where a role's signer comes from, in order of preference: <ROLE>_PRIVATE_KEY,
+ * <ROLE>_KEYSTORE (encrypted JSON, password from <ROLE>_KEYSTORE_PASSWORD or a
+ * prompt) or <ROLE>_SIGNER_URL (external JSON-RPC signer)
+ * @returns {{type: "privateKey", privateKey: string} | {type: "keystore", keystore: string, password?: string} | {type: "external", url: string, address: string|null}}
+ */
+function describeSigner(config, role) {
+  const prefix = PRIVATE_KEY_ENV_VARS[role].replace(/_PRIVATE_KEY$/, "");
+  const signer = config.signers[role] || {};
+
+  if (config.privateKeys[role]) return { type: "privateKey", privateKey: requirePrivateKey(config, role) };
+  if (signer.keystore) {
+    if (!fs.existsSync(signer.keystore)) {
+      throw new ConfigError(`${role} keystore ${signer.keystore} (${prefix}_KEYSTORE) does not exist`);
+    }
+    return { type: "keystore", keystore: signer.keystore, password: signer.keystorePassword };
+  }
+  if (signer.signerUrl) return { type: "external", url: signer.signerUrl, address: signer.signerAddress || null };
+
+  throw new ConfigError(
+    `Missing ${role} signer: set ${PRIVATE_KEY_ENV_VARS[role]}, ${prefix}_KEYSTORE or ${prefix}_SIGNER_URL`
+  );
+}
+
+/**
+ * Returns the keys of the wallets the claim keeper serves: KEEPER_PRIVATE_KEYS,
+ * or the user key when that is not set
+ */
+function requireKeeperKeys(config) {
+  if (config.keeperKeys.length === 0) return [requirePrivateKey(config, "user")];
+
+  config.keeperKeys.forEach((key, i) => {
+    if (!PRIVATE_KEY_PATTERN.test(key)) {
+      throw new ConfigError(`Invalid key #${i + 1} in ${KEEPER_KEYS_ENV_VAR}: expected 32 bytes of hex`);
+    }
+  });
+  return config.keeperKeys;
+}
+
+/**
+ * Checks that the provider is connected to the configured chain
+ * @param {ethers.Provider} provider
+ * @param {object} config Result of loadConfig()
+ */
+async function verifyChainId(provider, config) {
+  const { chainId } = await provider.getNetwork();
+
+  if (config.chainId !== undefined && chainId !== config.chainId) {
+    throw new ConfigError(
+      `Chain ID mismatch: provider is on chain ${chainId} but network "${config.network}" ` +
+        `expects ${config.chainId} (from ${config.sources.chainId})`
+    );
+  }
+  if (config.deployment && BigInt(config.deployment.chainId) !== chainId) {
+    throw new ConfigError(
+      `Chain ID mismatch: provider is on chain ${chainId} but the deployment file is for chain ${config.deployment.chainId}`
+    );
+  }
+  return chainId;
+}
+
+module.exports = {
+  ConfigError,
+  loadConfig,
+  requireConfig,
+  requirePrivateKey,
+  requireKeeperKeys,
+  describeSigner,
+  verifyChainId,
+  DEFAULT_DEPLOYMENT_FILE,
+  PRIVATE_KEY_ENV_VARS,
+};
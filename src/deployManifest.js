@@ -0,0 +1,120 @@
+// src/deployManifest.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { AmountError } = require("./amounts");
+const { readPolicy } = require("./adminPolicy");
+const { MIN_LOCK_PERIOD, MAX_LOCK_PERIOD } = require("./lockPeriod");
+
+/**
+ * Deployment manifest
+ *
+ * The state deploySurfPoints.js brings a deployment to after the proxy exists,
+ * one file per network (config/deploy/<network>.json). Every key is optional;
+ * a missing key leaves that part of the contract alone:
+ *
+ *   {
+ *     "admins": "../admins/holesky.json",      admin policy file, relative to the manifest (see src/adminPolicy.js)
+ *     "claimLockPeriodDays": 14,
+ *     "deposit": "10000",                      SURF deposited with depositSurfToken in total
+ *     "paused": false
+ *   }
+ *
+ * `deposit` is a total, not an amount per run: only the difference with what
+ * SurfTokenDeposited events already show is deposited. It is an amount as the
+ * CLI takes it ("10000", "1.5k SURF"), read with the token's decimals by
+ * manifestDeposit() once the token is known.
+ */
+
+const DAY = 24n * 60n * 60n;
+const KEYS = ["admins", "claimLockPeriodDays", "deposit", "paused"];
+
+/**
+ * Thrown when the manifest cannot be used
+ */
+class ManifestError extends Error {
+  constructor(message, details = []) {
+    super(details.length > 0 ? `${message}:\n  ${details.join("\n  ")}` : message);
+    this.name = "ManifestError";
+    this.details = details;
+  }
+}
+
+/**
+ * Reads and validates a manifest; paths in it are relative to the manifest
+ * @returns {{file: string, hash: string, admins: object|null, claimLockPeriod: bigint|null, deposit: string|null, paused: boolean|null}}
+ */
+function readManifest(file) {
+  const content = fs.readFileSync(file, "utf8");
+  let manifest;
+  try {
+    manifest = JSON.parse(content);
+  } catch (error) {
+    throw new ManifestError(`Invalid JSON in ${file}: ${error.message}`);
+  }
+  if (!manifest || typeof manifest !== "object" || Array.isArray(manifest)) {
+    throw new ManifestError(`${file} must contain a JSON object`);
+  }
+
+  const errors = [];
+  for (const key of Object.keys(manifest)) {
+    if (!KEYS.includes(key)) errors.push(`unknown key "${key}" (expected ${KEYS.join(", ")})`);
+  }
+
+  let admins = null;
+  if (manifest.admins !== undefined) {
+    if (typeof manifest.admins !== "string") errors.push("admins: expected the path of an admin policy file");
+    else admins = readPolicy(path.resolve(path.dirname(file), manifest.admins));
+  }
+
+  let claimLockPeriod = null;
+  if (manifest.claimLockPeriodDays !== undefined) {
+    const days = manifest.claimLockPeriodDays;
+    if (!Number.isInteger(days) || BigInt(days) * DAY < MIN_LOCK_PERIOD || BigInt(days) * DAY > MAX_LOCK_PERIOD) {
+      errors.push(`claimLockPeriodDays: expected a whole number of days from 1 to 365, got ${JSON.stringify(days)}`);
+    } else {
+      claimLockPeriod = BigInt(days) * DAY;
+    }
+  }
+
+  let deposit = null;
+  if (manifest.deposit !== undefined) {
+    if (typeof manifest.deposit === "string") deposit = manifest.deposit;
+    else errors.push(`deposit: expected an amount of SURF as a string, got ${JSON.stringify(manifest.deposit)}`);
+  }
+
+  if (manifest.paused !== undefined && typeof manifest.paused !== "boolean") {
+    errors.push(`paused: expected true or false, got ${JSON.stringify(manifest.paused)}`);
+  }
+
+  if (errors.length > 0) throw new ManifestError(`Invalid deployment manifest ${file}`, errors);
+  return {
+    file,
+    hash: `0x${crypto.createHash("sha256").update(content).digest("hex")}`,
+    admins,
+    claimLockPeriod,
+    deposit,
+    paused: manifest.paused === undefined ? null : manifest.paused,
+  };
+}
+
+/**
+ * The manifest's deposit in base units
+ * @param {object} manifest Output of readManifest()
+ * @param {import("./amounts").TokenUnits} units Of the SURF token
+ * @returns {bigint}
+ */
+function manifestDeposit(manifest, units) {
+  try {
+    return units.parse(manifest.deposit, { name: "deposit" });
+  } catch (error) {
+    if (error instanceof AmountError) throw new ManifestError(`Invalid deployment manifest ${manifest.file}`, [error.message]);
+    throw error;
+  }
+}
+
+module.exports = {
+  ManifestError,
+  readManifest,
+  manifestDeposit,
+};
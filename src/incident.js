@@ -0,0 +1,127 @@
+// src/incident.js
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+/**
+ * Incident reports for `surfpoints incident` and `surfpoints recover`
+ *
+ * A report records what was done during an incident or a recovery (snapshot,
+ * transactions, balances before and after) and the checks run afterwards. It is
+ * signed off by the operator: the owner signer signs the keccak256 hash of the
+ * report (EIP-191 personal message), so anyone can check who wrote it and
+ * that it was not edited since with verifyReport().
+ */
+
+const REPORT_VERSION = 1;
+
+/**
+ * Thrown for an incident report that cannot be read or fails verification
+ */
+class IncidentError extends Error {
+  constructor(message, details = []) {
+    super(details.length > 0 ? `${message}:\n  ${details.join("\n  ")}` : message);
+    this.name = "IncidentError";
+    this.details = details;
+  }
+}
+
+function serialize(value) {
+  return JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+/**
+ * SURF and ETH held by `address`
+ * @param {import("./surfPointsClient").SurfPointsClient} client
+ * @returns {Promise<{surf: bigint, native: bigint}>}
+ */
+async function readBalances(client, address) {
+  const token = await client.getSurfToken();
+  const [surf, native] = await Promise.all([token.balanceOf(address), client.runner.provider.getBalance(address)]);
+  return { surf, native };
+}
+
+/**
+ * Whether `balance` pays every claim not yet withdrawn in the snapshot (see src/snapshot.js)
+ * @returns {{balance: bigint, pendingClaims: bigint, claims: number, shortfall: bigint, covered: boolean}}
+ */
+function pendingCoverage(snapshot, balance) {
+  const claims = snapshot.users.flatMap((user) => user.claims.filter((claim) => !claim.withdrawn));
+  const pendingClaims = claims.reduce((sum, claim) => sum + claim.amount, 0n);
+  const shortfall = pendingClaims > balance ? pendingClaims - balance : 0n;
+  return { balance, pendingClaims, claims: claims.length, shortfall, covered: shortfall === 0n };
+}
+
+/**
+ * Adds the operator's sign-off to the report
+ * @param {object} report
+ * @param {ethers.Signer} signer Signs the report hash
+ * @param {string} by Name of the operator signing off
+ */
+async function signReport(report, signer, by) {
+  const hash = ethers.id(serialize(report));
+  return {
+    ...report,
+    signOff: {
+      by,
+      signer: ethers.getAddress(await signer.getAddress()),
+      signedAt: new Date().toISOString(),
+      hash,
+      signature: await signer.signMessage(ethers.getBytes(hash)),
+    },
+  };
+}
+
+/**
+ * Checks the sign-off of a report read from a file
+ * @returns {string} The signer
+ */
+function verifyReport(report) {
+  const { signOff, ...body } = report;
+  if (!signOff) throw new IncidentError("The report is not signed off");
+  if (ethers.id(serialize(body)) !== signOff.hash) {
+    throw new IncidentError("The report was changed after it was signed off");
+  }
+  const signer = ethers.verifyMessage(ethers.getBytes(signOff.hash), signOff.signature);
+  if (signer !== ethers.getAddress(signOff.signer)) {
+    throw new IncidentError(`The report is signed by ${signer}, not ${signOff.signer}`);
+  }
+  return signer;
+}
+
+function writeIncidentReport(file, report) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, serialize(report) + "\n");
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Reads a report written by writeIncidentReport() and verifies its sign-off
+ */
+function readIncidentReport(file) {
+  let report;
+  try {
+    report = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new IncidentError(`Cannot read incident report ${file}: ${error.message}`);
+  }
+  if (report.version !== REPORT_VERSION) {
+    throw new IncidentError(`${file} is report version ${report.version}; this version of surfpoints reads version ${REPORT_VERSION}`);
+  }
+  try {
+    verifyReport(report);
+  } catch (error) {
+    throw new IncidentError(`${file}: ${error.message}`);
+  }
+  return report;
+}
+
+module.exports = {
+  REPORT_VERSION,
+  IncidentError,
+  readBalances,
+  pendingCoverage,
+  signReport,
+  verifyReport,
+  writeIncidentReport,
+  readIncidentReport,
+};
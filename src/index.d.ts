@@ -0,0 +1,7 @@
+// src/index.d.ts
+export * from "./surfPointsClient";
+export * from "./txManager";
+export { ExternalSigner, createSigner } from "./signers";
+export * from "./safeProposal";
+export * from "./abi";
+export * from "./config";
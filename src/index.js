@@ -0,0 +1,25 @@
+// src/index.js
+
+/**
+ * Public entry point of the SurfPoints SDK
+ */
+
+const { SurfPointsClient, SurfPointsRevertError } = require("./surfPointsClient");
+const { TransactionManager, TransactionError } = require("./txManager");
+const { ExternalSigner, createSigner } = require("./signers");
+const { SafeBatch } = require("./safeProposal");
+const { SURF_POINTS_ABI, ERC20_ABI } = require("./abi");
+const config = require("./config");
+
+module.exports = {
+  SurfPointsClient,
+  SurfPointsRevertError,
+  TransactionManager,
+  TransactionError,
+  ExternalSigner,
+  createSigner,
+  SafeBatch,
+  SURF_POINTS_ABI,
+  ERC20_ABI,
+  ...config,
+};
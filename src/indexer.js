@@ -0,0 +1,323 @@
+// src/indexer.js
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { SURF_POINTS_ABI } = require("./abi");
+const { sleep } = require("./retry");
+
+/**
+ * Event indexer: builds a local history of the SurfPoints contract from its logs
+ *
+ * Logs are fetched in block ranges from the start block (the deployment block)
+ * and stored in a JSON file together with a short list of block-hash checkpoints.
+ * Before every sync the newest checkpoints are compared with the chain; on a
+ * mismatch (a reorg) events after the last matching checkpoint are dropped and
+ * re-fetched. Per-user state is derived from the stored events, so status and
+ * report commands never need the unbounded getAllUsersClaimStatus() view.
+ */
+
+const STORE_VERSION = 1;
+const DEFAULT_BATCH_SIZE = 2000;
+const MAX_CHECKPOINTS = 64;
+// initialize() sets the lock period without emitting ClaimLockPeriodUpdated
+const INITIAL_LOCK_PERIOD = 14n * 24n * 60n * 60n;
+
+const contractInterface = new ethers.Interface(SURF_POINTS_ABI);
+
+// ========== STORE ==========
+
+function emptyStore(chainId, address, startBlock) {
+  return {
+    version: STORE_VERSION,
+    chainId: chainId.toString(),
+    address,
+    startBlock,
+    lastBlock: startBlock - 1,
+    checkpoints: [],
+    events: [],
+  };
+}
+
+function readStore(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeStore(file, store) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// ========== INDEXER ==========
+
+class EventIndexer {
+  /**
+   * @param {object} params
+   * @param {ethers.Provider} params.provider
+   * @param {string} params.address SurfPoints proxy address
+   * @param {string} params.file Path of the JSON index
+   * @param {number} [params.startBlock=0] First block to index (the deployment block)
+   * @param {number} [params.batchSize=2000] Blocks per eth_getLogs request
+   * @param {number} [params.confirmations=0] Stay this many blocks behind the head
+   * @param {function} [params.log]
+   */
+  constructor({ provider, address, file, startBlock = 0, batchSize = DEFAULT_BATCH_SIZE, confirmations = 0, log = () => {} }) {
+    this.provider = provider;
+    this.address = ethers.getAddress(address);
+    this.file = file;
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+    this.confirmations = confirmations;
+    this.log = log;
+    this.store = null;
+  }
+
+  /**
+   * Loads the index file, starting a new one if it is missing
+   */
+  async load() {
+    const { chainId } = await this.provider.getNetwork();
+    const store = readStore(this.file);
+
+    if (store && (store.chainId !== chainId.toString() || store.address !== this.address)) {
+      throw new Error(
+        `Index ${this.file} belongs to ${store.address} on chain ${store.chainId}, not ${this.address} on chain ${chainId}`
+      );
+    }
+    this.store = store || emptyStore(chainId, this.address, this.startBlock);
+    return this.store;
+  }
+
+  /**
+   * Indexes every block up to the head (minus confirmations)
+   * @returns {Promise<{fromBlock: number, toBlock: number, newEvents: number, reorgedTo: number|null}>}
+   */
+  async sync() {
+    if (!this.store) await this.load();
+
+    const reorgedTo = await this._handleReorg();
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const fromBlock = this.store.lastBlock + 1;
+    let newEvents = 0;
+
+    for (let from = fromBlock; from <= head; ) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      const { events, toBlock } = await this._fetchRange(from, to);
+
+      this.store.events.push(...events);
+      this.store.lastBlock = toBlock;
+      await this._addCheckpoint(toBlock);
+      writeStore(this.file, this.store);
+
+      newEvents += events.length;
+      this.log(`   Indexed blocks ${from}-${toBlock}: ${events.length} events`);
+      from = toBlock + 1;
+    }
+
+    return { fromBlock, toBlock: this.store.lastBlock, newEvents, reorgedTo };
+  }
+
+  /**
+   * Keeps syncing every `interval` milliseconds until `signal` aborts
+   * @param {object} [options]
+   * @param {number} [options.interval=12000]
+   * @param {AbortSignal} [options.signal]
+   * @param {function(object): *} [options.onSync] Called after each sync with its result
+   */
+  async follow({ interval = 12_000, signal, onSync } = {}) {
+    while (!(signal && signal.aborted)) {
+      const result = await this.sync();
+      if (onSync) await onSync(result);
+      await sleep(interval, signal);
+    }
+  }
+
+  /**
+   * Fetches and decodes logs for a block range. Ranges the RPC rejects as too
+   * large are halved until they pass.
+   */
+  async _fetchRange(from, to) {
+    let logs;
+    try {
+      logs = await this.provider.getLogs({ address: this.address, fromBlock: from, toBlock: to });
+    } catch (error) {
+      if (to === from) throw error;
+      const mid = from + Math.floor((to - from) / 2);
+      this.log(`   ⚠️ getLogs ${from}-${to} failed (${error.shortMessage || error.message}), retrying ${from}-${mid}`);
+      return this._fetchRange(from, mid);
+    }
+
+    const timestamps = new Map();
+    const events = [];
+    for (const log of logs) {
+      const parsed = contractInterface.parseLog(log);
+      if (!parsed) continue;
+
+      if (!timestamps.has(log.blockNumber)) {
+        timestamps.set(log.blockNumber, (await this.provider.getBlock(log.blockNumber)).timestamp);
+      }
+
+      const args = {};
+      parsed.fragment.inputs.forEach((input, i) => {
+        const value = parsed.args[i];
+        args[input.name] = typeof value === "bigint" ? value.toString() : value;
+      });
+
+      events.push({
+        name: parsed.name,
+        args,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        timestamp: timestamps.get(log.blockNumber),
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+      });
+    }
+    return { events, toBlock: to };
+  }
+
+  async _addCheckpoint(blockNumber) {
+    const block = await this.provider.getBlock(blockNumber);
+    this.store.checkpoints.push({ number: blockNumber, hash: block.hash });
+    if (this.store.checkpoints.length > MAX_CHECKPOINTS) this.store.checkpoints.shift();
+  }
+
+  /**
+   * Rolls the index back to the newest checkpoint still on the canonical chain
+   * @returns {Promise<number|null>} Block rolled back to, or null if there was no reorg
+   */
+  async _handleReorg() {
+    const { checkpoints } = this.store;
+    let index = checkpoints.length - 1;
+
+    while (index >= 0) {
+      const block = await this.provider.getBlock(checkpoints[index].number);
+      if (block && block.hash === checkpoints[index].hash) break;
+      index--;
+    }
+    if (index === checkpoints.length - 1) return null;
+
+    // With no surviving checkpoint the index is rebuilt from the start block
+    const rollbackTo = index >= 0 ? checkpoints[index].number : this.store.startBlock - 1;
+    this.log(`   ⚠️ Reorg detected, rolling back to block ${rollbackTo}`);
+
+    this.store.events = this.store.events.filter((event) => event.blockNumber <= rollbackTo);
+    this.store.checkpoints = checkpoints.slice(0, index + 1);
+    this.store.lastBlock = rollbackTo;
+    writeStore(this.file, this.store);
+    return rollbackTo;
+  }
+}
+
+// ========== DERIVED STATE ==========
+
+function getUserEntry(users, address) {
+  const key = ethers.getAddress(address);
+  if (!users.has(key)) {
+    users.set(key, { address: key, points: 0n, claims: [], totalClaimed: 0n, hasSkipped: false, history: [] });
+  }
+  return users.get(key);
+}
+
+/**
+ * Replays stored events into contract and per-user state
+ * @param {Array<object>} events Events in chain order, as stored by EventIndexer
+ * @returns {{users: Map<string, object>, admins: Set<string>, claimLockPeriod: bigint, totalDistributed: bigint, totalClaimed: bigint, lastEvent: object|null}}
+ */
+function buildState(events) {
+  const users = new Map();
+  const admins = new Set();
+  let claimLockPeriod = INITIAL_LOCK_PERIOD;
+  let totalDistributed = 0n;
+  let totalClaimed = 0n;
+
+  for (const event of events) {
+    const { args } = event;
+
+    switch (event.name) {
+      case "SurfPointsRecorded": {
+        const user = getUserEntry(users, args.user);
+        user.points = BigInt(args.newBalance);
+        totalDistributed += BigInt(args.points);
+        user.history.push(event);
+        break;
+      }
+      case "ClaimRequested": {
+        const user = getUserEntry(users, args.user);
+        const unlockTime = BigInt(args.unlockTime);
+        // The contract derives unlock times from claimTime + the current lock period
+        user.claims.push({
+          claimId: BigInt(args.claimId),
+          amount: BigInt(args.amount),
+          claimTime: unlockTime - claimLockPeriod,
+          withdrawn: false,
+        });
+        user.points = 0n;
+        user.history.push(event);
+        break;
+      }
+      case "ClaimWithdrawn": {
+        const user = getUserEntry(users, args.user);
+        const claim = user.claims.find((c) => c.claimId === BigInt(args.claimId));
+        if (claim) claim.withdrawn = true;
+        user.totalClaimed += BigInt(args.amount);
+        totalClaimed += BigInt(args.amount);
+        user.history.push(event);
+        break;
+      }
+      case "ClaimSkipped": {
+        const user = getUserEntry(users, args.user);
+        user.hasSkipped = args.skipEnabled;
+        if (args.skipEnabled) user.points = 0n;
+        user.history.push(event);
+        break;
+      }
+      case "AdminAdded":
+        admins.add(ethers.getAddress(args.admin));
+        break;
+      case "AdminRemoved":
+        admins.delete(ethers.getAddress(args.admin));
+        break;
+      case "ClaimLockPeriodUpdated":
+        claimLockPeriod = BigInt(args.newPeriod);
+        break;
+      default:
+        break;
+    }
+  }
+
+  for (const user of users.values()) {
+    for (const claim of user.claims) claim.unlockTime = claim.claimTime + claimLockPeriod;
+  }
+
+  return {
+    users,
+    admins,
+    claimLockPeriod,
+    totalDistributed,
+    totalClaimed,
+    lastEvent: events.length > 0 ? events[events.length - 1] : null,
+  };
+}
+
+/**
+ * Same grouping as the contract's getAllUsersClaimStatus(), from indexed state
+ */
+function getIndexedClaimStatus(state) {
+  const claimed = [];
+  const pending = [];
+  for (const user of state.users.values()) {
+    if (user.totalClaimed > 0n) claimed.push({ user: user.address, amount: user.totalClaimed });
+    else if (user.points > 0n) pending.push({ user: user.address, amount: user.points });
+  }
+  return { claimed, pending };
+}
+
+module.exports = {
+  EventIndexer,
+  buildState,
+  getIndexedClaimStatus,
+  readStore,
+  DEFAULT_BATCH_SIZE,
+  INITIAL_LOCK_PERIOD,
+};
@@ -0,0 +1,108 @@
+// src/lockPeriod.js
+const { assessSolvency } = require("./treasury");
+
+/**
+ * Impact of a claimLockPeriod change on existing claims
+ *
+ * The contract does not store unlock times: withdrawClaim() and the views
+ * compute `claimTime + claimLockPeriod` with the current period. Changing the
+ * period therefore moves the unlock time of every unwithdrawn claim by the
+ * same amount, earlier or later, including claims that are already
+ * withdrawable. This module lists where each claim ends up.
+ */
+
+const DAY = 24n * 60n * 60n;
+// Bounds enforced by updateClaimLockPeriod()
+const MIN_LOCK_PERIOD = DAY;
+const MAX_LOCK_PERIOD = 365n * DAY;
+
+/**
+ * Where an unwithdrawn claim ends up under the new period
+ *   unlocks_now  locked today, withdrawable as soon as the change is mined
+ *   earlier      still locked, unlocks sooner
+ *   later        still locked, unlocks later
+ *   relocked     withdrawable today, locked again after the change
+ *   unaffected   withdrawable before and after, or no change
+ */
+function classifyClaim(unlockTime, newUnlockTime, now) {
+  const unlockedBefore = unlockTime <= now;
+  const unlockedAfter = newUnlockTime <= now;
+  if (unlockedBefore && unlockedAfter) return "unaffected";
+  if (unlockedBefore) return "relocked";
+  if (unlockedAfter) return "unlocks_now";
+  if (newUnlockTime < unlockTime) return "earlier";
+  if (newUnlockTime > unlockTime) return "later";
+  return "unaffected";
+}
+
+/**
+ * Previews a claimLockPeriod change
+ * @param {object} params
+ * @param {Array<object>} params.holdings Output of readHoldings() or holdingsFromState() (src/treasury.js)
+ * @param {bigint} params.now Current chain timestamp
+ * @param {bigint} params.currentPeriod
+ * @param {bigint} params.newPeriod
+ * @param {bigint} params.balance SURF held by the contract
+ * @returns {object} Per-claim changes, totals per category and the solvency of the new unlock schedule
+ */
+function previewLockPeriodChange({ holdings, now, currentPeriod, newPeriod, balance }) {
+  if (newPeriod < MIN_LOCK_PERIOD || newPeriod > MAX_LOCK_PERIOD) {
+    throw new RangeError(`Lock period must be between 1 and 365 days (updateClaimLockPeriod reverts with InvalidLockPeriod), got ${newPeriod}s`);
+  }
+  const shift = newPeriod - currentPeriod;
+
+  const claims = [];
+  const totals = {};
+  for (const category of ["unlocks_now", "earlier", "later", "relocked", "unaffected"]) {
+    totals[category] = { claims: 0, users: new Set(), amount: 0n };
+  }
+  let withdrawableBefore = 0n;
+
+  for (const { user, claims: userClaims } of holdings) {
+    for (const { claimId, amount, unlockTime } of userClaims) {
+      const newUnlockTime = unlockTime + shift;
+      const category = classifyClaim(unlockTime, newUnlockTime, now);
+      claims.push({ user, claimId, amount, unlockTime, newUnlockTime, shift, category });
+
+      totals[category].claims += 1;
+      totals[category].users.add(user);
+      totals[category].amount += amount;
+      if (unlockTime <= now) withdrawableBefore += amount;
+    }
+  }
+
+  const byCategory = Object.fromEntries(
+    Object.entries(totals).map(([category, { claims: count, users, amount }]) => [category, { claims: count, users: users.size, amount }])
+  );
+  const withdrawableAfter = withdrawableBefore + byCategory.unlocks_now.amount - byCategory.relocked.amount;
+
+  // The treasury schedule with every claim at its new unlock time
+  const moved = holdings.map((holding) => ({
+    ...holding,
+    claims: holding.claims.map((claim) => ({ ...claim, unlockTime: claim.unlockTime + shift })),
+  }));
+  const solvency = assessSolvency({ balance, holdings: moved, now, claimLockPeriod: newPeriod });
+
+  return {
+    currentPeriod,
+    newPeriod,
+    shift,
+    claims,
+    byCategory,
+    // SURF that can be withdrawn immediately, before and right after the change
+    withdrawableBefore,
+    withdrawableAfter,
+    unlockedAtOnce: byCategory.unlocks_now.amount,
+    balance,
+    coversWithdrawable: balance >= withdrawableAfter,
+    firstShortfall: solvency.firstShortfall,
+    schedule: solvency.schedule,
+  };
+}
+
+module.exports = {
+  MIN_LOCK_PERIOD,
+  MAX_LOCK_PERIOD,
+  classifyClaim,
+  previewLockPeriodChange,
+};
@@ -0,0 +1,223 @@
+// src/metrics.js
+const http = require("http");
+const { ethers } = require("ethers");
+const { TokenUnits } = require("./amounts");
+
+/**
+ * Prometheus exporter for contract health
+ *
+ * A MetricsCollector takes a reading on an interval: contract stats, SURF
+ * balance, user count, lock period and paused state, all at one block, the
+ * owner's ETH balance for gas, and counters derived from the event index
+ * (points recorded, claims requested and withdrawn, skips). Points metrics
+ * count points (SURF base units), *_surf metrics whole SURF. /metrics serves the
+ * latest reading in the Prometheus text format, with the network, chain ID and
+ * contract address as labels on every sample. Scrapes never call the RPC: when
+ * a reading fails the previous values are kept and `surfpoints_up` drops to 0.
+ */
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Served in this order; [type, help]
+const METRICS = {
+  surfpoints_up: ["gauge", "1 if the last reading of the chain succeeded, 0 if it failed"],
+  surfpoints_last_reading_timestamp_seconds: ["gauge", "Unix time of the last successful reading"],
+  surfpoints_block_number: ["gauge", "Block the contract was read at"],
+  surfpoints_points_distributed: ["gauge", "Points ever recorded (getContractStats totalDistributed)"],
+  surfpoints_tokens_claimed_surf: ["gauge", "SURF ever withdrawn from claims, in whole tokens (getContractStats totalClaimed)"],
+  surfpoints_contract_balance_surf: ["gauge", "SURF held by the contract, in whole tokens (getContractBalance)"],
+  surfpoints_users: ["gauge", "Tracked users (getTotalUsersCount)"],
+  surfpoints_claim_lock_period_seconds: ["gauge", "Current claim lock period"],
+  surfpoints_paused: ["gauge", "1 while the contract is paused"],
+  surfpoints_owner_balance_eth: ["gauge", "ETH the owner holds for gas"],
+  surfpoints_indexed_block: ["gauge", "Last block in the event index"],
+  surfpoints_points_recorded_total: ["counter", "Points credited by SurfPointsRecorded events"],
+  surfpoints_points_record_events_total: ["counter", "SurfPointsRecorded events"],
+  surfpoints_claims_requested_total: ["counter", "ClaimRequested events"],
+  surfpoints_claims_withdrawn_total: ["counter", "ClaimWithdrawn events"],
+  surfpoints_claimed_points_withdrawn_total: ["counter", "Points paid out by ClaimWithdrawn events, in points (SURF base units)"],
+  surfpoints_skips_total: ["counter", "ClaimSkipped events, by whether skip was turned on or off"],
+  surfpoints_points_forfeited_total: ["counter", "Points forfeited by turning skip on"],
+};
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+function formatValue(value) {
+  if (typeof value === "boolean") return value ? "1" : "0";
+  return String(value);
+}
+
+/**
+ * Prometheus text format for `samples`; `labels` are added to every sample
+ * @param {Array<{name: string, value: number|bigint|boolean, labels?: object}>} samples
+ * @param {object} [labels]
+ * @returns {string}
+ */
+function formatMetrics(samples, labels = {}) {
+  const lines = [];
+  for (const [name, [type, help]] of Object.entries(METRICS)) {
+    const matching = samples.filter((sample) => sample.name === name);
+    if (matching.length === 0) continue;
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const sample of matching) {
+      const pairs = Object.entries({ ...labels, ...sample.labels }).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+      lines.push(`${name}{${pairs.join(",")}} ${formatValue(sample.value)}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Counters over the indexed events
+ */
+function countEvents(events) {
+  const counts = {
+    pointsRecorded: 0n,
+    recordEvents: 0,
+    claimsRequested: 0,
+    claimsWithdrawn: 0,
+    pointsWithdrawn: 0n,
+    skipsOn: 0,
+    skipsOff: 0,
+    pointsForfeited: 0n,
+  };
+  for (const { name, args } of events) {
+    if (name === "SurfPointsRecorded") {
+      counts.recordEvents++;
+      counts.pointsRecorded += BigInt(args.points);
+    } else if (name === "ClaimRequested") {
+      counts.claimsRequested++;
+    } else if (name === "ClaimWithdrawn") {
+      counts.claimsWithdrawn++;
+      counts.pointsWithdrawn += BigInt(args.amount);
+    } else if (name === "ClaimSkipped") {
+      if (args.skipEnabled) counts.skipsOn++;
+      else counts.skipsOff++;
+      counts.pointsForfeited += BigInt(args.pointsForfeited);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Reads every metric once
+ * @param {object} params
+ * @param {import("./surfPointsClient").SurfPointsClient} params.client Read-only client
+ * @param {import("./indexer").EventIndexer} params.indexer Synced before counting
+ * @param {import("./amounts").TokenUnits} [params.units] SURF decimals; read from the token when not given
+ * @returns {Promise<Array<{name: string, value: *, labels?: object}>>}
+ */
+async function readMetrics({ client, indexer, units }) {
+  const provider = client.runner.provider || client.runner;
+  const { decimals } = units || (await TokenUnits.load(await client.getSurfToken()));
+  const blockNumber = await provider.getBlockNumber();
+  const reader = client.atBlock(blockNumber);
+  const [stats, users, { claimLockPeriod, owner }, paused] = await Promise.all([
+    reader.getStats(),
+    reader.getTotalUsersCount(),
+    reader.getInfo(),
+    reader.isPaused(),
+  ]);
+  const ownerBalance = await provider.getBalance(owner, blockNumber);
+
+  await indexer.sync();
+  const counts = countEvents(indexer.store.events);
+
+  return [
+    { name: "surfpoints_block_number", value: blockNumber },
+    { name: "surfpoints_points_distributed", value: stats.totalDistributed },
+    { name: "surfpoints_tokens_claimed_surf", value: ethers.formatUnits(stats.totalClaimed, decimals) },
+    { name: "surfpoints_contract_balance_surf", value: ethers.formatUnits(stats.contractBalance, decimals) },
+    { name: "surfpoints_users", value: users },
+    { name: "surfpoints_claim_lock_period_seconds", value: claimLockPeriod },
+    { name: "surfpoints_paused", value: paused },
+    { name: "surfpoints_owner_balance_eth", value: ethers.formatEther(ownerBalance), labels: { owner } },
+    { name: "surfpoints_indexed_block", value: indexer.store.lastBlock },
+    { name: "surfpoints_points_recorded_total", value: counts.pointsRecorded },
+    { name: "surfpoints_points_record_events_total", value: counts.recordEvents },
+    { name: "surfpoints_claims_requested_total", value: counts.claimsRequested },
+    { name: "surfpoints_claims_withdrawn_total", value: counts.claimsWithdrawn },
+    { name: "surfpoints_claimed_points_withdrawn_total", value: counts.pointsWithdrawn },
+    { name: "surfpoints_skips_total", value: counts.skipsOn, labels: { enabled: "true" } },
+    { name: "surfpoints_skips_total", value: counts.skipsOff, labels: { enabled: "false" } },
+    { name: "surfpoints_points_forfeited_total", value: counts.pointsForfeited },
+  ];
+}
+
+/**
+ * Keeps the latest reading for the HTTP server
+ */
+class MetricsCollector {
+  /**
+   * @param {object} params
+   * @param {function(): Promise<Array<object>>} params.read Takes a reading (readMetrics() bound to a client and indexer)
+   * @param {object} [params.labels] Added to every sample (network, chain_id, contract)
+   * @param {function} [params.log]
+   */
+  constructor({ read, labels = {}, log = () => {} }) {
+    this.read = read;
+    this.labels = labels;
+    this.log = log;
+    this.samples = [];
+    this.up = false;
+    this.lastReading = null;
+  }
+
+  /**
+   * Takes a reading; on failure the previous samples are kept
+   * @returns {Promise<boolean>} Whether it succeeded
+   */
+  async update() {
+    try {
+      this.samples = await this.read();
+      this.up = true;
+      this.lastReading = Math.floor(Date.now() / 1000);
+    } catch (error) {
+      this.up = false;
+      this.log(`❌ Reading failed: ${error.shortMessage || error.message}`);
+    }
+    return this.up;
+  }
+
+  render() {
+    const status = [{ name: "surfpoints_up", value: this.up }];
+    if (this.lastReading !== null) status.push({ name: "surfpoints_last_reading_timestamp_seconds", value: this.lastReading });
+    return formatMetrics([...status, ...this.samples], this.labels);
+  }
+}
+
+/**
+ * Creates the HTTP server (not yet listening): GET /metrics
+ * @param {object} params
+ * @param {MetricsCollector} params.collector
+ * @returns {http.Server}
+ */
+function createMetricsServer({ collector }) {
+  return http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { allow: "GET, HEAD", "content-type": "text/plain; charset=utf-8" });
+      res.end("Method not allowed\n");
+      return;
+    }
+    if (pathname !== "/metrics") {
+      res.writeHead(404, { "content-type": "text/plain; charset=utf-8" });
+      res.end("Not found: metrics are at /metrics\n");
+      return;
+    }
+    const body = collector.render();
+    res.writeHead(200, { "content-type": CONTENT_TYPE, "content-length": Buffer.byteLength(body) });
+    res.end(req.method === "HEAD" ? undefined : body);
+  });
+}
+
+module.exports = {
+  METRICS,
+  formatMetrics,
+  countEvents,
+  readMetrics,
+  MetricsCollector,
+  createMetricsServer,
+};
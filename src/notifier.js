@@ -0,0 +1,477 @@
+// src/notifier.js
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { sleep } = require("./retry");
+const { sendMail } = require("./smtp");
+const { postWebhook } = require("./treasury");
+
+/**
+ * Notifications to users about their points and claims
+ *
+ * Each cycle derives the state of every subscribed user from the event index
+ * (see buildState() in src/indexer.js) and finds:
+ *   points_credited  a SurfPointsRecorded event after the user subscribed
+ *   claim_unlocked   an unwithdrawn claim whose unlock time has passed
+ * Unlock times come from the index, so a lock period change moves them like it
+ * moves the contract's. Each notification is rendered from a template and sent
+ * through the channels the user chose (email, webhook, stdout).
+ *
+ * Users opt in through the subscribers file. What was sent is recorded per
+ * notification and channel in the notifications file, so a restart never sends
+ * twice and a failed channel is retried next cycle without repeating the others.
+ */
+
+const NOTIFICATION_KINDS = ["points_credited", "claim_unlocked"];
+const CHANNELS = ["email", "webhook", "stdout"];
+const DEFAULT_POLL_INTERVAL = 5 * 60 * 1000;
+// Wake a little after the unlock time so the next block's timestamp is past it
+const UNLOCK_MARGIN_MS = 2_000;
+const SENT_LOG_VERSION = 1;
+
+const DEFAULT_TEMPLATES = {
+  points_credited: {
+    subject: "You received {{points}} SurfPoints",
+    text: [
+      "{{points}} points were credited to {{user}} on {{network}}.",
+      "Your unclaimed balance is now {{balance}} points.",
+      "",
+      "Claim them to start the {{lockPeriodDays}}-day lock period.",
+    ].join("\n"),
+  },
+  claim_unlocked: {
+    subject: "Claim #{{claimId}} is ready to withdraw",
+    text: [
+      "Claim #{{claimId}} of {{user}} on {{network}} unlocked at {{unlockTime}}.",
+      "{{amount}} can now be withdrawn.",
+    ].join("\n"),
+  },
+};
+
+// Placeholders each template may use
+const TEMPLATE_FIELDS = {
+  points_credited: ["user", "network", "contract", "points", "balance", "time", "transactionHash", "lockPeriodDays"],
+  claim_unlocked: ["user", "network", "contract", "claimId", "amount", "unlockTime", "lockPeriodDays"],
+};
+
+/**
+ * Thrown when the subscribers or templates file cannot be used
+ */
+class NotifyError extends Error {
+  constructor(message, details = []) {
+    super(details.length > 0 ? `${message}:\n  ${details.join("\n  ")}` : message);
+    this.name = "NotifyError";
+    this.details = details;
+  }
+}
+
+function writeJsonFile(file, content) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(content, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+}
+
+// ========== SUBSCRIBERS ==========
+
+/**
+ * Reads the subscribers file; a missing file means nobody opted in
+ *
+ *   { "subscribers": [{ "address": "0x..", "email": "surfer@example.com", "channels": ["email"],
+ *                       "kinds": ["points_credited", "claim_unlocked"], "subscribedAt": "2026-01-01T00:00:00.000Z",
+ *                       "subscribedBlock": 123 }] }
+ *
+ * Points credited up to `subscribedBlock` predate the subscription and are not notified.
+ * @returns {Map<string, {address: string, email: string|null, channels: string[], kinds: string[], subscribedAt: string, subscribedBlock: number}>}
+ */
+function readSubscribers(file) {
+  if (!fs.existsSync(file)) return new Map();
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new NotifyError(`Invalid JSON in ${file}: ${error.message}`);
+  }
+  if (!content || !Array.isArray(content.subscribers)) throw new NotifyError(`${file} must contain { "subscribers": [...] }`);
+
+  const errors = [];
+  const subscribers = new Map();
+  content.subscribers.forEach((entry, i) => {
+    try {
+      const subscriber = validateSubscriber(entry || {});
+      if (subscribers.has(subscriber.address)) throw new Error(`${subscriber.address} is listed twice`);
+      subscribers.set(subscriber.address, subscriber);
+    } catch (error) {
+      errors.push(`subscriber ${i + 1}: ${error.message}`);
+    }
+  });
+  if (errors.length > 0) throw new NotifyError(`Invalid subscribers file ${file}`, errors);
+  return subscribers;
+}
+
+function validateSubscriber({ address, email = null, channels, kinds = NOTIFICATION_KINDS, subscribedAt, subscribedBlock }) {
+  if (typeof address !== "string" || !ethers.isAddress(address)) throw new Error(`invalid address ${JSON.stringify(address)}`);
+  if (email !== null && (typeof email !== "string" || !/^[^\s<>@]+@[^\s<>@]+$/.test(email))) {
+    throw new Error(`invalid email ${JSON.stringify(email)}`);
+  }
+  if (!Array.isArray(channels) || channels.length === 0) throw new Error("no channels");
+  for (const channel of channels) {
+    if (!CHANNELS.includes(channel)) throw new Error(`unknown channel "${channel}" (expected ${CHANNELS.join(", ")})`);
+  }
+  if (channels.includes("email") && !email) throw new Error("the email channel needs an email address");
+  if (!Array.isArray(kinds) || kinds.length === 0) throw new Error("no notification kinds");
+  for (const kind of kinds) {
+    if (!NOTIFICATION_KINDS.includes(kind)) throw new Error(`unknown notification kind "${kind}" (expected ${NOTIFICATION_KINDS.join(", ")})`);
+  }
+  if (typeof subscribedAt !== "string" || Number.isNaN(Date.parse(subscribedAt))) {
+    throw new Error(`invalid subscribedAt ${JSON.stringify(subscribedAt)}`);
+  }
+  if (!Number.isInteger(subscribedBlock) || subscribedBlock < 0) throw new Error(`invalid subscribedBlock ${JSON.stringify(subscribedBlock)}`);
+  return {
+    address: ethers.getAddress(address),
+    email,
+    channels: [...new Set(channels)],
+    kinds: [...new Set(kinds)],
+    subscribedAt,
+    subscribedBlock,
+  };
+}
+
+/**
+ * Adds or updates a subscriber. An update keeps the settings it does not
+ * give, and the original subscription time and block.
+ * @param {string} file
+ * @param {object} params
+ * @param {number} params.blockNumber Current block
+ * @returns {object} The stored subscriber
+ */
+function subscribe(file, { address, email, channels, kinds, blockNumber, now = new Date() }) {
+  const subscribers = readSubscribers(file);
+  const existing = subscribers.get(ethers.isAddress(address) ? ethers.getAddress(address) : address);
+  const newEmail = email || (existing ? existing.email : null);
+  const newChannels = channels || (existing ? existing.channels : newEmail ? ["email"] : null);
+  if (!newChannels) throw new NotifyError(`Cannot subscribe ${address}: give an email address or the channels to notify on`);
+  let subscriber;
+  try {
+    subscriber = validateSubscriber({
+      address,
+      email: newEmail,
+      channels: newChannels,
+      kinds: kinds || (existing ? existing.kinds : NOTIFICATION_KINDS),
+      subscribedAt: existing ? existing.subscribedAt : now.toISOString(),
+      subscribedBlock: existing ? existing.subscribedBlock : blockNumber,
+    });
+  } catch (error) {
+    throw new NotifyError(`Cannot subscribe ${address}: ${error.message}`);
+  }
+  subscribers.set(subscriber.address, subscriber);
+  writeJsonFile(file, { subscribers: [...subscribers.values()] });
+  return subscriber;
+}
+
+/**
+ * Removes a subscriber
+ * @returns {boolean} Whether the address was subscribed
+ */
+function unsubscribe(file, address) {
+  const subscribers = readSubscribers(file);
+  const removed = subscribers.delete(ethers.getAddress(address));
+  if (removed) writeJsonFile(file, { subscribers: [...subscribers.values()] });
+  return removed;
+}
+
+// ========== TEMPLATES ==========
+
+/**
+ * The default templates, overridden per kind by a JSON file of { kind: { subject, text } }
+ */
+function readTemplates(file = null) {
+  if (!file) return DEFAULT_TEMPLATES;
+  let overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new NotifyError(`Cannot read templates ${file}: ${error.message}`);
+  }
+
+  const errors = [];
+  const templates = { ...DEFAULT_TEMPLATES };
+  for (const [kind, template] of Object.entries(overrides || {})) {
+    if (!NOTIFICATION_KINDS.includes(kind)) {
+      errors.push(`unknown notification kind "${kind}"`);
+      continue;
+    }
+    const merged = { ...DEFAULT_TEMPLATES[kind], ...template };
+    for (const part of ["subject", "text"]) {
+      if (typeof merged[part] !== "string") {
+        errors.push(`${kind}.${part}: expected a string`);
+        continue;
+      }
+      for (const [, field] of merged[part].matchAll(/\{\{\s*(\w+)\s*\}\}/g)) {
+        if (!TEMPLATE_FIELDS[kind].includes(field)) {
+          errors.push(`${kind}.${part}: unknown placeholder {{${field}}} (available: ${TEMPLATE_FIELDS[kind].join(", ")})`);
+        }
+      }
+    }
+    templates[kind] = merged;
+  }
+  if (errors.length > 0) throw new NotifyError(`Invalid templates ${file}`, errors);
+  return templates;
+}
+
+function renderTemplate(template, data) {
+  const fill = (text) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, field) => (data[field] === undefined ? match : String(data[field])));
+  return { subject: fill(template.subject), text: fill(template.text) };
+}
+
+// ========== NOTIFICATIONS ==========
+
+/**
+ * The notifications due for the subscribers, whether or not already sent
+ * @param {object} params
+ * @param {object} params.state Output of buildState() (src/indexer.js)
+ * @param {bigint} params.now Chain time
+ * @param {Map<string, object>} params.subscribers Output of readSubscribers()
+ * @returns {{notifications: Array<{id: string, kind: string, user: string, data: object}>, nextUnlock: bigint|null}}
+ */
+function collectNotifications({ state, now, subscribers }) {
+  const notifications = [];
+  let nextUnlock = null;
+  const lockPeriodDays = (state.claimLockPeriod / 86400n).toString();
+
+  for (const subscriber of subscribers.values()) {
+    const user = state.users.get(subscriber.address);
+    if (!user) continue;
+
+    if (subscriber.kinds.includes("points_credited")) {
+      for (const event of user.history) {
+        // Points credited before the user opted in are not news
+        if (event.name !== "SurfPointsRecorded" || event.blockNumber <= subscriber.subscribedBlock) continue;
+        notifications.push({
+          id: `points_credited:${event.transactionHash}:${event.logIndex}`,
+          kind: "points_credited",
+          user: subscriber.address,
+          data: {
+            points: BigInt(event.args.points),
+            balance: BigInt(event.args.newBalance),
+            time: new Date(event.timestamp * 1000).toISOString(),
+            transactionHash: event.transactionHash,
+            lockPeriodDays,
+          },
+        });
+      }
+    }
+
+    if (subscriber.kinds.includes("claim_unlocked")) {
+      for (const claim of user.claims) {
+        if (claim.withdrawn) continue;
+        if (claim.unlockTime > now) {
+          if (nextUnlock === null || claim.unlockTime < nextUnlock) nextUnlock = claim.unlockTime;
+          continue;
+        }
+        notifications.push({
+          id: `claim_unlocked:${subscriber.address}:${claim.claimId}`,
+          kind: "claim_unlocked",
+          user: subscriber.address,
+          data: {
+            claimId: claim.claimId,
+            amount: claim.amount,
+            unlockTime: new Date(Number(claim.unlockTime) * 1000).toISOString(),
+            lockPeriodDays,
+          },
+        });
+      }
+    }
+  }
+  return { notifications, nextUnlock };
+}
+
+// ========== CHANNELS ==========
+
+/**
+ * Writes one line per notification
+ * @param {function(string): *} write
+ */
+function createStdoutChannel(write) {
+  return {
+    name: "stdout",
+    send: async ({ notification, message }) => {
+      write(`[${notification.kind}] ${notification.user}: ${message.subject}`);
+    },
+  };
+}
+
+/**
+ * Posts each notification as JSON
+ */
+function createWebhookChannel(url) {
+  return {
+    name: "webhook",
+    send: ({ notification, message }) => postWebhook(url, {
+      id: notification.id,
+      kind: notification.kind,
+      user: notification.user,
+      subject: message.subject,
+      text: message.text,
+      data: notification.data,
+    }),
+  };
+}
+
+/**
+ * Mails each notification to the subscriber's address (src/smtp.js)
+ */
+function createEmailChannel({ url, from }) {
+  return {
+    name: "email",
+    send: ({ subscriber, message }) => sendMail({ url, from, to: subscriber.email, subject: message.subject, text: message.text }),
+  };
+}
+
+// ========== SENT LOG ==========
+
+/**
+ * What was sent, per notification and channel
+ */
+class SentLog {
+  constructor(file) {
+    this.file = file;
+    this.content = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : { version: SENT_LOG_VERSION, sent: {} };
+  }
+
+  has(id, channel) {
+    const entry = this.content.sent[id];
+    return Boolean(entry && entry.channels[channel]);
+  }
+
+  record(notification, channel) {
+    const entry = this.content.sent[notification.id] || { kind: notification.kind, user: notification.user, channels: {} };
+    entry.channels[channel] = new Date().toISOString();
+    this.content.sent[notification.id] = entry;
+    writeJsonFile(this.file, this.content);
+  }
+}
+
+// ========== NOTIFIER ==========
+
+class Notifier {
+  /**
+   * @param {object} params
+   * @param {function(): Promise<{state: object, now: bigint}>} params.load Reads the current state (synced event index) and chain time
+   * @param {string} params.subscribersFile Re-read every cycle, so subscriptions apply without a restart
+   * @param {string} params.sentFile
+   * @param {Object<string, {name: string, send: function(object): Promise<*>}>} params.channels Configured channels by name
+   * @param {object} [params.templates] Output of readTemplates()
+   * @param {object} [params.context] Placeholders shared by every notification (network, contract)
+   * @param {import("./amounts").TokenUnits} [params.units] Renders {{amount}} in SURF; without it, in base units
+   * @param {number} [params.pollInterval=300000] Longest sleep between cycles in ms
+   * @param {function} [params.log]
+   */
+  constructor({ load, subscribersFile, sentFile, channels, templates = DEFAULT_TEMPLATES, context = {}, units = null, pollInterval = DEFAULT_POLL_INTERVAL, log = () => {} }) {
+    this.load = load;
+    this.subscribersFile = subscribersFile;
+    this.sentLog = new SentLog(sentFile);
+    this.channels = channels;
+    this.templates = templates;
+    this.context = context;
+    this.units = units;
+    this.pollInterval = pollInterval;
+    this.log = log;
+  }
+
+  /**
+   * Placeholder values of a notification; the data itself (sent to webhooks) keeps the raw amount
+   */
+  templateData(data) {
+    if (data.amount === undefined) return data;
+    return { ...data, amount: this.units ? this.units.format(data.amount) : `${data.amount} base units` };
+  }
+
+  /**
+   * Sends every notification not sent yet, once
+   * @returns {Promise<{sent: Array<object>, failed: Array<object>, subscribers: number, nextUnlock: bigint|null, chainTime: bigint}>}
+   */
+  async runOnce() {
+    const subscribers = readSubscribers(this.subscribersFile);
+    const { state, now } = await this.load();
+    const { notifications, nextUnlock } = collectNotifications({ state, now, subscribers });
+
+    const sent = [];
+    const failed = [];
+    for (const notification of notifications) {
+      const subscriber = subscribers.get(notification.user);
+      const message = renderTemplate(this.templates[notification.kind], { ...this.context, user: notification.user, ...this.templateData(notification.data) });
+
+      for (const name of subscriber.channels) {
+        if (this.sentLog.has(notification.id, name)) continue;
+        const channel = this.channels[name];
+        const result = { id: notification.id, kind: notification.kind, user: notification.user, channel: name };
+        if (!channel) {
+          failed.push({ ...result, error: `the ${name} channel is not configured` });
+          continue;
+        }
+        try {
+          await channel.send({ notification, subscriber, message });
+          this.sentLog.record(notification, name);
+          sent.push(result);
+          this.log(`   ✅ ${name} → ${notification.user}: ${message.subject}`);
+        } catch (error) {
+          failed.push({ ...result, error: error.message });
+          this.log(`   ❌ ${name} → ${notification.user}: ${error.message}`);
+        }
+      }
+    }
+
+    // One line per unconfigured channel rather than one per notification
+    for (const name of new Set(failed.filter((item) => !this.channels[item.channel]).map((item) => item.channel))) {
+      this.log(`   ⚠️ Subscribers chose the ${name} channel, which is not configured: those notifications are held back`);
+    }
+    return { sent, failed, subscribers: subscribers.size, nextUnlock, chainTime: now };
+  }
+
+  /**
+   * Milliseconds to sleep after a cycle: until the next unlock, capped at the poll interval
+   */
+  nextDelay({ nextUnlock, chainTime }) {
+    if (nextUnlock === null || nextUnlock === undefined) return this.pollInterval;
+    const untilUnlock = Number(nextUnlock - chainTime) * 1000 + UNLOCK_MARGIN_MS;
+    return Math.min(Math.max(untilUnlock, UNLOCK_MARGIN_MS), this.pollInterval);
+  }
+
+  /**
+   * Runs cycles until `signal` aborts
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {function(object): *} [options.onCycle] Called after each cycle with its result and the chosen delay
+   */
+  async run({ signal, onCycle } = {}) {
+    while (!(signal && signal.aborted)) {
+      let result;
+      try {
+        result = await this.runOnce();
+      } catch (error) {
+        this.log(`   ❌ Notifier cycle failed: ${error.shortMessage || error.message}`);
+        result = { sent: [], failed: [], nextUnlock: null, chainTime: null, error };
+      }
+
+      const delay = this.nextDelay(result);
+      if (onCycle) await onCycle({ ...result, delay });
+      await sleep(delay, signal);
+    }
+  }
+}
+
+module.exports = {
+  NOTIFICATION_KINDS,
+  CHANNELS,
+  DEFAULT_TEMPLATES,
+  NotifyError,
+  readSubscribers,
+  subscribe,
+  unsubscribe,
+  readTemplates,
+  renderTemplate,
+  collectNotifications,
+  createStdoutChannel,
+  createWebhookChannel,
+  createEmailChannel,
+  Notifier,
+};
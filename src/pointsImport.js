@@ -0,0 +1,317 @@
+// src/pointsImport.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+/**
+ * Bulk points import on top of batchRecordSurfPoints
+ *
+ * Rows are read from CSV or JSON, validated and merged per address, split into
+ * fixed chunks and submitted one batch transaction per chunk. Every chunk's tx
+ * hash is written to a progress file before waiting for it, so an interrupted
+ * run can resume without crediting any chunk twice. The progress file records
+ * the chain and contract, so it cannot be resumed against another deployment.
+ */
+
+const DEFAULT_CHUNK_SIZE = 100;
+const DEFAULT_MAX_GAS = 10_000_000n;
+const PROGRESS_VERSION = 2;
+
+const ADDRESS_COLUMNS = ["address", "user", "wallet"];
+const POINTS_COLUMNS = ["points", "amount"];
+
+/**
+ * Thrown when the input file or progress file cannot be used
+ */
+class ImportError extends Error {
+  constructor(message, details = []) {
+    super(details.length > 0 ? `${message}:\n  ${details.join("\n  ")}` : message);
+    this.name = "ImportError";
+    this.details = details;
+  }
+}
+
+// ========== PARSING ==========
+
+function splitCsvLine(line) {
+  return line.split(",").map((cell) => cell.trim().replace(/^"(.*)"$/, "$1").trim());
+}
+
+/**
+ * Reads rows from CSV: `address,points` with an optional header row
+ * @returns {Array<{line: number, address: string, points: string}>}
+ */
+function parseCsv(content) {
+  const rows = [];
+  let addressIndex = 0;
+  let pointsIndex = 1;
+  let sawFirstRow = false;
+
+  content.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (line === "" || line.startsWith("#")) return;
+
+    const cells = splitCsvLine(line);
+    if (!sawFirstRow) {
+      sawFirstRow = true;
+      if (!ethers.isAddress(cells[0])) {
+        // Header row: locate the columns by name
+        const header = cells.map((cell) => cell.toLowerCase());
+        addressIndex = header.findIndex((cell) => ADDRESS_COLUMNS.includes(cell));
+        pointsIndex = header.findIndex((cell) => POINTS_COLUMNS.includes(cell));
+        if (addressIndex === -1 || pointsIndex === -1) {
+          throw new ImportError(`CSV header must name an address column (${ADDRESS_COLUMNS.join("/")}) and a points column (${POINTS_COLUMNS.join("/")})`);
+        }
+        return;
+      }
+    }
+
+    rows.push({ line: i + 1, address: cells[addressIndex], points: cells[pointsIndex] });
+  });
+
+  return rows;
+}
+
+/**
+ * Reads rows from JSON: `[{ "address": "0x..", "points": 100 }]` or `{ "0x..": 100 }`;
+ * points above 2^53 must be strings
+ */
+function parseJson(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new ImportError(`Invalid JSON: ${error.message}`);
+  }
+
+  if (Array.isArray(data)) {
+    return data.map((item, i) => {
+      const key = ADDRESS_COLUMNS.find((name) => item && item[name] !== undefined);
+      const pointsKey = POINTS_COLUMNS.find((name) => item && item[name] !== undefined);
+      return { line: i + 1, address: key && item[key], points: pointsKey && item[pointsKey] };
+    });
+  }
+  if (data && typeof data === "object") {
+    return Object.entries(data).map(([address, points], i) => ({ line: i + 1, address, points }));
+  }
+  throw new ImportError("JSON input must be an array of { address, points } or an object of address => points");
+}
+
+/**
+ * Reads an import file; the format comes from the extension unless given
+ * @param {string} file Path to a .csv or .json file
+ * @param {"csv"|"json"} [format]
+ */
+function readImportFile(file, format) {
+  const type = format || path.extname(file).slice(1).toLowerCase();
+  const content = fs.readFileSync(file, "utf8");
+
+  if (type === "csv") return parseCsv(content);
+  if (type === "json") return parseJson(content);
+  throw new ImportError(`Unknown import format "${type}" (use csv or json)`);
+}
+
+// ========== VALIDATION ==========
+
+/**
+ * Validates rows and merges duplicate addresses by summing their points
+ * @returns {{entries: Array<{user: string, points: bigint}>, duplicates: string[], total: bigint}}
+ * @throws {ImportError} listing every invalid row
+ */
+function normalizeEntries(rows) {
+  const errors = [];
+  const byAddress = new Map();
+  const duplicates = new Set();
+
+  for (const { line, address, points } of rows) {
+    if (typeof address !== "string" || !ethers.isAddress(address)) {
+      errors.push(`row ${line}: invalid address ${JSON.stringify(address)}`);
+      continue;
+    }
+    const user = ethers.getAddress(address);
+    if (user === ethers.ZeroAddress) {
+      errors.push(`row ${line}: zero address`);
+      continue;
+    }
+    // JSON.parse has already rounded larger numbers, so the file's value is lost
+    if (typeof points === "number" && !Number.isSafeInteger(points)) {
+      errors.push(`row ${line}: points ${points} is too large for a JSON number, write it as a string`);
+      continue;
+    }
+    if (!/^\d+$/.test(String(points)) || BigInt(points) === 0n) {
+      errors.push(`row ${line}: points must be a positive whole number, got ${JSON.stringify(points)}`);
+      continue;
+    }
+
+    if (byAddress.has(user)) duplicates.add(user);
+    byAddress.set(user, (byAddress.get(user) || 0n) + BigInt(points));
+  }
+
+  if (errors.length > 0) {
+    throw new ImportError(`${errors.length} invalid row(s), nothing was imported`, errors);
+  }
+
+  const entries = [...byAddress].map(([user, points]) => ({ user, points }));
+  const total = entries.reduce((sum, entry) => sum + entry.points, 0n);
+  return { entries, duplicates: [...duplicates], total };
+}
+
+/**
+ * Stable fingerprint of the normalized entries, used to pair a progress file with its input
+ */
+function hashEntries(entries) {
+  const hash = crypto.createHash("sha256");
+  for (const { user, points } of entries) hash.update(`${user}:${points}\n`);
+  return `0x${hash.digest("hex")}`;
+}
+
+// ========== PROGRESS ==========
+
+/**
+ * Reads the progress file, or plans the chunks of a new import
+ * @param {string} file
+ * @param {{inputHash: string, chainId: string, contract: string}} target What the progress must belong to
+ */
+function loadProgress(file, { inputHash, chainId, contract }, entries, chunkSize) {
+  if (!fs.existsSync(file)) {
+    const chunks = [];
+    for (let start = 0; start < entries.length; start += chunkSize) {
+      chunks.push({ start, end: Math.min(start + chunkSize, entries.length), status: "pending" });
+    }
+    return { version: PROGRESS_VERSION, chainId, contract, inputHash, chunkSize, chunks };
+  }
+
+  const progress = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (progress.version !== PROGRESS_VERSION) {
+    throw new ImportError(
+      `Progress file ${file} has version ${progress.version}, expected ${PROGRESS_VERSION} (older files do not record the chain and contract). ` +
+        "Move it away to start a new import"
+    );
+  }
+  // Confirmed chunks are only confirmed on the chain and contract they were sent to
+  if (progress.chainId !== chainId || progress.contract !== contract) {
+    throw new ImportError(
+      `Progress file ${file} belongs to contract ${progress.contract} on chain ${progress.chainId}, not ${contract} on chain ${chainId}. ` +
+        "Move it away to start a new import"
+    );
+  }
+  if (progress.inputHash !== inputHash) {
+    throw new ImportError(
+      `Progress file ${file} belongs to a different input (the addresses or points changed). ` +
+        "Move it away to start a new import"
+    );
+  }
+  return progress;
+}
+
+function saveProgress(file, progress) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(progress, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Settles a chunk whose transaction was submitted by an earlier run
+ * @returns {Promise<boolean>} true if the chunk is confirmed, false if it must be resent
+ */
+async function settleSubmittedChunk(provider, chunk, log) {
+  const receipt = await provider.getTransactionReceipt(chunk.txHash);
+  if (receipt) {
+    if (receipt.status === 1) {
+      Object.assign(chunk, { status: "confirmed", blockNumber: receipt.blockNumber });
+      return true;
+    }
+    log(`   ⚠️ Chunk transaction ${chunk.txHash} reverted, resending`);
+    return false;
+  }
+
+  if (await provider.getTransaction(chunk.txHash)) {
+    log(`   ⏳ Waiting for previously submitted ${chunk.txHash}...`);
+    const mined = await provider.waitForTransaction(chunk.txHash);
+    if (mined.status === 1) {
+      Object.assign(chunk, { status: "confirmed", blockNumber: mined.blockNumber });
+      return true;
+    }
+    return false;
+  }
+
+  throw new ImportError(
+    `Chunk ${chunk.start}-${chunk.end} was submitted as ${chunk.txHash} but the node does not know that transaction. ` +
+      "Check it on a block explorer; if it was dropped, set the chunk status back to \"pending\" in the progress file"
+  );
+}
+
+// ========== IMPORT ==========
+
+/**
+ * Submits entries in chunks via batchRecordSurfPoints, resuming from `progressFile`
+ * @param {object} params
+ * @param {import("./surfPointsClient").SurfPointsClient} params.client Client signing as an admin
+ * @param {Array<{user: string, points: bigint}>} params.entries Output of normalizeEntries()
+ * @param {string} params.progressFile Where progress is written after every chunk
+ * @param {number} [params.chunkSize]
+ * @param {bigint} [params.maxGas] Refuse to send a chunk whose gas estimate exceeds this
+ * @param {function} [params.log]
+ */
+async function runImport({ client, entries, progressFile, chunkSize = DEFAULT_CHUNK_SIZE, maxGas = DEFAULT_MAX_GAS, log = () => {} }) {
+  if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+    throw new ImportError(`Invalid chunk size: ${chunkSize}`);
+  }
+
+  const inputHash = hashEntries(entries);
+  const provider = client.runner.provider;
+  const { chainId } = await provider.getNetwork();
+  const progress = loadProgress(progressFile, { inputHash, chainId: chainId.toString(), contract: client.address }, entries, chunkSize);
+  // A dry run simulates the remaining chunks and leaves the progress file untouched
+  const save = client.dryRun ? () => {} : () => saveProgress(progressFile, progress);
+  const sent = [];
+
+  for (const [index, chunk] of progress.chunks.entries()) {
+    const label = `Chunk ${index + 1}/${progress.chunks.length} (${chunk.end - chunk.start} users)`;
+
+    if (chunk.status === "submitted" && (await settleSubmittedChunk(provider, chunk, log))) {
+      save();
+    }
+    if (chunk.status === "confirmed") {
+      log(`   ⏭️  ${label}: already confirmed in block ${chunk.blockNumber}`);
+      continue;
+    }
+
+    const batch = entries.slice(chunk.start, chunk.end);
+    if (client.dryRun) {
+      sent.push({ ...chunk, simulation: await client.batchRecord(batch) });
+      continue;
+    }
+
+    const gas = await client.estimateBatchRecord(batch);
+    if (gas > maxGas) {
+      throw new ImportError(`${label} needs ${gas} gas (limit ${maxGas}); rerun with a smaller --chunk-size and a new progress file`);
+    }
+
+    const tx = await client.batchRecord(batch, {
+      onSubmitted: (hash) => {
+        Object.assign(chunk, { status: "submitted", txHash: hash });
+        save();
+      },
+    });
+
+    Object.assign(chunk, { status: "confirmed", blockNumber: tx.blockNumber });
+    save();
+    sent.push({ ...chunk });
+    log(`   ✅ ${label}: ${tx.hash} (gas ${tx.gasUsed})`);
+  }
+
+  return { inputHash, chunks: progress.chunks, sent };
+}
+
+module.exports = {
+  ImportError,
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_MAX_GAS,
+  splitCsvLine,
+  readImportFile,
+  normalizeEntries,
+  hashEntries,
+  runImport,
+};
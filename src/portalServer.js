@@ -0,0 +1,80 @@
+// src/portalServer.js
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+/**
+ * Static server for the user portal (portal/)
+ *
+ * The portal is plain HTML and an ES module; it needs no build step. Next to
+ * its own files this serves ABI.json, the browser build of ethers from
+ * node_modules and /config.json with the network and proxy address, so the
+ * page uses the same ABI and deployment as the CLI. Transactions are signed in
+ * the visitor's wallet; the server holds no keys.
+ */
+
+const PORTAL_DIR = path.join(__dirname, "..", "portal");
+const ETHERS_BROWSER_BUILD = path.join(path.dirname(require.resolve("ethers")), "..", "dist", "ethers.min.js");
+
+const FILES = {
+  "/": { file: path.join(PORTAL_DIR, "index.html"), type: "text/html; charset=utf-8" },
+  "/index.html": { file: path.join(PORTAL_DIR, "index.html"), type: "text/html; charset=utf-8" },
+  "/portal.js": { file: path.join(PORTAL_DIR, "portal.js"), type: "text/javascript; charset=utf-8" },
+  "/portal.css": { file: path.join(PORTAL_DIR, "portal.css"), type: "text/css; charset=utf-8" },
+  "/ethers.js": { file: ETHERS_BROWSER_BUILD, type: "text/javascript; charset=utf-8" },
+  "/ABI.json": { file: path.join(__dirname, "..", "ABI.json"), type: "application/json; charset=utf-8" },
+};
+
+/**
+ * Creates the HTTP server (not yet listening)
+ * @param {object} params
+ * @param {{chainId: number, chainName: string, rpcUrl: string|null, contractAddress: string, token: {decimals: number, symbol: string}}} params.settings Served as /config.json
+ * @param {function} [params.log]
+ * @returns {http.Server}
+ */
+function createPortalServer({ settings, log = () => {} }) {
+  const settingsJson = JSON.stringify(settings);
+
+  return http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    const headers = {
+      "cache-control": "no-store",
+      "x-content-type-options": "nosniff",
+    };
+
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { ...headers, allow: "GET, HEAD" });
+      res.end();
+      return;
+    }
+
+    if (pathname === "/config.json") {
+      res.writeHead(200, { ...headers, "content-type": "application/json; charset=utf-8" });
+      res.end(req.method === "HEAD" ? undefined : settingsJson);
+      return;
+    }
+
+    const entry = FILES[pathname];
+    if (!entry) {
+      res.writeHead(404, { ...headers, "content-type": "text/plain; charset=utf-8" });
+      res.end("Not found");
+      return;
+    }
+
+    fs.readFile(entry.file, (error, content) => {
+      if (error) {
+        log(`${req.method} ${pathname} failed: ${error.message}`);
+        res.writeHead(500, { ...headers, "content-type": "text/plain; charset=utf-8" });
+        res.end("Internal error");
+        return;
+      }
+      res.writeHead(200, { ...headers, "content-type": entry.type });
+      res.end(req.method === "HEAD" ? undefined : content);
+    });
+  });
+}
+
+module.exports = {
+  PORTAL_DIR,
+  createPortalServer,
+};
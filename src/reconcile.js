@@ -0,0 +1,238 @@
+// src/reconcile.js
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Reconciliation of an off-chain points ledger with the contract
+ *
+ * The ledger holds the total points each user should have been credited. On
+ * chain, every credited point is in one of four places: the user's unclaimed
+ * `userSurfPoints`, a claim not yet withdrawn, `userTotalClaimed` (withdrawn),
+ * or forfeited by enabling skip. The contract only keeps the first three;
+ * forfeited amounts come from ClaimSkipped events: all of them with the event
+ * index, otherwise only for users who look short (see readForfeits()).
+ *
+ * Per user the credited total is compared with the ledger:
+ *   missing_credit       credited less than the ledger; the difference goes to the corrections file
+ *   double_credit        credited more than the ledger (also users the ledger does not know)
+ *   unresolved           short, but the ClaimSkipped events could not be read to rule out a forfeit
+ *   forfeited            points were given up through skip
+ *   claimed_unwithdrawn  claims waiting to be withdrawn
+ * The first three are mismatches; the last two explain where the points are.
+ */
+
+const MISMATCHES = ["missing_credit", "double_credit", "unresolved"];
+
+/**
+ * On-chain accounts of every tracked user, read from the contract
+ *
+ * Forfeited points are not stored on chain (a user can skip and turn skip off
+ * again), so `forfeited` is null until readForfeits() fills it in.
+ * @param {import("./surfPointsClient").SurfPointsClient} client
+ */
+async function readAccounts(client) {
+  const users = await client.getUsers();
+  const accounts = [];
+  for (const address of users) {
+    const [user, claims] = await Promise.all([client.getUser(address), client.getPendingClaims(address)]);
+    accounts.push({
+      user: user.address,
+      points: user.points,
+      claimCount: user.claimCount,
+      unwithdrawn: claims.reduce((sum, claim) => sum + claim.amount, 0n),
+      withdrawn: user.totalClaimed,
+      hasSkipped: user.hasSkipped,
+      forfeited: null,
+    });
+  }
+  return accounts;
+}
+
+/**
+ * Fills in `forfeited` from ClaimSkipped events for the accounts credited less
+ * than the ledger, the only ones where a forfeit changes the outcome. An
+ * account whose events cannot be read (e.g. the RPC limits the log range)
+ * keeps `forfeited: null` and is reported as unresolved.
+ * @param {import("./surfPointsClient").SurfPointsClient} client
+ * @param {Array<object>} accounts Output of readAccounts(), updated in place
+ * @param {Array<{user: string, points: bigint}>} ledger
+ * @param {number} [fromBlock=0] Deployment block
+ * @returns {Promise<number>} Accounts looked up
+ */
+async function readForfeits(client, accounts, ledger, fromBlock = 0) {
+  const expectedByUser = new Map(ledger.map(({ user, points }) => [user, points]));
+  const short = accounts.filter((account) =>
+    account.forfeited === null && creditedAtLeast(account) < (expectedByUser.get(account.user) || 0n)
+  );
+  for (const account of short) {
+    try {
+      const events = await client.contract.queryFilter(client.contract.filters.ClaimSkipped(account.user), fromBlock);
+      account.forfeited = events.reduce((sum, event) => sum + event.args.pointsForfeited, 0n);
+    } catch {
+      // Left unresolved
+    }
+  }
+  return short.length;
+}
+
+function creditedAtLeast(account) {
+  return account.points + account.unwithdrawn + account.withdrawn + (account.forfeited || 0n);
+}
+
+/**
+ * On-chain accounts from event-index state (see buildState() in src/indexer.js)
+ */
+function accountsFromState(state) {
+  return [...state.users.values()].map((user) => {
+    const forfeited = user.history
+      .filter((event) => event.name === "ClaimSkipped")
+      .reduce((sum, event) => sum + BigInt(event.args.pointsForfeited), 0n);
+    return {
+      user: user.address,
+      points: user.points,
+      claimCount: BigInt(user.claims.length),
+      unwithdrawn: user.claims.filter((claim) => !claim.withdrawn).reduce((sum, claim) => sum + claim.amount, 0n),
+      withdrawn: user.totalClaimed,
+      hasSkipped: user.hasSkipped,
+      forfeited,
+    };
+  });
+}
+
+/**
+ * Compares the ledger with the on-chain accounts
+ * @param {object} params
+ * @param {Array<{user: string, points: bigint}>} params.ledger Output of normalizeEntries() (src/pointsImport.js)
+ * @param {Array<object>} params.accounts Output of readAccounts() or accountsFromState()
+ * @returns {{users: Array<object>, discrepancies: Array<object>, corrections: Array<{user: string, points: bigint}>, totals: object}}
+ */
+function reconcile({ ledger, accounts }) {
+  const expectedByUser = new Map(ledger.map(({ user, points }) => [user, points]));
+  const accountByUser = new Map(accounts.map((account) => [account.user, account]));
+  const addresses = [...new Set([...expectedByUser.keys(), ...accountByUser.keys()])];
+
+  const users = [];
+  const discrepancies = [];
+  const corrections = [];
+  const totals = { expected: 0n, credited: 0n, missing: 0n, excess: 0n, unresolved: 0 };
+
+  for (const user of addresses) {
+    const expected = expectedByUser.get(user) || 0n;
+    const account = accountByUser.get(user) || {
+      user, points: 0n, claimCount: 0n, unwithdrawn: 0n, withdrawn: 0n, hasSkipped: false, forfeited: 0n,
+    };
+    // Without the forfeited amount this is a lower bound of what was credited
+    const credited = creditedAtLeast(account);
+    const difference = credited - expected;
+
+    const classifications = [];
+    if (difference < 0n) {
+      // Unknown forfeits may explain the shortfall
+      classifications.push(account.forfeited === null ? "unresolved" : "missing_credit");
+    }
+    if (difference > 0n) classifications.push("double_credit");
+    if (account.hasSkipped || (account.forfeited || 0n) > 0n) classifications.push("forfeited");
+    if (account.unwithdrawn > 0n) classifications.push("claimed_unwithdrawn");
+
+    const row = {
+      user,
+      expected,
+      credited,
+      difference,
+      unclaimed: account.points,
+      unwithdrawn: account.unwithdrawn,
+      withdrawn: account.withdrawn,
+      forfeited: account.forfeited,
+      claimCount: account.claimCount,
+      hasSkipped: account.hasSkipped,
+      inLedger: expectedByUser.has(user),
+      status: difference === 0n ? "ok" : classifications[0],
+      classifications,
+    };
+    users.push(row);
+
+    totals.expected += expected;
+    totals.credited += credited;
+    if (row.status === "missing_credit") {
+      totals.missing -= difference;
+      corrections.push({ user, points: -difference });
+    }
+    if (row.status === "double_credit") totals.excess += difference;
+    if (row.status === "unresolved") totals.unresolved += 1;
+    for (const type of classifications) {
+      discrepancies.push({ user, type, amount: discrepancyAmount(type, row) });
+    }
+  }
+
+  return { users, discrepancies, corrections, totals };
+}
+
+function discrepancyAmount(type, row) {
+  switch (type) {
+    case "missing_credit":
+    case "unresolved":
+      return -row.difference;
+    case "double_credit":
+      return row.difference;
+    case "forfeited":
+      return row.forfeited;
+    case "claimed_unwithdrawn":
+      return row.unwithdrawn;
+    default:
+      return null;
+  }
+}
+
+// ========== EXPORT ==========
+
+const CSV_COLUMNS = [
+  "user", "status", "classifications", "expected", "credited", "difference",
+  "unclaimed", "unwithdrawn", "withdrawn", "forfeited", "claimCount", "hasSkipped", "inLedger",
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.join(";");
+  return String(value);
+}
+
+/**
+ * One CSV row per user
+ */
+function formatCsv(report) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const row of report.users) lines.push(CSV_COLUMNS.map((column) => csvCell(row[column])).join(","));
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Writes the report as CSV or JSON, by the file's extension
+ */
+function writeReport(file, report) {
+  const content = path.extname(file).toLowerCase() === ".csv"
+    ? formatCsv(report)
+    : JSON.stringify(report, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2) + "\n";
+  fs.writeFileSync(file, content);
+}
+
+/**
+ * Writes the missing credits in the import format (`surfpoints import <file>` records them
+ * with batchRecordSurfPoints); CSV `address,points` or JSON by the file's extension
+ */
+function writeCorrections(file, corrections) {
+  const content = path.extname(file).toLowerCase() === ".json"
+    ? JSON.stringify(corrections.map(({ user, points }) => ({ address: user, points: points.toString() })), null, 2) + "\n"
+    : ["address,points", ...corrections.map(({ user, points }) => `${user},${points}`)].join("\n") + "\n";
+  fs.writeFileSync(file, content);
+}
+
+module.exports = {
+  MISMATCHES,
+  readAccounts,
+  readForfeits,
+  accountsFromState,
+  reconcile,
+  formatCsv,
+  writeReport,
+  writeCorrections,
+};
@@ -0,0 +1,75 @@
+// src/retry.js
+
+/**
+ * Sleep and retry helpers for long-running SurfPoints processes
+ */
+
+// ethers error codes and socket errors that mean "try again", not "this call is wrong"
+const TRANSIENT_CODES = new Set([
+  "NETWORK_ERROR",
+  "SERVER_ERROR",
+  "TIMEOUT",
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "UND_ERR_SOCKET",
+]);
+
+/**
+ * Resolves after `ms` milliseconds, or as soon as `signal` aborts
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal && signal.aborted) return resolve();
+    const onAbort = () => { clearTimeout(timer); resolve(); };
+    // The same signal is passed on every cycle of a loop: drop the listener when the timer fires
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * True for RPC and connection failures that may succeed when retried.
+ * Reverts and invalid arguments are never transient.
+ */
+function isTransientError(error) {
+  // ethers wraps the underlying failure in `error` or `cause`
+  for (let current = error, depth = 0; current && depth < 5; current = current.cause || current.error, depth++) {
+    if (TRANSIENT_CODES.has(current.code)) return true;
+    // JSON-RPC rate limiting (HTTP 429 or the -32005 "limit exceeded" error)
+    if (current.status === 429 || current.code === -32005) return true;
+  }
+  return false;
+}
+
+/**
+ * Runs `fn` until it succeeds, retrying transient errors with exponential backoff
+ * @param {function(number): Promise<*>} fn Called with the attempt number (0-based)
+ * @param {object} [options]
+ * @param {number} [options.retries=5] Retries after the first attempt
+ * @param {number} [options.delay=2000] Delay before the first retry in ms, doubled every retry
+ * @param {function(Error): boolean} [options.shouldRetry=isTransientError]
+ * @param {function(Error, number, number): *} [options.onRetry] Called with (error, attempt, delayMs)
+ * @param {AbortSignal} [options.signal] Stops retrying once aborted
+ */
+async function withRetry(fn, { retries = 5, delay = 2_000, shouldRetry = isTransientError, onRetry, signal } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error) || (signal && signal.aborted)) throw error;
+
+      const wait = delay * 2 ** attempt;
+      if (onRetry) onRetry(error, attempt + 1, wait);
+      await sleep(wait, signal);
+    }
+  }
+}
+
+module.exports = { sleep, isTransientError, withRetry };
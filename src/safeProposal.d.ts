@@ -0,0 +1,34 @@
+// src/safeProposal.d.ts
+
+export interface SafeBatchTransaction {
+  to: string;
+  value: string;
+  data: string;
+  contractMethod: null;
+  contractInputsValues: null;
+}
+
+export interface SafeBatchOptions {
+  file: string;
+  safeAddress: string;
+  chainId: bigint;
+  name?: string;
+}
+
+export declare class SafeBatch {
+  constructor(options: SafeBatchOptions);
+
+  readonly file: string;
+  readonly safeAddress: string;
+  readonly chainId: string;
+  readonly batch: {
+    version: string;
+    chainId: string;
+    createdAt: number;
+    meta: Record<string, string>;
+    transactions: SafeBatchTransaction[];
+  };
+
+  add(transaction: { to: string; data: string; value?: bigint }): number;
+  save(): void;
+}
@@ -0,0 +1,84 @@
+// src/safeProposal.js
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * Safe multisig proposals
+ *
+ * Instead of sending owner transactions, they can be collected in a batch file
+ * in the Safe Transaction Builder JSON format. The file is imported in the Safe
+ * web app (Apps > Transaction Builder > drag and drop), reviewed, and signed by
+ * the Safe owners. Every proposal is appended to the file as it is made, so one
+ * file can collect the transactions of several commands.
+ */
+
+const TX_BUILDER_VERSION = "1.16.5";
+
+class SafeBatch {
+  /**
+   * @param {object} params
+   * @param {string} params.file Batch file; created if missing, appended to otherwise
+   * @param {string} params.safeAddress Safe that will execute the transactions (the contract owner)
+   * @param {bigint} params.chainId
+   * @param {string} [params.name] Batch name shown in the Transaction Builder
+   */
+  constructor({ file, safeAddress, chainId, name = "SurfPoints owner operations" }) {
+    this.file = path.resolve(file);
+    this.safeAddress = ethers.getAddress(safeAddress);
+    this.chainId = chainId.toString();
+
+    if (fs.existsSync(this.file)) {
+      this.batch = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      const { chainId: fileChainId, meta = {} } = this.batch;
+      if (fileChainId !== this.chainId || ethers.getAddress(meta.createdFromSafeAddress) !== this.safeAddress) {
+        throw new Error(
+          `Batch file ${this.file} is for Safe ${meta.createdFromSafeAddress} on chain ${fileChainId}, ` +
+            `not ${this.safeAddress} on chain ${this.chainId}`
+        );
+      }
+    } else {
+      this.batch = {
+        version: "1.0",
+        chainId: this.chainId,
+        createdAt: Date.now(),
+        meta: {
+          name,
+          description: "",
+          txBuilderVersion: TX_BUILDER_VERSION,
+          createdFromSafeAddress: this.safeAddress,
+          createdFromOwnerAddress: "",
+        },
+        transactions: [],
+      };
+    }
+  }
+
+  /**
+   * Appends a contract call to the batch and saves the file
+   * @param {object} params
+   * @param {string} params.to
+   * @param {string} params.data Encoded calldata
+   * @param {bigint} [params.value=0n]
+   * @returns {number} Index of the transaction in the batch
+   */
+  add({ to, data, value = 0n }) {
+    this.batch.transactions.push({
+      to: ethers.getAddress(to),
+      value: value.toString(),
+      data,
+      contractMethod: null,
+      contractInputsValues: null,
+    });
+    this.save();
+    return this.batch.transactions.length - 1;
+  }
+
+  save() {
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.batch, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+module.exports = { SafeBatch };
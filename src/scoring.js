@@ -0,0 +1,405 @@
+// src/scoring.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const { hashEntries, splitCsvLine } = require("./pointsImport");
+
+/**
+ * Surf-session scoring
+ *
+ * Turns surf sessions (who, when, how long, how many waves, where) into points
+ * with a declarative, versioned ruleset (see config/rulesets/). The result is a
+ * report that lists, for every user, which rule awarded which points for which
+ * session, and the `{user, points}` entries that go to batchRecordSurfPoints.
+ * The report carries the ruleset version and hash, so every recorded point can
+ * be traced back to the rule that produced it.
+ *
+ * Rule types, applied per session in this order:
+ *   flat        `points` for every session matching `when`
+ *   per         `points` for every `every` units of a session `field`, at most `max`
+ *   multiplier  adds `percent - 100` % of the flat and per points of a matching session
+ * then per user:
+ *   streak      `points` for every day that extends a run of `days` consecutive surf days
+ * Session and user totals are then cut to `caps.session`, `caps.user` (or the
+ * user's own cap in `caps.users`).
+ */
+
+const RULE_TYPES = ["flat", "per", "multiplier", "streak"];
+const NUMERIC_FIELDS = ["durationMinutes", "waves"];
+const CONDITION_FIELDS = [...NUMERIC_FIELDS, "spot"];
+
+const SESSION_COLUMNS = {
+  id: ["id", "session", "session_id", "sessionid"],
+  user: ["user", "address", "wallet"],
+  date: ["date", "time", "start", "started_at", "startedat"],
+  durationMinutes: ["duration_minutes", "durationminutes", "duration", "minutes"],
+  waves: ["waves", "wave_count", "wavecount"],
+  spot: ["spot", "location", "break"],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Thrown when a ruleset or sessions file cannot be used
+ */
+class ScoringError extends Error {
+  constructor(message, details = []) {
+    super(details.length > 0 ? `${message}:\n  ${details.join("\n  ")}` : message);
+    this.name = "ScoringError";
+    this.details = details;
+  }
+}
+
+// ========== RULESET ==========
+
+const isCount = (value) => Number.isSafeInteger(value) && value >= 0;
+
+function validateCondition(when, where, errors) {
+  if (when === undefined) return;
+  if (!when || typeof when !== "object" || Array.isArray(when)) {
+    errors.push(`${where}: "when" must be an object of field conditions`);
+    return;
+  }
+  for (const [field, condition] of Object.entries(when)) {
+    if (!CONDITION_FIELDS.includes(field)) {
+      errors.push(`${where}: unknown condition field "${field}" (use ${CONDITION_FIELDS.join(", ")})`);
+    } else if (field === "spot") {
+      if (!Array.isArray(condition) || condition.some((spot) => typeof spot !== "string")) {
+        errors.push(`${where}: "when.spot" must be a list of spot names`);
+      }
+    } else if (!condition || typeof condition !== "object" || !["min", "max"].some((bound) => bound in condition) ||
+      Object.entries(condition).some(([bound, value]) => !["min", "max"].includes(bound) || typeof value !== "number")) {
+      errors.push(`${where}: "when.${field}" must be { "min": n, "max": n } (either bound optional)`);
+    }
+  }
+}
+
+/**
+ * JSON with the keys of every object sorted, so the same rules always hash the same
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value).sort().filter((key) => value[key] !== undefined);
+    return `{${entries.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Checks a parsed ruleset and returns it with its hash
+ * @param {object} ruleset
+ * @returns {object} The ruleset with `hash`, the sha256 of its canonical JSON
+ * @throws {ScoringError} listing every problem
+ */
+function validateRuleset(ruleset) {
+  const errors = [];
+  if (!ruleset || typeof ruleset !== "object") throw new ScoringError("Ruleset must be a JSON object");
+  if (typeof ruleset.name !== "string" || ruleset.name === "") errors.push("\"name\" is required");
+  if (typeof ruleset.version !== "string" || ruleset.version === "") errors.push("\"version\" is required (bump it whenever a rule changes)");
+  validateCondition(ruleset.qualify, "qualify", errors);
+
+  const ids = new Set();
+  for (const [i, rule] of (Array.isArray(ruleset.rules) ? ruleset.rules : []).entries()) {
+    const where = `rule ${rule && rule.id ? `"${rule.id}"` : i + 1}`;
+    if (!rule || typeof rule.id !== "string" || rule.id === "") {
+      errors.push(`rule ${i + 1}: "id" is required`);
+      continue;
+    }
+    if (ids.has(rule.id)) errors.push(`${where}: duplicate id`);
+    ids.add(rule.id);
+
+    if (!RULE_TYPES.includes(rule.type)) {
+      errors.push(`${where}: unknown type "${rule.type}" (use ${RULE_TYPES.join(", ")})`);
+      continue;
+    }
+    if (rule.type === "multiplier") {
+      if (!isCount(rule.percent)) errors.push(`${where}: "percent" must be a whole number (150 = 1.5x)`);
+    } else if (!isCount(rule.points)) {
+      errors.push(`${where}: "points" must be a whole number`);
+    }
+    if (rule.type === "per") {
+      if (!NUMERIC_FIELDS.includes(rule.field)) errors.push(`${where}: "field" must be one of ${NUMERIC_FIELDS.join(", ")}`);
+      if (!(typeof rule.every === "number" && rule.every > 0)) errors.push(`${where}: "every" must be a positive number`);
+      if (rule.max !== undefined && !isCount(rule.max)) errors.push(`${where}: "max" must be a whole number`);
+    }
+    if (rule.type === "streak") {
+      if (!(Number.isSafeInteger(rule.days) && rule.days >= 2)) errors.push(`${where}: "days" must be a whole number of at least 2`);
+    } else {
+      validateCondition(rule.when, where, errors);
+    }
+  }
+  if (!Array.isArray(ruleset.rules) || ruleset.rules.length === 0) errors.push("\"rules\" must be a non-empty list");
+
+  const caps = ruleset.caps || {};
+  for (const cap of ["session", "user"]) {
+    if (caps[cap] !== undefined && !isCount(caps[cap])) errors.push(`caps.${cap} must be a whole number`);
+  }
+  const userCaps = {};
+  for (const [address, cap] of Object.entries(caps.users || {})) {
+    if (!ethers.isAddress(address)) errors.push(`caps.users: invalid address ${address}`);
+    else if (!isCount(cap)) errors.push(`caps.users.${address} must be a whole number`);
+    else userCaps[ethers.getAddress(address)] = cap;
+  }
+
+  if (errors.length > 0) throw new ScoringError(`Invalid ruleset${ruleset.name ? ` "${ruleset.name}"` : ""}`, errors);
+
+  const hash = `0x${crypto.createHash("sha256").update(canonicalJson(ruleset)).digest("hex")}`;
+  return { ...ruleset, caps: { ...caps, users: userCaps }, hash };
+}
+
+/**
+ * Reads and validates a ruleset file
+ */
+function loadRuleset(file) {
+  let ruleset;
+  try {
+    ruleset = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new ScoringError(`Cannot read ruleset ${file}: ${error.message}`);
+  }
+  return validateRuleset(ruleset);
+}
+
+// ========== SESSIONS ==========
+
+function pickColumns(header) {
+  const columns = {};
+  for (const [field, names] of Object.entries(SESSION_COLUMNS)) {
+    columns[field] = header.findIndex((cell) => names.includes(cell.toLowerCase()));
+  }
+  return columns;
+}
+
+/**
+ * Reads sessions from CSV (header row required) or JSON (array of objects)
+ * @returns {Array<object>} Raw rows with their line number
+ */
+function readSessionsFile(file, format) {
+  const type = format || path.extname(file).slice(1).toLowerCase();
+  const content = fs.readFileSync(file, "utf8");
+
+  if (type === "csv") {
+    const lines = content.split(/\r?\n/).map((line, i) => ({ line: i + 1, text: line.trim() }))
+      .filter(({ text }) => text !== "" && !text.startsWith("#"));
+    if (lines.length === 0) return [];
+    const columns = pickColumns(splitCsvLine(lines[0].text));
+    if (columns.user === -1 || columns.date === -1) {
+      throw new ScoringError(`CSV header must name a user column (${SESSION_COLUMNS.user.join("/")}) and a date column (${SESSION_COLUMNS.date.join("/")})`);
+    }
+    return lines.slice(1).map(({ line, text }) => {
+      const cells = splitCsvLine(text);
+      const row = { line };
+      for (const [field, index] of Object.entries(columns)) {
+        if (index !== -1 && cells[index] !== undefined && cells[index] !== "") row[field] = cells[index];
+      }
+      return row;
+    });
+  }
+
+  if (type === "json") {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new ScoringError(`Invalid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(data)) throw new ScoringError("JSON sessions must be an array of objects");
+    return data.map((item, i) => {
+      const row = { line: i + 1 };
+      for (const [field, names] of Object.entries(SESSION_COLUMNS)) {
+        const key = [field, ...names].find((name) => item && item[name] !== undefined);
+        if (key) row[field] = item[key];
+      }
+      return row;
+    });
+  }
+
+  throw new ScoringError(`Unknown sessions format "${type}" (use csv or json)`);
+}
+
+/**
+ * Validates raw session rows
+ * @returns {Array<{id: string, user: string, time: number, day: string, durationMinutes: number, waves: number, spot: string|null}>}
+ * @throws {ScoringError} listing every invalid row
+ */
+function normalizeSessions(rows) {
+  const errors = [];
+  const ids = new Set();
+  const sessions = [];
+
+  for (const row of rows) {
+    const where = `row ${row.line}`;
+    const id = row.id === undefined ? `row-${row.line}` : String(row.id);
+    if (ids.has(id)) errors.push(`${where}: duplicate session id ${id}`);
+    ids.add(id);
+
+    if (typeof row.user !== "string" || !ethers.isAddress(row.user) || ethers.getAddress(row.user) === ethers.ZeroAddress) {
+      errors.push(`${where}: invalid user address ${JSON.stringify(row.user)}`);
+      continue;
+    }
+    // CSV cells are strings, so all digits is unix seconds there as well
+    const time = typeof row.date === "number" || /^\d+$/.test(row.date) ? Number(row.date) * 1000 : Date.parse(row.date);
+    if (!Number.isFinite(time)) {
+      errors.push(`${where}: invalid date ${JSON.stringify(row.date)} (ISO 8601 or unix seconds)`);
+      continue;
+    }
+    const durationMinutes = Number(row.durationMinutes ?? 0);
+    const waves = Number(row.waves ?? 0);
+    if (!(Number.isFinite(durationMinutes) && durationMinutes >= 0)) {
+      errors.push(`${where}: duration must be a non-negative number of minutes, got ${JSON.stringify(row.durationMinutes)}`);
+      continue;
+    }
+    if (!isCount(waves)) {
+      errors.push(`${where}: waves must be a whole number, got ${JSON.stringify(row.waves)}`);
+      continue;
+    }
+
+    sessions.push({
+      id,
+      user: ethers.getAddress(row.user),
+      time,
+      day: new Date(time).toISOString().slice(0, 10),
+      durationMinutes,
+      waves,
+      spot: row.spot === undefined ? null : String(row.spot).trim().toLowerCase(),
+    });
+  }
+
+  if (errors.length > 0) throw new ScoringError(`${errors.length} invalid session(s), nothing was scored`, errors);
+  return sessions;
+}
+
+// ========== SCORING ==========
+
+function matches(session, when) {
+  if (!when) return true;
+  return Object.entries(when).every(([field, condition]) => {
+    if (field === "spot") return session.spot !== null && condition.some((spot) => spot.toLowerCase() === session.spot);
+    const value = session[field];
+    return (condition.min === undefined || value >= condition.min) && (condition.max === undefined || value <= condition.max);
+  });
+}
+
+function scoreSession(session, rules, sessionCap) {
+  const lines = [];
+  let base = 0;
+  for (const rule of rules) {
+    if (!matches(session, rule.when)) continue;
+    let points = 0;
+    if (rule.type === "flat") points = rule.points;
+    if (rule.type === "per") {
+      points = Math.floor(session[rule.field] / rule.every) * rule.points;
+      if (rule.max !== undefined) points = Math.min(points, rule.max);
+    }
+    if (points > 0) {
+      lines.push({ rule: rule.id, points });
+      base += points;
+    }
+  }
+
+  let points = base;
+  for (const rule of rules) {
+    if (rule.type !== "multiplier" || !matches(session, rule.when)) continue;
+    const bonus = Math.floor((base * (rule.percent - 100)) / 100);
+    if (bonus !== 0) {
+      lines.push({ rule: rule.id, points: bonus });
+      points += bonus;
+    }
+  }
+  points = Math.max(points, 0);
+
+  if (sessionCap !== undefined && points > sessionCap) {
+    lines.push({ rule: "caps.session", points: sessionCap - points });
+    points = sessionCap;
+  }
+  return { id: session.id, day: session.day, points, lines };
+}
+
+/**
+ * Days (YYYY-MM-DD) that extend a run of at least `days` consecutive days
+ */
+function streakDays(days, length) {
+  const sorted = [...new Set(days)].sort();
+  const awarded = [];
+  let run = 0;
+  let previous = null;
+  for (const day of sorted) {
+    const time = Date.parse(day);
+    run = previous !== null && time - previous === DAY_MS ? run + 1 : 1;
+    previous = time;
+    if (run >= length) awarded.push(day);
+  }
+  return awarded;
+}
+
+/**
+ * Scores sessions with a ruleset
+ * @param {Array<object>} sessions Output of normalizeSessions()
+ * @param {object} ruleset Output of validateRuleset() / loadRuleset()
+ * @returns {{ruleset: object, users: Array<object>, skipped: Array<object>, entries: Array<{user: string, points: bigint}>, total: bigint, entriesHash: string|null}}
+ *   `entries` (users with points) are ready for runImport(); `entriesHash` matches the import progress file's inputHash
+ */
+function scoreSessions(sessions, ruleset) {
+  const sessionRules = ruleset.rules.filter((rule) => rule.type !== "streak");
+  const streakRules = ruleset.rules.filter((rule) => rule.type === "streak");
+  const caps = ruleset.caps;
+
+  const byUser = new Map();
+  const skipped = [];
+  for (const session of [...sessions].sort((a, b) => a.time - b.time)) {
+    if (!matches(session, ruleset.qualify)) {
+      skipped.push({ id: session.id, user: session.user, reason: "does not meet \"qualify\"" });
+      continue;
+    }
+    if (!byUser.has(session.user)) byUser.set(session.user, []);
+    byUser.get(session.user).push(session);
+  }
+
+  const users = [];
+  for (const [user, userSessions] of byUser) {
+    const scored = userSessions.map((session) => scoreSession(session, sessionRules, caps.session));
+    const bonuses = [];
+    for (const rule of streakRules) {
+      for (const day of streakDays(userSessions.map((session) => session.day), rule.days)) {
+        if (rule.points > 0) bonuses.push({ rule: rule.id, day, points: rule.points });
+      }
+    }
+
+    const subtotal = [...scored, ...bonuses].reduce((sum, item) => sum + item.points, 0);
+    const cap = caps.users[user] ?? caps.user;
+    const points = cap === undefined ? subtotal : Math.min(subtotal, cap);
+    if (!Number.isSafeInteger(subtotal)) throw new ScoringError(`Points for ${user} overflow: check the ruleset`);
+
+    users.push({
+      user,
+      points,
+      subtotal,
+      ...(points < subtotal && { cappedBy: { rule: caps.users[user] !== undefined ? `caps.users.${user}` : "caps.user", points: points - subtotal } }),
+      sessions: scored,
+      bonuses,
+    });
+  }
+
+  const entries = users.filter((user) => user.points > 0).map((user) => ({ user: user.user, points: BigInt(user.points) }));
+  const total = entries.reduce((sum, entry) => sum + entry.points, 0n);
+  return {
+    ruleset: { name: ruleset.name, version: ruleset.version, hash: ruleset.hash },
+    users,
+    skipped,
+    entries,
+    total,
+    entriesHash: entries.length > 0 ? hashEntries(entries) : null,
+  };
+}
+
+module.exports = {
+  RULE_TYPES,
+  ScoringError,
+  validateRuleset,
+  loadRuleset,
+  readSessionsFile,
+  normalizeSessions,
+  scoreSessions,
+};
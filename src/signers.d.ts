@@ -0,0 +1,14 @@
+// src/signers.d.ts
+import { AbstractSigner, Provider, Signer } from "ethers";
+import { Role, SurfPointsConfig } from "./config";
+
+export declare class ExternalSigner extends AbstractSigner {
+  constructor(url: string, address: string | null, provider?: Provider | null);
+
+  readonly url: string;
+  connect(provider: Provider | null): ExternalSigner;
+}
+
+export declare function createSigner(config: SurfPointsConfig, role: Role, provider: Provider): Promise<Signer>;
+export declare function getSignerAddress(config: SurfPointsConfig, role: Role, provider: Provider): Promise<string>;
+export declare function promptPassword(question: string): Promise<string>;
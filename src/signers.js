@@ -0,0 +1,199 @@
+// src/signers.js
+const fs = require("fs");
+const readline = require("readline");
+const { ethers } = require("ethers");
+const { ConfigError, describeSigner } = require("./config");
+
+/**
+ * Signers for the owner, admin and user roles
+ *
+ * A role signs with the first configured source (see describeSigner() in
+ * src/config.js): a raw private key, an encrypted JSON keystore, or an external
+ * signer reached over JSON-RPC (clef or any node exposing eth_signTransaction).
+ * External signers and keystores keep raw keys off the machine running the CLI.
+ */
+
+/**
+ * Signer that delegates signing to an external JSON-RPC signer
+ *
+ * Transactions are signed with `eth_signTransaction`, falling back to clef's
+ * `account_signTransaction`, and broadcast through the connected provider.
+ */
+class ExternalSigner extends ethers.AbstractSigner {
+  /**
+   * @param {string} url Signer endpoint, e.g. http://127.0.0.1:8550
+   * @param {string|null} address Account to sign with; null for the signer's first account
+   * @param {ethers.Provider} [provider]
+   */
+  constructor(url, address, provider = null) {
+    super(provider);
+    this.url = url;
+    this.address = address ? ethers.getAddress(address) : null;
+    this._requestId = 0;
+    this._signMethod = null;
+  }
+
+  connect(provider) {
+    return new ExternalSigner(this.url, this.address, provider);
+  }
+
+  async _rpc(method, params) {
+    const request = new ethers.FetchRequest(this.url);
+    request.body = { jsonrpc: "2.0", id: ++this._requestId, method, params };
+    // A person may have to confirm the request on the signer
+    request.timeout = 5 * 60 * 1000;
+
+    let body;
+    try {
+      body = (await request.send()).bodyJson;
+    } catch (error) {
+      throw new ConfigError(`External signer ${this.url} is not reachable: ${error.shortMessage || error.message}`);
+    }
+    if (body.error) {
+      const error = new Error(`External signer ${method} failed: ${body.error.message}`);
+      error.rpcCode = body.error.code;
+      throw error;
+    }
+    return body.result;
+  }
+
+  async getAddress() {
+    if (!this.address) {
+      const accounts = await this._listAccounts();
+      if (accounts.length === 0) throw new ConfigError(`External signer ${this.url} has no accounts`);
+      this.address = ethers.getAddress(accounts[0]);
+    }
+    return this.address;
+  }
+
+  async _listAccounts() {
+    try {
+      return await this._rpc("eth_accounts", []);
+    } catch (error) {
+      if (error.rpcCode !== -32601) throw error;
+      return this._rpc("account_list", []);
+    }
+  }
+
+  async signTransaction(tx) {
+    const populated = await this.populateTransaction(tx);
+    const request = toRpcTransaction({ ...populated, from: await this.getAddress() });
+
+    let result;
+    try {
+      result = await this._rpc(this._signMethod || "eth_signTransaction", [request]);
+    } catch (error) {
+      if (this._signMethod || error.rpcCode !== -32601) throw error;
+      this._signMethod = "account_signTransaction";
+      result = await this._rpc(this._signMethod, [request]);
+    }
+    // clef returns { raw, tx }; nodes return the raw transaction
+    return typeof result === "string" ? result : result.raw;
+  }
+
+  async sendTransaction(tx) {
+    const signed = await this.signTransaction(tx);
+    return this.provider.broadcastTransaction(signed);
+  }
+
+  async signMessage(message) {
+    const data = typeof message === "string" ? ethers.hexlify(ethers.toUtf8Bytes(message)) : ethers.hexlify(message);
+    return this._rpc("personal_sign", [data, await this.getAddress()]);
+  }
+
+  async signTypedData(domain, types, value) {
+    const payload = ethers.TypedDataEncoder.getPayload(domain, types, value);
+    return this._rpc("eth_signTypedData_v4", [await this.getAddress(), JSON.stringify(payload)]);
+  }
+}
+
+function toRpcTransaction(tx) {
+  const hex = (value) => (value === null || value === undefined ? undefined : ethers.toQuantity(value));
+  const request = {
+    from: tx.from,
+    to: tx.to,
+    data: tx.data || "0x",
+    // clef reads "input", nodes read "data"
+    input: tx.data || "0x",
+    value: hex(tx.value ?? 0n),
+    nonce: hex(tx.nonce),
+    gas: hex(tx.gasLimit),
+    chainId: hex(tx.chainId),
+  };
+  if (tx.maxFeePerGas !== null && tx.maxFeePerGas !== undefined) {
+    request.maxFeePerGas = hex(tx.maxFeePerGas);
+    request.maxPriorityFeePerGas = hex(tx.maxPriorityFeePerGas);
+  } else {
+    request.gasPrice = hex(tx.gasPrice);
+  }
+  return request;
+}
+
+/**
+ * Reads a password from the terminal without echoing it
+ */
+function promptPassword(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new ConfigError(`${question} needed but stdin is not a terminal`));
+  }
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+    let muted = false;
+    rl._writeToOutput = (text) => {
+      if (!muted) process.stderr.write(text);
+    };
+    rl.question(`${question}: `, (answer) => {
+      rl.close();
+      process.stderr.write("\n");
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+/**
+ * Creates the signer for a role, connected to `provider`
+ * @param {object} config Result of loadConfig()
+ * @param {"owner"|"admin"|"user"} role
+ * @param {ethers.Provider} provider
+ * @returns {Promise<ethers.Signer>}
+ */
+async function createSigner(config, role, provider) {
+  const source = describeSigner(config, role);
+
+  switch (source.type) {
+    case "privateKey":
+      return new ethers.Wallet(source.privateKey, provider);
+
+    case "keystore": {
+      const json = fs.readFileSync(source.keystore, "utf8");
+      const password = source.password ?? (await promptPassword(`Password for ${role} keystore ${source.keystore}`));
+      try {
+        return (await ethers.Wallet.fromEncryptedJson(json, password)).connect(provider);
+      } catch (error) {
+        throw new ConfigError(`Cannot decrypt ${role} keystore ${source.keystore}: ${error.shortMessage || error.message}`);
+      }
+    }
+
+    case "external":
+      return new ExternalSigner(source.url, source.address, provider);
+
+    default:
+      throw new ConfigError(`Unknown signer type for ${role}: ${source.type}`);
+  }
+}
+
+/**
+ * Address of a role without unlocking its signer (keystores store their address)
+ */
+async function getSignerAddress(config, role, provider) {
+  const source = describeSigner(config, role);
+  if (source.type === "privateKey") return new ethers.Wallet(source.privateKey).address;
+  if (source.type === "keystore") {
+    const { address } = JSON.parse(fs.readFileSync(source.keystore, "utf8"));
+    return ethers.getAddress(address.startsWith("0x") ? address : `0x${address}`);
+  }
+  return new ExternalSigner(source.url, source.address, provider).getAddress();
+}
+
+module.exports = { ExternalSigner, createSigner, getSignerAddress, promptPassword };
@@ -0,0 +1,221 @@
+// src/simulation.js
+const { ethers } = require("ethers");
+
+/**
+ * Dry-run support for SurfPointsClient
+ *
+ * A simulated write runs the call with staticCall (so reverts surface with their
+ * decoded custom error), estimates gas, prices it with the current fee data and
+ * predicts the state changes by reading the state the call would modify.
+ * Nothing is broadcast.
+ */
+
+/**
+ * @param {"points"|"surf"|"eth"} [unit] How formatSimulation() prints the values
+ */
+function change(label, before, after, unit) {
+  return unit ? { label, before, after, unit } : { label, before, after };
+}
+
+/**
+ * Reads the current state touched by `method` and returns the expected changes
+ * @returns {Promise<Array<{label: string, before: *, after: *, unit?: string}>>}
+ */
+async function predictEffects(client, method, args, from) {
+  const { contract } = client;
+
+  switch (method) {
+    case "recordSurfPoints": {
+      const [user, points] = args;
+      const before = await contract.userSurfPoints(user);
+      return [change(`points of ${user}`, before, before + BigInt(points), "points")];
+    }
+
+    case "batchRecordSurfPoints": {
+      const [users, points] = args;
+      const expected = new Map();
+      for (const [i, user] of users.entries()) {
+        const key = ethers.getAddress(user);
+        const before = expected.has(key) ? expected.get(key).before : await contract.userSurfPoints(key);
+        const after = (expected.has(key) ? expected.get(key).after : before) + BigInt(points[i]);
+        expected.set(key, { before, after });
+      }
+      return [...expected].map(([user, { before, after }]) => change(`points of ${user}`, before, after, "points"));
+    }
+
+    case "claimSurfPoints": {
+      const [points, claimCount, lockPeriod, block] = await Promise.all([
+        contract.userSurfPoints(from),
+        contract.userClaimCount(from),
+        contract.claimLockPeriod(),
+        client.runner.provider.getBlock("latest"),
+      ]);
+      const unlockTime = BigInt(block.timestamp) + lockPeriod;
+      return [
+        change(`points of ${from}`, points, 0n, "points"),
+        change(`claim ${claimCount} of ${from}`, null, { amount: points, unlockTime }, "surf"),
+      ];
+    }
+
+    case "withdrawClaim": {
+      const [claimId] = args;
+      const [amount] = await contract.getClaimInfo(from, claimId);
+      const token = await client.getSurfToken();
+      const [userBalance, contractBalance] = await Promise.all([
+        token.balanceOf(from),
+        token.balanceOf(client.address),
+      ]);
+      return [
+        change(`claim ${claimId} of ${from} withdrawn`, false, true),
+        change(`SURF balance of ${from}`, userBalance, userBalance + amount, "surf"),
+        change("SURF balance of contract", contractBalance, contractBalance - amount, "surf"),
+      ];
+    }
+
+    case "skipClaimRewards": {
+      const [skipped, points] = await Promise.all([contract.hasSkippedClaim(from), contract.userSurfPoints(from)]);
+      const effects = [change(`skip enabled for ${from}`, skipped, !skipped)];
+      if (!skipped) effects.push(change(`points of ${from} (forfeited)`, points, 0n, "points"));
+      return effects;
+    }
+
+    case "depositSurfToken":
+    case "withdrawSurfToken": {
+      const [amount] = args;
+      const sign = method === "depositSurfToken" ? -1n : 1n;
+      const token = await client.getSurfToken();
+      const [ownerBalance, contractBalance] = await Promise.all([
+        token.balanceOf(from),
+        token.balanceOf(client.address),
+      ]);
+      return [
+        change(`SURF balance of ${from}`, ownerBalance, ownerBalance + sign * BigInt(amount), "surf"),
+        change("SURF balance of contract", contractBalance, contractBalance - sign * BigInt(amount), "surf"),
+      ];
+    }
+
+    case "transfer": {
+      const [to, amount] = args;
+      const token = await client.getSurfToken();
+      const [fromBalance, toBalance] = await Promise.all([token.balanceOf(from), token.balanceOf(to)]);
+      return [
+        change(`SURF balance of ${from}`, fromBalance, fromBalance - BigInt(amount), "surf"),
+        change(`SURF balance of ${to}`, toBalance, toBalance + BigInt(amount), "surf"),
+      ];
+    }
+
+    case "emergencyWithdrawToken": {
+      const [tokenAddress, amount] = args;
+      const token = new ethers.Contract(tokenAddress, ["function balanceOf(address) view returns (uint256)"], client.runner);
+      const [ownerBalance, contractBalance] = await Promise.all([
+        token.balanceOf(from),
+        token.balanceOf(client.address),
+      ]);
+      return [
+        change(`token ${tokenAddress} balance of ${from}`, ownerBalance, ownerBalance + BigInt(amount)),
+        change(`token ${tokenAddress} balance of contract`, contractBalance, contractBalance - BigInt(amount)),
+      ];
+    }
+
+    case "emergencyWithdrawNative": {
+      const balance = await client.runner.provider.getBalance(client.address);
+      return [change("ETH balance of contract", balance, 0n, "eth")];
+    }
+
+    case "pause":
+    case "unpause":
+      return [change("paused", await contract.paused(), method === "pause")];
+
+    case "addAdmin":
+    case "removeAdmin": {
+      const [admin] = args;
+      return [change(`admin ${admin}`, await contract.isAdmin(admin), method === "addAdmin")];
+    }
+
+    case "updateClaimLockPeriod":
+      return [change("claim lock period (seconds)", await contract.claimLockPeriod(), BigInt(args[0]))];
+
+    case "updateSurfTokenAddress":
+      return [change("SURF token address", await contract.surfToken(), ethers.getAddress(args[0]))];
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Simulates a contract call from the client's signer without broadcasting it
+ * @param {import("./surfPointsClient").SurfPointsClient} client
+ * @param {ethers.Contract} contract Contract the call goes to (SurfPoints or the SURF token)
+ * @param {string} method
+ * @param {Array} args
+ * @param {object} [options]
+ * @param {string} [options.skipCall] Reason the call cannot be executed yet (effects are still predicted)
+ */
+async function simulateTransaction(client, contract, method, args, { skipCall } = {}) {
+  const from = await client.getSignerAddress();
+  const fn = contract.getFunction(method);
+  const effects = contract === client.contract ? await predictEffects(client, method, args, from) : [];
+
+  let gasEstimate = null;
+  if (!skipCall) {
+    try {
+      await fn.staticCall(...args);
+      gasEstimate = await fn.estimateGas(...args);
+    } catch (error) {
+      throw client._decodeError(error);
+    }
+  }
+
+  const feeData = await client.runner.provider.getFeeData();
+  const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+  const gasCost = gasEstimate === null ? null : gasEstimate * gasPrice;
+
+  return {
+    dryRun: true,
+    to: await contract.getAddress(),
+    method,
+    args,
+    from,
+    gasEstimate,
+    gasPrice,
+    gasCost,
+    gasCostEth: gasCost === null ? null : ethers.formatEther(gasCost),
+    skipped: skipCall || null,
+    effects,
+  };
+}
+
+/**
+ * Human-readable lines for a simulation result
+ * @param {object} simulation
+ * @param {import("./amounts").TokenUnits} [units] SURF decimals and symbol; without them SURF amounts stay in base units
+ */
+function formatSimulation(simulation, units = null) {
+  const lines = [`🔍 DRY RUN ${simulation.method}(${simulation.args.map(String).join(", ")}) from ${simulation.from}`];
+
+  if (simulation.skipped) {
+    lines.push(`   Not simulated: ${simulation.skipped}`);
+  } else {
+    lines.push(`   Would succeed. Gas: ${simulation.gasEstimate} (~${simulation.gasCostEth} ETH at ${ethers.formatUnits(simulation.gasPrice, "gwei")} gwei)`);
+  }
+  for (const { label, before, after, unit } of simulation.effects) {
+    lines.push(`   ${label}: ${formatValue(before, unit, units)} → ${formatValue(after, unit, units)}`);
+  }
+  return lines;
+}
+
+function formatValue(value, unit, units) {
+  if (value === null || value === undefined) return "(none)";
+  if (typeof value === "object") {
+    // A claim: its amount is in SURF, the rest as is
+    return Object.entries(value).map(([key, v]) => `${key}=${key === "amount" ? formatValue(v, unit, units) : v}`).join(" ");
+  }
+  if (typeof value !== "bigint") return String(value);
+  if (unit === "eth") return `${ethers.formatEther(value)} ETH`;
+  if (unit === "points" && units) return units.formatPoints(value);
+  if (unit === "surf" && units) return units.format(value);
+  return String(value);
+}
+
+module.exports = { predictEffects, simulateTransaction, formatSimulation };
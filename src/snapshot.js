@@ -0,0 +1,335 @@
+// src/snapshot.js
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * Point-in-time state of every user, and the difference between two of them
+ *
+ * A snapshot holds, as of one block, each tracked user's unclaimed points, skip
+ * flag, totals and claims (withdrawn ones included). It is read from the
+ * contract at that block, which for old blocks needs an archive node, or
+ * derived from the event index. Snapshots are written as JSON or CSV by the
+ * file's extension and carry a format version so older files stay readable.
+ *
+ * Dates are resolved to the last block at or before them by a binary search
+ * over block timestamps.
+ */
+
+const SNAPSHOT_VERSION = 1;
+const USER_FIELDS = ["points", "hasSkipped", "claimCount", "totalClaimed", "unwithdrawn"];
+const TOTAL_FIELDS = ["users", "points", "unwithdrawn", "withdrawn", "distributed"];
+
+/**
+ * Thrown for a block or date that cannot be resolved, or an unreadable snapshot
+ */
+class SnapshotError extends Error {
+  constructor(message, details = []) {
+    super(details.length > 0 ? `${message}:\n  ${details.join("\n  ")}` : message);
+    this.name = "SnapshotError";
+    this.details = details;
+  }
+}
+
+function isoTime(timestamp) {
+  return new Date(Number(timestamp) * 1000).toISOString();
+}
+
+// ========== BLOCKS ==========
+
+/**
+ * Last block with a timestamp at or before `timestamp`; a time after the latest
+ * block resolves to the latest block
+ * @param {ethers.Provider} provider
+ * @param {number} timestamp Unix seconds
+ * @param {object} [options]
+ * @param {number} [options.fromBlock=0] Lowest block to search (the deployment block)
+ * @returns {Promise<{blockNumber: number, timestamp: number}>}
+ */
+async function findBlockByTime(provider, timestamp, { fromBlock = 0 } = {}) {
+  const latest = await provider.getBlock("latest");
+  if (timestamp >= latest.timestamp) return { blockNumber: latest.number, timestamp: latest.timestamp };
+
+  let low = await provider.getBlock(fromBlock);
+  if (timestamp < low.timestamp) {
+    throw new SnapshotError(`${isoTime(timestamp)} is before block ${fromBlock} (${isoTime(low.timestamp)}), the first block searched`);
+  }
+  // low.timestamp <= timestamp < timestamp of block `high`
+  let high = latest.number;
+  while (high - low.number > 1) {
+    const block = await provider.getBlock(Math.floor((low.number + high) / 2));
+    if (block.timestamp <= timestamp) low = block;
+    else high = block.number;
+  }
+  return { blockNumber: low.number, timestamp: low.timestamp };
+}
+
+/**
+ * The block to read at, from a block number or a date
+ * @param {ethers.Provider} provider
+ * @param {object} params Exactly one of `block` and `at`
+ * @param {number} [params.block] Block number
+ * @param {number} [params.at] Unix seconds
+ * @param {number} [params.fromBlock=0] See findBlockByTime()
+ * @returns {Promise<{blockNumber: number, timestamp: number}>}
+ */
+async function resolveBlock(provider, { block, at, fromBlock = 0 }) {
+  if (at !== undefined) return findBlockByTime(provider, at, { fromBlock });
+
+  const found = await provider.getBlock(block);
+  if (!found) {
+    throw new SnapshotError(`Block ${block} does not exist yet (latest is ${await provider.getBlockNumber()})`);
+  }
+  return { blockNumber: found.number, timestamp: found.timestamp };
+}
+
+// ========== TAKING SNAPSHOTS ==========
+
+function withTotals(snapshot, distributed) {
+  const sum = (field) => snapshot.users.reduce((total, user) => total + user[field], 0n);
+  return {
+    ...snapshot,
+    totals: {
+      users: snapshot.users.length,
+      points: sum("points"),
+      unwithdrawn: sum("unwithdrawn"),
+      withdrawn: sum("totalClaimed"),
+      distributed,
+    },
+  };
+}
+
+function userEntry({ address, points, hasSkipped, totalClaimed, claims }) {
+  return {
+    address,
+    points,
+    hasSkipped,
+    claimCount: BigInt(claims.length),
+    totalClaimed,
+    unwithdrawn: claims.filter((claim) => !claim.withdrawn).reduce((sum, claim) => sum + claim.amount, 0n),
+    claims,
+  };
+}
+
+/**
+ * Reads every tracked user from the contract as of `block`
+ * @param {import("./surfPointsClient").SurfPointsClient} client
+ * @param {{blockNumber: number, timestamp: number}} block Output of resolveBlock()
+ */
+async function takeSnapshot(client, block) {
+  const provider = client.runner.provider || client.runner;
+  if ((await provider.getCode(client.address, block.blockNumber)) === "0x") {
+    throw new SnapshotError(`SurfPoints ${client.address} was not deployed yet at block ${block.blockNumber}`);
+  }
+  const reader = client.atBlock(block.blockNumber);
+  const { chainId } = await provider.getNetwork();
+  const [lockPeriod, stats, addresses] = await Promise.all([
+    reader.getClaimLockPeriod(),
+    reader.getStats(),
+    reader.getUsers(),
+  ]);
+
+  const users = [];
+  for (const address of addresses) {
+    const user = await reader.getUser(address);
+    const claims = [];
+    for (let claimId = 0n; claimId < user.claimCount; claimId++) {
+      const { amount, unlockTime, withdrawn } = await reader.getClaimInfo(address, claimId);
+      claims.push({ claimId, amount, unlockTime, withdrawn });
+    }
+    users.push(userEntry({ ...user, claims }));
+  }
+
+  return withTotals({
+    version: SNAPSHOT_VERSION,
+    chainId: chainId.toString(),
+    contract: client.address,
+    blockNumber: block.blockNumber,
+    timestamp: block.timestamp,
+    source: "chain",
+    claimLockPeriod: lockPeriod,
+    users,
+  }, stats.totalDistributed);
+}
+
+/**
+ * The same snapshot from event-index state built from the events up to `block`
+ * (see buildState() in src/indexer.js)
+ */
+function snapshotFromState(state, { chainId, contract, blockNumber, timestamp }) {
+  const users = [...state.users.values()].map((user) => userEntry({
+    ...user,
+    claims: user.claims.map(({ claimId, amount, unlockTime, withdrawn }) => ({ claimId, amount, unlockTime, withdrawn })),
+  }));
+  return withTotals({
+    version: SNAPSHOT_VERSION,
+    chainId: String(chainId),
+    contract: ethers.getAddress(contract),
+    blockNumber,
+    timestamp,
+    source: "index",
+    claimLockPeriod: state.claimLockPeriod,
+    users,
+  }, state.totalDistributed);
+}
+
+// ========== FILES ==========
+
+const CSV_COLUMNS = ["address", ...USER_FIELDS, "claims"];
+const CSV_METADATA = ["version", "chainId", "contract", "blockNumber", "timestamp", "source", "claimLockPeriod", "distributed"];
+
+/**
+ * CSV: a `#` line with the snapshot metadata, then one row per user. Claims are
+ * `claimId:amount:unlockTime:withdrawn|pending` joined with ";".
+ */
+function formatCsv(snapshot) {
+  const metadata = { ...snapshot, distributed: snapshot.totals.distributed };
+  const lines = [
+    `# surfpoints-snapshot ${CSV_METADATA.map((key) => `${key}=${metadata[key]}`).join(" ")}`,
+    CSV_COLUMNS.join(","),
+  ];
+  for (const user of snapshot.users) {
+    const claims = user.claims
+      .map(({ claimId, amount, unlockTime, withdrawn }) => `${claimId}:${amount}:${unlockTime}:${withdrawn ? "withdrawn" : "pending"}`)
+      .join(";");
+    lines.push([...CSV_COLUMNS.slice(0, -1).map((column) => String(user[column])), claims].join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Writes the snapshot as CSV or JSON, by the file's extension
+ */
+function writeSnapshot(file, snapshot) {
+  const content = path.extname(file).toLowerCase() === ".csv"
+    ? formatCsv(snapshot)
+    : JSON.stringify(snapshot, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2) + "\n";
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, content);
+  fs.renameSync(tmp, file);
+}
+
+function parseCsvSnapshot(content) {
+  const lines = content.split(/\r?\n/).filter((line) => line.trim() !== "");
+  const preamble = lines.find((line) => line.startsWith("# surfpoints-snapshot "));
+  if (!preamble) throw new SnapshotError("Not a SurfPoints snapshot: the `# surfpoints-snapshot` line is missing");
+  const metadata = Object.fromEntries(preamble.split(" ").slice(2).map((pair) => pair.split("=")));
+
+  const rows = lines.filter((line) => !line.startsWith("#")).slice(1);
+  const users = rows.map((row) => {
+    const cells = row.split(",");
+    const user = Object.fromEntries(CSV_COLUMNS.map((column, i) => [column, cells[i]]));
+    user.claims = user.claims
+      ? user.claims.split(";").map((claim) => {
+        const [claimId, amount, unlockTime, status] = claim.split(":");
+        return { claimId, amount, unlockTime, withdrawn: status === "withdrawn" };
+      })
+      : [];
+    return user;
+  });
+  return { ...metadata, totals: { distributed: metadata.distributed }, users };
+}
+
+/**
+ * Reads a snapshot written by writeSnapshot(), with BigInt amounts
+ */
+function readSnapshot(file) {
+  let raw;
+  try {
+    const content = fs.readFileSync(file, "utf8");
+    raw = path.extname(file).toLowerCase() === ".csv" ? parseCsvSnapshot(content) : JSON.parse(content);
+  } catch (error) {
+    if (error instanceof SnapshotError) throw new SnapshotError(`${file}: ${error.message}`);
+    throw new SnapshotError(`Cannot read snapshot ${file}: ${error.message}`);
+  }
+  if (Number(raw.version) !== SNAPSHOT_VERSION) {
+    throw new SnapshotError(`${file} is snapshot version ${raw.version}; this version of surfpoints reads version ${SNAPSHOT_VERSION}`);
+  }
+
+  const users = raw.users.map((user) => userEntry({
+    address: ethers.getAddress(user.address),
+    points: BigInt(user.points),
+    hasSkipped: user.hasSkipped === true || user.hasSkipped === "true",
+    totalClaimed: BigInt(user.totalClaimed),
+    claims: user.claims.map(({ claimId, amount, unlockTime, withdrawn }) => ({
+      claimId: BigInt(claimId),
+      amount: BigInt(amount),
+      unlockTime: BigInt(unlockTime),
+      withdrawn,
+    })),
+  }));
+  return withTotals({
+    version: SNAPSHOT_VERSION,
+    chainId: String(raw.chainId),
+    contract: ethers.getAddress(raw.contract),
+    blockNumber: Number(raw.blockNumber),
+    timestamp: Number(raw.timestamp),
+    source: raw.source,
+    claimLockPeriod: BigInt(raw.claimLockPeriod),
+    users,
+  }, BigInt(raw.totals.distributed));
+}
+
+// ========== DIFF ==========
+
+/**
+ * Per-user and total changes from one snapshot to another
+ *
+ * Users are `added` (not tracked in `from`), `removed` (not in `to`, e.g. the
+ * snapshots are in the wrong order) or `changed`; unchanged users are only
+ * counted. Claims list the ones requested and the ones withdrawn in between.
+ * @returns {{from: object, to: object, users: Array<object>, unchanged: number, totals: object}}
+ */
+function diffSnapshots(from, to) {
+  if (from.chainId !== to.chainId || from.contract !== to.contract) {
+    throw new SnapshotError(`The snapshots are of different contracts: ${from.contract} on chain ${from.chainId} and ${to.contract} on chain ${to.chainId}`);
+  }
+
+  const before = new Map(from.users.map((user) => [user.address, user]));
+  const after = new Map(to.users.map((user) => [user.address, user]));
+  const users = [];
+  let unchanged = 0;
+
+  for (const address of new Set([...before.keys(), ...after.keys()])) {
+    const a = before.get(address);
+    const b = after.get(address);
+    const changes = {};
+    for (const field of USER_FIELDS) {
+      const oldValue = a ? a[field] : null;
+      const newValue = b ? b[field] : null;
+      if (oldValue !== newValue) changes[field] = { from: oldValue, to: newValue };
+    }
+
+    const oldClaims = new Map((a ? a.claims : []).map((claim) => [claim.claimId, claim]));
+    const requested = (b ? b.claims : []).filter((claim) => !oldClaims.has(claim.claimId));
+    const withdrawn = (b ? b.claims : []).filter((claim) => claim.withdrawn && !(oldClaims.get(claim.claimId) || {}).withdrawn);
+
+    if (Object.keys(changes).length === 0 && requested.length === 0 && withdrawn.length === 0) {
+      unchanged++;
+      continue;
+    }
+    users.push({ address, status: !a ? "added" : !b ? "removed" : "changed", changes, requested, withdrawn });
+  }
+
+  const totals = {};
+  for (const field of TOTAL_FIELDS) {
+    const oldValue = BigInt(from.totals[field]);
+    const newValue = BigInt(to.totals[field]);
+    totals[field] = { from: oldValue, to: newValue, delta: newValue - oldValue };
+  }
+
+  const describe = ({ blockNumber, timestamp }) => ({ blockNumber, timestamp });
+  return { from: describe(from), to: describe(to), users, unchanged, totals };
+}
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  SnapshotError,
+  findBlockByTime,
+  resolveBlock,
+  takeSnapshot,
+  snapshotFromState,
+  writeSnapshot,
+  readSnapshot,
+  diffSnapshots,
+};
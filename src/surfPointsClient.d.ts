@@ -0,0 +1,207 @@
+// src/surfPointsClient.d.ts
+import { Contract, ContractRunner } from "ethers";
+import { TransactionError, TransactionManager } from "./txManager";
+import { SafeBatch } from "./safeProposal";
+
+export interface DecodedEvent {
+  name: string;
+  args: Record<string, unknown>;
+}
+
+export interface TxResult {
+  hash: string;
+  blockNumber: number;
+  gasUsed: bigint;
+  gasPrice: bigint;
+  status: number | null;
+  events: DecodedEvent[];
+}
+
+export type DepositResult = WriteResult & {
+  approval: WriteResult | null;
+};
+
+export interface BatchEntry {
+  user: string;
+  points: bigint;
+}
+
+export interface UserInfo {
+  points: bigint;
+  claimCount: bigint;
+}
+
+export interface UserSummary {
+  address: string;
+  points: bigint;
+  claimCount: bigint;
+  totalClaimed: bigint;
+  hasSkipped: boolean;
+}
+
+export interface ClaimInfo {
+  claimId: bigint;
+  amount: bigint;
+  claimTime: bigint;
+  unlockTime: bigint;
+  withdrawn: boolean;
+  canWithdraw: boolean;
+}
+
+export interface PendingClaim {
+  claimId: bigint;
+  amount: bigint;
+  unlockTime: bigint;
+  canWithdraw: boolean;
+}
+
+export interface ContractStats {
+  totalDistributed: bigint;
+  totalClaimed: bigint;
+  contractBalance: bigint;
+}
+
+export interface ContractInfo {
+  version: string;
+  owner: string;
+  surfToken: string;
+  claimLockPeriod: bigint;
+}
+
+export interface UserAmount {
+  user: string;
+  amount: bigint;
+}
+
+export interface ClaimStatus {
+  claimed: UserAmount[];
+  pending: UserAmount[];
+}
+
+export declare class SurfPointsRevertError extends TransactionError {
+  readonly data: string;
+  readonly revert: { name: string; signature: string; args: unknown[] };
+}
+
+export interface SendOptions {
+  onSubmitted?: (hash: string) => unknown;
+}
+
+export interface StateChange {
+  label: string;
+  before: unknown;
+  after: unknown;
+  /** Unit of the values when they are amounts */
+  unit?: "points" | "surf" | "eth";
+}
+
+export interface Simulation {
+  dryRun: true;
+  to: string;
+  method: string;
+  args: unknown[];
+  from: string;
+  gasEstimate: bigint | null;
+  gasPrice: bigint;
+  gasCost: bigint | null;
+  gasCostEth: string | null;
+  skipped: string | null;
+  effects: StateChange[];
+}
+
+/** A dry-run ETH transfer (sendNative) */
+export interface TransferSimulation {
+  dryRun: true;
+  to: string;
+  value: bigint;
+  data: string;
+  from: string;
+  skipped: string | null;
+}
+
+export interface Proposal {
+  proposed: true;
+  safe: string;
+  file: string;
+  index: number;
+  to: string;
+  /** null for a plain ETH transfer */
+  method: string | null;
+  args: unknown[];
+  data: string;
+  value?: bigint;
+  checked: boolean;
+}
+
+/** Writes return a TxResult, a Simulation in dry-run mode, or a Proposal when proposing to a Safe */
+export type WriteResult = TxResult | Simulation | Proposal;
+
+export interface SurfPointsClientOptions {
+  confirmations?: number;
+  dryRun?: boolean;
+  onSimulate?: (simulation: Simulation) => unknown;
+  txManager?: TransactionManager;
+  proposer?: SafeBatch;
+  onPropose?: (proposal: Proposal) => unknown;
+  blockTag?: number | string;
+}
+
+export declare class SurfPointsClient {
+  constructor(address: string, runner: ContractRunner, options?: SurfPointsClientOptions);
+
+  readonly address: string;
+  readonly runner: ContractRunner;
+  readonly confirmations: number;
+  readonly dryRun: boolean;
+  readonly onSimulate?: (simulation: Simulation) => unknown;
+  readonly contract: Contract;
+  readonly txManager: TransactionManager | null;
+  readonly proposer: SafeBatch | null;
+  readonly blockTag: number | string | null;
+
+  connect(runner: ContractRunner): SurfPointsClient;
+  atBlock(blockTag: number | string): SurfPointsClient;
+  getSignerAddress(): Promise<string>;
+
+  addAdmin(admin: string): Promise<WriteResult>;
+  removeAdmin(admin: string): Promise<WriteResult>;
+  isAdmin(account: string): Promise<boolean>;
+  updateClaimLockPeriod(lockPeriod: bigint | number): Promise<WriteResult>;
+
+  recordPoints(user: string, points: bigint | number, options?: SendOptions): Promise<WriteResult>;
+  batchRecord(entries: BatchEntry[], options?: SendOptions): Promise<WriteResult>;
+  estimateBatchRecord(entries: BatchEntry[]): Promise<bigint>;
+
+  claim(): Promise<WriteResult>;
+  withdraw(claimId: bigint | number): Promise<WriteResult>;
+  withdrawAll(): Promise<Array<WriteResult & { claimId: bigint }>>;
+  toggleSkip(): Promise<WriteResult>;
+
+  getSurfToken(): Promise<Contract>;
+  approveSurfToken(amount: bigint): Promise<WriteResult>;
+  transferSurfToken(to: string, amount: bigint, options?: SendOptions & { skipCall?: string }): Promise<WriteResult>;
+  sendNative(to: string, value: bigint, options?: { skipCall?: string }): Promise<TxResult | TransferSimulation | Proposal>;
+  depositSurfToken(amount: bigint): Promise<DepositResult>;
+  withdrawSurfToken(amount: bigint): Promise<WriteResult>;
+  updateSurfTokenAddress(token: string): Promise<WriteResult>;
+
+  emergencyWithdrawToken(token: string, amount: bigint): Promise<WriteResult>;
+  emergencyWithdrawNative(): Promise<WriteResult>;
+  pause(): Promise<WriteResult>;
+  unpause(): Promise<WriteResult>;
+  isPaused(): Promise<boolean>;
+
+  getUserPoints(user: string): Promise<bigint>;
+  getUserInfo(user: string): Promise<UserInfo>;
+  getUser(user: string): Promise<UserSummary>;
+  getClaimInfo(user: string, claimId: bigint | number): Promise<ClaimInfo>;
+  getPendingClaims(user: string): Promise<PendingClaim[]>;
+  getWithdrawableClaims(user: string): Promise<bigint[]>;
+  getContractBalance(): Promise<bigint>;
+  getStats(): Promise<ContractStats>;
+  getInfo(): Promise<ContractInfo>;
+  getClaimLockPeriod(): Promise<bigint>;
+  getAllUsersClaimStatus(): Promise<ClaimStatus>;
+  getTotalUsersCount(): Promise<bigint>;
+  getUsers(start?: number, end?: number): Promise<string[]>;
+}
@@ -0,0 +1,505 @@
+// src/surfPointsClient.js
+const { ethers } = require("ethers");
+const { SURF_POINTS_ABI, ERC20_ABI } = require("./abi");
+const { simulateTransaction } = require("./simulation");
+const { TransactionManager, TransactionError } = require("./txManager");
+
+// Every custom error of the compiled contract, including the inherited OpenZeppelin ones
+const REVERT_INTERFACE = new ethers.Interface(require("../ABI.json").filter((fragment) => fragment.type === "error"));
+
+/**
+ * A transaction reverted with one of the contract's custom errors
+ */
+class SurfPointsRevertError extends TransactionError {
+  constructor(parsed, cause) {
+    super("CALL_EXCEPTION", `execution reverted: ${parsed.signature}`, { cause, reason: parsed.name });
+    this.name = "SurfPointsRevertError";
+    this.data = cause.data;
+    this.revert = { name: parsed.name, signature: parsed.signature, args: [...parsed.args] };
+  }
+}
+
+/**
+ * SDK wrapper around the SurfPoints contract
+ *
+ * Works with any ethers v6 runner: a Provider for read-only use, or a Signer
+ * for transactions. Views return plain objects with BigInt amounts; writes go
+ * through a TransactionManager (nonces, fees, replacement), wait for the
+ * receipt and return a summary with the decoded SurfPoints events.
+ * With `dryRun` writes are only simulated and return the simulation instead.
+ * A client pinned to a block (`blockTag`, see atBlock()) reads the state as of
+ * that block and cannot send; past blocks need an archive node.
+ */
+class SurfPointsClient {
+  /**
+   * @param {string} address SurfPoints proxy address
+   * @param {ethers.ContractRunner} runner Signer (for writes) or Provider (read-only)
+   * @param {object} [options]
+   * @param {number} [options.confirmations=1] Confirmations to wait for on writes
+   * @param {boolean} [options.dryRun=false] Simulate writes instead of broadcasting them
+   * @param {function(object): *} [options.onSimulate] Called with every dry-run simulation
+   * @param {TransactionManager} [options.txManager] Shared manager for the signer; share one per
+   *   signer between clients so their nonces do not collide (default: a new one)
+   * @param {import("./safeProposal").SafeBatch} [options.proposer] Append writes to this Safe batch
+   *   instead of sending them; they are checked with a call from the Safe first
+   * @param {function(object): *} [options.onPropose] Called with every proposal
+   * @param {number|string} [options.blockTag] Read views at this block instead of the latest
+   */
+  constructor(address, runner, { confirmations = 1, dryRun = false, onSimulate, txManager, proposer, onPropose, blockTag = null } = {}) {
+    this.address = ethers.getAddress(address);
+    this.runner = runner;
+    this.confirmations = confirmations;
+    this.dryRun = dryRun;
+    this.onSimulate = onSimulate;
+    this.proposer = proposer || null;
+    this.onPropose = onPropose;
+    this.blockTag = blockTag;
+    this.contract = new ethers.Contract(this.address, SURF_POINTS_ABI, runner);
+    this.txManager = txManager || (runner && runner.provider && typeof runner.sendTransaction === "function"
+      ? new TransactionManager(runner, { confirmations })
+      : null);
+  }
+
+  /**
+   * Returns a client for the same contract using another signer or provider
+   */
+  connect(runner) {
+    const { confirmations, dryRun, onSimulate, blockTag } = this;
+    return new SurfPointsClient(this.address, runner, { confirmations, dryRun, onSimulate, blockTag });
+  }
+
+  /**
+   * Returns a read-only client whose views return the state as of `blockTag`
+   * @param {number|string} blockTag Block number or tag ("latest", "finalized", ...)
+   */
+  atBlock(blockTag) {
+    const provider = this.runner && this.runner.provider ? this.runner.provider : this.runner;
+    return new SurfPointsClient(this.address, provider, { blockTag });
+  }
+
+  /**
+   * Calls a view function, at the pinned block if there is one
+   */
+  _call(method, ...args) {
+    const fn = this.contract.getFunction(method);
+    return this.blockTag === null ? fn(...args) : fn(...args, { blockTag: this.blockTag });
+  }
+
+  /**
+   * Address of the connected signer
+   */
+  async getSignerAddress() {
+    if (this.proposer) return this.proposer.safeAddress;
+    if (!this.runner || typeof this.runner.getAddress !== "function") {
+      throw new Error("SurfPointsClient has no signer; connect() one to send transactions");
+    }
+    return ethers.getAddress(await this.runner.getAddress());
+  }
+
+  // ========== TRANSACTIONS ==========
+
+  /**
+   * Sends a SurfPoints transaction and waits for its receipt
+   * @param {string} method Contract function name
+   * @param {Array} [args] Function arguments
+   * @param {object} [options]
+   * @param {function(string): *} [options.onSubmitted] Called with the tx hash before waiting
+   * @param {string} [options.skipCall] Dry runs and proposals only: why the call cannot be checked yet
+   */
+  _send(method, args = [], options = {}) {
+    return this._sendTo(this.contract, method, args, options);
+  }
+
+  /**
+   * Sends a transaction to `contract` (SurfPoints or the SURF token) through the transaction manager
+   */
+  async _sendTo(contract, method, args, { onSubmitted, skipCall } = {}) {
+    if (this.blockTag !== null) {
+      throw new Error(`SurfPointsClient reads at block ${this.blockTag} and cannot send transactions`);
+    }
+    if (this.dryRun) return this._simulate(contract, method, args, { skipCall });
+    if (this.proposer) return this._propose(contract, method, args, { skipCall });
+    if (!this.txManager) {
+      throw new Error("SurfPointsClient has no signer; connect() one to send transactions");
+    }
+
+    const request = await contract.getFunction(method).populateTransaction(...args);
+    const receipt = await this.txManager.send(request, {
+      onSubmitted,
+      decodeError: (error) => this._decodeError(error),
+    });
+    return this._summarize(receipt);
+  }
+
+  /**
+   * Names custom errors (e.g. ClaimStillLocked) that ethers leaves undecoded
+   * or unnamed in the message when a call or gas estimation reverts
+   */
+  _decodeError(error) {
+    if (error instanceof TransactionError) return error;
+    if (error.revert) return new SurfPointsRevertError(error.revert, error);
+    if (typeof error.data !== "string" || error.data.length < 10) return error;
+
+    const parsed = this.contract.interface.parseError(error.data) || REVERT_INTERFACE.parseError(error.data);
+    if (!parsed) return error;
+    return new SurfPointsRevertError(parsed, error);
+  }
+
+  /**
+   * Checks a call from the Safe and appends it to the proposal batch
+   */
+  async _propose(contract, method, args, { skipCall } = {}) {
+    const request = await contract.getFunction(method).populateTransaction(...args);
+    const safe = this.proposer.safeAddress;
+
+    if (!skipCall) {
+      try {
+        await this.runner.provider.call({ ...request, from: safe });
+      } catch (error) {
+        throw this._decodeError(error);
+      }
+    }
+
+    const index = this.proposer.add({ to: request.to, data: request.data });
+    const proposal = {
+      proposed: true,
+      safe,
+      file: this.proposer.file,
+      index,
+      to: request.to,
+      method,
+      args,
+      data: request.data,
+      checked: !skipCall,
+    };
+    if (this.onPropose) await this.onPropose(proposal);
+    return proposal;
+  }
+
+  async _simulate(contract, method, args, options) {
+    const simulation = await simulateTransaction(this, contract, method, args, options);
+    if (this.onSimulate) await this.onSimulate(simulation);
+    return simulation;
+  }
+
+  _summarize(receipt) {
+    const events = [];
+    for (const log of receipt.logs) {
+      if (ethers.getAddress(log.address) !== this.address) continue;
+      const parsed = this.contract.interface.parseLog(log);
+      if (parsed) events.push({ name: parsed.name, args: toPlainArgs(parsed) });
+    }
+
+    return {
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+      gasPrice: receipt.gasPrice,
+      status: receipt.status,
+      events,
+    };
+  }
+
+  // ========== ADMIN MANAGEMENT ==========
+
+  addAdmin(admin) {
+    return this._send("addAdmin", [admin]);
+  }
+
+  removeAdmin(admin) {
+    return this._send("removeAdmin", [admin]);
+  }
+
+  isAdmin(account) {
+    return this._call("isAdmin", account);
+  }
+
+  /**
+   * @param {bigint|number} lockPeriod New lock period in seconds (1 to 365 days)
+   */
+  updateClaimLockPeriod(lockPeriod) {
+    return this._send("updateClaimLockPeriod", [lockPeriod]);
+  }
+
+  // ========== POINTS ==========
+
+  /**
+   * @param {object} [options] See _send() (onSubmitted)
+   */
+  recordPoints(user, points, options) {
+    return this._send("recordSurfPoints", [user, points], options);
+  }
+
+  /**
+   * Records points for several users in one transaction
+   * @param {Array<{user: string, points: bigint}>} entries
+   * @param {object} [options] See _send() (onSubmitted)
+   */
+  batchRecord(entries, options) {
+    return this._send("batchRecordSurfPoints", batchArgs(entries), options);
+  }
+
+  /**
+   * Gas estimate for batchRecord() with the same entries
+   */
+  async estimateBatchRecord(entries) {
+    try {
+      return await this.contract.batchRecordSurfPoints.estimateGas(...batchArgs(entries));
+    } catch (error) {
+      throw this._decodeError(error);
+    }
+  }
+
+  // ========== CLAIM & WITHDRAW ==========
+
+  claim() {
+    return this._send("claimSurfPoints");
+  }
+
+  withdraw(claimId) {
+    return this._send("withdrawClaim", [claimId]);
+  }
+
+  /**
+   * Withdraws every claim of the signer that is unlocked, one transaction per claim
+   * @returns {Promise<Array<{claimId: bigint, hash: string}>>}
+   */
+  async withdrawAll() {
+    const ids = await this.getWithdrawableClaims(await this.getSignerAddress());
+    const results = [];
+    for (const claimId of ids) {
+      results.push({ claimId, ...(await this.withdraw(claimId)) });
+    }
+    return results;
+  }
+
+  /**
+   * Toggles skip for the signer; enabling it forfeits the current points
+   */
+  toggleSkip() {
+    return this._send("skipClaimRewards");
+  }
+
+  // ========== TOKEN MANAGEMENT ==========
+
+  /**
+   * ERC20 contract of the configured SURF token, bound to this client's runner
+   */
+  async getSurfToken() {
+    const tokenAddress = await this._call("surfToken");
+    return new ethers.Contract(tokenAddress, ERC20_ABI, this.runner);
+  }
+
+  /**
+   * Approves the SurfPoints contract to pull `amount` SURF from the signer
+   */
+  async approveSurfToken(amount) {
+    const token = await this.getSurfToken();
+    return this._sendTo(token, "approve", [this.address, amount]);
+  }
+
+  /**
+   * Transfers SURF from the signer's wallet (not the contract) to `to`
+   * @param {object} [options] See _send() (onSubmitted, skipCall)
+   */
+  async transferSurfToken(to, amount, options) {
+    const token = await this.getSurfToken();
+    return this._sendTo(token, "transfer", [to, amount], options);
+  }
+
+  /**
+   * Sends `value` wei of ETH from the signer's wallet to `to`. A dry run or a
+   * proposal checks the transfer with an eth_call from the signer (or the Safe)
+   * @param {object} [options]
+   * @param {string} [options.skipCall] Dry runs and proposals only: why the transfer cannot be checked yet
+   */
+  async sendNative(to, value, { skipCall } = {}) {
+    if (this.blockTag !== null) {
+      throw new Error(`SurfPointsClient reads at block ${this.blockTag} and cannot send transactions`);
+    }
+    const request = { to: ethers.getAddress(to), value, data: "0x" };
+
+    if (this.dryRun || this.proposer) {
+      const from = await this.getSignerAddress();
+      if (!skipCall) await this.runner.provider.call({ ...request, from });
+      if (this.dryRun) return { dryRun: true, ...request, from, skipped: skipCall || null };
+
+      const index = this.proposer.add(request);
+      const proposal = { proposed: true, safe: from, file: this.proposer.file, index, ...request, method: null, args: [], checked: !skipCall };
+      if (this.onPropose) await this.onPropose(proposal);
+      return proposal;
+    }
+    if (!this.txManager) {
+      throw new Error("SurfPointsClient has no signer; connect() one to send transactions");
+    }
+    return this._summarize(await this.txManager.send(request));
+  }
+
+  /**
+   * Deposits SURF into the contract, approving first if the allowance is too low
+   */
+  async depositSurfToken(amount) {
+    const token = await this.getSurfToken();
+    const allowance = await token.allowance(await this.getSignerAddress(), this.address);
+    const approval = allowance < amount ? await this.approveSurfToken(amount) : null;
+
+    // A simulated or proposed deposit cannot be checked against current state before the approval lands
+    const skipCall = approval && (this.dryRun || this.proposer) ? "depends on the approval above" : undefined;
+    return { approval, ...(await this._send("depositSurfToken", [amount], { skipCall })) };
+  }
+
+  withdrawSurfToken(amount) {
+    return this._send("withdrawSurfToken", [amount]);
+  }
+
+  updateSurfTokenAddress(token) {
+    return this._send("updateSurfTokenAddress", [token]);
+  }
+
+  // ========== EMERGENCY & PAUSE ==========
+
+  emergencyWithdrawToken(token, amount) {
+    return this._send("emergencyWithdrawToken", [token, amount]);
+  }
+
+  emergencyWithdrawNative() {
+    return this._send("emergencyWithdrawNative");
+  }
+
+  pause() {
+    return this._send("pause");
+  }
+
+  unpause() {
+    return this._send("unpause");
+  }
+
+  isPaused() {
+    return this._call("paused");
+  }
+
+  // ========== VIEWS ==========
+
+  getUserPoints(user) {
+    return this._call("getUserPoints", user);
+  }
+
+  /**
+   * @returns {Promise<{points: bigint, claimCount: bigint}>}
+   */
+  async getUserInfo(user) {
+    const [points, claimCount] = await this._call("getUserInfo", user);
+    return { points, claimCount };
+  }
+
+  /**
+   * Everything the contract stores about a user
+   */
+  async getUser(user) {
+    const [points, claimCount, totalClaimed, hasSkipped] = await Promise.all([
+      this._call("userSurfPoints", user),
+      this._call("userClaimCount", user),
+      this._call("userTotalClaimed", user),
+      this._call("hasSkippedClaim", user),
+    ]);
+    return { address: ethers.getAddress(user), points, claimCount, totalClaimed, hasSkipped };
+  }
+
+  async getClaimInfo(user, claimId) {
+    const [amount, claimTime, unlockTime, withdrawn, canWithdraw] = await this._call("getClaimInfo", user, claimId);
+    return { claimId: BigInt(claimId), amount, claimTime, unlockTime, withdrawn, canWithdraw };
+  }
+
+  /**
+   * Claims of a user that are not withdrawn yet
+   * @returns {Promise<Array<{claimId: bigint, amount: bigint, unlockTime: bigint, canWithdraw: boolean}>>}
+   */
+  async getPendingClaims(user) {
+    const [claimIds, amounts, unlockTimes, canWithdraw] = await this._call("getPendingClaims", user);
+    return claimIds.map((claimId, i) => ({
+      claimId,
+      amount: amounts[i],
+      unlockTime: unlockTimes[i],
+      canWithdraw: canWithdraw[i],
+    }));
+  }
+
+  async getWithdrawableClaims(user) {
+    return [...(await this._call("getWithdrawableClaims", user))];
+  }
+
+  getContractBalance() {
+    return this._call("getContractBalance");
+  }
+
+  /**
+   * @returns {Promise<{totalDistributed: bigint, totalClaimed: bigint, contractBalance: bigint}>}
+   */
+  async getStats() {
+    const [totalDistributed, totalClaimed, contractBalance] = await this._call("getContractStats");
+    return { totalDistributed, totalClaimed, contractBalance };
+  }
+
+  /**
+   * Static contract settings
+   */
+  async getInfo() {
+    const [version, owner, surfToken, claimLockPeriod] = await Promise.all([
+      this._call("version"),
+      this._call("owner"),
+      this._call("surfToken"),
+      this._call("claimLockPeriod"),
+    ]);
+    return { version, owner, surfToken, claimLockPeriod };
+  }
+
+  getClaimLockPeriod() {
+    return this._call("claimLockPeriod");
+  }
+
+  /**
+   * Users grouped by claim status (unbounded view call over every tracked user)
+   */
+  async getAllUsersClaimStatus() {
+    const [claimedUsers, claimedAmounts, pendingUsers, pendingAmounts] = await this._call("getAllUsersClaimStatus");
+    return {
+      claimed: claimedUsers.map((user, i) => ({ user, amount: claimedAmounts[i] })),
+      pending: pendingUsers.map((user, i) => ({ user, amount: pendingAmounts[i] })),
+    };
+  }
+
+  getTotalUsersCount() {
+    return this._call("getTotalUsersCount");
+  }
+
+  /**
+   * Tracked user addresses from the `allUsers` array, in insertion order
+   * @param {number} [start=0] First index
+   * @param {number} [end] End index (exclusive), defaults to the user count
+   */
+  async getUsers(start = 0, end) {
+    const count = end === undefined ? Number(await this.getTotalUsersCount()) : end;
+    const users = [];
+    for (let i = start; i < count; i++) {
+      users.push(await this._call("allUsers", i));
+    }
+    return users;
+  }
+}
+
+function batchArgs(entries) {
+  return [entries.map((entry) => entry.user), entries.map((entry) => entry.points)];
+}
+
+/**
+ * Converts decoded event arguments into a plain object keyed by parameter name
+ */
+function toPlainArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name] = parsed.args[i];
+  });
+  return args;
+}
+
+module.exports = { SurfPointsClient, SurfPointsRevertError };
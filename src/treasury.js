@@ -0,0 +1,130 @@
+// src/treasury.js
+
+/**
+ * Treasury solvency checks
+ *
+ * The contract owes every user their unclaimed points plus every claim not yet
+ * withdrawn, all paid 1:1 in SURF from its own balance. This module totals
+ * those liabilities, compares them with the balance and projects when the
+ * balance would run out if every claim were withdrawn at its unlock time.
+ */
+
+const DEFAULT_WARN_RATIO = 1.1;
+
+/**
+ * Reads the points and unwithdrawn claims of every tracked user
+ * @param {import("./surfPointsClient").SurfPointsClient} client
+ * @returns {Promise<Array<{user: string, points: bigint, claims: Array<{claimId: bigint, amount: bigint, unlockTime: bigint}>}>>}
+ */
+async function readHoldings(client) {
+  const users = await client.getUsers();
+  const holdings = [];
+  for (const user of users) {
+    const [points, claims] = await Promise.all([client.getUserPoints(user), client.getPendingClaims(user)]);
+    holdings.push({ user, points, claims: claims.map(({ claimId, amount, unlockTime }) => ({ claimId, amount, unlockTime })) });
+  }
+  return holdings;
+}
+
+/**
+ * Holdings from event-index state (see buildState() in src/indexer.js)
+ */
+function holdingsFromState(state) {
+  return [...state.users.values()].map((user) => ({
+    user: user.address,
+    points: user.points,
+    claims: user.claims
+      .filter((claim) => !claim.withdrawn)
+      .map(({ claimId, amount, unlockTime }) => ({ claimId, amount, unlockTime })),
+  }));
+}
+
+/**
+ * Compares liabilities with the contract balance
+ *
+ * Unclaimed points are scheduled at `now + claimLockPeriod`, the earliest time
+ * they could be withdrawn if claimed right away.
+ * @param {object} params
+ * @param {bigint} params.balance SURF held by the contract
+ * @param {Array<object>} params.holdings Output of readHoldings() or holdingsFromState()
+ * @param {bigint} params.now Current chain timestamp
+ * @param {bigint} params.claimLockPeriod
+ * @param {number} [params.warnRatio=1.1] Coverage (balance / liabilities) below which to warn
+ */
+function assessSolvency({ balance, holdings, now, claimLockPeriod, warnRatio = DEFAULT_WARN_RATIO }) {
+  let unclaimedPoints = 0n;
+  let pendingClaims = 0n;
+  const dueByTime = new Map();
+  const addDue = (time, amount) => dueByTime.set(time, (dueByTime.get(time) || 0n) + amount);
+
+  for (const { points, claims } of holdings) {
+    unclaimedPoints += points;
+    if (points > 0n) addDue(now + claimLockPeriod, points);
+    for (const { amount, unlockTime } of claims) {
+      pendingClaims += amount;
+      // Claims already unlocked can be withdrawn now
+      addDue(unlockTime > now ? unlockTime : now, amount);
+    }
+  }
+
+  let remaining = balance;
+  let firstShortfall = null;
+  const schedule = [...dueByTime]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([time, amount]) => {
+      remaining -= amount;
+      if (remaining < 0n && firstShortfall === null) firstShortfall = { time, shortfall: -remaining };
+      return { time, amount, balanceAfter: remaining };
+    });
+
+  const liabilities = unclaimedPoints + pendingClaims;
+  const surplus = balance - liabilities;
+  // Ratio in basis points to keep the comparison in bigint
+  const coverage = liabilities === 0n ? null : Number((balance * 10_000n) / liabilities) / 10_000;
+
+  let level = "ok";
+  if (surplus < 0n) level = "critical";
+  else if (coverage !== null && coverage < warnRatio) level = "warning";
+
+  // Amount that brings coverage back to warnRatio
+  const target = (liabilities * BigInt(Math.round(warnRatio * 10_000))) / 10_000n;
+  const topUp = target > balance ? target - balance : 0n;
+
+  return {
+    level,
+    balance,
+    unclaimedPoints,
+    pendingClaims,
+    liabilities,
+    surplus,
+    coverage,
+    firstShortfall,
+    topUp,
+    schedule,
+    users: holdings.length,
+  };
+}
+
+/**
+ * Posts an alert as JSON to a webhook
+ * @param {string} url
+ * @param {object} alert
+ */
+async function postWebhook(url, alert) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(alert, (key, value) => (typeof value === "bigint" ? value.toString() : value)),
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook ${url} responded ${response.status} ${response.statusText}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_WARN_RATIO,
+  readHoldings,
+  holdingsFromState,
+  assessSolvency,
+  postWebhook,
+};
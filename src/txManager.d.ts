@@ -0,0 +1,46 @@
+// src/txManager.d.ts
+import { Signer, TransactionReceipt, TransactionRequest, TransactionResponse } from "ethers";
+
+export declare class TransactionError extends Error {
+  readonly code: string;
+  hash: string | null;
+  nonce: number | null;
+  readonly reason: string | null;
+  receipt: TransactionReceipt | null;
+}
+
+export interface TransactionManagerOptions {
+  confirmations?: number;
+  maxFeePerGas?: bigint | null;
+  maxPriorityFeePerGas?: bigint | null;
+  stuckTimeout?: number;
+  maxReplacements?: number;
+  replacementBump?: bigint;
+  retries?: number;
+  pollInterval?: number;
+  log?: (...args: unknown[]) => void;
+}
+
+export type FeeFields =
+  | { type: 2; maxFeePerGas: bigint; maxPriorityFeePerGas: bigint }
+  | { gasPrice: bigint };
+
+export interface ManagedSendOptions {
+  onSubmitted?: (hash: string) => unknown;
+  decodeError?: (error: Error) => Error;
+}
+
+export declare class TransactionManager {
+  constructor(signer: Signer, options?: TransactionManagerOptions);
+
+  readonly signer: Signer;
+  readonly confirmations: number;
+
+  resetNonce(): void;
+  getFees(): Promise<FeeFields>;
+  replacementFees(tx: TransactionResponse): Promise<FeeFields>;
+  send(request: TransactionRequest, options?: ManagedSendOptions): Promise<TransactionReceipt>;
+  speedUp(hash: string): Promise<TransactionReceipt>;
+  cancel(hash: string): Promise<TransactionReceipt>;
+  getPending(hash: string): Promise<TransactionResponse>;
+}
@@ -0,0 +1,438 @@
+// src/txManager.js
+const { ethers } = require("ethers");
+const { sleep, isTransientError } = require("./retry");
+
+/**
+ * Transaction manager: the send path shared by every SurfPoints write
+ *
+ * - Nonces are tracked locally, so many transactions from one signer can be
+ *   sent in parallel without "nonce too low" races. The nonce of a send that
+ *   fails is reused by the next one, so it leaves no gap.
+ * - Fees are EIP-1559 from the node's fee data, with an optional cap on
+ *   maxFeePerGas and an optional fixed priority fee.
+ * - Transactions are signed locally when the signer supports it, so the hash is
+ *   known before broadcasting and a broadcast that fails on a transient RPC
+ *   error can be repeated without risking a second transaction.
+ * - A transaction not mined within `stuckTimeout` is replaced with the same
+ *   nonce and higher fees (speed-up); speedUp() and cancel() do the same on demand.
+ * - Nonce and underpriced errors re-sync the nonce and retry.
+ * - Failures are thrown as TransactionError with a `code`.
+ */
+
+const DEFAULT_STUCK_TIMEOUT = 3 * 60 * 1000;
+const DEFAULT_POLL_INTERVAL = 4_000;
+// Most nodes require at least +10% on both fee fields to accept a replacement
+const DEFAULT_REPLACEMENT_BUMP = 15n;
+const GAS_LIMIT_MARGIN = 120n;
+
+/**
+ * A transaction could not be sent or did not succeed
+ *
+ * `code` is one of ethers' error codes where one applies (CALL_EXCEPTION for
+ * reverts, INSUFFICIENT_FUNDS, NONCE_EXPIRED, REPLACEMENT_UNDERPRICED,
+ * TRANSACTION_REPLACED, TIMEOUT) or FEE_CAP_EXCEEDED.
+ */
+class TransactionError extends Error {
+  constructor(code, message, { cause, hash = null, nonce = null, reason = null, receipt = null } = {}) {
+    super(message, { cause });
+    this.name = "TransactionError";
+    this.code = code;
+    this.hash = hash;
+    this.nonce = nonce;
+    this.reason = reason;
+    this.receipt = receipt;
+  }
+}
+
+function errorCode(error) {
+  const message = `${error.shortMessage || ""} ${error.message || ""} ${(error.error && error.error.message) || ""}`.toLowerCase();
+  if (error.code === "NONCE_EXPIRED" || message.includes("nonce too low") || message.includes("nonce has already been used")) return "NONCE_EXPIRED";
+  if (error.code === "REPLACEMENT_UNDERPRICED" || message.includes("replacement transaction underpriced")) return "REPLACEMENT_UNDERPRICED";
+  if (error.code === "INSUFFICIENT_FUNDS" || message.includes("insufficient funds")) return "INSUFFICIENT_FUNDS";
+  if (message.includes("already known") || message.includes("known transaction")) return "ALREADY_KNOWN";
+  return error.code || "UNKNOWN_ERROR";
+}
+
+function bump(value, percent) {
+  return (value * (100n + percent) + 99n) / 100n;
+}
+
+function max(a, b) {
+  return a > b ? a : b;
+}
+
+class TransactionManager {
+  /**
+   * @param {ethers.Signer} signer Signer with a provider
+   * @param {object} [options]
+   * @param {number} [options.confirmations=1] Confirmations to wait for
+   * @param {bigint} [options.maxFeePerGas] Never offer more than this (wei)
+   * @param {bigint} [options.maxPriorityFeePerGas] Fixed priority fee (wei) instead of the node's suggestion
+   * @param {number} [options.stuckTimeout=180000] Replace a transaction not mined after this many ms (0 disables)
+   * @param {number} [options.maxReplacements=3] Automatic speed-ups per transaction
+   * @param {bigint} [options.replacementBump=15n] Fee increase per replacement, in percent
+   * @param {number} [options.retries=3] Retries of nonce, underpriced and transient RPC errors
+   * @param {number} [options.pollInterval=4000] Receipt polling interval in ms
+   * @param {function} [options.log]
+   */
+  constructor(signer, {
+    confirmations = 1,
+    maxFeePerGas = null,
+    maxPriorityFeePerGas = null,
+    stuckTimeout = DEFAULT_STUCK_TIMEOUT,
+    maxReplacements = 3,
+    replacementBump = DEFAULT_REPLACEMENT_BUMP,
+    retries = 3,
+    pollInterval = DEFAULT_POLL_INTERVAL,
+    log = () => {},
+  } = {}) {
+    if (!signer.provider) throw new Error("TransactionManager needs a signer connected to a provider");
+
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.confirmations = confirmations;
+    this.maxFeePerGas = maxFeePerGas;
+    this.maxPriorityFeePerGas = maxPriorityFeePerGas;
+    this.stuckTimeout = stuckTimeout;
+    this.maxReplacements = maxReplacements;
+    this.replacementBump = replacementBump;
+    this.retries = retries;
+    this.pollInterval = pollInterval;
+    this.log = log;
+    // Next free nonce; null means "ask the node"
+    this._nextNonce = null;
+    // Nonces given up by failed sends, handed out again before new ones so they leave no gap
+    this._released = [];
+    // Nonces reserved by sends that have not been broadcast yet
+    this._inFlight = new Set();
+    // Serializes reservations, so parallel sends get consecutive nonces
+    this._nonceLock = Promise.resolve();
+  }
+
+  // ========== NONCES ==========
+
+  /**
+   * Takes the lowest released nonce, or the next one
+   */
+  _reserveNonce() {
+    const reserved = this._nonceLock.then(async () => {
+      let nonce;
+      if (this._released.length > 0) {
+        nonce = this._released.shift();
+      } else {
+        if (this._nextNonce === null) this._nextNonce = await this.signer.getNonce("pending");
+        nonce = this._nextNonce++;
+      }
+      this._inFlight.add(nonce);
+      return nonce;
+    });
+    this._nonceLock = reserved.catch(() => {});
+    return reserved;
+  }
+
+  /**
+   * Gives back the nonce of a send that could not be broadcast. A nonce already
+   * used on chain or in the pool ("nonce too low", "replacement underpriced")
+   * means the local count is stale: it is dropped, and the count re-synced from
+   * the node once no other send holds a nonce (re-syncing earlier would hand out
+   * nonces those sends still hold).
+   * Any other failure left the nonce unused: the highest one is taken back,
+   * a lower one goes to the next send so the transactions above it are not stuck.
+   */
+  _releaseNonce(nonce, code) {
+    this._inFlight.delete(nonce);
+    if (code === "NONCE_EXPIRED" || code === "REPLACEMENT_UNDERPRICED") {
+      if (this._inFlight.size === 0) this.resetNonce();
+      return;
+    }
+    if (this._nextNonce === nonce + 1) {
+      this._nextNonce = nonce;
+      // Released nonces just below it are now the top of the range as well
+      while (this._released.length > 0 && this._released[this._released.length - 1] === this._nextNonce - 1) {
+        this._nextNonce = this._released.pop();
+      }
+    } else if (this._nextNonce !== null) {
+      this._released = [...this._released, nonce].sort((a, b) => a - b);
+    }
+  }
+
+  /**
+   * Forgets the local nonce; the next send asks the node again
+   */
+  resetNonce() {
+    this._nextNonce = null;
+    this._released = [];
+  }
+
+  // ========== FEES ==========
+
+  /**
+   * EIP-1559 fees from the node, limited by the configured caps
+   */
+  async getFees() {
+    const feeData = await this.provider.getFeeData();
+
+    if (feeData.maxFeePerGas === null) {
+      // Pre-London chain: legacy gas price
+      const gasPrice = this.maxFeePerGas !== null && feeData.gasPrice > this.maxFeePerGas ? this.maxFeePerGas : feeData.gasPrice;
+      return { gasPrice };
+    }
+
+    let maxPriorityFeePerGas = this.maxPriorityFeePerGas ?? feeData.maxPriorityFeePerGas;
+    let maxFeePerGas = max(feeData.maxFeePerGas, maxPriorityFeePerGas);
+    if (this.maxFeePerGas !== null && maxFeePerGas > this.maxFeePerGas) {
+      this.log(`   ⚠️ Suggested max fee ${ethers.formatUnits(maxFeePerGas, "gwei")} gwei capped at ${ethers.formatUnits(this.maxFeePerGas, "gwei")} gwei`);
+      maxFeePerGas = this.maxFeePerGas;
+    }
+    if (maxPriorityFeePerGas > maxFeePerGas) maxPriorityFeePerGas = maxFeePerGas;
+    return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  _bumpFees(tx, current) {
+    if (tx.maxFeePerGas === null || tx.maxFeePerGas === undefined) {
+      return { gasPrice: this._capFee(max(bump(tx.gasPrice, this.replacementBump), current.gasPrice ?? 0n)) };
+    }
+    const maxPriorityFeePerGas = max(bump(tx.maxPriorityFeePerGas, this.replacementBump), current.maxPriorityFeePerGas ?? 0n);
+    const maxFeePerGas = this._capFee(max(bump(tx.maxFeePerGas, this.replacementBump), current.maxFeePerGas ?? 0n));
+    if (maxPriorityFeePerGas > maxFeePerGas) {
+      throw new TransactionError("FEE_CAP_EXCEEDED", `Replacement priority fee exceeds the max fee cap of ${ethers.formatUnits(this.maxFeePerGas, "gwei")} gwei`, { hash: tx.hash, nonce: tx.nonce });
+    }
+    return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  _capFee(fee) {
+    if (this.maxFeePerGas !== null && fee > this.maxFeePerGas) {
+      throw new TransactionError("FEE_CAP_EXCEEDED", `Replacement needs ${ethers.formatUnits(fee, "gwei")} gwei, above the cap of ${ethers.formatUnits(this.maxFeePerGas, "gwei")} gwei`);
+    }
+    return fee;
+  }
+
+  // ========== SENDING ==========
+
+  /**
+   * Sends a transaction and waits for its receipt, replacing it if it gets stuck
+   * @param {ethers.TransactionRequest} request Usually from `contract.method.populateTransaction(...)`
+   * @param {object} [options]
+   * @param {function(string): *} [options.onSubmitted] Called with the hash once broadcast (and again after a replacement)
+   * @param {function(Error): Error} [options.decodeError] Turns raw reverts into named errors
+   * @returns {Promise<ethers.TransactionReceipt>}
+   */
+  async send(request, { onSubmitted, decodeError = (error) => error } = {}) {
+    const from = await this.signer.getAddress();
+    let populated;
+    try {
+      // Gas is estimated before a nonce is taken, so a reverting call leaves no nonce gap
+      const gasLimit = request.gasLimit ?? (await this.signer.estimateGas({ ...request, from })) * GAS_LIMIT_MARGIN / 100n;
+      const { chainId } = await this.provider.getNetwork();
+      populated = { ...request, from, chainId, gasLimit, ...(await this.getFees()) };
+    } catch (error) {
+      throw this._toTransactionError(decodeError(error));
+    }
+
+    const tx = await this._broadcastWithRetry(populated, decodeError);
+    if (onSubmitted) await onSubmitted(tx.hash);
+    return this._waitMined(tx, { onSubmitted, decodeError });
+  }
+
+  /**
+   * Takes a nonce (unless replacing one), signs and broadcasts. A new send that
+   * hits a nonce or underpriced error gives its nonce back (see _releaseNonce())
+   * and takes another; a replacement keeps its nonce and bumps its fees instead.
+   */
+  async _broadcastWithRetry(populated, decodeError, nonce) {
+    const replacing = nonce !== undefined;
+
+    for (let attempt = 0; ; attempt++) {
+      const txNonce = replacing ? nonce : await this._reserveNonce();
+      try {
+        const tx = await this._broadcast({ ...populated, nonce: txNonce });
+        if (!replacing) this._inFlight.delete(txNonce);
+        return tx;
+      } catch (error) {
+        const code = errorCode(error);
+        if (!replacing) this._releaseNonce(txNonce, code);
+
+        // Transient errors were already retried with the same signed bytes; a new nonce could double-send
+        const retryable = code === "REPLACEMENT_UNDERPRICED" || (code === "NONCE_EXPIRED" && !replacing);
+        if (!retryable || attempt >= this.retries) {
+          throw this._toTransactionError(decodeError(error), { nonce: txNonce });
+        }
+
+        this.log(`   ⚠️ Sending nonce ${txNonce} failed (${code}), retrying`);
+        if (replacing) Object.assign(populated, this._bumpFees(populated, await this.getFees()));
+        await sleep(Math.min(1000 * 2 ** attempt, 10_000));
+      }
+    }
+  }
+
+  /**
+   * Signs locally and broadcasts the raw transaction. A transient failure is
+   * retried with the same signed bytes, so it can never produce two transactions.
+   * Signers that cannot sign without sending (e.g. JSON-RPC wallets) use sendTransaction().
+   */
+  async _broadcast(populated) {
+    let signed;
+    try {
+      signed = await this.signer.signTransaction(populated);
+    } catch (error) {
+      if (error.code !== "UNSUPPORTED_OPERATION") throw error;
+      const response = await this.signer.sendTransaction(populated);
+      return { ...populated, hash: response.hash };
+    }
+
+    const hash = ethers.Transaction.from(signed).hash;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await this.provider.broadcastTransaction(signed);
+        return { ...populated, hash };
+      } catch (error) {
+        if (errorCode(error) === "ALREADY_KNOWN") return { ...populated, hash };
+        // A resend of the same bytes that lands as "nonce too low" means the first attempt went through
+        if (attempt > 0 && errorCode(error) === "NONCE_EXPIRED" && (await this.provider.getTransaction(hash))) {
+          return { ...populated, hash };
+        }
+        if (!isTransientError(error) || attempt >= this.retries) throw error;
+        await sleep(Math.min(1000 * 2 ** attempt, 10_000));
+      }
+    }
+  }
+
+  // ========== WAITING & REPLACEMENT ==========
+
+  /**
+   * Waits until one of the transactions sent with this nonce is mined.
+   * Automatic speed-ups keep every hash, since any of them may be the one that lands.
+   */
+  async _waitMined(tx, { onSubmitted, decodeError }) {
+    const sent = [tx];
+    let replacements = 0;
+    let lastSent = Date.now();
+
+    for (;;) {
+      for (const candidate of sent) {
+        const receipt = await this.provider.getTransactionReceipt(candidate.hash);
+        if (receipt) return this._confirm(receipt, candidate, decodeError);
+      }
+
+      // The nonce was used by a transaction we did not send (e.g. cancelled elsewhere)
+      const latestNonce = await this.provider.getTransactionCount(tx.from, "latest");
+      if (latestNonce > tx.nonce) {
+        await sleep(this.pollInterval);
+        for (const candidate of sent) {
+          const receipt = await this.provider.getTransactionReceipt(candidate.hash);
+          if (receipt) return this._confirm(receipt, candidate, decodeError);
+        }
+        throw new TransactionError("TRANSACTION_REPLACED", `Nonce ${tx.nonce} was used by another transaction`, { hash: tx.hash, nonce: tx.nonce });
+      }
+
+      if (this.stuckTimeout > 0 && Date.now() - lastSent >= this.stuckTimeout) {
+        if (replacements >= this.maxReplacements) {
+          throw new TransactionError("TIMEOUT", `Transaction ${sent[sent.length - 1].hash} not mined after ${replacements} replacements`, { hash: sent[sent.length - 1].hash, nonce: tx.nonce });
+        }
+        const current = sent[sent.length - 1];
+        const replacement = { ...current, ...this._bumpFees(current, await this.getFees()) };
+        delete replacement.hash;
+        const next = await this._broadcastWithRetry(replacement, decodeError, tx.nonce);
+        sent.push(next);
+        replacements++;
+        lastSent = Date.now();
+        this.log(`   ⏫ Nonce ${tx.nonce} not mined after ${this.stuckTimeout / 1000}s, replaced ${current.hash} with ${next.hash}`);
+        if (onSubmitted) await onSubmitted(next.hash);
+      }
+
+      await sleep(this.pollInterval);
+    }
+  }
+
+  async _confirm(receipt, tx, decodeError) {
+    if (this.confirmations > 1) {
+      receipt = (await this.provider.waitForTransaction(receipt.hash, this.confirmations)) || receipt;
+    }
+    if (receipt.status === 1) return receipt;
+
+    // Replay the call on the block's parent state to recover the revert reason
+    let cause = null;
+    try {
+      await this.provider.call({ to: tx.to, from: tx.from, data: tx.data, value: tx.value, blockTag: receipt.blockNumber - 1 });
+    } catch (error) {
+      cause = decodeError(error);
+    }
+    if (cause instanceof TransactionError) {
+      Object.assign(cause, { hash: receipt.hash, nonce: tx.nonce, receipt });
+      throw cause;
+    }
+    throw new TransactionError("CALL_EXCEPTION", `Transaction ${receipt.hash} reverted`, {
+      cause,
+      hash: receipt.hash,
+      nonce: tx.nonce,
+      receipt,
+    });
+  }
+
+  /**
+   * Re-sends a pending transaction with the same nonce and higher fees
+   * @param {string} hash
+   * @returns {Promise<ethers.TransactionReceipt>}
+   */
+  async speedUp(hash) {
+    const tx = await this.getPending(hash);
+    const replacement = {
+      to: tx.to, from: tx.from, data: tx.data, value: tx.value, gasLimit: tx.gasLimit, chainId: tx.chainId,
+      ...(await this.replacementFees(tx)),
+    };
+    const sent = await this._broadcastWithRetry(replacement, (error) => error, tx.nonce);
+    return this._waitMined(sent, {});
+  }
+
+  /**
+   * Replaces a pending transaction with an empty transfer to self
+   * @param {string} hash
+   * @returns {Promise<ethers.TransactionReceipt>}
+   */
+  async cancel(hash) {
+    const tx = await this.getPending(hash);
+    const replacement = {
+      to: tx.from, from: tx.from, data: "0x", value: 0n, gasLimit: 21_000n, chainId: tx.chainId,
+      ...(await this.replacementFees(tx)),
+    };
+    const sent = await this._broadcastWithRetry(replacement, (error) => error, tx.nonce);
+    return this._waitMined(sent, {});
+  }
+
+  /**
+   * Fees a replacement of `tx` must offer: the bumped fees or the current ones, whichever is higher
+   */
+  async replacementFees(tx) {
+    return this._bumpFees(tx, await this.getFees());
+  }
+
+  /**
+   * A pending transaction sent by this manager's signer
+   */
+  async getPending(hash) {
+    const tx = await this.provider.getTransaction(hash);
+    const from = await this.signer.getAddress();
+    if (!tx) throw new TransactionError("UNKNOWN_TRANSACTION", `Transaction ${hash} is not known to the node`, { hash });
+    if (ethers.getAddress(tx.from) !== from) {
+      throw new TransactionError("NOT_SENDER", `Transaction ${hash} was sent by ${tx.from}, not ${from}`, { hash, nonce: tx.nonce });
+    }
+    if (tx.blockNumber !== null) {
+      throw new TransactionError("ALREADY_MINED", `Transaction ${hash} is already mined in block ${tx.blockNumber}`, { hash, nonce: tx.nonce });
+    }
+    return tx;
+  }
+
+  _toTransactionError(error, { nonce = null } = {}) {
+    if (error instanceof TransactionError) {
+      if (error.nonce === null) error.nonce = nonce;
+      return error;
+    }
+    return new TransactionError(errorCode(error), error.shortMessage || error.message, {
+      cause: error,
+      nonce,
+      reason: error.reason ?? null,
+    });
+  }
+}
+
+module.exports = { TransactionManager, TransactionError };
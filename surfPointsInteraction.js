@@ -1,563 +1,2455 @@
+#!/usr/bin/env node
 // surfPointsInteraction.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseArgs } = require("util");
 const { ethers } = require("ethers");
+const { describeSigner, loadConfig, requireConfig, requireKeeperKeys, verifyChainId } = require("./src/config");
+const { SurfPointsClient } = require("./src/surfPointsClient");
+const { TransactionManager, TransactionError } = require("./src/txManager");
+const { createSigner, getSignerAddress } = require("./src/signers");
+const { SafeBatch } = require("./src/safeProposal");
+const { normalizeEntries, readImportFile, runImport } = require("./src/pointsImport");
+const { loadRuleset, normalizeSessions, readSessionsFile, scoreSessions } = require("./src/scoring");
+const { formatSimulation } = require("./src/simulation");
+const { EventIndexer, buildState, getIndexedClaimStatus } = require("./src/indexer");
+const { ClaimKeeper } = require("./src/claimKeeper");
+const {
+  Notifier,
+  createEmailChannel,
+  createStdoutChannel,
+  createWebhookChannel,
+  readTemplates,
+  subscribe,
+  unsubscribe,
+} = require("./src/notifier");
+const { assessSolvency, holdingsFromState, postWebhook, readHoldings } = require("./src/treasury");
+const { previewLockPeriodChange } = require("./src/lockPeriod");
+const { adminsFromEvents, appendChangeLog, auditAdmins, planSync, readPolicy } = require("./src/adminPolicy");
+const { MISMATCHES, accountsFromState, readAccounts, readForfeits, reconcile, writeCorrections, writeReport } = require("./src/reconcile");
+const { diffSnapshots, readSnapshot, resolveBlock, snapshotFromState, takeSnapshot, writeSnapshot } = require("./src/snapshot");
+const { REPORT_VERSION, pendingCoverage, readBalances, readIncidentReport, signReport, writeIncidentReport } = require("./src/incident");
+const { sleep } = require("./src/retry");
+const { PointsQueue, createApiServer } = require("./src/apiServer");
+const { createPortalServer } = require("./src/portalServer");
+const { MetricsCollector, createMetricsServer, readMetrics } = require("./src/metrics");
+const { AmountError, TokenUnits } = require("./src/amounts");
+const { SURF_POINTS_ABI } = require("./src/abi");
+const { checkSelectors, compareAbis, compareBytecode, getImplementationAddress, readArtifact } = require("./src/abiCheck");
 
 /**
- * Interaction script for SurfPoints contract with 14-day vesting
+ * Command-line interface for SurfPoints contract with 14-day vesting
+ *
+ * Usage: surfpoints <command> [arguments] [--network <name>] [--json]
+ * Run `surfpoints --help` for the list of commands.
+ *
+ * Addresses, RPC URL and private keys come from src/config.js
+ * (environment, config/<network>.json, surfpoints-deployment.json).
  */
 
-// CONFIGURATION
-const SURF_POINTS_CONTRACT_ADDRESS = "0xYourSurfPointsContractAddressHere";
-const SURF_TOKEN_ADDRESS = "0xYourSurfTokenAddressHere";
-
-const OWNER_PRIVATE_KEY = "0xYourOwnerPrivateKeyHere";
-const ADMIN_PRIVATE_KEY = "0xYourAdminPrivateKeyHere";
-const USER_PRIVATE_KEY = "0xYourUserPrivateKeyHere";
-
-// Connect to provider
-const provider = new ethers.JsonRpcProvider("https://endpoints.omniatech.io/v1/eth/holesky/public");
-
-// Create wallets
-const ownerWallet = new ethers.Wallet(OWNER_PRIVATE_KEY, provider);
-const adminWallet = new ethers.Wallet(ADMIN_PRIVATE_KEY, provider);
-const userWallet = new ethers.Wallet(USER_PRIVATE_KEY, provider);
-
-// SurfPoints ABI (Complete)
-const SURF_POINTS_ABI = [
-  // Admin Management
-  "function addAdmin(address _admin) external",
-  "function removeAdmin(address _admin) external",
-  "function isAdmin(address account) external view returns (bool)",
-  "function updateClaimLockPeriod(uint256 _newLockPeriod) external",
-
-  // Points Management
-  "function recordSurfPoints(address _user, uint256 _points) external",
-  "function batchRecordSurfPoints(address[] calldata _users, uint256[] calldata _points) external",
-
-  // Claim & Withdraw
-  "function claimSurfPoints() external",
-  "function withdrawClaim(uint256 _claimId) external",
-  "function skipClaimRewards() external",
-
-  // Token Management
-  "function depositSurfToken(uint256 _amount) external",
-  "function withdrawSurfToken(uint256 _amount) external",
-  "function updateSurfTokenAddress(address _newSurfToken) external",
-
-  // Emergency Functions
-  "function emergencyWithdrawToken(address _token, uint256 _amount) external",
-  "function emergencyWithdrawNative() external",
-
-  // Pause Functions
-  "function pause() external",
-  "function unpause() external",
-
-  // View Functions
-  "function getUserPoints(address _user) external view returns (uint256)",
-  "function getUserInfo(address _user) external view returns (uint256 points, uint256 claimCount)",
-  "function getClaimInfo(address _user, uint256 _claimId) external view returns (uint256 amount, uint256 claimTime, uint256 unlockTime, bool withdrawn, bool canWithdraw)",
-  "function getPendingClaims(address _user) external view returns (uint256[] memory claimIds, uint256[] memory amounts, uint256[] memory unlockTimes, bool[] memory canWithdraw)",
-  "function getWithdrawableClaims(address _user) external view returns (uint256[] memory)",
-  "function getContractBalance() external view returns (uint256)",
-  "function getContractStats() external view returns (uint256 totalDistributed, uint256 totalClaimed, uint256 contractBalance)",
-  "function getAllUsersClaimStatus() external view returns (address[] memory claimedUsers, uint256[] memory claimedAmounts, address[] memory pendingUsers, uint256[] memory pendingAmounts)",
-  "function getTotalUsersCount() external view returns (uint256)",
-
-  // Contract Info
-  "function version() external pure returns (string memory)",
-  "function owner() external view returns (address)",
-  "function surfToken() external view returns (address)",
-  "function claimLockPeriod() external view returns (uint256)",
-
-  // Public State Variables
-  "function userSurfPoints(address user) external view returns (uint256)",
-  "function hasSkippedClaim(address user) external view returns (bool)",
-  "function userClaimCount(address user) external view returns (uint256)",
-  "function userTotalClaimed(address user) external view returns (uint256)",
-  "function totalPointsDistributed() external view returns (uint256)",
-  "function totalTokensClaimed() external view returns (uint256)",
-  "function allUsers(uint256 index) external view returns (address)",
-  "function isUserTracked(address user) external view returns (bool)"
-];
-
-const ERC20_ABI = [
-  "function approve(address spender, uint256 amount) external returns (bool)",
-  "function balanceOf(address account) external view returns (uint256)"
-];
-
-const contractAsOwner = new ethers.Contract(SURF_POINTS_CONTRACT_ADDRESS, SURF_POINTS_ABI, ownerWallet);
-const contractAsAdmin = new ethers.Contract(SURF_POINTS_CONTRACT_ADDRESS, SURF_POINTS_ABI, adminWallet);
-const contractAsUser = new ethers.Contract(SURF_POINTS_CONTRACT_ADDRESS, SURF_POINTS_ABI, userWallet);
-
-const surfTokenAsOwner = new ethers.Contract(SURF_TOKEN_ADDRESS, ERC20_ABI, ownerWallet);
+// ========== CONNECTION ==========
 
-// ========== OWNER FLOW ==========
+/**
+ * Thrown for invalid command-line usage (exit code 2)
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+// Set by connect() before a command runs
+let config;
+let provider;
+const signers = {};
+// Set by --propose: owner transactions go to this Safe batch file instead of the chain
+let proposer = null;
+// One transaction manager per signer, so nonces are tracked across all clients of a wallet
+const txManagers = new Map();
+const txSettings = { confirmations: 1, maxFeePerGas: null, maxPriorityFeePerGas: null };
+// SURF decimals and symbol, read on first use by getUnits()
+let surfUnits = null;
+
+/**
+ * Loads the network configuration and checks the RPC endpoint is on the expected chain
+ */
+async function connect({ network, configFile }) {
+  config = loadConfig({ network, configFile });
+  surfUnits = null;
+  // No request cache: back-to-back transactions must not reuse a cached nonce
+  provider = new ethers.JsonRpcProvider(requireConfig(config, "rpcUrl"), undefined, { cacheTimeout: -1 });
+  await verifyChainId(provider, config);
+}
+
+/**
+ * Returns the signer for a role ("owner", "admin" or "user"), creating it on first use
+ * so that commands only unlock the signers they actually use. The signer is a
+ * private key, keystore or external signer (see src/signers.js).
+ */
+function getSigner(role) {
+  if (!signers[role]) {
+    signers[role] = createSigner(config, role, provider);
+  }
+  return signers[role];
+}
+
+/**
+ * Address of a role without unlocking its signer; with --propose the owner is the Safe
+ */
+async function getRoleAddress(role) {
+  if (role === "owner" && proposer) return proposer.safeAddress;
+  if (signers[role]) return (await signers[role]).getAddress();
+  return getSignerAddress(config, role, provider);
+}
+
+/**
+ * SurfPointsClient signing as `role`, or read-only when no role is given.
+ * With --dry-run every write is simulated and printed instead of sent; with
+ * --propose owner writes are added to the Safe batch file.
+ */
+async function getClient(role) {
+  if (role === "owner" && proposer) return getClientFor(provider, { proposer, onPropose: logProposal });
+  return getClientFor(role ? await getSigner(role) : provider);
+}
+
+function getClientFor(runner, options = {}) {
+  return new SurfPointsClient(requireConfig(config, "surfPointsAddress"), runner, {
+    confirmations: txSettings.confirmations,
+    dryRun: output.dryRun,
+    onSimulate: logSimulation,
+    txManager: runner === provider ? undefined : getTxManager(runner),
+    ...options,
+  });
+}
+
+function getTxManager(signer) {
+  if (!txManagers.has(signer)) {
+    txManagers.set(signer, new TransactionManager(signer, { ...txSettings, log }));
+  }
+  return txManagers.get(signer);
+}
+
+/**
+ * --propose: owner transactions are checked from the Safe and written to a batch file
+ */
+async function configureProposals(values) {
+  const safeAddress = values.safe ? parseAddress(values.safe, "Safe address") : config.safeAddress;
+  if (!safeAddress) {
+    throw new UsageError("--propose needs the Safe address: pass --safe <address> or set SURFPOINTS_SAFE_ADDRESS");
+  }
+  if (output.dryRun) throw new UsageError("--propose and --dry-run cannot be combined");
+
+  const { chainId } = await provider.getNetwork();
+  proposer = new SafeBatch({ file: values.propose, safeAddress, chainId });
+  log(`📝 PROPOSE: owner transactions are added to ${proposer.file} for Safe ${safeAddress}`);
+
+  const owner = await (await getClient()).contract.owner();
+  if (owner !== safeAddress) log(`   ⚠️ The contract owner is ${owner}, not the Safe`);
+}
+
+/**
+ * Fee caps and confirmations from --max-fee / --priority-fee or the config
+ */
+function configureTransactions(values) {
+  const maxFee = values["max-fee"] ?? config.maxFeeGwei;
+  const priorityFee = values["priority-fee"] ?? config.priorityFeeGwei;
+  txSettings.confirmations = config.confirmations || 1;
+  txSettings.maxFeePerGas = maxFee === undefined ? null : parseGwei(String(maxFee), "max fee");
+  txSettings.maxPriorityFeePerGas = priorityFee === undefined ? null : parseGwei(String(priorityFee), "priority fee");
+}
+
+// ========== OUTPUT ==========
+
+const output = { json: false, dryRun: false };
+
+/**
+ * Human-readable progress output, silenced in --json mode
+ */
+function log(...args) {
+  if (!output.json) console.log(...args);
+}
+
+/**
+ * Success line after a write; in --dry-run the simulation is printed instead
+ */
+function logDone(message, ...args) {
+  const indent = message.match(/^\s*/)[0];
+  if (!output.dryRun && !proposer) log(`${indent}✅ ${message.trimStart()}`, ...args);
+}
+
+function logProposal(proposal) {
+  const call = proposal.method === null
+    ? `transfer of ${ethers.formatEther(proposal.value)} ETH to ${proposal.to}`
+    : `${proposal.method}(${proposal.args.map(String).join(", ")})`;
+  log(`   📝 Proposed ${call} as transaction #${proposal.index + 1} in ${proposal.file}`);
+  if (!proposal.checked) log("      Not checked: depends on an earlier transaction in the batch");
+}
 
-async function ownerFlow() {
-  console.log("\n========== OWNER FLOW ==========\n");
+async function logSimulation(simulation) {
+  for (const line of formatSimulation(simulation, await getUnits())) log(`   ${line}`);
+}
+
+function toJson(value) {
+  return JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+function parseAddress(value, name) {
+  if (!value || !ethers.isAddress(value)) {
+    throw new UsageError(`Invalid ${name}: ${value}`);
+  }
+  return ethers.getAddress(value);
+}
+
+function parseInteger(value, name) {
+  if (!/^\d+$/.test(value || "")) {
+    throw new UsageError(`Invalid ${name}: ${value} (expected a whole number)`);
+  }
+  return BigInt(value);
+}
+
+/**
+ * Decimals and symbol of the SURF token (see src/amounts.js), read once per run
+ */
+async function getUnits() {
+  if (!surfUnits) surfUnits = await TokenUnits.load(await (await getClient()).getSurfToken());
+  return surfUnits;
+}
 
+/**
+ * Units of any ERC20 token; amounts of a token other than SURF cannot be given in points
+ */
+async function getTokenUnits(client, token) {
+  const surfToken = await client.getSurfToken();
+  if (token === (await surfToken.getAddress())) return getUnits();
+  return TokenUnits.load(token, { runner: provider, points: false });
+}
+
+/**
+ * "1.5k SURF", "250 points" or a bare number in `unit` ("token" or "points"), in base units
+ */
+function parseAmount(units, value, name, unit = "token") {
   try {
-    // Add admin
-    console.log("1. Adding admin...");
-    const tx1 = await contractAsOwner.addAdmin(adminWallet.address);
-    await tx1.wait();
-    console.log("   ✅ Admin added");
-
-    // Approve and deposit SURF tokens
-    console.log("\n2. Depositing SURF tokens...");
-    const depositAmount = ethers.parseUnits("10000", 18);
-    const approveTx = await surfTokenAsOwner.approve(SURF_POINTS_CONTRACT_ADDRESS, depositAmount);
-    await approveTx.wait();
-
-    const tx2 = await contractAsOwner.depositSurfToken(depositAmount);
-    await tx2.wait();
-    console.log("   ✅ Deposited:", ethers.formatUnits(depositAmount, 18), "SURF");
-
-    console.log("\n✅ Owner flow completed!\n");
+    return units.parse(value, { name, unit });
   } catch (error) {
-    console.error("❌ Error:", error.message);
+    if (error instanceof AmountError) throw new UsageError(error.message);
+    throw error;
   }
 }
 
+function parseTxHash(value) {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(value || "")) {
+    throw new UsageError(`Invalid transaction hash: ${value}`);
+  }
+  return value;
+}
+
+function parseGwei(value, name) {
+  if (!/^\d+(\.\d+)?$/.test(value)) {
+    throw new UsageError(`Invalid ${name}: ${value} (expected gwei)`);
+  }
+  return ethers.parseUnits(value, "gwei");
+}
+
+/**
+ * An ISO 8601 date or date-time, or unix seconds, as unix seconds
+ */
+function parseDate(value, name) {
+  const time = /^\d+$/.test(value || "") ? Number(value) * 1000 : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new UsageError(`Invalid ${name}: ${value} (expected e.g. 2024-05-01 or 2024-05-01T12:00:00Z)`);
+  }
+  return Math.floor(time / 1000);
+}
+
+function logPendingClaims(claims, units, indent = "   ") {
+  for (const claim of claims) {
+    const unlockDate = new Date(Number(claim.unlockTime) * 1000);
+    log(`${indent}Claim ${claim.claimId}: ${units.format(claim.amount)}`);
+    log(`${indent}  Unlock: ${unlockDate.toISOString()}`);
+    log(`${indent}  Can withdraw: ${claim.canWithdraw}`);
+  }
+}
+
+// ========== OWNER FLOW ==========
+
+async function ownerFlow({ admin, amount = "10000" } = {}) {
+  log("\n========== OWNER FLOW ==========\n");
+
+  const client = await getClient("owner");
+  const units = await getUnits();
+  const depositAmount = parseAmount(units, amount, "amount");
+  const adminAddress = admin || (await getRoleAddress("admin"));
+
+  // Add admin
+  log("1. Adding admin...");
+  const addAdmin = await client.addAdmin(adminAddress);
+  logDone("   Admin added");
+
+  // Approve and deposit SURF tokens
+  log("\n2. Depositing SURF tokens...");
+  const deposit = await client.depositSurfToken(depositAmount);
+  logDone("   Deposited:", units.format(depositAmount));
+
+  log("\n✅ Owner flow completed!\n");
+  return { admin: adminAddress, deposited: depositAmount, addAdmin, deposit };
+}
+
 // ========== ADMIN FLOW ==========
 
-async function adminFlow() {
-  console.log("\n========== ADMIN FLOW ==========\n");
+async function adminFlow({ user, points }) {
+  log("\n========== ADMIN FLOW ==========\n");
 
-  try {
-    // Verify admin status
-    const isAdminStatus = await contractAsAdmin.isAdmin(adminWallet.address);
-    console.log("1. Admin status:", isAdminStatus);
+  const client = await getClient("admin");
+  const adminAddress = await client.getSignerAddress();
+  const units = await getUnits();
 
-    if (!isAdminStatus) {
-      console.log("   ⚠️ Run owner flow first");
-      return;
-    }
+  // Verify admin status
+  const isAdminStatus = await client.isAdmin(adminAddress);
+  log("1. Admin status:", isAdminStatus);
 
-    // Record points for user
-    console.log("\n2. Recording surf points...");
-    const points = 1000;
-    const tx = await contractAsAdmin.recordSurfPoints(userWallet.address, points);
-    await tx.wait();
-    console.log("   ✅ Recorded", points, "points");
+  if (!isAdminStatus) {
+    throw new Error(`${adminAddress} is not an admin. Run the setup command first`);
+  }
 
-    // Check user points
-    const userPoints = await contractAsAdmin.getUserPoints(userWallet.address);
-    console.log("   User has:", userPoints.toString(), "points");
+  // Record points for user
+  log("\n2. Recording surf points...");
+  const tx = await client.recordPoints(user, points);
+  logDone("   Recorded", units.formatPoints(points));
 
-    console.log("\n✅ Admin flow completed!\n");
-  } catch (error) {
-    console.error("❌ Error:", error.message);
+  if (tx.dryRun) return { user, recorded: points, tx };
+
+  // Check user points
+  const userPoints = await client.getUserPoints(user);
+  log("   User has:", units.formatPoints(userPoints));
+
+  log("\n✅ Admin flow completed!\n");
+  return { user, recorded: points, balance: userPoints, tx };
+}
+
+// ========== BULK IMPORT ==========
+
+async function importFlow({ file, format, chunkSize, maxGas, progressFile }) {
+  log("\n========== BULK POINTS IMPORT ==========\n");
+
+  // Validate the whole file before touching the chain
+  log("1. Reading", file, "...");
+  const { entries, duplicates, total } = normalizeEntries(readImportFile(file, format));
+  log("   Users:", entries.length, "| Total:", (await getUnits()).formatPoints(total));
+  if (duplicates.length > 0) {
+    log("   ⚠️ Merged duplicate rows for", duplicates.length, "addresses (points summed)");
   }
+  if (entries.length === 0) {
+    throw new Error(`No rows to import in ${file}`);
+  }
+
+  const client = await getClient("admin");
+  const adminAddress = await client.getSignerAddress();
+  if (!(await client.isAdmin(adminAddress))) {
+    throw new Error(`${adminAddress} is not an admin. Run the setup command first`);
+  }
+
+  log("\n2. Submitting batches (progress in", progressFile + ")...");
+  const result = await runImport({ client, entries, progressFile, chunkSize, maxGas, log });
+
+  log("\n✅ Import completed!\n");
+  return { file, users: entries.length, totalPoints: total, duplicates, progressFile, ...result };
+}
+
+// ========== SESSION SCORING ==========
+
+function saveReport(file, report) {
+  fs.writeFileSync(file, toJson(report) + "\n");
+}
+
+async function scoreFlow({ file, format, rulesFile, reportFile, record = false, chunkSize, maxGas, progressFile }) {
+  log("\n========== SURF SESSION SCORING ==========\n");
+
+  log("1. Scoring", file, "with", rulesFile, "...");
+  const ruleset = loadRuleset(rulesFile);
+  const sessions = normalizeSessions(readSessionsFile(file, format));
+  const scores = scoreSessions(sessions, ruleset);
+  log(`   Ruleset: ${ruleset.name} v${ruleset.version} (${ruleset.hash})`);
+  log(`   Sessions: ${sessions.length} (${scores.skipped.length} not qualifying) | Users: ${scores.entries.length} | Total: ${(await getUnits()).formatPoints(scores.total)}`);
+  for (const user of scores.users) {
+    const capped = user.cappedBy ? ` (capped from ${user.subtotal} by ${user.cappedBy.rule})` : "";
+    log(`   ${user.user}: ${user.points} points from ${user.sessions.length} session(s)${capped}`);
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    sessionsFile: path.resolve(file),
+    sessions: sessions.length,
+    ...scores,
+    recording: null,
+  };
+  saveReport(reportFile, report);
+  log("   Report:", reportFile);
+
+  if (!record) {
+    log("\n   Rerun with --record to record these points on-chain");
+    log("\n✅ Scoring completed!\n");
+    return { ...report, reportFile };
+  }
+  if (scores.entries.length === 0) {
+    throw new Error(`No points to record from ${file}`);
+  }
+
+  const client = await getClient("admin");
+  const adminAddress = await client.getSignerAddress();
+  if (!(await client.isAdmin(adminAddress))) {
+    throw new Error(`${adminAddress} is not an admin. Run the setup command first`);
+  }
+
+  log("\n2. Recording points (progress in", progressFile + ")...");
+  const result = await runImport({ client, entries: scores.entries, progressFile, chunkSize, maxGas, log });
+
+  // The transactions that credited the points, next to the rules that produced them
+  if (!output.dryRun) {
+    report.recording = {
+      by: adminAddress,
+      progressFile: path.resolve(progressFile),
+      transactions: result.chunks.map(({ start, end, txHash, blockNumber }) => ({
+        users: scores.entries.slice(start, end).map((entry) => entry.user),
+        txHash,
+        blockNumber,
+      })),
+    };
+    saveReport(reportFile, report);
+  }
+
+  log("\n✅ Scored points recorded!\n");
+  return { ...report, reportFile, sent: result.sent };
 }
 
 // ========== USER FLOW - CLAIM ==========
 
 async function userClaimFlow() {
-  console.log("\n========== USER CLAIM FLOW ==========\n");
+  log("\n========== USER CLAIM FLOW ==========\n");
 
-  try {
-    // Check points
-    console.log("1. Checking points...");
-    const points = await contractAsUser.getUserPoints(userWallet.address);
-    console.log("   Available points:", points.toString());
-
-    if (points.toString() === "0") {
-      console.log("   ⚠️ No points. Run admin flow first");
-      return;
-    }
+  const client = await getClient("user");
+  const userAddress = await client.getSignerAddress();
+  const units = await getUnits();
 
-    // Check if user has skipped before
-    const hasSkipped = await contractAsUser.hasSkippedClaim(userWallet.address);
-    if (hasSkipped) {
-      console.log("   ⚠️ User has skip enabled. Disable skip first to claim.");
-      console.log("   Call skipClaimRewards() to toggle skip off.");
-      return;
-    }
+  // Check points
+  log("1. Checking points...");
+  const user = await client.getUser(userAddress);
+  log("   Available points:", units.formatPoints(user.points));
 
-    // Claim points (creates vesting with configurable lock period)
-    console.log("\n2. Claiming points...");
-    const tx = await contractAsUser.claimSurfPoints();
-    const receipt = await tx.wait();
-    console.log("   ✅ Claim request created!");
-
-    const lockPeriod = await contractAsUser.claimLockPeriod();
-    console.log(`   Tokens will be available in ${Number(lockPeriod) / 86400} days`);
-
-    // Get claim info
-    const userInfo = await contractAsUser.getUserInfo(userWallet.address);
-    console.log("\n3. User info:");
-    console.log("   Remaining points:", userInfo.points.toString());
-    console.log("   Total claims:", userInfo.claimCount.toString());
-
-    // Get pending claims
-    const pendingClaims = await contractAsUser.getPendingClaims(userWallet.address);
-    console.log("\n4. Pending claims:");
-    for (let i = 0; i < pendingClaims.claimIds.length; i++) {
-      const unlockDate = new Date(Number(pendingClaims.unlockTimes[i]) * 1000);
-      console.log(`   Claim ${pendingClaims.claimIds[i]}:`);
-      console.log(`     Amount: ${pendingClaims.amounts[i]} SURF`);
-      console.log(`     Unlock: ${unlockDate.toISOString()}`);
-      console.log(`     Can withdraw: ${pendingClaims.canWithdraw[i]}`);
-    }
+  if (user.points === 0n) {
+    throw new Error("No points to claim. Record points for this user first");
+  }
 
-    console.log("\n✅ Claim flow completed!\n");
-  } catch (error) {
-    console.error("❌ Error:", error.message);
+  // Check if user has skipped before
+  if (user.hasSkipped) {
+    throw new Error("User has skip enabled. Run the skip command to toggle skip off before claiming");
   }
+
+  // Claim points (creates vesting with configurable lock period)
+  log("\n2. Claiming points...");
+  const tx = await client.claim();
+  logDone("   Claim request created!");
+
+  const lockPeriod = await client.getClaimLockPeriod();
+  log(`   Tokens will be available in ${Number(lockPeriod) / 86400} days`);
+
+  if (tx.dryRun) return { user: userAddress, claimed: user.points, lockPeriod, tx };
+
+  // Get claim info
+  const userInfo = await client.getUserInfo(userAddress);
+  log("\n3. User info:");
+  log("   Remaining points:", units.formatPoints(userInfo.points));
+  log("   Total claims:", userInfo.claimCount.toString());
+
+  // Get pending claims
+  const pendingClaims = await client.getPendingClaims(userAddress);
+  log("\n4. Pending claims:");
+  logPendingClaims(pendingClaims, units);
+
+  log("\n✅ Claim flow completed!\n");
+  return {
+    user: userAddress,
+    claimed: user.points,
+    lockPeriod,
+    claimCount: userInfo.claimCount,
+    pendingClaims,
+    tx,
+  };
 }
 
 // ========== USER FLOW - SKIP (TOGGLE) ==========
 
 async function userSkipFlow() {
-  console.log("\n========== USER SKIP FLOW (TOGGLE) ==========\n");
+  log("\n========== USER SKIP FLOW (TOGGLE) ==========\n");
 
-  try {
-    // Check current skip status
-    const hasSkipped = await contractAsUser.hasSkippedClaim(userWallet.address);
-    console.log("1. Current skip status:", hasSkipped ? "ENABLED" : "DISABLED");
-
-    // Check if already claimed
-    const claimCount = await contractAsUser.userClaimCount(userWallet.address);
-    if (claimCount > 0) {
-      console.log("   ⚠️ Cannot toggle skip - user has already claimed before");
-      return;
-    }
+  const client = await getClient("user");
+  const userAddress = await client.getSignerAddress();
+  const units = await getUnits();
 
-    if (!hasSkipped) {
-      // Enabling skip
-      const points = await contractAsUser.getUserPoints(userWallet.address);
-      console.log("   Available points:", points.toString());
+  // Check current skip status
+  const user = await client.getUser(userAddress);
+  log("1. Current skip status:", user.hasSkipped ? "ENABLED" : "DISABLED");
 
-      if (points.toString() === "0") {
-        console.log("   ⚠️ No points to skip");
-        return;
-      }
+  // Check if already claimed
+  if (user.claimCount > 0n) {
+    throw new Error("Cannot toggle skip - user has already claimed before");
+  }
 
-      console.log("\n2. Enabling skip (forfeiting points)...");
-      console.log("   ⚠️ WARNING: This will forfeit", points.toString(), "points!");
-      console.log("   You can toggle skip off later to claim again.");
+  let tx;
+  let forfeited = 0n;
 
-      const tx = await contractAsUser.skipClaimRewards();
-      await tx.wait();
-      console.log("   ✅ Skip enabled! Points forfeited.");
+  if (!user.hasSkipped) {
+    // Enabling skip
+    log("   Available points:", units.formatPoints(user.points));
 
-      // Verify status
-      const hasSkippedNow = await contractAsUser.hasSkippedClaim(userWallet.address);
-      const remainingPoints = await contractAsUser.getUserPoints(userWallet.address);
-      console.log("\n3. Updated status:");
-      console.log("   Skip enabled:", hasSkippedNow);
-      console.log("   Remaining points:", remainingPoints.toString());
-    } else {
-      // Disabling skip
-      console.log("\n2. Disabling skip...");
-      console.log("   This will allow you to claim rewards again.");
-
-      const tx = await contractAsUser.skipClaimRewards();
-      await tx.wait();
-      console.log("   ✅ Skip disabled! You can now claim rewards.");
-
-      // Verify status
-      const hasSkippedNow = await contractAsUser.hasSkippedClaim(userWallet.address);
-      console.log("\n3. Updated status:");
-      console.log("   Skip enabled:", hasSkippedNow);
+    if (user.points === 0n) {
+      throw new Error("No points to skip");
     }
 
-    console.log("\n✅ Skip flow completed!\n");
-  } catch (error) {
-    console.error("❌ Error:", error.message);
+    log("\n2. Enabling skip (forfeiting points)...");
+    log("   ⚠️ WARNING: This will forfeit", `${units.formatPoints(user.points)}!`);
+    log("   You can toggle skip off later to claim again.");
+
+    tx = await client.toggleSkip();
+    forfeited = user.points;
+    logDone("   Skip enabled! Points forfeited.");
+  } else {
+    // Disabling skip
+    log("\n2. Disabling skip...");
+    log("   This will allow you to claim rewards again.");
+
+    tx = await client.toggleSkip();
+    logDone("   Skip disabled! You can now claim rewards.");
   }
+
+  if (tx.dryRun) return { user: userAddress, pointsForfeited: forfeited, tx };
+
+  // Verify status
+  const updated = await client.getUser(userAddress);
+  log("\n3. Updated status:");
+  log("   Skip enabled:", updated.hasSkipped);
+  log("   Remaining points:", units.formatPoints(updated.points));
+
+  log("\n✅ Skip flow completed!\n");
+  return {
+    user: userAddress,
+    skipEnabled: updated.hasSkipped,
+    pointsForfeited: forfeited,
+    remainingPoints: updated.points,
+    tx,
+  };
 }
 
 // ========== USER FLOW - WITHDRAW ==========
 
-async function userWithdrawFlow() {
-  console.log("\n========== USER WITHDRAW FLOW ==========\n");
+async function userWithdrawFlow({ all = false, claimId } = {}) {
+  log("\n========== USER WITHDRAW FLOW ==========\n");
 
-  try {
-    // Get withdrawable claims
-    console.log("1. Checking withdrawable claims...");
-    const withdrawableIds = await contractAsUser.getWithdrawableClaims(userWallet.address);
-
-    if (withdrawableIds.length === 0) {
-      console.log("   ⚠️ No claims ready to withdraw");
-      console.log("   Claims must wait 14 days from claim time");
-
-      // Show pending claims
-      const pendingClaims = await contractAsUser.getPendingClaims(userWallet.address);
-      if (pendingClaims.claimIds.length > 0) {
-        console.log("\n   Pending claims:");
-        for (let i = 0; i < pendingClaims.claimIds.length; i++) {
-          const unlockDate = new Date(Number(pendingClaims.unlockTimes[i]) * 1000);
-          const now = new Date();
-          const timeLeft = unlockDate - now;
-          const daysLeft = Math.ceil(timeLeft / (1000 * 60 * 60 * 24));
-
-          console.log(`   Claim ${pendingClaims.claimIds[i]}: ${pendingClaims.amounts[i]} SURF`);
-          console.log(`     Unlocks in: ${daysLeft} days (${unlockDate.toISOString()})`);
-        }
+  const client = await getClient("user");
+  const userAddress = await client.getSignerAddress();
+
+  // Get withdrawable claims
+  log("1. Checking withdrawable claims...");
+  const withdrawableIds = await client.getWithdrawableClaims(userAddress);
+  const targetIds = all ? withdrawableIds : withdrawableIds.filter((id) => id === claimId);
+
+  if (targetIds.length === 0) {
+    if (!all) {
+      throw new Error(`Claim ${claimId} is not ready to withdraw`);
+    }
+
+    log("   ⚠️ No claims ready to withdraw");
+    log("   Claims must wait for the lock period from claim time");
+
+    // Show pending claims
+    const pendingClaims = await client.getPendingClaims(userAddress);
+    if (pendingClaims.length > 0) {
+      const units = await getUnits();
+      log("\n   Pending claims:");
+      for (const claim of pendingClaims) {
+        const unlockDate = new Date(Number(claim.unlockTime) * 1000);
+        const timeLeft = unlockDate - new Date();
+        const daysLeft = Math.ceil(timeLeft / (1000 * 60 * 60 * 24));
+
+        log(`   Claim ${claim.claimId}: ${units.format(claim.amount)}`);
+        log(`     Unlocks in: ${daysLeft} days (${unlockDate.toISOString()})`);
       }
-      return;
     }
+    return { user: userAddress, withdrawn: [], pendingClaims };
+  }
+
+  log("   ✅ Found", targetIds.length, "withdrawable claims");
+
+  // Withdraw claims one by one
+  const withdrawn = [];
+  log("\n2. Withdrawing claims...");
+  for (const id of targetIds) {
+    const tx = await client.withdraw(id);
+    logDone(`   Claim ${id} withdrawn!`);
+    withdrawn.push({ claimId: id, tx });
+  }
+
+  log("\n✅ Withdraw flow completed!\n");
+  return { user: userAddress, withdrawn };
+}
 
-    console.log("   ✅ Found", withdrawableIds.length, "withdrawable claims");
+// ========== EMERGENCY FUNCTIONS ==========
 
-    // Withdraw claims one by one
-    console.log("\n2. Withdrawing claims...");
-    for (let i = 0; i < withdrawableIds.length; i++) {
-      const claimId = withdrawableIds[i];
-      const tx = await contractAsUser.withdrawClaim(claimId);
-      await tx.wait();
-      console.log(`   ✅ Claim ${claimId} withdrawn!`);
+async function emergencyFunctions({ action, token, amount }) {
+  log("\n========== EMERGENCY FUNCTIONS ==========\n");
+  log("⚠️ Use these only in emergencies!\n");
+
+  const client = await getClient("owner");
+  let tx;
+
+  switch (action) {
+    case "pause":
+      log("1. Pausing contract...");
+      tx = await client.pause();
+      logDone("   Contract paused");
+      break;
+
+    case "unpause":
+      log("1. Unpausing contract...");
+      tx = await client.unpause();
+      logDone("   Contract unpaused");
+      break;
+
+    case "withdraw-token": {
+      const units = await getTokenUnits(client, token);
+      amount = parseAmount(units, amount, "amount");
+      log("1. Emergency withdrawing", units.format(amount), "of token", token, "...");
+      tx = await client.emergencyWithdrawToken(token, amount);
+      logDone("   Emergency withdrawal complete");
+      break;
     }
 
-    console.log("\n✅ Withdraw flow completed!\n");
-  } catch (error) {
-    console.error("❌ Error:", error.message);
+    case "withdraw-native":
+      log("1. Emergency withdrawing native ETH...");
+      tx = await client.emergencyWithdrawNative();
+      logDone("   Native ETH withdrawn");
+      break;
+
+    default:
+      throw new UsageError(`Unknown emergency action: ${action}`);
   }
+
+  log("");
+  return { action, token, amount, tx };
 }
 
-// ========== EMERGENCY FUNCTIONS ==========
+// ========== INCIDENT RESPONSE ==========
 
-async function emergencyFunctions() {
-  console.log("\n========== EMERGENCY FUNCTIONS ==========\n");
-  console.log("⚠️ Use these only in emergencies!\n");
+function check(name, ok, details = null) {
+  log(`   ${ok ? "✅" : "❌"} ${name}${!ok && details ? `: ${details}` : ""}`);
+  return { name, ok, details: ok ? null : details };
+}
 
-  try {
-    // Example: Pause contract
-    // console.log("1. Pausing contract...");
-    // const tx1 = await contractAsOwner.pause();
-    // await tx1.wait();
-    // console.log("   ✅ Contract paused");
-
-    // Example: Unpause contract
-    // console.log("\n2. Unpausing contract...");
-    // const tx2 = await contractAsOwner.unpause();
-    // await tx2.wait();
-    // console.log("   ✅ Contract unpaused");
-
-    // Example: Emergency withdraw SURF tokens
-    // const amount = ethers.parseUnits("100", 18);
-    // const tx3 = await contractAsOwner.emergencyWithdrawToken(SURF_TOKEN_ADDRESS, amount);
-    // await tx3.wait();
-    // console.log("   ✅ Emergency withdrawal complete");
-
-    // Example: Emergency withdraw native ETH
-    // const tx4 = await contractAsOwner.emergencyWithdrawNative();
-    // await tx4.wait();
-    // console.log("   ✅ Native ETH withdrawn");
-
-    console.log("Emergency functions are commented out for safety.");
-    console.log("Uncomment as needed for emergencies.\n");
-  } catch (error) {
-    console.error("❌ Error:", error.message);
+function recordStep(steps, step, result, details = {}) {
+  steps.push({ step, ...details, hash: result.hash || null, blockNumber: result.blockNumber || null });
+  return result;
+}
+
+/**
+ * Balances of the contract and, when funds are moved, of their destination
+ */
+async function readIncidentBalances(client, destination) {
+  const balances = { paused: await client.isPaused(), contract: await readBalances(client, client.address) };
+  if (destination) balances.destination = await readBalances(client, destination);
+  return balances;
+}
+
+async function signOff(report, by, file) {
+  const signed = await signReport({ version: REPORT_VERSION, ...report }, await getSigner("owner"), by);
+  writeIncidentReport(file, signed);
+  log(`\n   Report signed off by ${by} (${signed.signOff.signer}) and written to ${file}`);
+  return signed;
+}
+
+async function incidentFlow({ reason, destination = null, indexed = false, reportFile, by = os.userInfo().username }) {
+  log("\n========== INCIDENT RESPONSE ==========\n");
+  if (reason) log("Reason:", reason, "\n");
+
+  const client = await getClient("owner");
+  const reader = await getClient();
+  const units = await getUnits();
+  const owner = await getRoleAddress("owner");
+  const executed = !output.dryRun && !proposer;
+  const startedAt = new Date().toISOString();
+  const steps = [];
+
+  log("1. Taking the pre-incident snapshot...");
+  const block = await getLatestBlock();
+  const snapshot = await snapshotAt(block, indexed);
+  const base = reportFile ? reportFile.replace(/\.json$/, "") : `surfpoints-incident-${config.network}-${block.blockNumber}`;
+  const snapshotFile = `${base}.snapshot.json`;
+  writeSnapshot(snapshotFile, snapshot);
+  const before = await readIncidentBalances(reader, destination);
+  log(`   Block ${block.blockNumber}: ${snapshot.totals.users} users, ${units.format(snapshot.totals.unwithdrawn)} in pending claims (${snapshotFile})`);
+  log(`   Contract balance: ${units.format(before.contract.surf)}, ${ethers.formatEther(before.contract.native)} ETH`);
+
+  log("2. Pausing the contract...");
+  if (before.paused) {
+    log("   Already paused");
+    steps.push({ step: "pause", skipped: "already paused" });
+  } else {
+    recordStep(steps, "pause", await client.pause());
+    logDone("   Contract paused");
+  }
+
+  if (!destination) {
+    log("3. Funds stay in the contract (no --move-funds)");
+  } else {
+    log(`3. Moving the funds to ${destination}...`);
+    const { surf, native } = before.contract;
+    const tokenAddress = await (await reader.getSurfToken()).getAddress();
+    if (surf > 0n) {
+      recordStep(steps, "withdraw-token", await client.emergencyWithdrawToken(tokenAddress, surf), { amount: surf });
+      logDone(`   Withdrew ${units.format(surf)} to the owner`);
+    }
+    if (native > 0n) {
+      recordStep(steps, "withdraw-native", await client.emergencyWithdrawNative(), { amount: native });
+      logDone(`   Withdrew ${ethers.formatEther(native)} ETH to the owner`);
+    }
+
+    // Emergency withdrawals pay the owner; a wallet owner forwards them to the destination
+    if (destination !== owner) {
+      if (surf > 0n) {
+        const skipCall = executed ? undefined : "depends on the emergency withdrawal above";
+        recordStep(steps, "forward-token", await client.transferSurfToken(destination, surf, { skipCall }), { amount: surf, to: destination });
+        logDone(`   Sent ${units.format(surf)} to ${destination}`);
+      }
+      if (native > 0n) {
+        const skipCall = executed ? undefined : "depends on the emergency withdrawal above";
+        const result = recordStep(steps, "forward-native", await client.sendNative(destination, native, { skipCall }), { amount: native, to: destination });
+        if (result.dryRun) log(`   🔍 DRY RUN transfer of ${ethers.formatEther(native)} ETH from ${owner} to ${destination} (not checked: ${skipCall})`);
+        logDone(`   Sent ${ethers.formatEther(native)} ETH to ${destination}`);
+      }
+    }
   }
+
+  if (!executed) {
+    log("\nNothing was sent: no verification and no report.\n");
+    return { snapshotFile, blockNumber: block.blockNumber, before, steps };
+  }
+
+  log("4. Verifying...");
+  const after = await readIncidentBalances(reader, destination);
+  const checks = [check("contract paused", after.paused)];
+  if (destination) {
+    checks.push(check("no SURF left in the contract", after.contract.surf === 0n, `${units.format(after.contract.surf)} left`));
+    checks.push(check("no ETH left in the contract", after.contract.native === 0n, `${ethers.formatEther(after.contract.native)} ETH left`));
+    const received = after.destination.surf - before.destination.surf;
+    checks.push(check(`${destination} received the SURF`, received === before.contract.surf, `received ${units.format(received)} of ${units.format(before.contract.surf)}`));
+    if (destination !== owner) {
+      const receivedNative = after.destination.native - before.destination.native;
+      checks.push(check(`${destination} received the ETH`, receivedNative === before.contract.native, `received ${ethers.formatEther(receivedNative)} of ${ethers.formatEther(before.contract.native)} ETH`));
+    }
+  }
+  const diff = diffSnapshots(snapshot, await snapshotAt(await getLatestBlock(), indexed));
+  checks.push(check("user points and claims unchanged", diff.users.length === 0, `changed: ${diff.users.map((user) => user.address).join(", ")}`));
+
+  const ok = checks.every((result) => result.ok);
+  const report = await signOff({
+    type: "incident",
+    network: config.network,
+    chainId: String(config.chainId),
+    contract: reader.address,
+    reason: reason || null,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    snapshot: { file: path.basename(snapshotFile), blockNumber: block.blockNumber, totals: snapshot.totals },
+    destination,
+    before,
+    steps,
+    after,
+    checks,
+    ok,
+  }, by, `${base}.json`);
+
+  if (!ok) process.exitCode = 1;
+  log(ok ? "\n✅ Contract paused and verified\n" : "\n❌ Some checks failed (see above)\n");
+  return { file: `${base}.json`, snapshotFile, ...report };
+}
+
+async function recoverFlow({ incidentFile, force = false, indexed = false, reportFile, by = os.userInfo().username }) {
+  log("\n========== RECOVERY ==========\n");
+
+  const client = await getClient("owner");
+  const reader = await getClient();
+  const units = await getUnits();
+  const executed = !output.dryRun && !proposer;
+  const startedAt = new Date().toISOString();
+  const steps = [];
+
+  let incident = null;
+  if (incidentFile) {
+    incident = readIncidentReport(incidentFile);
+    if (incident.contract !== reader.address) {
+      throw new Error(`${incidentFile} is about ${incident.contract}, not ${reader.address}`);
+    }
+    log(`Incident report: ${incidentFile}, signed off by ${incident.signOff.by} (${incident.signOff.signer})\n`);
+  }
+
+  log("1. Checking that every pending claim can be paid...");
+  const block = await getLatestBlock();
+  const snapshot = await snapshotAt(block, indexed);
+  const before = await readIncidentBalances(reader, null);
+  const coverage = pendingCoverage(snapshot, before.contract.surf);
+  log(`   ${coverage.claims} pending claims for ${units.format(coverage.pendingClaims)}; the contract holds ${units.format(coverage.balance)}`);
+  const checks = [check("every pending claim can be paid", coverage.covered, `short by ${units.format(coverage.shortfall)}`)];
+  if (incident) {
+    const diff = diffSnapshots(readSnapshot(path.join(path.dirname(incidentFile), incident.snapshot.file)), snapshot);
+    checks.push(check("user points and claims unchanged since the incident", diff.users.length === 0, `changed: ${diff.users.map((user) => user.address).join(", ")}`));
+  }
+
+  if (!checks.every((result) => result.ok) && !force) {
+    log(`\n❌ Not unpausing. Deposit the shortfall (\`surfpoints treasury --top-up\`) and rerun, or rerun with --force\n`);
+    process.exitCode = 1;
+    return { unpaused: false, coverage, checks };
+  }
+
+  log("2. Unpausing the contract...");
+  if (!before.paused) {
+    log("   Not paused");
+    steps.push({ step: "unpause", skipped: "not paused" });
+  } else {
+    recordStep(steps, "unpause", await client.unpause());
+    logDone("   Contract unpaused");
+  }
+
+  if (!executed) {
+    log("\nNothing was sent: no verification and no report.\n");
+    return { unpaused: false, coverage, checks, steps };
+  }
+
+  log("3. Verifying...");
+  const after = await readIncidentBalances(reader, null);
+  checks.push(check("contract unpaused", !after.paused));
+  const afterCoverage = pendingCoverage(snapshot, after.contract.surf);
+  checks.push(check("every pending claim can still be paid", afterCoverage.covered, `short by ${units.format(afterCoverage.shortfall)}`));
+
+  const ok = checks.every((result) => result.ok);
+  const file = reportFile || `surfpoints-recovery-${config.network}-${block.blockNumber}.json`;
+  const report = await signOff({
+    type: "recovery",
+    network: config.network,
+    chainId: String(config.chainId),
+    contract: reader.address,
+    incident: incident ? { file: path.basename(incidentFile), hash: incident.signOff.hash } : null,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    forced: force,
+    coverage: afterCoverage,
+    before,
+    steps,
+    after,
+    checks,
+    ok,
+  }, by, file);
+
+  if (!ok) process.exitCode = 1;
+  log(ok ? "\n✅ Contract unpaused and every pending claim is covered\n" : "\n❌ Some checks failed (see above)\n");
+  return { file, unpaused: !after.paused, ...report };
 }
 
 // ========== ADMIN MANAGEMENT ==========
 
-async function adminManagement() {
-  console.log("\n========== ADMIN MANAGEMENT ==========\n");
+async function adminManagement({ action = "status", address, lockPeriodDays } = {}) {
+  log("\n========== ADMIN MANAGEMENT ==========\n");
+
+  const client = await getClient("owner");
+  const result = { action };
+
+  if (action === "add") {
+    result.tx = await client.addAdmin(address);
+    result.address = address;
+    logDone("Admin added:", address);
+  } else if (action === "remove") {
+    result.tx = await client.removeAdmin(address);
+    result.address = address;
+    logDone("Admin removed:", address);
+  } else if (action === "lock-period") {
+    const newLockPeriod = lockPeriodDays * 24n * 60n * 60n; // days in seconds
+    result.tx = await client.updateClaimLockPeriod(newLockPeriod);
+    result.lockPeriod = newLockPeriod;
+    logDone("Claim lock period updated to:", lockPeriodDays.toString(), "days");
+  } else if (action !== "status") {
+    throw new UsageError(`Unknown admin action: ${action}`);
+  }
+
+  // Check admin status
+  const ownerAddress = await getRoleAddress("owner");
+  const adminAddress = await getRoleAddress("admin");
+  const ownerIsAdmin = await client.isAdmin(ownerAddress);
+  const adminIsAdmin = await client.isAdmin(adminAddress);
+  log("\nAdmin status checks:");
+  log("  Owner is admin:", ownerIsAdmin);
+  log("  Admin wallet is admin:", adminIsAdmin);
+
+  // Check current lock period
+  const lockPeriod = await client.getClaimLockPeriod();
+  log("\nClaim lock period:", Number(lockPeriod) / 86400, "days");
+
+  log("\n✅ Admin management complete!\n");
+  return {
+    ...result,
+    admins: { [ownerAddress]: ownerIsAdmin, [adminAddress]: adminIsAdmin },
+    claimLockPeriod: lockPeriod,
+  };
+}
+
+// ========== ADMIN POLICY ==========
+
+async function readAdminAudit(policyFile) {
+  const policy = readPolicy(policyFile);
+  log("Policy:", policy.file);
+  log(`   ${policy.admins.length} expected admin(s), sha256 ${policy.hash}`);
+
+  // The current set comes from AdminAdded / AdminRemoved events; isAdmin() confirms it at the chain head
+  const indexer = getIndexer();
+  const { newEvents } = await indexer.sync();
+  log(`   (event index ${config.indexFile}: ${indexer.store.events.length} events, ${newEvents} new, up to block ${indexer.store.lastBlock})`);
+  const admins = adminsFromEvents(indexer.store.events);
+
+  const client = await getClient();
+  const addresses = [...new Set([...admins.keys(), ...policy.admins.map(({ address }) => address)])];
+  const onChain = new Map(await Promise.all(addresses.map(async (address) => [address, await client.isAdmin(address)])));
+  return { policy, audit: auditAdmins({ policy, admins, onChain }) };
+}
+
+function logAdminAudit(audit) {
+  log("\nCurrent admins:");
+  if (audit.admins.length === 0) log("   None");
+  for (const admin of audit.admins) {
+    const since = admin.since ? `since block ${admin.since.blockNumber} (${admin.since.transactionHash})` : "grant not in the index";
+    const mark = admin.status === "ok" ? "✅" : "❌";
+    log(`   ${mark} ${admin.address}${admin.label ? ` (${admin.label})` : ""} ${since}${admin.status === "unexpected" ? ": NOT IN POLICY" : ""}`);
+  }
+  for (const admin of audit.missing) {
+    log(`   ❌ ${admin.address}${admin.label ? ` (${admin.label})` : ""}: in policy, NOT AN ADMIN`);
+  }
+  if (audit.indexMismatches.length > 0) {
+    log(`   ⚠️ The event index disagrees with isAdmin() for ${audit.indexMismatches.length} address(es); run \`surfpoints index\``);
+  }
+}
+
+async function adminAuditFlow({ policyFile }) {
+  log("\n========== ADMIN AUDIT ==========\n");
 
+  const { policy, audit } = await readAdminAudit(policyFile);
+  logAdminAudit(audit);
+
+  if (audit.ok) {
+    log("\n✅ Admins match the policy\n");
+  } else {
+    log(`\n❌ ${audit.missing.length} missing, ${audit.unexpected.length} unexpected admin(s): run \`surfpoints admin sync\`\n`);
+    process.exitCode = 1;
+  }
+  return { policy: policy.file, policyHash: policy.hash, ...audit };
+}
+
+async function adminSyncFlow({ policyFile, logFile }) {
+  log("\n========== ADMIN SYNC ==========\n");
+
+  const { policy, audit } = await readAdminAudit(policyFile);
+  logAdminAudit(audit);
+
+  const plan = planSync(audit);
+  if (plan.length === 0) {
+    log("\n✅ Admins already match the policy\n");
+    return { policy: policy.file, policyHash: policy.hash, changes: [] };
+  }
+
+  log(`\nApplying ${plan.length} change(s)...`);
+  const client = await getClient("owner");
+  const by = await getRoleAddress("owner");
+  const { chainId } = await provider.getNetwork();
+  const changes = [];
+  for (const { method, address, label } of plan) {
+    log(`   ${method}(${address})${label ? ` ${label}` : ""}`);
+    const result = method === "addAdmin" ? await client.addAdmin(address) : await client.removeAdmin(address);
+    const status = result.proposed ? "proposed" : result.dryRun ? "simulated" : "executed";
+    const change = {
+      time: new Date().toISOString(),
+      network: config.network,
+      chainId,
+      contract: client.address,
+      policy: policy.file,
+      policyHash: policy.hash,
+      method,
+      address,
+      label,
+      status,
+      by,
+      ...(status === "executed" && { transactionHash: result.hash, blockNumber: result.blockNumber }),
+      ...(status === "proposed" && { proposal: { file: result.file, index: result.index } }),
+    };
+    changes.push(change);
+    // Written per call, so an interrupted sync still logs what it did
+    if (status !== "simulated") appendChangeLog(logFile, [change]);
+    logDone(`   ${method === "addAdmin" ? "Granted" : "Revoked"} ${address}`);
+  }
+  if (!output.dryRun) log("   Change log:", logFile);
+
+  if (changes.every((change) => change.status === "executed")) {
+    const { audit: after } = await readAdminAudit(policyFile);
+    if (!after.ok) throw new Error("Admins still differ from the policy after the sync");
+    log("\n✅ Admins match the policy\n");
+  } else {
+    log("\n✅ Admin sync prepared\n");
+  }
+  return { policy: policy.file, policyHash: policy.hash, changes, logFile };
+}
+
+// ========== LOCK PERIOD PREVIEW ==========
+
+const CATEGORY_LABELS = {
+  unlocks_now: "Unlock immediately",
+  relocked: "Withdrawable now, locked again",
+  earlier: "Unlock earlier",
+  later: "Pushed back",
+  unaffected: "Unaffected",
+};
+
+function formatTime(seconds) {
+  return new Date(Number(seconds) * 1000).toISOString();
+}
+
+async function lockPeriodPreviewFlow({ lockPeriodDays, indexed = false }) {
+  log("\n========== CLAIM LOCK PERIOD PREVIEW ==========\n");
+
+  const client = await getClient();
+  const units = await getUnits();
+  const [balance, currentPeriod, block] = await Promise.all([
+    client.getContractBalance(),
+    client.getClaimLockPeriod(),
+    provider.getBlock("latest"),
+  ]);
+  const holdings = indexed ? holdingsFromState(await syncIndex()) : await readHoldings(client);
+
+  let preview;
   try {
-    // Example: Add another admin
-    // const newAdmin = "0xNewAdminAddress";
-    // const tx1 = await contractAsOwner.addAdmin(newAdmin);
-    // await tx1.wait();
-    // console.log("✅ Admin added:", newAdmin);
-
-    // Example: Remove admin
-    // const tx2 = await contractAsOwner.removeAdmin(adminWallet.address);
-    // await tx2.wait();
-    // console.log("✅ Admin removed");
-
-    // Example: Update claim lock period
-    // const newLockPeriod = 7 * 24 * 60 * 60; // 7 days in seconds
-    // const tx3 = await contractAsOwner.updateClaimLockPeriod(newLockPeriod);
-    // await tx3.wait();
-    // console.log("✅ Claim lock period updated to:", newLockPeriod / 86400, "days");
-
-    // Check admin status
-    console.log("Admin status checks:");
-    console.log("  Owner is admin:", await contractAsOwner.isAdmin(ownerWallet.address));
-    console.log("  Admin wallet is admin:", await contractAsOwner.isAdmin(adminWallet.address));
-
-    // Check current lock period
-    const lockPeriod = await contractAsOwner.claimLockPeriod();
-    console.log("\nClaim lock period:", Number(lockPeriod) / 86400, "days");
-
-    console.log("\n✅ Admin management complete!\n");
+    preview = previewLockPeriodChange({
+      holdings,
+      now: BigInt(block.timestamp),
+      currentPeriod,
+      newPeriod: lockPeriodDays * 24n * 60n * 60n,
+      balance,
+    });
   } catch (error) {
-    console.error("❌ Error:", error.message);
+    if (error instanceof RangeError) throw new UsageError(error.message);
+    throw error;
   }
+
+  const days = (seconds) => Number(seconds) / 86400;
+  log(`Lock period: ${days(currentPeriod)} days -> ${days(preview.newPeriod)} days`);
+  log(`Every unwithdrawn claim moves ${preview.shift >= 0n ? "later" : "earlier"} by ${Math.abs(days(preview.shift))} days (${preview.claims.length} claim(s))\n`);
+
+  for (const [category, label] of Object.entries(CATEGORY_LABELS)) {
+    const { claims, users, amount } = preview.byCategory[category];
+    if (claims === 0) continue;
+    log(`${label}: ${claims} claim(s) of ${users} user(s), ${units.format(amount)}`);
+    if (category === "unaffected") continue;
+    for (const claim of preview.claims.filter((c) => c.category === category)) {
+      log(`   ${claim.user} #${claim.claimId}: ${units.format(claim.amount)}, ${formatTime(claim.unlockTime)} -> ${formatTime(claim.newUnlockTime)}`);
+    }
+  }
+
+  log("\nLiquidity:");
+  log(`   Withdrawable now:          ${units.format(preview.withdrawableBefore)}`);
+  log(`   Withdrawable after change: ${units.format(preview.withdrawableAfter)} (${units.format(preview.unlockedAtOnce)} unlocked at once)`);
+  log(`   Contract balance:          ${units.format(balance)}`);
+  if (!preview.coversWithdrawable) {
+    log("   ❌ The balance does not cover what becomes withdrawable at once");
+    process.exitCode = 1;
+  } else if (preview.firstShortfall) {
+    log(`   ⚠️ With the new unlock schedule the balance runs short by ${units.format(preview.firstShortfall.shortfall)} on ${formatTime(preview.firstShortfall.time)}`);
+  } else {
+    log("   ✅ The balance covers every claim on its new unlock date");
+  }
+
+  log(`\nApply with \`surfpoints admin lock-period ${lockPeriodDays}\` (owner)\n`);
+  return preview;
 }
 
 // ========== READ FUNCTIONS ==========
 
-async function readFunctions() {
-  console.log("\n========== CONTRACT INFO ==========\n");
+const POINT_IN_TIME_OPTIONS = { block: { type: "string" }, at: { type: "string" } };
 
-  try {
-    const version = await contractAsUser.version();
-    console.log("Version:", version);
+/**
+ * The block given with --block or --at, or null to read the latest state
+ */
+async function resolveReadBlock(opts) {
+  if (opts.block === undefined && opts.at === undefined) return null;
+  if (opts.block !== undefined && opts.at !== undefined) throw new UsageError("Give either --block or --at, not both");
+  return resolveBlock(provider, {
+    block: opts.block === undefined ? undefined : Number(parseInteger(opts.block, "block")),
+    at: opts.at === undefined ? undefined : parseDate(opts.at, "date"),
+    fromBlock: config.startBlock || 0,
+  });
+}
 
-    const lockPeriod = await contractAsUser.claimLockPeriod();
-    console.log("Claim Lock Period:", Number(lockPeriod) / 86400, "days");
+function logReadBlock(block) {
+  if (block) log(`As of block ${block.blockNumber} (${new Date(block.timestamp * 1000).toISOString()})\n`);
+}
 
-    const owner = await contractAsUser.owner();
-    console.log("Owner:", owner);
+/**
+ * Read-only client, pinned to `block` when one is given
+ */
+async function getReadClient(block) {
+  const client = await getClient();
+  if (!block) return client;
+  if ((await provider.getCode(client.address, block.blockNumber)) === "0x") {
+    throw new Error(`SurfPoints ${client.address} was not deployed yet at block ${block.blockNumber}`);
+  }
+  return client.atBlock(block.blockNumber);
+}
 
-    const surfToken = await contractAsUser.surfToken();
-    console.log("SURF Token:", surfToken);
+async function readFunctions({ block = null } = {}) {
+  log("\n========== CONTRACT INFO ==========\n");
+  logReadBlock(block);
 
-    const stats = await contractAsUser.getContractStats();
-    console.log("\nContract Statistics:");
-    console.log("  Total Points Distributed:", stats.totalDistributed.toString());
-    console.log("  Total Tokens Claimed:", stats.totalClaimed.toString());
-    console.log("  Contract Balance:", ethers.formatUnits(stats.contractBalance, 18), "SURF");
+  const client = await getReadClient(block);
+  const units = await getUnits();
 
-    // Direct state variable access
-    const totalDistributed = await contractAsUser.totalPointsDistributed();
-    const totalClaimed = await contractAsUser.totalTokensClaimed();
-    console.log("\nDirect State Access:");
-    console.log("  Total Points Distributed:", totalDistributed.toString());
-    console.log("  Total Tokens Claimed:", totalClaimed.toString());
+  const info = await client.getInfo();
+  log("Version:", info.version);
+  log("Claim Lock Period:", Number(info.claimLockPeriod) / 86400, "days");
+  log("Owner:", info.owner);
+  log("SURF Token:", info.surfToken);
 
-    // Get total users count
-    const totalUsers = await contractAsUser.getTotalUsersCount();
-    console.log("\nUser Tracking:");
-    console.log("  Total Tracked Users:", totalUsers.toString());
+  const stats = await client.getStats();
+  log("\nContract Statistics:");
+  log("  Total Points Distributed:", units.formatPoints(stats.totalDistributed));
+  log("  Total Tokens Claimed:", units.format(stats.totalClaimed));
+  log("  Contract Balance:", units.format(stats.contractBalance));
 
-    console.log("\n✅ Read complete!\n");
-  } catch (error) {
-    console.error("❌ Error:", error.message);
-  }
+  // Get total users count
+  const totalUsers = await client.getTotalUsersCount();
+  log("\nUser Tracking:");
+  log("  Total Tracked Users:", totalUsers.toString());
+
+  log("\n✅ Read complete!\n");
+  return { ...info, ...stats, totalUsers };
 }
 
 // ========== GET ALL USERS CLAIM STATUS ==========
 
-async function getAllUsersClaimStatus() {
-  console.log("\n========== ALL USERS CLAIM STATUS ==========\n");
+async function getAllUsersClaimStatus({ indexed = false, block = null } = {}) {
+  log("\n========== ALL USERS CLAIM STATUS ==========\n");
+  logReadBlock(block);
+
+  // --indexed reads the local event index instead of the unbounded view call
+  const { claimed, pending } = indexed
+    ? getIndexedClaimStatus(await syncIndex({ block }))
+    : await (await getReadClient(block)).getAllUsersClaimStatus();
+  const units = await getUnits();
+
+  log("📊 Users Who Have Claimed Rewards:");
+  if (claimed.length === 0) {
+    log("   No users have claimed yet.");
+  } else {
+    claimed.forEach(({ user, amount }, i) => {
+      log(`   ${i + 1}. ${user}`);
+      log(`      Total Claimed: ${units.format(amount)}`);
+    });
+  }
 
-  try {
-    const result = await contractAsUser.getAllUsersClaimStatus();
-    const { claimedUsers, claimedAmounts, pendingUsers, pendingAmounts } = result;
+  log("\n⏳ Users With Pending Rewards:");
+  if (pending.length === 0) {
+    log("   No users have pending rewards.");
+  } else {
+    pending.forEach(({ user, amount }, i) => {
+      log(`   ${i + 1}. ${user}`);
+      log(`      Pending Amount: ${units.format(amount)}`);
+    });
+  }
 
-    console.log("📊 Users Who Have Claimed Rewards:");
-    if (claimedUsers.length === 0) {
-      console.log("   No users have claimed yet.");
-    } else {
-      for (let i = 0; i < claimedUsers.length; i++) {
-        console.log(`   ${i + 1}. ${claimedUsers[i]}`);
-        console.log(`      Total Claimed: ${claimedAmounts[i].toString()} SURF`);
-      }
+  log("\n📈 Summary:");
+  log(`   Total Users Who Claimed: ${claimed.length}`);
+  log(`   Total Users With Pending: ${pending.length}`);
+
+  const totalClaimed = claimed.reduce((sum, { amount }) => sum + amount, 0n);
+  const totalPending = pending.reduce((sum, { amount }) => sum + amount, 0n);
+  log(`   Total Claimed: ${units.format(totalClaimed)}`);
+  log(`   Total Pending: ${units.format(totalPending)}`);
+
+  log("\n✅ Status check complete!\n");
+  return { claimed, pending, totalClaimed, totalPending };
+}
+
+// ========== GET USER TOTAL CLAIMED ==========
+
+async function getUserTotalClaimed(userAddress, { indexed = false, block = null } = {}) {
+  log(`\n========== USER TOTAL CLAIMED: ${userAddress} ==========\n`);
+  logReadBlock(block);
+
+  let user;
+  let pendingClaims = [];
+  if (indexed) {
+    ({ user, pendingClaims } = getIndexedUser(await syncIndex({ block }), userAddress, block));
+  } else {
+    const client = await getReadClient(block);
+    user = await client.getUser(userAddress);
+    if (user.claimCount > 0n) pendingClaims = await client.getPendingClaims(userAddress);
+  }
+
+  const units = await getUnits();
+  log("User Statistics:");
+  log(`   Total Claimed (All Time): ${units.format(user.totalClaimed)}`);
+  log(`   Pending Points: ${units.formatPoints(user.points)}`);
+  log(`   Total Claims Made: ${user.claimCount.toString()}`);
+  log(`   Skip Enabled: ${user.hasSkipped}`);
+
+  if (user.claimCount > 0n) {
+    log(`\n   Pending Claims: ${pendingClaims.length}`);
+    logPendingClaims(pendingClaims, units, "     ");
+  }
+
+  log("\n✅ User info retrieved!\n");
+  return { ...user, pendingClaims };
+}
+
+// ========== EVENT INDEX ==========
+
+function getIndexer(options = {}) {
+  return new EventIndexer({
+    provider,
+    address: requireConfig(config, "surfPointsAddress"),
+    file: config.indexFile,
+    startBlock: config.startBlock || 0,
+    log,
+    ...options,
+  });
+}
+
+/**
+ * Brings the local index up to date and returns the state derived from it,
+ * from the events up to `block` when one is given
+ */
+async function syncIndex({ block = null } = {}) {
+  const indexer = getIndexer();
+  const { newEvents } = await indexer.sync();
+  log(`   (event index ${config.indexFile}: ${indexer.store.events.length} events, ${newEvents} new, up to block ${indexer.store.lastBlock})\n`);
+  if (!block) return buildState(indexer.store.events);
+  if (block.blockNumber > indexer.store.lastBlock) {
+    throw new Error(`The event index only reaches block ${indexer.store.lastBlock}, before block ${block.blockNumber}`);
+  }
+  return buildState(indexer.store.events.filter((event) => event.blockNumber <= block.blockNumber));
+}
+
+/**
+ * User summary and pending claims in the same shape as SurfPointsClient returns them;
+ * `canWithdraw` as of `block` when one is given
+ */
+function getIndexedUser(state, userAddress, block = null) {
+  const entry = state.users.get(userAddress);
+  const now = BigInt(block ? block.timestamp : Math.floor(Date.now() / 1000));
+  const claims = entry ? entry.claims : [];
+
+  const user = {
+    address: userAddress,
+    points: entry ? entry.points : 0n,
+    claimCount: BigInt(claims.length),
+    totalClaimed: entry ? entry.totalClaimed : 0n,
+    hasSkipped: entry ? entry.hasSkipped : false,
+  };
+  const pendingClaims = claims
+    .filter((claim) => !claim.withdrawn)
+    .map(({ claimId, amount, unlockTime }) => ({ claimId, amount, unlockTime, canWithdraw: unlockTime <= now }));
+
+  return { user, pendingClaims, history: entry ? entry.history : [] };
+}
+
+async function indexFlow({ follow = false, interval = 12, batchSize, confirmations = 0 }) {
+  log("\n========== EVENT INDEXER ==========\n");
+
+  const indexer = getIndexer({ batchSize, confirmations });
+  await indexer.load();
+  log("Index file:", config.indexFile);
+  log("Indexed up to block:", indexer.store.lastBlock, `(${indexer.store.events.length} events)`);
+
+  if (!follow) {
+    const result = await indexer.sync();
+    log(`\n✅ Indexed ${result.newEvents} new events up to block ${result.toBlock}\n`);
+    return { file: config.indexFile, totalEvents: indexer.store.events.length, ...result };
+  }
+
+  log(`\nFollowing new blocks every ${interval}s (Ctrl+C to stop)...`);
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort());
+  process.once("SIGTERM", () => controller.abort());
+
+  await indexer.follow({
+    interval: interval * 1000,
+    signal: controller.signal,
+    onSync: ({ newEvents, toBlock, reorgedTo }) => {
+      if (newEvents > 0 || reorgedTo !== null) log(`   ${new Date().toISOString()} block ${toBlock}: ${newEvents} new events`);
+    },
+  });
+
+  log("\n✅ Indexer stopped\n");
+  return { file: config.indexFile, totalEvents: indexer.store.events.length, lastBlock: indexer.store.lastBlock };
+}
+
+async function userHistory(userAddress, { block = null } = {}) {
+  log(`\n========== USER HISTORY: ${userAddress} ==========\n`);
+  logReadBlock(block);
+
+  const { user, pendingClaims, history } = getIndexedUser(await syncIndex({ block }), userAddress, block);
+
+  if (history.length === 0) {
+    log("   No events for this user.");
+  }
+  for (const event of history) {
+    const date = new Date(event.timestamp * 1000).toISOString();
+    const details = Object.entries(event.args)
+      .filter(([key]) => key !== "user")
+      .map(([key, value]) => `${key}=${value}`)
+      .join(" ");
+    log(`   ${date} block ${event.blockNumber} ${event.name} ${details}`);
+  }
+
+  const units = await getUnits();
+  log(`\n   Points: ${units.formatPoints(user.points)} | Claims: ${user.claimCount} | Pending claims: ${pendingClaims.length} | Total claimed: ${units.format(user.totalClaimed)}`);
+  log("\n✅ History retrieved!\n");
+  return { ...user, pendingClaims, history };
+}
+
+// ========== SNAPSHOTS ==========
+
+/**
+ * A snapshot field as printed: points and SURF amounts in the token's units, counts and flags as they are
+ */
+function formatField(units, field, value) {
+  if (value === null) return "-";
+  if (field === "points" || field === "distributed") return units.formatPoints(value);
+  if (["totalClaimed", "unwithdrawn", "withdrawn"].includes(field)) return units.format(value);
+  return String(value);
+}
+
+function formatDelta(units, field, delta) {
+  return `${delta >= 0n ? "+" : ""}${formatField(units, field, delta)}`;
+}
+
+function getLatestBlock() {
+  return provider.getBlockNumber().then((block) => resolveBlock(provider, { block }));
+}
+
+/**
+ * Snapshot of every user at `block`, read from the contract or replayed from the event index
+ */
+async function snapshotAt(block, indexed) {
+  return indexed
+    ? snapshotFromState(await syncIndex({ block }), { chainId: config.chainId, contract: config.surfPointsAddress, ...block })
+    : takeSnapshot(await getClient(), block);
+}
+
+async function snapshotFlow({ file, block = null, indexed = false }) {
+  log("\n========== SNAPSHOT ==========\n");
+
+  const at = block || (await getLatestBlock());
+  logReadBlock(at);
+  const snapshot = await snapshotAt(at, indexed);
+
+  const target = file || `surfpoints-snapshot-${config.network}-${at.blockNumber}.json`;
+  writeSnapshot(target, snapshot);
+
+  const { totals } = snapshot;
+  const units = await getUnits();
+  log("Users:", totals.users);
+  log("Unclaimed points:", units.formatPoints(totals.points));
+  log("In claims, not withdrawn:", units.format(totals.unwithdrawn));
+  log("Withdrawn:", units.format(totals.withdrawn));
+  log("Total distributed:", units.formatPoints(totals.distributed));
+
+  log(`\n✅ Snapshot of block ${at.blockNumber} written to ${target}\n`);
+  return { file: target, blockNumber: at.blockNumber, timestamp: at.timestamp, source: snapshot.source, totals };
+}
+
+async function diffFlow({ fromFile, toFile }) {
+  log("\n========== SNAPSHOT DIFF ==========\n");
+
+  const diff = diffSnapshots(readSnapshot(fromFile), readSnapshot(toFile));
+  const units = await getUnits();
+  const describe = ({ blockNumber, timestamp }) => `block ${blockNumber} (${new Date(timestamp * 1000).toISOString()})`;
+  log(`From: ${describe(diff.from)}, ${fromFile}`);
+  log(`To:   ${describe(diff.to)}, ${toFile}`);
+
+  for (const { address, status, changes, requested, withdrawn } of diff.users) {
+    log(`\n   ${address} (${status})`);
+    for (const [field, change] of Object.entries(changes)) {
+      const delta = typeof change.to === "bigint" && typeof change.from === "bigint"
+        ? ` (${formatDelta(units, field, change.to - change.from)})`
+        : "";
+      log(`      ${field}: ${formatField(units, field, change.from)} → ${formatField(units, field, change.to)}${delta}`);
     }
+    for (const claim of requested) log(`      claim ${claim.claimId} requested: ${units.format(claim.amount)}`);
+    for (const claim of withdrawn) log(`      claim ${claim.claimId} withdrawn: ${units.format(claim.amount)}`);
+  }
+  if (diff.users.length === 0) log("   No user changed.");
+  else log(`\n   ${diff.unchanged} users unchanged`);
+
+  log("\nTotals:");
+  for (const [field, { from, to, delta }] of Object.entries(diff.totals)) {
+    log(`   ${field}: ${formatField(units, field, from)} → ${formatField(units, field, to)} (${formatDelta(units, field, delta)})`);
+  }
+
+  log("\n✅ Diff complete!\n");
+  return diff;
+}
 
-    console.log("\n⏳ Users With Pending Rewards:");
-    if (pendingUsers.length === 0) {
-      console.log("   No users have pending rewards.");
+// ========== CLAIM KEEPER ==========
+
+async function keeperFlow({ once = false, interval = 300, retries } = {}) {
+  log("\n========== CLAIM KEEPER ==========\n");
+
+  const clients = requireKeeperKeys(config).map((key) => getClientFor(new ethers.Wallet(key, provider)));
+  const keeper = new ClaimKeeper({
+    clients,
+    pollInterval: interval * 1000,
+    retries,
+    units: await getUnits(),
+    log: (message) => log(`${new Date().toISOString()} ${message.trimStart()}`),
+  });
+
+  const addresses = await Promise.all(clients.map((client) => client.getSignerAddress()));
+  log(`Watching ${addresses.length} wallet(s):`);
+  for (const address of addresses) log(`   ${address}`);
+
+  // A dry run only previews the withdrawals that are due right now
+  if (once || output.dryRun) {
+    const result = await keeper.runOnce();
+    log(`\n✅ Withdrew ${result.withdrawn.length} claim(s), ${result.failed.length} failed`);
+    if (result.nextUnlock !== null) log(`   Next unlock: ${new Date(Number(result.nextUnlock) * 1000).toISOString()}`);
+    if (result.failed.length > 0) process.exitCode = 1;
+    return { wallets: addresses, ...result, failed: result.failed.map(({ error, ...claim }) => ({ ...claim, error: error.message })) };
+  }
+
+  log(`\nRunning, polling at least every ${interval}s (Ctrl+C to stop)...\n`);
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort());
+  process.once("SIGTERM", () => controller.abort());
+
+  let totalWithdrawn = 0;
+  await keeper.run({
+    signal: controller.signal,
+    onCycle: ({ withdrawn, nextUnlock, delay }) => {
+      totalWithdrawn += withdrawn.length;
+      const next = nextUnlock === null ? "no pending claims" : `next unlock ${new Date(Number(nextUnlock) * 1000).toISOString()}`;
+      log(`${new Date().toISOString()} ${next}, sleeping ${Math.round(delay / 1000)}s`);
+    },
+  });
+
+  log("\n✅ Claim keeper stopped\n");
+  return { wallets: addresses, totalWithdrawn };
+}
+
+// ========== NOTIFICATIONS ==========
+
+async function notifyFlow({ once = false, interval = 300, templatesFile } = {}) {
+  log("\n========== NOTIFIER ==========\n");
+
+  const timestamped = (message) => log(`${new Date().toISOString()} ${message.trimStart()}`);
+  const channels = { stdout: createStdoutChannel((line) => log(`   ${line}`)) };
+  if (config.notifyWebhook) channels.webhook = createWebhookChannel(config.notifyWebhook);
+  if (config.smtpUrl) channels.email = createEmailChannel({ url: config.smtpUrl, from: requireConfig(config, "smtpFrom") });
+
+  const indexer = getIndexer();
+  const notifier = new Notifier({
+    load: async () => {
+      await indexer.sync();
+      const block = await provider.getBlock("latest");
+      return { state: buildState(indexer.store.events), now: BigInt(block.timestamp) };
+    },
+    subscribersFile: config.subscribersFile,
+    sentFile: config.notificationsFile,
+    channels,
+    templates: readTemplates(templatesFile),
+    context: { network: config.network, contract: requireConfig(config, "surfPointsAddress") },
+    units: await getUnits(),
+    pollInterval: interval * 1000,
+    log: timestamped,
+  });
+  log("Channels:", Object.keys(channels).join(", "));
+  log("Subscribers:", config.subscribersFile);
+  log("Sent notifications:", config.notificationsFile);
+
+  if (once) {
+    const result = await notifier.runOnce();
+    log(`\n✅ ${result.sent.length} notification(s) sent to ${result.subscribers} subscriber(s), ${result.failed.length} failed`);
+    if (result.nextUnlock !== null) log(`   Next unlock: ${new Date(Number(result.nextUnlock) * 1000).toISOString()}`);
+    if (result.failed.length > 0) process.exitCode = 1;
+    return result;
+  }
+
+  log(`\nRunning, polling at least every ${interval}s (Ctrl+C to stop)...\n`);
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort());
+  process.once("SIGTERM", () => controller.abort());
+
+  let totalSent = 0;
+  await notifier.run({
+    signal: controller.signal,
+    onCycle: ({ sent, nextUnlock, delay }) => {
+      totalSent += sent.length;
+      const next = nextUnlock === null ? "no locked claims" : `next unlock ${new Date(Number(nextUnlock) * 1000).toISOString()}`;
+      timestamped(`${next}, sleeping ${Math.round(delay / 1000)}s`);
+    },
+  });
+
+  log("\n✅ Notifier stopped\n");
+  return { totalSent };
+}
+
+async function notifySubscribeFlow({ address, email, channels, kinds }) {
+  log("\n========== NOTIFICATION SUBSCRIBE ==========\n");
+
+  const subscriber = subscribe(config.subscribersFile, {
+    address: parseAddress(address, "address"),
+    email: email || null,
+    channels,
+    kinds,
+    blockNumber: await provider.getBlockNumber(),
+  });
+  log("Subscriber:", subscriber.address);
+  log("   Channels:", subscriber.channels.join(", "), subscriber.email ? `(${subscriber.email})` : "");
+  log("   Notifications:", subscriber.kinds.join(", "));
+  log("   Points credited after block", subscriber.subscribedBlock);
+
+  log(`\n✅ Subscribed in ${config.subscribersFile}\n`);
+  return subscriber;
+}
+
+async function notifyUnsubscribeFlow({ address }) {
+  log("\n========== NOTIFICATION UNSUBSCRIBE ==========\n");
+
+  const user = parseAddress(address, "address");
+  const removed = unsubscribe(config.subscribersFile, user);
+  log(removed ? `✅ ${user} unsubscribed\n` : `${user} was not subscribed\n`);
+  return { address: user, removed };
+}
+
+// ========== TREASURY MONITOR ==========
+
+async function checkSolvency({ indexed, warnRatio }) {
+  const client = await getClient();
+  const [balance, claimLockPeriod, block] = await Promise.all([
+    client.getContractBalance(),
+    client.getClaimLockPeriod(),
+    provider.getBlock("latest"),
+  ]);
+  const holdings = indexed ? holdingsFromState(await syncIndex()) : await readHoldings(client);
+  return assessSolvency({ balance, holdings, now: BigInt(block.timestamp), claimLockPeriod, warnRatio });
+}
+
+function logSolvency(report, units) {
+  const icon = { ok: "✅", warning: "⚠️", critical: "🚨" }[report.level];
+  log(`${icon} Treasury ${report.level.toUpperCase()} (${report.users} users)`);
+  log(`   Contract balance: ${units.format(report.balance)}`);
+  log(`   Unclaimed points: ${units.formatPoints(report.unclaimedPoints)}`);
+  log(`   Pending claims:   ${units.format(report.pendingClaims)}`);
+  log(`   Liabilities:      ${units.format(report.liabilities)}`);
+  log(`   Surplus:          ${units.format(report.surplus)}`);
+  const coverage = report.coverage === null ? "n/a" : report.coverage > 100 ? ">10000%" : `${(report.coverage * 100).toFixed(2)}%`;
+  log(`   Coverage:         ${coverage}`);
+
+  if (report.firstShortfall) {
+    const date = new Date(Number(report.firstShortfall.time) * 1000).toISOString();
+    log(`   Projected shortfall of ${units.format(report.firstShortfall.shortfall)} on ${date}`);
+  }
+  if (report.schedule.length > 0) {
+    log("\n   Unlock schedule:");
+    for (const { time, amount, balanceAfter } of report.schedule) {
+      log(`     ${new Date(Number(time) * 1000).toISOString()}  due ${units.format(amount)}  balance after ${units.format(balanceAfter)}`);
+    }
+  }
+}
+
+async function sendTreasuryAlert(webhook, report, units) {
+  const alert = { type: "surfpoints.treasury", network: config.network, contract: config.surfPointsAddress, ...report };
+  // stderr always gets the alert, even with --json (stdout is the result); the webhook only if configured
+  console.error(`[ALERT] treasury ${report.level}: liabilities ${units.format(report.liabilities)}, balance ${units.format(report.balance)}, top-up ${units.format(report.topUp)}`);
+  if (!webhook) return;
+  try {
+    await postWebhook(webhook, alert);
+  } catch (error) {
+    log(`   ❌ Alert webhook failed: ${error.message}`);
+  }
+}
+
+async function treasuryFlow({ indexed = false, warnRatio, webhook, topUp = false, watch = false, interval = 300 } = {}) {
+  log("\n========== TREASURY MONITOR ==========\n");
+
+  const alertWebhook = webhook || config.alertWebhook;
+  const units = await getUnits();
+  let report = await checkSolvency({ indexed, warnRatio });
+  logSolvency(report, units);
+  if (report.level !== "ok") await sendTreasuryAlert(alertWebhook, report, units);
+
+  let deposit = null;
+  if (report.topUp > 0n) {
+    log(`\n   Proposed top-up: depositSurfToken(${report.topUp}), ${units.format(report.topUp)} from the owner wallet`);
+    if (topUp) {
+      log("   Depositing...");
+      deposit = await (await getClient("owner")).depositSurfToken(report.topUp);
+      logDone(`   Deposited ${units.format(report.topUp)}`);
     } else {
-      for (let i = 0; i < pendingUsers.length; i++) {
-        console.log(`   ${i + 1}. ${pendingUsers[i]}`);
-        console.log(`      Pending Amount: ${pendingAmounts[i].toString()} SURF`);
-      }
+      log("   Rerun with --top-up to execute it");
     }
+  }
 
-    console.log("\n📈 Summary:");
-    console.log(`   Total Users Who Claimed: ${claimedUsers.length}`);
-    console.log(`   Total Users With Pending: ${pendingUsers.length}`);
-    
-    const totalClaimed = claimedAmounts.reduce((sum, amount) => sum + BigInt(amount), 0n);
-    const totalPending = pendingAmounts.reduce((sum, amount) => sum + BigInt(amount), 0n);
-    console.log(`   Total Claimed: ${totalClaimed.toString()} SURF`);
-    console.log(`   Total Pending: ${totalPending.toString()} SURF`);
+  if (!watch) {
+    if (report.level === "critical") process.exitCode = 1;
+    log("");
+    return { ...report, deposit };
+  }
 
-    console.log("\n✅ Status check complete!\n");
-  } catch (error) {
-    console.error("❌ Error:", error.message);
+  log(`\nWatching every ${interval}s (Ctrl+C to stop); alerts are sent when the level changes...\n`);
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort());
+  process.once("SIGTERM", () => controller.abort());
+
+  let lastLevel = report.level;
+  await sleep(interval * 1000, controller.signal);
+  while (!controller.signal.aborted) {
+    try {
+      report = await checkSolvency({ indexed, warnRatio });
+      log(`${new Date().toISOString()} ${report.level}: balance ${units.format(report.balance)}, liabilities ${units.format(report.liabilities)}`);
+      if (report.level !== lastLevel) await sendTreasuryAlert(alertWebhook, report, units);
+      lastLevel = report.level;
+    } catch (error) {
+      log(`${new Date().toISOString()} ❌ Check failed: ${error.shortMessage || error.message}`);
+    }
+    await sleep(interval * 1000, controller.signal);
   }
+
+  log("\n✅ Treasury monitor stopped\n");
+  return report;
 }
 
-// ========== GET USER TOTAL CLAIMED ==========
+// ========== HTTP API ==========
 
-async function getUserTotalClaimed(userAddress) {
-  console.log(`\n========== USER TOTAL CLAIMED: ${userAddress} ==========\n`);
+async function serveFlow({ port, host = "127.0.0.1" } = {}) {
+  log("\n========== HTTP API ==========\n");
 
-  try {
-    const totalClaimed = await contractAsUser.userTotalClaimed(userAddress);
-    const pendingPoints = await contractAsUser.getUserPoints(userAddress);
-    const claimCount = await contractAsUser.userClaimCount(userAddress);
-
-    console.log("User Statistics:");
-    console.log(`   Total Claimed (All Time): ${totalClaimed.toString()} SURF`);
-    console.log(`   Pending Points: ${pendingPoints.toString()} SURF`);
-    console.log(`   Total Claims Made: ${claimCount.toString()}`);
-
-    if (claimCount > 0) {
-      const pendingClaims = await contractAsUser.getPendingClaims(userAddress);
-      console.log(`\n   Pending Claims: ${pendingClaims.claimIds.length}`);
-      for (let i = 0; i < pendingClaims.claimIds.length; i++) {
-        const unlockDate = new Date(Number(pendingClaims.unlockTimes[i]) * 1000);
-        console.log(`     Claim ${pendingClaims.claimIds[i]}: ${pendingClaims.amounts[i]} SURF`);
-        console.log(`       Unlocks: ${unlockDate.toISOString()}`);
-        console.log(`       Can Withdraw: ${pendingClaims.canWithdraw[i]}`);
-      }
+  const timestamped = (message) => log(`${new Date().toISOString()} ${message}`);
+  const apiKeys = config.apiKeys || [];
+
+  // Point writes need an admin wallet and at least one API key to authenticate them
+  let queue = null;
+  if (apiKeys.length > 0) {
+    const admin = await getClient("admin");
+    const adminAddress = await admin.getSignerAddress();
+    if (!(await admin.isAdmin(adminAddress))) {
+      throw new Error(`${adminAddress} is not an admin: POST /points would fail`);
     }
+    queue = new PointsQueue(admin, { log: timestamped });
+    log(`Recording points as admin ${adminAddress} (${apiKeys.length} API key(s))`);
+  } else {
+    log("⚠️ No SURFPOINTS_API_KEYS set: POST /points and /points/batch are disabled");
+  }
 
-    console.log("\n✅ User info retrieved!\n");
-  } catch (error) {
-    console.error("❌ Error:", error.message);
+  const server = createApiServer({
+    client: await getClient(),
+    queue,
+    apiKeys,
+    rateLimit: config.apiRateLimit,
+    log: timestamped,
+  });
+  const listenPort = port ?? config.apiPort ?? 8080;
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(listenPort, host, resolve);
+  });
+  const { port: boundPort } = server.address();
+  log(`Listening on http://${host}:${boundPort} (Ctrl+C to stop)\n`);
+
+  await new Promise((resolve) => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
+  });
+
+  log("\nStopping: waiting for queued point records...");
+  await new Promise((resolve) => server.close(resolve));
+  if (queue) await queue.idle();
+
+  log("\n✅ HTTP API stopped\n");
+  return { host, port: boundPort, jobs: queue ? queue.jobs.size : 0 };
+}
+
+// ========== USER PORTAL ==========
+
+async function portalFlow({ port = 3000, host = "127.0.0.1", rpcUrl } = {}) {
+  log("\n========== USER PORTAL ==========\n");
+
+  const contractAddress = requireConfig(config, "surfPointsAddress");
+  const { chainId } = await provider.getNetwork();
+  // The RPC URL is offered to wallets that do not know the chain. A provider URL can carry an
+  // API key, so only a local node's URL is published unless --public-rpc says otherwise
+  const localRpc = config.rpcUrl && /^https?:\/\/(127\.0\.0\.1|localhost)(:\d+)?\/?$/.test(config.rpcUrl);
+  const units = await getUnits();
+  const settings = {
+    chainId: Number(chainId),
+    chainName: config.network,
+    rpcUrl: rpcUrl || (localRpc ? config.rpcUrl : null),
+    contractAddress,
+    token: { decimals: units.decimals, symbol: units.symbol },
+  };
+
+  const timestamped = (message) => log(`${new Date().toISOString()} ${message}`);
+  const server = createPortalServer({ settings, log: timestamped });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  const { port: boundPort } = server.address();
+  log("Contract:", contractAddress, `(${config.network}, chain ID ${chainId})`);
+  log(`Portal at http://${host}:${boundPort} (Ctrl+C to stop)\n`);
+
+  await new Promise((resolve) => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
+  });
+  await new Promise((resolve) => server.close(resolve));
+
+  log("\n✅ Portal stopped\n");
+  return { host, port: boundPort, ...settings };
+}
+
+// ========== METRICS EXPORTER ==========
+
+async function metricsFlow({ port, host = "127.0.0.1", interval = 30 } = {}) {
+  log("\n========== METRICS EXPORTER ==========\n");
+
+  const client = await getClient();
+  const units = await getUnits();
+  const indexer = getIndexer();
+  const { chainId } = await provider.getNetwork();
+  const timestamped = (message) => log(`${new Date().toISOString()} ${message}`);
+  const collector = new MetricsCollector({
+    read: () => readMetrics({ client, indexer, units }),
+    labels: { network: config.network, chain_id: chainId.toString(), contract: client.address },
+    log: timestamped,
+  });
+
+  // The first reading also backfills the event index, which can take a while on a fresh index
+  log("Taking the first reading...");
+  await collector.update();
+
+  const server = createMetricsServer({ collector });
+  const listenPort = port ?? config.metricsPort ?? 9464;
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(listenPort, host, resolve);
+  });
+  const { port: boundPort } = server.address();
+  log("Contract:", client.address, `(${config.network}, chain ID ${chainId})`);
+  log(`Metrics at http://${host}:${boundPort}/metrics, read every ${interval}s (Ctrl+C to stop)\n`);
+
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort());
+  process.once("SIGTERM", () => controller.abort());
+
+  let readings = 1;
+  await sleep(interval * 1000, controller.signal);
+  while (!controller.signal.aborted) {
+    const wasUp = collector.up;
+    if ((await collector.update()) && !wasUp) timestamped("✅ Reading succeeded again");
+    readings++;
+    await sleep(interval * 1000, controller.signal);
   }
+  await new Promise((resolve) => server.close(resolve));
+
+  log("\n✅ Metrics exporter stopped\n");
+  return { host, port: boundPort, readings };
 }
 
-// ========== MAIN ==========
+// ========== LEDGER RECONCILIATION ==========
+
+async function reconcileFlow({ file, format, indexed = false, reportFile, correctionsFile }) {
+  log("\n========== LEDGER RECONCILIATION ==========\n");
+
+  log("1. Reading ledger", file, "...");
+  const { entries: ledger, duplicates, total } = normalizeEntries(readImportFile(file, format));
+  log("   Users:", ledger.length, "| Total points:", total.toString());
+  if (duplicates.length > 0) log("   Summed rows for", duplicates.length, "addresses listed more than once");
+
+  log(`\n2. Reading on-chain accounts${indexed ? " from the event index" : ""}...`);
+  let accounts;
+  if (indexed) {
+    accounts = accountsFromState(await syncIndex());
+  } else {
+    const client = await getClient();
+    accounts = await readAccounts(client);
+    const checked = await readForfeits(client, accounts, ledger, config.startBlock || 0);
+    if (checked > 0) log("   Looked up skip forfeits of", checked, "user(s) credited less than the ledger");
+  }
+  log("   Tracked users:", accounts.length);
 
-async function main() {
-  console.log("========================================");
-  console.log("  SurfPoints with 14-Day Vesting");
-  console.log("========================================");
+  const report = { ledgerFile: path.resolve(file), source: indexed ? "index" : "contract", ...reconcile({ ledger, accounts }) };
+  const mismatches = report.users.filter((user) => MISMATCHES.includes(user.status));
 
-  if (SURF_POINTS_CONTRACT_ADDRESS === "0xYourSurfPointsContractAddressHere") {
-    console.error("\n❌ Please set SURF_POINTS_CONTRACT_ADDRESS");
-    return;
+  log("\n3. Discrepancies:");
+  if (mismatches.length === 0) log("   ✅ Every user matches the ledger");
+  for (const user of mismatches) {
+    log(`   ❌ ${user.user}: ${user.status}, ledger ${user.expected}, credited ${user.credited}${user.status === "unresolved" ? " or more" : ""}`);
+  }
+  const counts = {};
+  for (const { type } of report.discrepancies) counts[type] = (counts[type] || 0) + 1;
+  for (const [type, count] of Object.entries(counts)) log(`   ${type}: ${count} user(s)`);
+  if (report.totals.unresolved > 0) {
+    log("   ⚠️ Skip forfeits of unresolved users could not be read from the node: rerun with --indexed");
   }
 
-  console.log("\nWallets:");
-  console.log("  Owner:", ownerWallet.address);
-  console.log("  Admin:", adminWallet.address);
-  console.log("  User:", userWallet.address);
+  writeReport(reportFile, report);
+  log("\n   Report:", reportFile);
+  if (report.corrections.length > 0) {
+    writeCorrections(correctionsFile, report.corrections);
+    log(`   Corrections: ${correctionsFile} (${report.corrections.length} user(s), ${report.totals.missing} points)`);
+    log(`   Review it, then record with \`surfpoints import ${correctionsFile}\``);
+  }
+  if (report.totals.excess > 0n) {
+    log(`   ⚠️ ${report.totals.excess} points were credited beyond the ledger; the contract cannot deduct points`);
+  }
 
-  // ============ FLOW SELECTION ============
-  // Uncomment the flows you want to run:
+  if (mismatches.length > 0) {
+    process.exitCode = 1;
+    log(`\n❌ ${mismatches.length} user(s) do not match the ledger\n`);
+  } else {
+    log("\n✅ Ledger reconciled!\n");
+  }
+  return { ...report, reportFile, correctionsFile: report.corrections.length > 0 ? correctionsFile : null };
+}
 
-  // 1. INITIAL SETUP (Run once after deployment)
-  // await ownerFlow();           // Owner deposits tokens and adds admin
-  // await adminManagement();     // Manage admin roles
+// ========== STUCK TRANSACTIONS ==========
 
-  // 2. POINTS DISTRIBUTION (Admin operation)
-  // await adminFlow();           // Admin records points for users
+/**
+ * Finds the configured signer (owner, admin, user or keeper) that sent a transaction
+ */
+async function getSenderSigner(address) {
+  for (const role of Object.keys(config.signers)) {
+    let roleAddress;
+    try {
+      describeSigner(config, role);
+      roleAddress = await getRoleAddress(role);
+    } catch {
+      continue; // role not configured
+    }
+    if (roleAddress === address) return getSigner(role);
+  }
+  for (const key of config.keeperKeys) {
+    const wallet = new ethers.Wallet(key, provider);
+    if (wallet.address === address) return wallet;
+  }
+  throw new Error(`No configured signer for ${address}`);
+}
+
+async function replaceFlow({ hash, cancel = false }) {
+  log(`\n========== ${cancel ? "CANCEL" : "SPEED UP"} TRANSACTION ==========\n`);
+
+  const tx = await provider.getTransaction(hash);
+  if (!tx) throw new Error(`Transaction ${hash} is not known to the node`);
+
+  const manager = getTxManager(await getSenderSigner(ethers.getAddress(tx.from)));
+  await manager.getPending(hash);
+  const fees = await manager.replacementFees(tx);
+  const feeLine = fees.maxFeePerGas === undefined
+    ? `gas price ${ethers.formatUnits(fees.gasPrice, "gwei")} gwei`
+    : `max fee ${ethers.formatUnits(fees.maxFeePerGas, "gwei")} gwei, priority ${ethers.formatUnits(fees.maxPriorityFeePerGas, "gwei")} gwei`;
+
+  log(`   ${hash}: nonce ${tx.nonce} from ${tx.from}`);
+  log(`   Replacement: ${cancel ? "empty transfer to self" : "same call"}, ${feeLine}`);
+  if (output.dryRun) return { hash, nonce: tx.nonce, cancel, fees };
+
+  const receipt = cancel ? await manager.cancel(hash) : await manager.speedUp(hash);
+  logDone(`   Nonce ${tx.nonce} mined in block ${receipt.blockNumber} as ${receipt.hash}`);
+  log("");
+  return { hash, nonce: tx.nonce, cancel, replacement: receipt.hash, blockNumber: receipt.blockNumber };
+}
+
+// ========== ABI CHECK ==========
+
+async function checkAbiFlow({ artifactFile } = {}) {
+  log("\n========== ABI CHECK ==========\n");
+
+  const problems = [];
+  const problem = (message) => {
+    problems.push(message);
+    log(`   ❌ ${message}`);
+  };
+
+  // 1. ABI.json against the ABI compiled from SurfPoints.sol
+  log("1. Comparing ABI.json with the compiled contract...");
+  const artifact = readArtifact(artifactFile);
+  log("   Artifact:", artifact.file);
+  const abiDifferences = compareAbis(SURF_POINTS_ABI, artifact.abi);
+  for (const difference of abiDifferences) {
+    if (difference.type === "missing") problem(`Only in ABI.json: ${difference.expected}`);
+    else if (difference.type === "extra") problem(`Only in the compiled contract: ${difference.actual}`);
+    else problem(`Changed: ${difference.expected} in ABI.json, ${difference.actual} compiled`);
+  }
+  if (abiDifferences.length === 0) log("   ✅ ABI.json matches the compiled contract");
+
+  // 2. The code behind the proxy
+  log("\n2. Checking the deployed implementation...");
+  const proxyAddress = requireConfig(config, "surfPointsAddress");
+  const implementation = await getImplementationAddress(provider, proxyAddress);
+  const result = { abiDifferences, artifact: artifact.file, proxy: proxyAddress, implementation };
+
+  if (!implementation) {
+    problem(`${proxyAddress} has no ERC-1967 implementation slot set`);
+  } else {
+    log("   Implementation:", implementation);
+    const code = await provider.getCode(implementation);
+    const { missingFunctions, missingEvents } = checkSelectors(SURF_POINTS_ABI, code);
+    for (const signature of missingFunctions) problem(`Function in ABI.json not in the deployed code: ${signature}`);
+    for (const signature of missingEvents) problem(`Event in ABI.json not in the deployed code: ${signature}`);
+    if (missingFunctions.length === 0 && missingEvents.length === 0) {
+      log("   ✅ Every ABI.json function and event is in the deployed code");
+    }
+
+    if (artifact.immutableReferences === null) {
+      log("   ⚠️ No build info next to the artifact: immutables are compared as is");
+    }
+    const bytecodeMatches = compareBytecode(code, artifact);
+    if (bytecodeMatches) log("   ✅ Deployed bytecode matches the compiled contract");
+    else problem("Deployed bytecode differs from the compiled contract (different source or compiler settings)");
+
+    Object.assign(result, { missingFunctions, missingEvents, bytecodeMatches });
+  }
+
+  if (problems.length > 0) {
+    log(`\n❌ ABI check failed: ${problems.length} problem(s)\n`);
+    process.exitCode = 1;
+  } else {
+    log("\n✅ ABI check passed\n");
+  }
+  return { ok: problems.length === 0, problems, ...result };
+}
+
+// ========== COMMANDS ==========
+
+/**
+ * Command table: every flow above is reachable as `surfpoints <name> ...`
+ * `run` receives the parsed positionals and option values.
+ */
+const COMMANDS = {
+  setup: {
+    usage: "setup [--admin <address>] [--amount <amount>]",
+    description: "Owner: add an admin and deposit SURF tokens (default 10000 SURF; e.g. 1.5k SURF)",
+    options: { admin: { type: "string" }, amount: { type: "string" } },
+    run: (args, opts) => ownerFlow({
+      admin: opts.admin && parseAddress(opts.admin, "admin address"),
+      amount: opts.amount,
+    }),
+  },
+  record: {
+    usage: "record <user> <points>",
+    description: "Admin: record surf points for a user (e.g. 250 points, or 1.5k SURF worth)",
+    run: async ([user, points]) => adminFlow({
+      user: parseAddress(user, "user address"),
+      points: parseAmount(await getUnits(), points, "points", "points"),
+    }),
+  },
+  import: {
+    usage: "import <file> [--format csv|json] [--chunk-size <n>] [--max-gas <n>] [--progress <file>]",
+    description: "Admin: bulk record points from CSV/JSON via batchRecordSurfPoints (resumable)",
+    options: {
+      format: { type: "string" },
+      "chunk-size": { type: "string" },
+      "max-gas": { type: "string" },
+      progress: { type: "string" },
+    },
+    run: ([file], opts) => {
+      if (!file) throw new UsageError("Specify the file to import");
+      return importFlow({
+        file,
+        format: opts.format,
+        chunkSize: opts["chunk-size"] ? Number(parseInteger(opts["chunk-size"], "chunk size")) : undefined,
+        maxGas: opts["max-gas"] ? parseInteger(opts["max-gas"], "max gas") : undefined,
+        progressFile: opts.progress || `${file}.progress.json`,
+      });
+    },
+  },
+  score: {
+    usage: "score <sessions> --rules <file> [--format csv|json] [--report <file>] [--record] [--chunk-size <n>] [--max-gas <n>] [--progress <file>]",
+    description: "Score surf sessions with a points ruleset into an auditable report; --record records the points",
+    options: {
+      rules: { type: "string" },
+      format: { type: "string" },
+      report: { type: "string" },
+      record: { type: "boolean" },
+      "chunk-size": { type: "string" },
+      "max-gas": { type: "string" },
+      progress: { type: "string" },
+    },
+    run: ([file], opts) => {
+      if (!file) throw new UsageError("Specify the sessions file to score");
+      if (!opts.rules) throw new UsageError("Specify the ruleset with --rules <file>");
+      const reportFile = opts.report || `${file}.points-report.json`;
+      return scoreFlow({
+        file,
+        format: opts.format,
+        rulesFile: opts.rules,
+        reportFile,
+        record: Boolean(opts.record),
+        chunkSize: opts["chunk-size"] ? Number(parseInteger(opts["chunk-size"], "chunk size")) : undefined,
+        maxGas: opts["max-gas"] ? parseInteger(opts["max-gas"], "max gas") : undefined,
+        progressFile: opts.progress || `${reportFile}.progress.json`,
+      });
+    },
+  },
+  claim: {
+    usage: "claim",
+    description: "User: claim all points (starts the vesting lock)",
+    run: () => userClaimFlow(),
+  },
+  skip: {
+    usage: "skip",
+    description: "User: toggle skip (enabling forfeits current points)",
+    run: () => userSkipFlow(),
+  },
+  withdraw: {
+    usage: "withdraw (<claimId> | --all)",
+    description: "User: withdraw one unlocked claim, or all of them",
+    options: { all: { type: "boolean" } },
+    run: ([claimId], opts) => {
+      if (!opts.all && claimId === undefined) {
+        throw new UsageError("Specify a claim ID or --all");
+      }
+      return userWithdrawFlow({
+        all: Boolean(opts.all),
+        claimId: opts.all ? undefined : parseInteger(claimId, "claim ID"),
+      });
+    },
+  },
+  keeper: {
+    usage: "keeper [--once] [--interval <s>] [--retries <n>]",
+    description: "Withdraw matured claims of the KEEPER_PRIVATE_KEYS wallets (default: user wallet) as they unlock",
+    options: {
+      once: { type: "boolean" },
+      interval: { type: "string" },
+      retries: { type: "string" },
+    },
+    run: (args, opts) => keeperFlow({
+      once: Boolean(opts.once),
+      interval: opts.interval ? Number(parseInteger(opts.interval, "interval")) : undefined,
+      retries: opts.retries ? Number(parseInteger(opts.retries, "retries")) : undefined,
+    }),
+  },
+  notify: {
+    usage: "notify [--once] [--interval <s>] [--templates <file>] | notify subscribe <address> [--email <addr>] [--channels <list>] [--kinds <list>] | notify unsubscribe <address>",
+    description: "Notify subscribed users of credited points and unlocked claims by email, webhook or stdout; manage subscriptions",
+    options: {
+      once: { type: "boolean" },
+      interval: { type: "string" },
+      templates: { type: "string" },
+      email: { type: "string" },
+      channels: { type: "string" },
+      kinds: { type: "string" },
+    },
+    run: ([action, address], opts) => {
+      const list = (value) => (value ? value.split(",").map((item) => item.trim()).filter(Boolean) : undefined);
+      if (action === "subscribe" || action === "unsubscribe") {
+        if (!address) throw new UsageError(`Specify the address to ${action}`);
+        if (action === "unsubscribe") return notifyUnsubscribeFlow({ address });
+        return notifySubscribeFlow({ address, email: opts.email, channels: list(opts.channels), kinds: list(opts.kinds) });
+      }
+      if (action !== undefined) throw new UsageError(`Unknown notify action: ${action}`);
+      return notifyFlow({
+        once: Boolean(opts.once),
+        interval: opts.interval ? Number(parseInteger(opts.interval, "interval")) : undefined,
+        templatesFile: opts.templates,
+      });
+    },
+  },
+  treasury: {
+    usage: "treasury [--indexed] [--warn-ratio <n>] [--webhook <url>] [--top-up] [--watch] [--interval <s>]",
+    description: "Check that the contract balance covers unclaimed points and pending claims",
+    options: {
+      indexed: { type: "boolean" },
+      "warn-ratio": { type: "string" },
+      webhook: { type: "string" },
+      "top-up": { type: "boolean" },
+      watch: { type: "boolean" },
+      interval: { type: "string" },
+    },
+    run: (args, opts) => {
+      const warnRatio = opts["warn-ratio"] === undefined ? undefined : Number(opts["warn-ratio"]);
+      if (warnRatio !== undefined && !(warnRatio >= 1)) {
+        throw new UsageError(`Invalid warn ratio: ${opts["warn-ratio"]} (expected a number >= 1)`);
+      }
+      return treasuryFlow({
+        indexed: Boolean(opts.indexed),
+        warnRatio,
+        webhook: opts.webhook,
+        topUp: Boolean(opts["top-up"]),
+        watch: Boolean(opts.watch),
+        interval: opts.interval ? Number(parseInteger(opts.interval, "interval")) : undefined,
+      });
+    },
+  },
+  serve: {
+    usage: "serve [--port <n>] [--host <address>]",
+    description: "Run the HTTP API (reads, and points recording with SURFPOINTS_API_KEYS)",
+    options: { port: { type: "string" }, host: { type: "string" } },
+    run: (args, opts) => serveFlow({
+      port: opts.port ? Number(parseInteger(opts.port, "port")) : undefined,
+      host: opts.host,
+    }),
+  },
+  portal: {
+    usage: "portal [--port <n>] [--host <address>] [--public-rpc <url>]",
+    description: "Serve the browser portal where users claim, skip and withdraw with their own wallet",
+    options: { port: { type: "string" }, host: { type: "string" }, "public-rpc": { type: "string" } },
+    run: (args, opts) => portalFlow({
+      port: opts.port ? Number(parseInteger(opts.port, "port")) : undefined,
+      host: opts.host,
+      rpcUrl: opts["public-rpc"],
+    }),
+  },
+  metrics: {
+    usage: "metrics [--port <n>] [--host <address>] [--interval <s>]",
+    description: "Serve contract health metrics in the Prometheus format at /metrics",
+    options: { port: { type: "string" }, host: { type: "string" }, interval: { type: "string" } },
+    run: (args, opts) => metricsFlow({
+      port: opts.port ? Number(parseInteger(opts.port, "port")) : undefined,
+      host: opts.host,
+      interval: opts.interval ? Number(parseInteger(opts.interval, "interval")) : undefined,
+    }),
+  },
+  reconcile: {
+    usage: "reconcile <ledger> [--format csv|json] [--indexed] [--report <file>] [--corrections <file>]",
+    description: "Compare a points ledger with on-chain balances, claims and skips; write a report and a corrections file",
+    options: {
+      format: { type: "string" },
+      indexed: { type: "boolean" },
+      report: { type: "string" },
+      corrections: { type: "string" },
+    },
+    run: ([file], opts) => {
+      if (!file) throw new UsageError("Specify the ledger file");
+      return reconcileFlow({
+        file,
+        format: opts.format,
+        indexed: Boolean(opts.indexed),
+        reportFile: opts.report || `${file}.reconcile.json`,
+        correctionsFile: opts.corrections || `${file}.corrections.csv`,
+      });
+    },
+  },
+  "check-abi": {
+    usage: "check-abi [--artifact <file>]",
+    description: "Compare ABI.json with the compiled contract and the code deployed behind the proxy",
+    options: { artifact: { type: "string" } },
+    run: (args, opts) => checkAbiFlow({ artifactFile: opts.artifact }),
+  },
+  "speed-up": {
+    usage: "speed-up <txHash>",
+    description: "Re-send a pending transaction from a configured wallet with higher fees",
+    run: ([hash]) => replaceFlow({ hash: parseTxHash(hash) }),
+  },
+  cancel: {
+    usage: "cancel <txHash>",
+    description: "Replace a pending transaction with an empty transfer to self",
+    run: ([hash]) => replaceFlow({ hash: parseTxHash(hash), cancel: true }),
+  },
+  stats: {
+    usage: "stats [--block <n> | --at <date>]",
+    description: "Show contract information and statistics, now or at a past block or date",
+    options: POINT_IN_TIME_OPTIONS,
+    run: async (args, opts) => readFunctions({ block: await resolveReadBlock(opts) }),
+  },
+  status: {
+    usage: "status [--indexed] [--block <n> | --at <date>]",
+    description: "Show claim status of all tracked users, now or at a past block or date",
+    options: { indexed: { type: "boolean" }, ...POINT_IN_TIME_OPTIONS },
+    run: async (args, opts) => getAllUsersClaimStatus({ indexed: Boolean(opts.indexed), block: await resolveReadBlock(opts) }),
+  },
+  user: {
+    usage: "user [address] [--indexed] [--block <n> | --at <date>]",
+    description: "Show totals and pending claims for a user (default: user wallet), now or at a past block or date",
+    options: { indexed: { type: "boolean" }, ...POINT_IN_TIME_OPTIONS },
+    run: async ([address], opts) => getUserTotalClaimed(
+      address ? parseAddress(address, "user address") : await getRoleAddress("user"),
+      { indexed: Boolean(opts.indexed), block: await resolveReadBlock(opts) }
+    ),
+  },
+  index: {
+    usage: "index [--follow] [--interval <s>] [--batch-size <blocks>] [--confirmations <n>]",
+    description: "Backfill contract events into the local index, optionally following new blocks",
+    options: {
+      follow: { type: "boolean" },
+      interval: { type: "string" },
+      "batch-size": { type: "string" },
+      confirmations: { type: "string" },
+    },
+    run: (args, opts) => indexFlow({
+      follow: Boolean(opts.follow),
+      interval: opts.interval ? Number(parseInteger(opts.interval, "interval")) : undefined,
+      batchSize: opts["batch-size"] ? Number(parseInteger(opts["batch-size"], "batch size")) : undefined,
+      confirmations: opts.confirmations ? Number(parseInteger(opts.confirmations, "confirmations")) : undefined,
+    }),
+  },
+  history: {
+    usage: "history [address] [--block <n> | --at <date>]",
+    description: "Show the indexed event history of a user (default: user wallet), up to a block or date",
+    options: POINT_IN_TIME_OPTIONS,
+    run: async ([address], opts) => userHistory(
+      address ? parseAddress(address, "user address") : await getRoleAddress("user"),
+      { block: await resolveReadBlock(opts) }
+    ),
+  },
+  snapshot: {
+    usage: "snapshot [file] [--block <n> | --at <date>] [--indexed]",
+    description: "Write every user's points, claims, skip flag and totals at a block to a JSON or CSV file",
+    options: { indexed: { type: "boolean" }, ...POINT_IN_TIME_OPTIONS },
+    run: async ([file], opts) => snapshotFlow({ file, block: await resolveReadBlock(opts), indexed: Boolean(opts.indexed) }),
+  },
+  diff: {
+    usage: "diff <from> <to>",
+    description: "Compare two snapshots: per-user changes and totals",
+    run: ([fromFile, toFile]) => {
+      if (!fromFile || !toFile) throw new UsageError("diff needs two snapshot files");
+      return diffFlow({ fromFile, toFile });
+    },
+  },
+  admin: {
+    usage: "admin (status | add <address> | remove <address> | lock-period <days> | audit [policy] | sync [policy] [--log <file>])",
+    description: "Owner: manage admins and the claim lock period; audit or sync admins against the policy file",
+    options: { log: { type: "string" } },
+    run: ([action = "status", value], opts) => {
+      if (action === "audit" || action === "sync") {
+        const policyFile = value || config.adminPolicyFile;
+        if (action === "audit") return adminAuditFlow({ policyFile });
+        return adminSyncFlow({ policyFile, logFile: opts.log || policyFile.replace(/\.json$/, "") + ".changes.jsonl" });
+      }
+      if (action === "add" || action === "remove") {
+        return adminManagement({ action, address: parseAddress(value, "admin address") });
+      }
+      if (action === "lock-period") {
+        return adminManagement({ action, lockPeriodDays: parseInteger(value, "lock period") });
+      }
+      return adminManagement({ action });
+    },
+  },
+  "lock-period-preview": {
+    usage: "lock-period-preview <days> [--indexed]",
+    description: "Show how a new claim lock period would move the unlock time of every existing claim",
+    options: { indexed: { type: "boolean" } },
+    run: ([days], opts) => lockPeriodPreviewFlow({
+      lockPeriodDays: parseInteger(days, "lock period"),
+      indexed: Boolean(opts.indexed),
+    }),
+  },
+  pause: {
+    usage: "pause",
+    description: "Owner: pause the contract",
+    run: () => emergencyFunctions({ action: "pause" }),
+  },
+  unpause: {
+    usage: "unpause",
+    description: "Owner: unpause the contract",
+    run: () => emergencyFunctions({ action: "unpause" }),
+  },
+  "emergency-withdraw": {
+    usage: "emergency-withdraw <token> <amount>",
+    description: "Owner: withdraw any ERC20 token from the contract (amount in that token, e.g. 1.5k)",
+    run: ([token, amount]) => emergencyFunctions({
+      action: "withdraw-token",
+      token: parseAddress(token, "token address"),
+      amount,
+    }),
+  },
+  "emergency-withdraw-native": {
+    usage: "emergency-withdraw-native",
+    description: "Owner: withdraw all native ETH from the contract",
+    run: () => emergencyFunctions({ action: "withdraw-native" }),
+  },
+  incident: {
+    usage: "incident [--reason <text>] [--move-funds [--to <address>]] [--indexed] [--report <file>] [--by <name>]",
+    description: "Owner: snapshot, pause, optionally move SURF and ETH to the Safe, verify and write a signed report",
+    options: {
+      reason: { type: "string" },
+      "move-funds": { type: "boolean" },
+      to: { type: "string" },
+      indexed: { type: "boolean" },
+      report: { type: "string" },
+      by: { type: "string" },
+    },
+    run: (args, opts) => {
+      if (opts.to && !opts["move-funds"]) throw new UsageError("--to needs --move-funds");
+      let destination = null;
+      if (opts["move-funds"]) {
+        if (!opts.to && !config.safeAddress) throw new UsageError("--move-funds needs a destination: pass --to <address> or set SURFPOINTS_SAFE_ADDRESS");
+        destination = opts.to ? parseAddress(opts.to, "destination") : config.safeAddress;
+      }
+      return incidentFlow({ reason: opts.reason, destination, indexed: Boolean(opts.indexed), reportFile: opts.report, by: opts.by });
+    },
+  },
+  recover: {
+    usage: "recover [incident-report] [--force] [--indexed] [--report <file>] [--by <name>]",
+    description: "Owner: check every pending claim can be paid, unpause, verify and write a signed report",
+    options: {
+      force: { type: "boolean" },
+      indexed: { type: "boolean" },
+      report: { type: "string" },
+      by: { type: "string" },
+    },
+    run: ([incidentFile], opts) => recoverFlow({
+      incidentFile,
+      force: Boolean(opts.force),
+      indexed: Boolean(opts.indexed),
+      reportFile: opts.report,
+      by: opts.by,
+    }),
+  },
+};
+
+const GLOBAL_OPTIONS = {
+  network: { type: "string" },
+  config: { type: "string" },
+  json: { type: "boolean" },
+  "dry-run": { type: "boolean" },
+  "max-fee": { type: "string" },
+  "priority-fee": { type: "string" },
+  propose: { type: "string" },
+  safe: { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+function printHelp(command) {
+  if (command) {
+    console.log(`Usage: surfpoints ${COMMANDS[command].usage} [--network <name>] [--json]\n`);
+    console.log(COMMANDS[command].description);
+    return;
+  }
 
-  // 3A. USER CLAIM (User operation - choose claim OR skip)
-  // await userClaimFlow();       // User initiates claim (starts vesting)
+  console.log("Usage: surfpoints <command> [arguments] [--network <name>] [--json]\n");
+  console.log("Commands:");
+  for (const { usage, description } of Object.values(COMMANDS)) {
+    console.log(`  ${usage.padEnd(50)} ${description}`);
+  }
+  console.log("\nGlobal options:");
+  console.log("  --network <name>   Network config to use: holesky (default), mainnet, local");
+  console.log("  --config <path>    Explicit config file instead of config/<network>.json");
+  console.log("  --json             Print the command result as JSON");
+  console.log("  --dry-run          Simulate every transaction and print the expected changes; broadcast nothing");
+  console.log("  --max-fee <gwei>   Cap maxFeePerGas (default: SURFPOINTS_MAX_FEE_GWEI, no cap)");
+  console.log("  --priority-fee <gwei>  Fixed maxPriorityFeePerGas instead of the node's suggestion");
+  console.log("  --propose <file>   Write owner transactions to a Safe Transaction Builder batch instead of sending them");
+  console.log("  --safe <address>   Safe that owns the contract (default: SURFPOINTS_SAFE_ADDRESS)");
+  console.log("  -h, --help         Show help");
+}
 
-  // 3B. USER SKIP (User operation - toggle skip on/off)
-  // await userSkipFlow();        // User toggles skip feature (can enable/disable)
+// ========== MAIN ==========
 
-  // 4. USER WITHDRAW (User operation - after lock period)
-  await userWithdrawFlow();    // User withdraws tokens after lock period
+async function main(argv) {
+  // The command is the first positional that is not the value of a global string option
+  const commandIndex = argv.findIndex((arg, i) => {
+    const previous = (argv[i - 1] || "").replace(/^--/, "");
+    return !arg.startsWith("-") && !(GLOBAL_OPTIONS[previous] && GLOBAL_OPTIONS[previous].type === "string");
+  });
+  const commandName = argv[commandIndex];
+  const command = COMMANDS[commandName];
+
+  if (commandName && !command) {
+    throw new UsageError(`Unknown command: ${commandName}`);
+  }
 
-  // 5. EMERGENCY OPERATIONS (Owner only)
-  // await emergencyFunctions();  // Pause/unpause, emergency withdrawals
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv.filter((arg, i) => i !== commandIndex),
+      options: { ...GLOBAL_OPTIONS, ...(command && command.options) },
+      allowPositionals: true,
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  output.json = Boolean(values.json);
+  output.dryRun = Boolean(values["dry-run"]);
+
+  if (values.help || !command) {
+    printHelp(command && commandName);
+    return;
+  }
 
-  // 6. VIEW CONTRACT STATE (Anyone)
-  await readFunctions();       // Read contract information
+  log("========================================");
+  log("  SurfPoints with 14-Day Vesting");
+  log("========================================");
 
-  // 7. VIEW ALL USERS STATUS (Anyone)
-  // await getAllUsersClaimStatus();  // Get all users' claim status
+  await connect({ network: values.network, configFile: values.config });
+  configureTransactions(values);
+  log(`Network: ${config.network} (chain ${config.chainId})`);
+  if (output.dryRun) log("🔍 DRY RUN: transactions are simulated, nothing is broadcast");
+  if (values.propose) await configureProposals(values);
 
-  // 8. VIEW SPECIFIC USER TOTAL CLAIMED (Anyone)
-  // await getUserTotalClaimed(userWallet.address);  // Get specific user's total claimed
+  const result = await command.run(positionals, values);
 
-  console.log("========================================\n");
+  if (output.json) {
+    console.log(toJson(result === undefined ? null : result));
+  }
+  if (output.dryRun) log("🔍 Dry run complete: nothing was broadcast");
+  log("========================================\n");
 }
 
-main().catch(console.error);
+module.exports = {
+  COMMANDS,
+  main,
+  ownerFlow,
+  adminFlow,
+  importFlow,
+  scoreFlow,
+  userClaimFlow,
+  userSkipFlow,
+  userWithdrawFlow,
+  emergencyFunctions,
+  incidentFlow,
+  recoverFlow,
+  adminManagement,
+  adminAuditFlow,
+  adminSyncFlow,
+  lockPeriodPreviewFlow,
+  readFunctions,
+  getAllUsersClaimStatus,
+  getUserTotalClaimed,
+  indexFlow,
+  userHistory,
+  snapshotFlow,
+  diffFlow,
+  keeperFlow,
+  notifyFlow,
+  notifySubscribeFlow,
+  notifyUnsubscribeFlow,
+  treasuryFlow,
+  reconcileFlow,
+  serveFlow,
+  portalFlow,
+  metricsFlow,
+  replaceFlow,
+  checkAbiFlow,
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((error) => {
+    if (output.json) {
+      const details = error instanceof TransactionError
+        ? { code: error.code, reason: error.reason, hash: error.hash, nonce: error.nonce, revert: error.revert }
+        : {};
+      console.error(toJson({ error: error.shortMessage || error.message, ...details }));
+    } else {
+      console.error("❌ Error:", error.shortMessage || error.message);
+      if (error instanceof TransactionError) {
+        console.error(`   Code: ${error.code}${error.hash ? `, transaction ${error.hash}` : ""}${error.nonce !== null ? `, nonce ${error.nonce}` : ""}`);
+      }
+      if (error instanceof UsageError) console.error("Run `surfpoints --help` for usage.");
+    }
+    process.exitCode = error instanceof UsageError ? 2 : 1;
+  });
+}
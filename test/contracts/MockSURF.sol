@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockSURF
+ * @notice Test stand-in for the SURF token; the deployer receives the whole supply
+ */
+contract MockSURF is ERC20 {
+    constructor(uint256 initialSupply) ERC20("Surf", "SURF") {
+        _mint(msg.sender, initialSupply);
+    }
+}
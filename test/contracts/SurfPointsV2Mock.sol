@@ -0,0 +1,57 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title SurfPointsV2Mock
+ * @notice Upgrade target for the tests: SurfPoints' storage layout with one new
+ *         variable taken from the gap and a bumped version()
+ */
+contract SurfPointsV2Mock is
+    UUPSUpgradeable,
+    OwnableUpgradeable,
+    PausableUpgradeable,
+    ReentrancyGuardUpgradeable
+{
+    struct ClaimRequest {
+        uint256 amount;
+        uint256 claimTime;
+        bool withdrawn;
+    }
+
+    IERC20 public surfToken;
+    uint256 public claimLockPeriod;
+    mapping(address => bool) public isAdmin;
+    mapping(address => uint256) public userSurfPoints;
+    mapping(address => mapping(uint256 => ClaimRequest)) public claimRequests;
+    mapping(address => uint256) public userClaimCount;
+    uint256 public totalPointsDistributed;
+    uint256 public totalTokensClaimed;
+    mapping(address => bool) public hasSkippedClaim;
+    mapping(address => uint256) public userTotalClaimed;
+    address[] public allUsers;
+    mapping(address => bool) public isUserTracked;
+
+    /// @notice New in V2
+    uint256 public upgradeCount;
+
+    uint256[43] private __gap;
+
+    function initialize() external initializer {
+        __Ownable_init(msg.sender);
+        __Pausable_init();
+        __ReentrancyGuard_init();
+        __UUPSUpgradeable_init();
+    }
+
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+
+    function version() external pure returns (string memory) {
+        return "2.0.0";
+    }
+}
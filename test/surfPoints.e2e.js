@@ -0,0 +1,1176 @@
+// test/surfPoints.e2e.js
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const http = require("http");
+const net = require("net");
+const path = require("path");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const hre = require("hardhat");
+const { TASK_NODE_CREATE_SERVER } = require("hardhat/builtin-tasks/task-names");
+const { ethers } = require("ethers");
+const { main: deploy } = require("../deploySurfPoints");
+const { main: upgrade } = require("../upgradeSurfPoints");
+const { SurfPointsClient, SurfPointsRevertError, TransactionManager, TransactionError } = require("../src");
+const { PointsQueue, createApiServer } = require("../src/apiServer");
+const { createPortalServer } = require("../src/portalServer");
+const { verifyReport } = require("../src/incident");
+const { loadRuleset, validateRuleset } = require("../src/scoring");
+const { EventIndexer } = require("../src/indexer");
+const { MetricsCollector, createMetricsServer, readMetrics } = require("../src/metrics");
+
+/**
+ * End-to-end run of every SurfPoints flow against an in-process Hardhat network
+ *
+ * The contract is deployed with deploySurfPoints.js next to a mock SURF token.
+ * Commands run through the real CLI (surfPointsInteraction.js in a child
+ * process, talking JSON-RPC to the in-process network); calls the CLI refuses
+ * up front go through SurfPointsClient so the contract's own revert is checked.
+ * The tests share one chain and run in order, like an operator would.
+ */
+
+const CLI = path.join(__dirname, "..", "surfPointsInteraction.js");
+const SURF = (amount) => ethers.parseUnits(amount, 18);
+
+const execFileAsync = promisify(execFile);
+
+describe("SurfPoints end-to-end", function () {
+  const savedEnv = { ...process.env };
+  let server;
+  let tmpDir;
+  let provider;
+  let token;
+  let deployment;
+  let owner, admin, alice, bob, carol, dave;
+
+  /**
+   * Runs a CLI command with --json and returns its parsed result. A failing
+   * command rejects with the exit code, the JSON error from stderr and any
+   * result printed to stdout.
+   */
+  async function surfpoints(args, env = {}) {
+    try {
+      const { stdout } = await execFileAsync(process.execPath, [CLI, ...args, "--json"], {
+        env: {
+          ...process.env,
+          OWNER_PRIVATE_KEY: owner.privateKey,
+          ADMIN_PRIVATE_KEY: admin.privateKey,
+          USER_PRIVATE_KEY: alice.privateKey,
+          ...env,
+        },
+      });
+      return JSON.parse(stdout);
+    } catch (error) {
+      if (error.stderr === undefined) throw error;
+      const failure = new Error(`surfpoints ${args.join(" ")} exited with ${error.code}: ${error.stderr.trim()}`);
+      failure.exitCode = error.code;
+      // Errors are JSON with --json; usage errors are printed before the option is parsed
+      try {
+        failure.details = JSON.parse(error.stderr);
+      } catch {
+        failure.details = {};
+      }
+      // Checks that fail (exit code 1) still print their result
+      try {
+        failure.result = JSON.parse(error.stdout);
+      } catch {
+        failure.result = null;
+      }
+      throw failure;
+    }
+  }
+
+  // A fresh client per call: the CLI sends from the same wallets, so a long-lived transaction manager's nonce would go stale
+  function clientFor(wallet) {
+    return new SurfPointsClient(deployment.proxyAddress, wallet);
+  }
+
+  function revertsWith(name) {
+    return (error) => {
+      assert.ok(error instanceof SurfPointsRevertError, `expected a SurfPointsRevertError, got ${error}`);
+      assert.equal(error.reason, name);
+      return true;
+    };
+  }
+
+  // The Hardhat scripts print a report; keep the test output readable
+  async function quietly(fn) {
+    const consoleLog = console.log;
+    console.log = () => {};
+    try {
+      return await fn();
+    } finally {
+      console.log = consoleLog;
+    }
+  }
+
+  async function withEnv(env, fn) {
+    const previous = Object.fromEntries(Object.keys(env).map((key) => [key, process.env[key]]));
+    Object.assign(process.env, env);
+    try {
+      return await fn();
+    } finally {
+      for (const [key, value] of Object.entries(previous)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    }
+  }
+
+  function readDeployment() {
+    return JSON.parse(fs.readFileSync(process.env.SURFPOINTS_DEPLOYMENT_FILE, "utf8"));
+  }
+
+  async function increaseTime(seconds) {
+    await hre.network.provider.send("evm_increaseTime", [Number(seconds)]);
+    await hre.network.provider.send("evm_mine");
+  }
+
+  before(async function () {
+    // Serve the in-process network over HTTP for the CLI child processes
+    server = await hre.run(TASK_NODE_CREATE_SERVER, { hostname: "127.0.0.1", port: 0, provider: hre.network.provider });
+    const { port } = await server.listen();
+    const rpcUrl = `http://127.0.0.1:${port}`;
+    provider = new ethers.JsonRpcProvider(rpcUrl, undefined, { cacheTimeout: -1 });
+
+    const { mnemonic, path: hdPath } = hre.network.config.accounts;
+    [owner, admin, alice, bob, carol, dave] = [0, 1, 2, 3, 4, 5].map((i) =>
+      ethers.HDNodeWallet.fromPhrase(mnemonic, undefined, `${hdPath}/${i}`).connect(provider)
+    );
+
+    // The deployer (account 0, the owner) receives the whole mock supply
+    token = await hre.ethers.deployContract("MockSURF", [SURF("1000000")]);
+    await token.waitForDeployment();
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "surfpoints-e2e-"));
+    Object.assign(process.env, {
+      SURFPOINTS_NETWORK: "local",
+      SURFPOINTS_RPC_URL: rpcUrl,
+      SURF_TOKEN_ADDRESS: await token.getAddress(),
+      SURFPOINTS_DEPLOYMENT_FILE: path.join(tmpDir, "surfpoints-deployment.json"),
+      SURFPOINTS_INDEX_FILE: path.join(tmpDir, "surfpoints-index.json"),
+    });
+    delete process.env.SURF_POINTS_CONTRACT_ADDRESS;
+
+    await quietly(deploy);
+    deployment = readDeployment();
+  });
+
+  after(async function () {
+    if (server) await server.close();
+    if (provider) provider.destroy();
+    if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+    for (const key of Object.keys(process.env)) {
+      if (!(key in savedEnv)) delete process.env[key];
+    }
+    Object.assign(process.env, savedEnv);
+  });
+
+  describe("deployment", function () {
+    it("deploys a UUPS proxy initialized with the SURF token", async function () {
+      assert.equal(deployment.chainId, "31337");
+      assert.equal(deployment.surfTokenAddress, await token.getAddress());
+      assert.equal(deployment.owner, owner.address);
+      assert.ok(Number.isInteger(deployment.deploymentBlock));
+      assert.equal(
+        deployment.implementationAddress,
+        await hre.upgrades.erc1967.getImplementationAddress(deployment.proxyAddress)
+      );
+
+      const stats = await surfpoints(["stats"]);
+      assert.equal(stats.owner, owner.address);
+      assert.equal(stats.surfToken, await token.getAddress());
+      assert.equal(stats.version, deployment.version);
+    });
+
+    it("finds no drift between ABI.json, the compiled contract and the deployed code", async function () {
+      const result = await surfpoints(["check-abi"]);
+
+      assert.deepEqual(result.problems, []);
+      assert.equal(result.implementation, deployment.implementationAddress);
+      assert.equal(result.bytecodeMatches, true);
+    });
+
+    it("refuses a configured address that is not checksummed", async function () {
+      await assert.rejects(
+        surfpoints(["stats"], { SURF_POINTS_CONTRACT_ADDRESS: deployment.proxyAddress.toLowerCase() }),
+        (error) => error.exitCode === 1 && error.details.error.includes(`is not checksummed, write it as ${deployment.proxyAddress}`)
+      );
+    });
+
+    it("rejects unknown commands with a usage error", async function () {
+      await assert.rejects(surfpoints(["no-such-command"]), (error) => error.exitCode === 2);
+    });
+  });
+
+  describe("owner and admin flows", function () {
+    it("adds the admin and deposits SURF", async function () {
+      const result = await surfpoints(["setup", "--amount", "1000"]);
+
+      assert.equal(result.admin, admin.address);
+      assert.equal(result.deposited, SURF("1000").toString());
+      assert.deepEqual(
+        result.deposit.events.map((event) => event.name),
+        ["SurfTokenDeposited"]
+      );
+      assert.equal(await token.balanceOf(deployment.proxyAddress), SURF("1000"));
+      assert.equal(await clientFor(owner).isAdmin(admin.address), true);
+    });
+
+    it("records points for a user", async function () {
+      const result = await surfpoints(["record", alice.address, "500"]);
+
+      assert.equal(result.balance, "500");
+      const [event] = result.tx.events;
+      assert.equal(event.name, "SurfPointsRecorded");
+      assert.deepEqual(event.args, { user: alice.address, points: "500", newBalance: "500" });
+    });
+
+    it("batch records points from an import file", async function () {
+      const file = path.join(tmpDir, "points.csv");
+      fs.writeFileSync(file, `address,points\n${bob.address},300\n${carol.address},200\n`);
+
+      await surfpoints(["import", file, "--progress", path.join(tmpDir, "points.progress.json")]);
+
+      const client = clientFor(owner);
+      assert.equal(await client.getUserPoints(bob.address), 300n);
+      assert.equal(await client.getUserPoints(carol.address), 200n);
+    });
+
+    it("refuses JSON points too large to be read exactly", async function () {
+      const file = path.join(tmpDir, "points-large.json");
+      fs.writeFileSync(file, `[{ "address": "${bob.address}", "points": 12345678901234567890 }]`);
+
+      await assert.rejects(
+        surfpoints(["import", file, "--dry-run"]),
+        (error) => error.exitCode === 1 && /row 1: points .* too large for a JSON number, write it as a string/.test(error.details.error)
+      );
+
+      fs.writeFileSync(file, `[{ "address": "${bob.address}", "points": "12345678901234567890" }]`);
+      const result = await surfpoints(["import", file, "--dry-run"]);
+      assert.equal(result.totalPoints, "12345678901234567890");
+    });
+
+    it("refuses to resume an import against another deployment", async function () {
+      const secondFile = path.join(tmpDir, "second-deployment.json");
+      const second = await withEnv({ SURFPOINTS_DEPLOYMENT_FILE: secondFile }, () => quietly(deploy));
+
+      // The owner is an admin of the new proxy; every chunk in the progress file is confirmed on the first one
+      await assert.rejects(
+        surfpoints(
+          ["import", path.join(tmpDir, "points.csv"), "--progress", path.join(tmpDir, "points.progress.json")],
+          { SURFPOINTS_DEPLOYMENT_FILE: secondFile, ADMIN_PRIVATE_KEY: owner.privateKey }
+        ),
+        (error) => error.exitCode === 1 && /belongs to contract .* not 0x[0-9a-fA-F]{40} on chain 31337/.test(error.details.error)
+      );
+      assert.equal(await new SurfPointsClient(second, provider).getUserPoints(bob.address), 0n);
+    });
+
+    it("only lets admins record points", async function () {
+      await assert.rejects(clientFor(alice).recordPoints(bob.address, 1n), revertsWith("OnlyAdmin"));
+    });
+
+    it("simulates without sending in dry-run mode", async function () {
+      const result = await surfpoints(["record", alice.address, "1", "--dry-run"]);
+
+      assert.equal(result.tx.dryRun, true);
+      assert.equal(await clientFor(owner).getUserPoints(alice.address), 500n);
+    });
+
+    it("reads amounts in the token's units and refuses ambiguous ones", async function () {
+      const result = await surfpoints(["record", alice.address, "1.5k SURF", "--dry-run"]);
+      assert.equal(result.recorded, SURF("1500").toString());
+      assert.equal((await surfpoints(["record", alice.address, "2k points", "--dry-run"])).recorded, "2000");
+
+      for (const amount of ["1.5 points", "1,000", "1m SURF", "0.0000000000000000001 SURF", "5 ETH"]) {
+        await assert.rejects(surfpoints(["record", alice.address, amount]), (error) => error.exitCode === 2);
+      }
+      assert.equal(await clientFor(owner).getUserPoints(alice.address), 500n);
+
+      const deposit = await surfpoints(["setup", "--admin", bob.address, "--amount", "2.5k SURF", "--dry-run"]);
+      assert.equal(deposit.deposited, SURF("2500").toString());
+      await assert.rejects(surfpoints(["setup", "--admin", bob.address, "--amount", "1e3", "--dry-run"]), (error) => error.exitCode === 2);
+
+      const withdrawal = await surfpoints(["emergency-withdraw", await token.getAddress(), "0.5k", "--dry-run"]);
+      assert.equal(withdrawal.amount, SURF("500").toString());
+      await assert.rejects(
+        surfpoints(["emergency-withdraw", await token.getAddress(), "1.5 SURF and change", "--dry-run"]),
+        (error) => error.exitCode === 2
+      );
+
+      const { stdout } = await execFileAsync(process.execPath, [CLI, "user", alice.address]);
+      assert.match(stdout, /Pending Points: 500 points \(0\.0000000000000005 SURF\)/);
+    });
+
+    it("audits the admins against the policy file and syncs them", async function () {
+      const policyFile = path.join(tmpDir, "admins.json");
+      const logFile = path.join(tmpDir, "admins.changes.jsonl");
+      const writePolicy = (wallets) => fs.writeFileSync(policyFile, JSON.stringify({ admins: wallets.map((wallet) => wallet.address) }));
+      const env = { SURFPOINTS_ADMIN_POLICY: policyFile };
+
+      writePolicy([owner, admin, carol]);
+      const drift = await surfpoints(["admin", "audit"], env).then(
+        () => assert.fail("expected the audit to fail"),
+        (failure) => failure
+      );
+      assert.equal(drift.exitCode, 1);
+      assert.deepEqual(drift.result.missing.map((row) => row.address), [carol.address]);
+      assert.equal(drift.result.admins.find((row) => row.address === admin.address).since.blockNumber > 0, true);
+
+      const added = await surfpoints(["admin", "sync"], env);
+      assert.deepEqual(added.changes.map(({ method, address, status }) => [method, address, status]), [["addAdmin", carol.address, "executed"]]);
+      assert.equal(await clientFor(owner).isAdmin(carol.address), true);
+
+      writePolicy([owner, admin]);
+      const removed = await surfpoints(["admin", "sync"], env);
+      assert.deepEqual(removed.changes.map(({ method, address }) => [method, address]), [["removeAdmin", carol.address]]);
+
+      const audit = await surfpoints(["admin", "audit"], env);
+      assert.equal(audit.ok, true);
+      const log = fs.readFileSync(logFile, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+      assert.deepEqual(log.map(({ method }) => method), ["addAdmin", "removeAdmin"]);
+      assert.equal(log[1].by, owner.address);
+      assert.match(log[1].transactionHash, /^0x[0-9a-f]{64}$/);
+    });
+  });
+
+  describe("user flows", function () {
+    it("claims points into a locked claim", async function () {
+      const result = await surfpoints(["claim"]);
+
+      assert.equal(result.claimed, "500");
+      assert.equal(result.pendingClaims.length, 1);
+      assert.equal(result.pendingClaims[0].canWithdraw, false);
+      assert.deepEqual(
+        result.tx.events.map((event) => event.name),
+        ["ClaimRequested"]
+      );
+      assert.equal(await clientFor(owner).getUserPoints(alice.address), 0n);
+    });
+
+    it("refuses to withdraw a claim before it unlocks", async function () {
+      await assert.rejects(clientFor(alice).withdraw(0n), revertsWith("ClaimStillLocked"));
+    });
+
+    it("toggles skip, forfeiting the points when enabled", async function () {
+      const enabled = await surfpoints(["skip"], { USER_PRIVATE_KEY: bob.privateKey });
+      assert.equal(enabled.skipEnabled, true);
+      assert.equal(enabled.pointsForfeited, "300");
+      assert.equal(enabled.remainingPoints, "0");
+      assert.deepEqual(enabled.tx.events[0].args, { user: bob.address, pointsForfeited: "300", skipEnabled: true });
+
+      const disabled = await surfpoints(["skip"], { USER_PRIVATE_KEY: bob.privateKey });
+      assert.equal(disabled.skipEnabled, false);
+      assert.equal(disabled.pointsForfeited, "0");
+    });
+
+    it("does not allow skip after claiming", async function () {
+      await assert.rejects(surfpoints(["skip"]), /Cannot toggle skip/);
+      await assert.rejects(clientFor(alice).toggleSkip(), revertsWith("CannotSkipAfterClaim"));
+    });
+
+    it("withdraws the claim once the lock period has passed", async function () {
+      const lockPeriod = await clientFor(owner).getClaimLockPeriod();
+      await increaseTime(lockPeriod + 1n);
+
+      const before = await token.balanceOf(alice.address);
+      const result = await surfpoints(["withdraw", "--all"]);
+
+      assert.equal(result.withdrawn.length, 1);
+      assert.equal(result.withdrawn[0].claimId, "0");
+      assert.deepEqual(result.withdrawn[0].tx.events[0].args, { user: alice.address, claimId: "0", amount: "500" });
+      assert.equal(await token.balanceOf(alice.address), before + 500n);
+      assert.equal(await token.balanceOf(deployment.proxyAddress), SURF("1000") - 500n);
+
+      await assert.rejects(clientFor(alice).withdraw(0n), revertsWith("ClaimAlreadyWithdrawn"));
+    });
+
+    it("keeper withdraws matured claims", async function () {
+      await clientFor(carol).claim();
+      await increaseTime((await clientFor(owner).getClaimLockPeriod()) + 1n);
+
+      const result = await surfpoints(["keeper", "--once"], { KEEPER_PRIVATE_KEYS: carol.privateKey });
+
+      assert.deepEqual(result.withdrawn.map(({ user, amount }) => ({ user, amount })), [{ user: carol.address, amount: "200" }]);
+      assert.equal(result.failed.length, 0);
+      assert.equal(await token.balanceOf(carol.address), 200n);
+    });
+
+    it("reports the same status from the event index as from the contract", async function () {
+      await surfpoints(["index"]);
+
+      assert.deepEqual(await surfpoints(["status", "--indexed"]), await surfpoints(["status"]));
+      assert.deepEqual(
+        await surfpoints(["user", alice.address, "--indexed"]),
+        await surfpoints(["user", alice.address])
+      );
+    });
+  });
+
+  describe("pause and emergency flows", function () {
+    it("blocks points and claims while paused", async function () {
+      await surfpoints(["pause"]);
+      assert.equal(await clientFor(owner).isPaused(), true);
+
+      await assert.rejects(
+        surfpoints(["record", alice.address, "10"]),
+        (error) => error.exitCode === 1 && error.details.reason === "EnforcedPause"
+      );
+      await assert.rejects(clientFor(admin).recordPoints(alice.address, 10n), revertsWith("EnforcedPause"));
+
+      await surfpoints(["unpause"]);
+      assert.equal(await clientFor(owner).isPaused(), false);
+      await surfpoints(["record", alice.address, "10"]);
+      assert.equal(await clientFor(owner).getUserPoints(alice.address), 10n);
+    });
+
+    it("lets only the owner withdraw tokens in an emergency", async function () {
+      await assert.rejects(
+        clientFor(admin).emergencyWithdrawToken(await token.getAddress(), SURF("1")),
+        revertsWith("OwnableUnauthorizedAccount")
+      );
+
+      const contractBefore = await token.balanceOf(deployment.proxyAddress);
+      const ownerBefore = await token.balanceOf(owner.address);
+      const result = await surfpoints(["emergency-withdraw", await token.getAddress(), "100"]);
+
+      assert.deepEqual(result.tx.events[0], {
+        name: "EmergencyWithdraw",
+        args: { token: await token.getAddress(), recipient: owner.address, amount: SURF("100").toString() },
+      });
+      assert.equal(await token.balanceOf(deployment.proxyAddress), contractBefore - SURF("100"));
+      assert.equal(await token.balanceOf(owner.address), ownerBefore + SURF("100"));
+    });
+
+    it("still covers every liability after the emergency withdrawal", async function () {
+      const result = await surfpoints(["treasury"]);
+
+      assert.equal(result.level, "ok");
+      assert.equal(result.liabilities, "10");
+    });
+  });
+
+  describe("signers and Safe proposals", function () {
+    it("signs with an encrypted keystore", async function () {
+      // The admin's key, encrypted with the password "surfpoints" and light scrypt parameters so it opens quickly
+      const keystore = { ADMIN_PRIVATE_KEY: "", ADMIN_KEYSTORE: path.join(__dirname, "fixtures", "admin.keystore.json") };
+
+      const result = await surfpoints(["record", alice.address, "1", "--dry-run"], { ...keystore, ADMIN_KEYSTORE_PASSWORD: "surfpoints" });
+      assert.equal(result.tx.from, admin.address);
+
+      // A relative path is resolved against the project root, wherever the CLI runs from
+      const { stdout } = await execFileAsync(process.execPath, [CLI, "record", alice.address, "1", "--dry-run", "--json"], {
+        cwd: tmpDir,
+        env: { ...process.env, ADMIN_PRIVATE_KEY: "", ADMIN_KEYSTORE: path.join("test", "fixtures", "admin.keystore.json"), ADMIN_KEYSTORE_PASSWORD: "surfpoints" },
+      });
+      assert.equal(JSON.parse(stdout).tx.from, admin.address);
+
+      await assert.rejects(
+        surfpoints(["record", alice.address, "1", "--dry-run"], { ...keystore, ADMIN_KEYSTORE_PASSWORD: "wrong" }),
+        (error) => error.exitCode === 1 && /Cannot decrypt admin keystore/.test(error.details.error)
+      );
+    });
+
+    it("writes owner transactions to a Safe Transaction Builder batch instead of sending them", async function () {
+      const file = path.join(tmpDir, "owner-batch.json");
+      // The owner account stands in for the Safe
+      const propose = ["--propose", file, "--safe", owner.address];
+
+      const pause = await surfpoints(["pause", ...propose]);
+      await surfpoints(["admin", "add", dave.address, ...propose]);
+
+      const proxy = await hre.ethers.getContractAt("SurfPoints", deployment.proxyAddress);
+      const batch = JSON.parse(fs.readFileSync(file, "utf8"));
+      assert.equal(pause.tx.proposed, true);
+      assert.equal(batch.chainId, "31337");
+      assert.equal(batch.meta.createdFromSafeAddress, owner.address);
+      assert.deepEqual(batch.transactions.map(({ to, value, data }) => ({ to, value, data })), [
+        { to: deployment.proxyAddress, value: "0", data: proxy.interface.encodeFunctionData("pause") },
+        { to: deployment.proxyAddress, value: "0", data: proxy.interface.encodeFunctionData("addAdmin", [dave.address]) },
+      ]);
+
+      // Nothing was sent
+      assert.equal(await proxy.paused(), false);
+      assert.equal(await proxy.isAdmin(dave.address), false);
+    });
+  });
+
+  describe("session scoring", function () {
+    it("scores surf sessions with the ruleset and records the points", async function () {
+      const sessionsFile = path.join(tmpDir, "sessions.json");
+      fs.writeFileSync(sessionsFile, JSON.stringify([
+        { id: "d1", user: dave.address, date: "2026-06-01T07:00:00Z", durationMinutes: 60, waves: 10, spot: "Pipeline" },
+        { id: "d2", user: dave.address, date: "2026-06-02T07:00:00Z", durationMinutes: 30, waves: 2 },
+        { id: "d3", user: dave.address, date: "2026-06-03T07:00:00Z", durationMinutes: 10, waves: 1 },
+      ]));
+      const rules = path.join(__dirname, "..", "config", "rulesets", "surf-v1.json");
+
+      const result = await surfpoints(["score", sessionsFile, "--rules", rules, "--record"]);
+
+      // d1: (50 + 4 x 10 + 10 x 5) x 1.5; d2: 50 + 2 x 10 + 2 x 5; d3 is too short to qualify, so no streak
+      assert.deepEqual(result.entries, [{ user: dave.address, points: "290" }]);
+      assert.deepEqual(result.skipped.map((session) => session.id), ["d3"]);
+      assert.equal(await clientFor(owner).getUserPoints(dave.address), 290n);
+
+      const report = JSON.parse(fs.readFileSync(result.reportFile, "utf8"));
+      assert.equal(report.ruleset.version, "1.0.0");
+      assert.deepEqual(report.users[0].sessions[0].lines.map((line) => line.rule), ["session", "duration", "waves", "big-wave-spot"]);
+      assert.match(report.recording.transactions[0].txHash, /^0x[0-9a-f]{64}$/);
+    });
+
+    it("reads unix seconds from a CSV date column", async function () {
+      const sessionsFile = path.join(tmpDir, "sessions.csv");
+      fs.writeFileSync(sessionsFile, [
+        "id,user,date,duration,waves",
+        `c1,${carol.address},1780297200,30,2`,
+      ].join("\n"));
+      const rules = path.join(__dirname, "..", "config", "rulesets", "surf-v1.json");
+
+      const result = await surfpoints(["score", sessionsFile, "--rules", rules]);
+
+      assert.deepEqual(result.entries, [{ user: carol.address, points: "80" }]);
+    });
+
+    it("hashes a ruleset the same whatever order its keys are in", function () {
+      const file = path.join(__dirname, "..", "config", "rulesets", "surf-v1.json");
+      const reverse = (value) => Array.isArray(value) ? value.map(reverse)
+        : value && typeof value === "object" ? Object.fromEntries(Object.entries(value).reverse().map(([key, item]) => [key, reverse(item)]))
+          : value;
+
+      assert.equal(validateRuleset(reverse(JSON.parse(fs.readFileSync(file, "utf8")))).hash, loadRuleset(file).hash);
+    });
+  });
+
+  describe("ledger reconciliation", function () {
+    const newcomer = ethers.Wallet.createRandom().address;
+    let ledgerFile;
+
+    // Users missing from the ledger (alice, carol, ...) always leave the run with mismatches
+    async function reconcileLedger(args = []) {
+      const failure = await surfpoints(["reconcile", ledgerFile, ...args]).then(
+        () => assert.fail("expected mismatches"),
+        (error) => error
+      );
+      assert.equal(failure.exitCode, 1);
+      return failure.result;
+    }
+
+    it("classifies discrepancies against the ledger and writes corrections", async function () {
+      ledgerFile = path.join(tmpDir, "ledger.csv");
+      fs.writeFileSync(ledgerFile, ["address,points", `${dave.address},290`, `${bob.address},300`, `${newcomer},25`].join("\n"));
+
+      const result = await reconcileLedger();
+      const byUser = new Map(result.users.map((user) => [user.user, user]));
+
+      assert.equal(byUser.get(dave.address).status, "ok");
+      // bob forfeited his 300 points through skip, which only the ClaimSkipped event shows
+      assert.equal(byUser.get(bob.address).status, "ok");
+      assert.equal(byUser.get(bob.address).forfeited, "300");
+      assert.deepEqual(byUser.get(bob.address).classifications, ["forfeited"]);
+      assert.equal(byUser.get(newcomer).status, "missing_credit");
+      assert.equal(byUser.get(alice.address).status, "double_credit");
+      assert.equal(byUser.get(alice.address).inLedger, false);
+      assert.equal(fs.readFileSync(result.correctionsFile, "utf8"), `address,points\n${newcomer},25\n`);
+    });
+
+    it("resolves the missing credit by importing the corrections", async function () {
+      await surfpoints(["import", `${ledgerFile}.corrections.csv`]);
+
+      const result = await reconcileLedger(["--indexed", "--report", path.join(tmpDir, "reconcile.csv")]);
+
+      assert.equal(result.users.find((user) => user.user === newcomer).status, "ok");
+      assert.equal(result.corrections.length, 0);
+      assert.match(fs.readFileSync(path.join(tmpDir, "reconcile.csv"), "utf8"), new RegExp(`^${bob.address},ok,forfeited,300,300,0,`, "m"));
+    });
+  });
+
+  describe("lock period preview", function () {
+    it("previews which claims a new lock period unlocks or pushes back", async function () {
+      const DAY = 24n * 60n * 60n;
+      await clientFor(dave).claim();
+      await increaseTime(2n * DAY);
+
+      const shorter = await surfpoints(["lock-period-preview", "1"]);
+      const unlocked = shorter.claims.find((claim) => claim.user === dave.address);
+      assert.equal(unlocked.category, "unlocks_now");
+      assert.equal(BigInt(unlocked.newUnlockTime), BigInt(unlocked.unlockTime) - 13n * DAY);
+      assert.equal(shorter.unlockedAtOnce, "290");
+      assert.equal(shorter.coversWithdrawable, true);
+
+      const longer = await surfpoints(["lock-period-preview", "30", "--indexed"]);
+      assert.equal(longer.claims.find((claim) => claim.user === dave.address).category, "later");
+      assert.equal(longer.shift, (16n * DAY).toString());
+
+      // Only a preview: the period is unchanged
+      assert.equal(await clientFor(owner).getClaimLockPeriod(), 14n * DAY);
+      await assert.rejects(surfpoints(["lock-period-preview", "400"]), (error) => error.exitCode === 2);
+    });
+  });
+
+  describe("historical state", function () {
+    it("reads past state, snapshots it and diffs two snapshots", async function () {
+      const newcomer = ethers.Wallet.createRandom().address;
+      const before = await provider.getBlock("latest");
+      const earlier = path.join(tmpDir, "earlier.json");
+      await surfpoints(["snapshot", earlier, "--block", String(before.number)]);
+
+      await clientFor(admin).recordPoints(newcomer, 15n);
+      await surfpoints(["index"]);
+      const later = await surfpoints(["snapshot", path.join(tmpDir, "later.csv"), "--indexed"]);
+
+      assert.equal((await surfpoints(["user", newcomer])).points, "15");
+      const past = await surfpoints(["user", newcomer, "--at", new Date(before.timestamp * 1000).toISOString()]);
+      assert.equal(past.points, "0");
+      assert.deepEqual(await surfpoints(["user", dave.address, "--block", String(before.number), "--indexed"]), await surfpoints(["user", dave.address, "--block", String(before.number)]));
+
+      const diff = await surfpoints(["diff", earlier, later.file]);
+      assert.equal(diff.from.blockNumber, before.number);
+      assert.deepEqual(diff.users.map(({ address, status }) => ({ address, status })), [{ address: newcomer, status: "added" }]);
+      assert.equal(diff.totals.points.delta, "15");
+      assert.equal(diff.totals.users.delta, "1");
+
+      await assert.rejects(surfpoints(["stats", "--block", "1", "--at", "2024-01-01"]), (error) => error.exitCode === 2);
+    });
+  });
+
+  describe("incident response", function () {
+    let safe;
+    let incidentFile;
+
+    before(function () {
+      const { mnemonic, path: hdPath } = hre.network.config.accounts;
+      safe = ethers.HDNodeWallet.fromPhrase(mnemonic, undefined, `${hdPath}/6`).connect(provider);
+      incidentFile = path.join(tmpDir, "incident.json");
+    });
+
+    it("proposes the whole incident, forwards included, to the owner Safe", async function () {
+      const file = path.join(tmpDir, "incident-batch.json");
+      const surf = await token.balanceOf(deployment.proxyAddress);
+      const native = ethers.parseEther("1");
+      await hre.network.provider.send("hardhat_setBalance", [deployment.proxyAddress, ethers.toQuantity(native)]);
+      try {
+        // The owner account stands in for the Safe
+        await surfpoints([
+          "incident", "--move-funds", "--to", safe.address, "--report", path.join(tmpDir, "incident-proposal.json"),
+          "--propose", file, "--safe", owner.address,
+        ]);
+      } finally {
+        await hre.network.provider.send("hardhat_setBalance", [deployment.proxyAddress, "0x0"]);
+      }
+
+      const proxy = await hre.ethers.getContractAt("SurfPoints", deployment.proxyAddress);
+      const { transactions } = JSON.parse(fs.readFileSync(file, "utf8"));
+      assert.deepEqual(transactions.map(({ to, value, data }) => ({ to, value, data })), [
+        { to: deployment.proxyAddress, value: "0", data: proxy.interface.encodeFunctionData("pause") },
+        { to: deployment.proxyAddress, value: "0", data: proxy.interface.encodeFunctionData("emergencyWithdrawToken", [await token.getAddress(), surf]) },
+        { to: deployment.proxyAddress, value: "0", data: proxy.interface.encodeFunctionData("emergencyWithdrawNative") },
+        { to: await token.getAddress(), value: "0", data: token.interface.encodeFunctionData("transfer", [safe.address, surf]) },
+        { to: safe.address, value: native.toString(), data: "0x" },
+      ]);
+      assert.equal(await clientFor(owner).isPaused(), false);
+    });
+
+    it("pauses, moves the SURF to the Safe and signs off a verified report", async function () {
+      const balance = await token.balanceOf(deployment.proxyAddress);
+      const result = await surfpoints(["incident", "--move-funds", "--to", safe.address, "--reason", "drill", "--by", "ops", "--report", incidentFile]);
+
+      assert.equal(result.ok, true);
+      assert.deepEqual(result.steps.map((step) => step.step), ["pause", "withdraw-token", "forward-token"]);
+      assert.equal(await clientFor(owner).isPaused(), true);
+      assert.equal(await token.balanceOf(deployment.proxyAddress), 0n);
+      assert.equal(await token.balanceOf(safe.address), balance);
+
+      const report = JSON.parse(fs.readFileSync(incidentFile, "utf8"));
+      assert.equal(verifyReport(report), owner.address);
+      assert.equal(report.signOff.by, "ops");
+      assert.ok(fs.existsSync(path.join(tmpDir, "incident.snapshot.json")));
+      assert.throws(() => verifyReport({ ...report, reason: "edited" }), /changed after it was signed off/);
+    });
+
+    it("recovers only once every pending claim is covered again", async function () {
+      const recovery = path.join(tmpDir, "recovery.json");
+      const refused = await surfpoints(["recover", incidentFile, "--report", recovery]).then(
+        () => assert.fail("expected the recovery to be refused"),
+        (error) => error
+      );
+      assert.equal(refused.exitCode, 1);
+      assert.equal(refused.result.coverage.shortfall, "290");
+      assert.equal(await clientFor(owner).isPaused(), true);
+
+      await (await token.connect(safe).transfer(deployment.proxyAddress, await token.balanceOf(safe.address))).wait();
+      const result = await surfpoints(["recover", incidentFile, "--report", recovery]);
+
+      assert.equal(result.ok, true);
+      assert.equal(result.unpaused, true);
+      assert.equal(await clientFor(owner).isPaused(), false);
+      assert.equal(verifyReport(JSON.parse(fs.readFileSync(recovery, "utf8"))), owner.address);
+    });
+  });
+
+  describe("notifications", function () {
+    const mails = [];
+    const posts = [];
+    let smtp;
+    let webhook;
+    let env;
+
+    // Stand-ins for a mail server and a webhook receiver
+    before(async function () {
+      smtp = net.createServer((socket) => {
+        let data = null;
+        let buffer = "";
+        socket.write("220 localhost\r\n");
+        socket.on("data", (chunk) => {
+          buffer += chunk;
+          let end;
+          while ((end = buffer.indexOf("\r\n")) !== -1) {
+            const line = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            if (data !== null) {
+              if (line === ".") {
+                mails.push(data.join("\r\n"));
+                data = null;
+                socket.write("250 queued\r\n");
+              } else {
+                data.push(line);
+              }
+            } else if (line.startsWith("DATA")) {
+              data = [];
+              socket.write("354 go ahead\r\n");
+            } else if (line.startsWith("QUIT")) {
+              socket.end("221 bye\r\n");
+            } else {
+              socket.write("250 ok\r\n");
+            }
+          }
+        });
+      });
+      webhook = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+          posts.push(JSON.parse(body));
+          res.end();
+        });
+      });
+      await new Promise((resolve) => smtp.listen(0, "127.0.0.1", resolve));
+      await new Promise((resolve) => webhook.listen(0, "127.0.0.1", resolve));
+      env = {
+        SURFPOINTS_SUBSCRIBERS_FILE: path.join(tmpDir, "subscribers.json"),
+        SURFPOINTS_NOTIFICATIONS_FILE: path.join(tmpDir, "notifications.json"),
+        SURFPOINTS_SMTP_URL: `smtp://127.0.0.1:${smtp.address().port}`,
+        SURFPOINTS_SMTP_FROM: "surfpoints@example.com",
+        SURFPOINTS_NOTIFY_WEBHOOK: `http://127.0.0.1:${webhook.address().port}/notify`,
+      };
+    });
+
+    after(async function () {
+      if (smtp) await new Promise((resolve) => smtp.close(resolve));
+      if (webhook) await new Promise((resolve) => webhook.close(resolve));
+    });
+
+    it("notifies a subscriber of new points and an unlocked claim, once", async function () {
+      await surfpoints(["notify", "subscribe", dave.address, "--email", "dave@example.com", "--channels", "email,webhook"], env);
+      await surfpoints(["record", dave.address, "40"], env);
+      // Dave's claim from the lock period preview unlocks
+      await increaseTime(14n * 24n * 60n * 60n);
+
+      const result = await surfpoints(["notify", "--once"], env);
+
+      assert.deepEqual(
+        result.sent.map(({ kind, channel }) => `${kind}/${channel}`).sort(),
+        ["claim_unlocked/email", "claim_unlocked/webhook", "points_credited/email", "points_credited/webhook"]
+      );
+      assert.equal(mails.length, 2);
+      assert.ok(mails.every((mail) => /^To: dave@example\.com$/m.test(mail)));
+      assert.ok(mails.some((mail) => /^Subject: You received 40 SurfPoints$/m.test(mail)));
+      assert.deepEqual(posts.map(({ kind, user }) => [kind, user]).sort(), [["claim_unlocked", dave.address], ["points_credited", dave.address]]);
+      const unlocked = posts.find(({ kind }) => kind === "claim_unlocked");
+      assert.equal(unlocked.data.amount, "290");
+      assert.match(unlocked.text, /^0\.00000000000000029 SURF can now be withdrawn\.$/m);
+
+      const again = await surfpoints(["notify", "--once"], env);
+      assert.deepEqual(again.sent, []);
+      assert.equal(mails.length, 2);
+    });
+  });
+
+  describe("HTTP API", function () {
+    const API_KEY = "e2e-key";
+    let api;
+    let baseUrl;
+
+    before(async function () {
+      api = createApiServer({
+        client: clientFor(provider),
+        queue: new PointsQueue(clientFor(admin)),
+        apiKeys: [API_KEY],
+      });
+      await new Promise((resolve) => api.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${api.address().port}`;
+    });
+
+    after(async function () {
+      if (api) await new Promise((resolve) => api.close(resolve));
+    });
+
+    async function request(method, route, { body, key } = {}) {
+      const response = await fetch(`${baseUrl}${route}`, {
+        method,
+        headers: { ...(body && { "content-type": "application/json" }), ...(key && { "x-api-key": key }) },
+        body: body && JSON.stringify(body),
+      });
+      return { status: response.status, headers: response.headers, body: await response.json() };
+    }
+
+    it("serves user and contract state", async function () {
+      const user = await request("GET", `/users/${alice.address}`);
+      assert.equal(user.status, 200);
+      assert.equal(user.body.address, alice.address);
+      assert.equal(user.body.points, "10");
+      assert.equal(user.body.totalClaimed, (await clientFor(owner).getUser(alice.address)).totalClaimed.toString());
+
+      const stats = await request("GET", "/stats");
+      assert.equal(stats.status, 200);
+      assert.equal(stats.body.surfToken, await token.getAddress());
+      assert.equal(stats.body.paused, false);
+
+      assert.equal((await request("GET", "/users/0x1234")).status, 400);
+      assert.equal((await request("GET", "/users/%E0%A4%A")).status, 400);
+    });
+
+    it("queues points records for authenticated callers", async function () {
+      const entry = { user: carol.address, points: "40" };
+      assert.equal((await request("POST", "/points", { body: entry })).status, 401);
+      assert.equal((await request("POST", "/points", { body: entry, key: "wrong" })).status, 401);
+
+      const invalid = await request("POST", "/points/batch", { body: { entries: [{ user: carol.address, points: -1 }] }, key: API_KEY });
+      assert.equal(invalid.status, 400);
+
+      const queued = await request("POST", "/points", { body: entry, key: API_KEY });
+      assert.equal(queued.status, 202);
+      assert.equal(queued.headers.get("location"), `/jobs/${queued.body.id}`);
+
+      let job = queued.body;
+      while (!["confirmed", "failed"].includes(job.status)) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        job = (await request("GET", `/jobs/${queued.body.id}`, { key: API_KEY })).body;
+      }
+      assert.equal(job.status, "confirmed", JSON.stringify(job.error));
+      assert.equal(await clientFor(owner).getUserPoints(carol.address), 40n);
+    });
+
+    it("rate limits a client by address whatever API key it makes up", async function () {
+      const limited = createApiServer({ client: clientFor(provider), apiKeys: [API_KEY], rateLimit: 3 });
+      await new Promise((resolve) => limited.listen(0, "127.0.0.1", resolve));
+      try {
+        const statuses = [];
+        for (let i = 0; i < 4; i++) {
+          const response = await fetch(`http://127.0.0.1:${limited.address().port}/users/0x1234`, { headers: { "x-api-key": `bogus-${i}` } });
+          statuses.push(response.status);
+        }
+        assert.deepEqual(statuses, [400, 400, 400, 429]);
+      } finally {
+        await new Promise((resolve) => limited.close(resolve));
+      }
+    });
+
+    it("tells a malformed request and a server bug from a node failure", async function () {
+      // fetch() normalizes the request target: send it as is
+      const status = await new Promise((resolve, reject) => {
+        http.get({ host: "127.0.0.1", port: api.address().port, path: "//" }, (response) => {
+          response.resume();
+          resolve(response.statusCode);
+        }).on("error", reject);
+      });
+      assert.equal(status, 400);
+
+      const failing = (error) => Object.assign(Object.create(clientFor(provider)), { getStats: () => Promise.reject(error) });
+      for (const [error, expected] of [[new TypeError("bug"), 500], [ethers.makeError("node down", "SERVER_ERROR"), 502]]) {
+        const server = createApiServer({ client: failing(error) });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        try {
+          const response = await fetch(`http://127.0.0.1:${server.address().port}/stats`);
+          assert.equal(response.status, expected);
+        } finally {
+          await new Promise((resolve) => server.close(resolve));
+        }
+      }
+    });
+  });
+
+  describe("user portal", function () {
+    it("serves the page with the project ABI and the deployment settings", async function () {
+      const settings = {
+        chainId: 31337,
+        chainName: "local",
+        rpcUrl: null,
+        contractAddress: deployment.proxyAddress,
+        token: { decimals: 18, symbol: "SURF" },
+      };
+      const portal = createPortalServer({ settings });
+      await new Promise((resolve) => portal.listen(0, "127.0.0.1", resolve));
+      const baseUrl = `http://127.0.0.1:${portal.address().port}`;
+      try {
+        const page = await fetch(`${baseUrl}/`);
+        assert.equal(page.status, 200);
+        assert.match(await page.text(), /<script type="module" src="portal.js">/);
+        assert.deepEqual(await (await fetch(`${baseUrl}/config.json`)).json(), settings);
+        assert.deepEqual(await (await fetch(`${baseUrl}/ABI.json`)).json(), require("../ABI.json"));
+        const ethersBuild = await fetch(`${baseUrl}/ethers.js`);
+        assert.equal(ethersBuild.headers.get("content-type"), "text/javascript; charset=utf-8");
+        assert.equal((await fetch(`${baseUrl}/../package.json`)).status, 404);
+      } finally {
+        await new Promise((resolve) => portal.close(resolve));
+      }
+    });
+  });
+
+  describe("metrics exporter", function () {
+    it("serves contract health and event counters in the Prometheus format", async function () {
+      const client = new SurfPointsClient(deployment.proxyAddress, provider);
+      const indexer = new EventIndexer({ provider, address: deployment.proxyAddress, file: path.join(tmpDir, "metrics-index.json") });
+      const labels = { network: "local", chain_id: "31337", contract: deployment.proxyAddress };
+      let failing = false;
+      const collector = new MetricsCollector({
+        read: () => (failing ? Promise.reject(new Error("RPC down")) : readMetrics({ client, indexer })),
+        labels,
+      });
+      assert.equal(await collector.update(), true);
+
+      const server = createMetricsServer({ collector });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      const url = `http://127.0.0.1:${server.address().port}/metrics`;
+      const sample = (text, name, extra = "") =>
+        text.match(new RegExp(`^${name}\\{network="local",chain_id="31337",contract="${deployment.proxyAddress}"${extra}\\} (\\S+)$`, "m"))[1];
+      try {
+        const response = await fetch(url);
+        assert.equal(response.headers.get("content-type"), "text/plain; version=0.0.4; charset=utf-8");
+        const text = await response.text();
+        const stats = await client.getStats();
+
+        assert.match(text, /^# TYPE surfpoints_claims_requested_total counter$/m);
+        assert.equal(sample(text, "surfpoints_up"), "1");
+        assert.equal(sample(text, "surfpoints_points_distributed"), stats.totalDistributed.toString());
+        assert.equal(sample(text, "surfpoints_points_recorded_total"), stats.totalDistributed.toString());
+        assert.equal(sample(text, "surfpoints_tokens_claimed_surf"), ethers.formatUnits(stats.totalClaimed, 18));
+        assert.equal(sample(text, "surfpoints_claimed_points_withdrawn_total"), stats.totalClaimed.toString());
+        assert.equal(sample(text, "surfpoints_users"), (await client.getTotalUsersCount()).toString());
+        assert.equal(sample(text, "surfpoints_paused"), "0");
+        assert.equal(sample(text, "surfpoints_owner_balance_eth", `,owner="${owner.address}"`), ethers.formatEther(await provider.getBalance(owner.address)));
+        assert.equal(sample(text, "surfpoints_skips_total", ',enabled="true"'), "1");
+        assert.equal(sample(text, "surfpoints_points_forfeited_total"), "300");
+
+        // A failed reading keeps the last values and reports the exporter as down
+        failing = true;
+        assert.equal(await collector.update(), false);
+        const stale = await (await fetch(url)).text();
+        assert.equal(sample(stale, "surfpoints_up"), "0");
+        assert.equal(sample(stale, "surfpoints_points_forfeited_total"), "300");
+        assert.equal((await fetch(url.replace("/metrics", "/"))).status, 404);
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+
+  describe("transaction manager", function () {
+    // A wallet no other test sends from, so its nonces are the manager's alone
+    let sender;
+
+    async function setAutomine(enabled) {
+      await hre.network.provider.send("evm_setAutomine", [enabled]);
+    }
+
+    async function nonceOf(hash) {
+      return (await provider.getTransaction(hash)).nonce;
+    }
+
+    before(function () {
+      const { mnemonic, path: hdPath } = hre.network.config.accounts;
+      sender = ethers.HDNodeWallet.fromPhrase(mnemonic, undefined, `${hdPath}/7`).connect(provider);
+    });
+
+    it("gives parallel sends consecutive nonces and recovers from a stale one", async function () {
+      const manager = new TransactionManager(sender, { pollInterval: 50 });
+      const first = await sender.getNonce("pending");
+
+      const receipts = await Promise.all([1n, 2n, 3n].map((value) => manager.send({ to: carol.address, value })));
+      const nonces = await Promise.all(receipts.map((receipt) => nonceOf(receipt.hash)));
+      assert.deepEqual(nonces.sort((a, b) => a - b), [first, first + 1, first + 2]);
+
+      // The next nonce is used behind the manager's back: "nonce too low", then a fresh nonce from the node
+      await (await sender.sendTransaction({ to: carol.address, value: 1n })).wait();
+      const receipt = await manager.send({ to: carol.address, value: 1n });
+      assert.equal(receipt.status, 1);
+      assert.equal(await nonceOf(receipt.hash), first + 4);
+    });
+
+    it("hands the nonce of a failed send to the next one", async function () {
+      const messages = [];
+      const manager = new TransactionManager(sender, { pollInterval: 50, log: (message) => messages.push(message) });
+      const first = await sender.getNonce("pending");
+
+      const receipts = [];
+      await setAutomine(false);
+      try {
+        // With a gas limit there is no estimate: it takes the first nonce and fails at broadcast, after the second send took the next one
+        const failing = manager.send({ to: carol.address, value: ethers.parseEther("1000000"), gasLimit: 21_000n });
+        const queued = manager.send({ to: carol.address, value: 1n });
+        await assert.rejects(failing, (error) => error instanceof TransactionError && error.nonce === first);
+
+        // The next send fills the gap, so the transaction queued behind it can be mined
+        const mine = () => hre.network.provider.send("evm_mine");
+        receipts.push(...(await Promise.all([manager.send({ to: carol.address, value: 2n }, { onSubmitted: mine }), queued])));
+      } finally {
+        await setAutomine(true);
+      }
+      receipts.push(await manager.send({ to: carol.address, value: 3n }));
+
+      assert.deepEqual(await Promise.all(receipts.map((receipt) => nonceOf(receipt.hash))), [first, first + 1, first + 2]);
+      assert.deepEqual(messages.filter((message) => message.includes("retrying")), []);
+    });
+
+    it("replaces a transaction that is not mined in time", async function () {
+      const manager = new TransactionManager(sender, { stuckTimeout: 200, pollInterval: 50 });
+      const submitted = [];
+      await setAutomine(false);
+      try {
+        const receipt = await manager.send({ to: carol.address, value: 1n }, {
+          onSubmitted: async (hash) => {
+            submitted.push(hash);
+            if (submitted.length === 2) await hre.network.provider.send("evm_mine");
+          },
+        });
+
+        assert.equal(submitted.length, 2);
+        assert.equal(receipt.hash, submitted[1]);
+        assert.equal(await provider.getTransaction(submitted[0]), null);
+      } finally {
+        await setAutomine(true);
+      }
+    });
+
+    it("refuses a replacement above the fee cap and cancels a pending transaction", async function () {
+      await setAutomine(false);
+      try {
+        const pending = await sender.sendTransaction({ to: carol.address, value: 1n });
+
+        const capped = new TransactionManager(sender, { maxFeePerGas: pending.maxFeePerGas });
+        await assert.rejects(capped.speedUp(pending.hash), (error) => {
+          assert.ok(error instanceof TransactionError);
+          assert.equal(error.code, "FEE_CAP_EXCEEDED");
+          return true;
+        });
+
+        const cancelling = new TransactionManager(sender, { pollInterval: 50 }).cancel(pending.hash);
+        // Mine once the replacement has pushed the original out of the pool
+        for (let i = 0; i < 100 && (await provider.getTransaction(pending.hash)); i++) {
+          await new Promise((resolve) => setTimeout(resolve, 50));
+        }
+        await hre.network.provider.send("evm_mine");
+        const receipt = await cancelling;
+
+        assert.equal(receipt.to, sender.address);
+        assert.equal(await nonceOf(receipt.hash), pending.nonce);
+        assert.equal(await provider.getTransaction(pending.hash), null);
+      } finally {
+        await setAutomine(true);
+      }
+    });
+  });
+
+  describe("deployment manifest", function () {
+    it("reuses the proxy and applies only the steps not already in place", async function () {
+      const policyFile = path.join(tmpDir, "manifest-admins.json");
+      const manifestFile = path.join(tmpDir, "manifest.json");
+      fs.writeFileSync(policyFile, JSON.stringify({ admins: [owner.address, admin.address, dave.address] }));
+      fs.writeFileSync(manifestFile, JSON.stringify({ admins: "manifest-admins.json", claimLockPeriodDays: 14, deposit: "5k SURF", paused: false }));
+      const client = clientFor(owner);
+      const depositedBefore = (await client.contract.queryFilter("SurfTokenDeposited")).reduce((sum, event) => sum + event.args.amount, 0n);
+      const balanceBefore = await token.balanceOf(deployment.proxyAddress);
+
+      const proxyAddress = await withEnv({ SURFPOINTS_MANIFEST: manifestFile }, () => quietly(deploy));
+
+      assert.equal(proxyAddress, deployment.proxyAddress);
+      const { bootstrap } = readDeployment();
+      assert.deepEqual(
+        bootstrap.map(({ step, method, status }) => [step, method, status]),
+        [["admins", "addAdmin", "executed"], ["deposit", "approve", "executed"], ["deposit", "depositSurfToken", "executed"]]
+      );
+      assert.equal(await client.isAdmin(dave.address), true);
+      assert.equal(await token.balanceOf(deployment.proxyAddress), balanceBefore + SURF("5000") - depositedBefore);
+
+      // A rerun finds everything in place
+      await withEnv({ SURFPOINTS_MANIFEST: manifestFile }, () => quietly(deploy));
+      assert.equal(readDeployment().bootstrap.length, 3);
+
+      // A transaction left as submitted that the node never saw (dropped or replaced) does not block a rerun
+      const saved = readDeployment();
+      const lost = { step: "paused", method: "pause", args: [], status: "submitted", transactionHash: ethers.id("lost") };
+      fs.writeFileSync(process.env.SURFPOINTS_DEPLOYMENT_FILE, JSON.stringify({ ...saved, bootstrap: [...saved.bootstrap, lost] }));
+      await withEnv({ SURFPOINTS_MANIFEST: manifestFile }, () => quietly(deploy));
+      assert.equal(readDeployment().bootstrap[3].status, "dropped");
+    });
+  });
+
+  describe("upgrade", function () {
+    const upgradeTo = (contract, env = {}) => withEnv({ SURFPOINTS_UPGRADE_CONTRACT: contract, ...env }, () => quietly(upgrade));
+
+    it("rejects an implementation that breaks the storage layout", async function () {
+      await assert.rejects(upgradeTo("SurfPointsStorageClashMock"), /storage layout|incompatible/i);
+      assert.equal(await clientFor(owner).contract.version(), "1.0.0");
+    });
+
+    it("refuses an upgrade that does not change version()", async function () {
+      await assert.rejects(upgradeTo("SurfPoints"), /same as the deployed one/);
+      assert.equal(readDeployment().upgrades, undefined);
+    });
+
+    it("proposes the upgrade to the owner Safe", async function () {
+      const file = path.join(tmpDir, "upgrade-batch.json");
+      // The owner account stands in for the Safe
+      const entry = await upgradeTo("SurfPointsV2Mock", {
+        SURFPOINTS_UPGRADE_PROPOSE: file,
+        SURFPOINTS_SAFE_ADDRESS: owner.address,
+      });
+
+      const proxy = await hre.ethers.getContractAt("SurfPoints", deployment.proxyAddress);
+      const batch = JSON.parse(fs.readFileSync(file, "utf8"));
+      assert.equal(batch.transactions.length, 1);
+      assert.equal(batch.transactions[0].to, deployment.proxyAddress);
+      assert.equal(
+        batch.transactions[0].data,
+        proxy.interface.encodeFunctionData("upgradeToAndCall", [entry.implementation, "0x"])
+      );
+
+      assert.equal(entry.status, "proposed");
+      assert.deepEqual(readDeployment().upgrades, [entry]);
+      assert.equal(await proxy.version(), "1.0.0");
+    });
+
+    it("upgrades the proxy, records the history and can roll back", async function () {
+      const entry = await upgradeTo("SurfPointsV2Mock");
+
+      assert.equal(entry.status, "executed");
+      assert.equal(entry.previousVersion, "1.0.0");
+      assert.equal(entry.version, "2.0.0");
+      assert.equal(entry.previousImplementation, deployment.implementationAddress);
+
+      const recorded = readDeployment();
+      assert.equal(recorded.version, "2.0.0");
+      assert.equal(recorded.implementationAddress, entry.implementation);
+      assert.deepEqual(recorded.upgrades.map((upgrade) => upgrade.status), ["proposed", "executed"]);
+
+      // State survives the upgrade
+      const v2 = await hre.ethers.getContractAt("SurfPointsV2Mock", deployment.proxyAddress);
+      assert.equal(await v2.version(), "2.0.0");
+      assert.equal(await v2.userSurfPoints(alice.address), 10n);
+
+      await (await owner.sendTransaction(entry.rollback)).wait();
+      assert.equal(await clientFor(owner).contract.version(), "1.0.0");
+      assert.equal(await clientFor(owner).getUserPoints(alice.address), 10n);
+    });
+  });
+});
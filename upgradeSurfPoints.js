@@ -0,0 +1,173 @@
+// upgradeSurfPoints.js
+const fs = require("fs");
+const { ethers, upgrades, network } = require("hardhat");
+const { loadConfig, requireConfig, verifyChainId } = require("./src/config");
+const { SafeBatch } = require("./src/safeProposal");
+
+/**
+ * Upgrade script for the UUPS upgradeable SurfPoints contract
+ *
+ * The proxy comes from the deployment file written by deploySurfPoints.js. The
+ * new implementation's storage layout is checked against the layout recorded in
+ * the OpenZeppelin manifest (.openzeppelin/) when the current implementation was
+ * deployed, then the implementation is deployed and the upgrade is either sent
+ * by the owner or added to a Safe Transaction Builder batch for the owner Safe.
+ * Each upgrade is appended to the `upgrades` history of the deployment file
+ * together with the calldata that rolls the proxy back.
+ *
+ * Settings (environment, in addition to src/config.js):
+ *   SURFPOINTS_UPGRADE_CONTRACT        Contract to upgrade to (default: SurfPoints)
+ *   SURFPOINTS_UPGRADE_PROPOSE         Safe batch file to write instead of sending the upgrade;
+ *                                      the Safe is SURFPOINTS_SAFE_ADDRESS
+ *   SURFPOINTS_UPGRADE_VALIDATE_ONLY=1 Only run the storage layout check
+ *
+ * Usage: npx hardhat run upgradeSurfPoints.js --network holesky
+ */
+
+async function main() {
+  console.log("Starting SurfPoints UUPS upgrade...\n");
+
+  const config = loadConfig({ network: network.name });
+  await verifyChainId(ethers.provider, config);
+
+  const deployment = config.deployment;
+  if (!deployment || !deployment.proxyAddress) {
+    throw new Error(`No SurfPoints deployment for network "${config.network}" in ${config.deploymentFile}: run deploySurfPoints.js first`);
+  }
+  const proxyAddress = deployment.proxyAddress;
+  const contractName = process.env.SURFPOINTS_UPGRADE_CONTRACT || "SurfPoints";
+  const proposeFile = process.env.SURFPOINTS_UPGRADE_PROPOSE;
+
+  const proxy = await ethers.getContractAt("SurfPoints", proxyAddress);
+  const currentImplementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+  const currentVersion = await proxy.version();
+  const owner = await proxy.owner();
+
+  console.log("SurfPoints Proxy Address:", proxyAddress);
+  console.log("Current Implementation:", currentImplementation);
+  console.log("Current Version:", currentVersion);
+  console.log("Owner:", owner);
+  console.log("New Implementation Contract:", contractName, "\n");
+
+  if (deployment.implementationAddress && ethers.getAddress(deployment.implementationAddress) !== currentImplementation) {
+    console.log(`⚠️ The deployment file records implementation ${deployment.implementationAddress}; the proxy was upgraded outside this script\n`);
+  }
+
+  // 1. Storage layout: the new contract must keep every existing slot (new variables come out of __gap)
+  console.log("1. Checking storage layout against the deployed implementation...");
+  const NewImplementation = await ethers.getContractFactory(contractName);
+  try {
+    await upgrades.validateUpgrade(proxyAddress, NewImplementation, { kind: "uups" });
+  } catch (error) {
+    if (/not registered/i.test(error.message)) {
+      console.error("   The current implementation is not in the .openzeppelin manifest for this network.");
+      console.error("   Import it with upgrades.forceImport() using the contract source it was deployed from.");
+    }
+    throw error;
+  }
+  console.log("   ✅ Storage layout is upgrade safe\n");
+
+  if (process.env.SURFPOINTS_UPGRADE_VALIDATE_ONLY === "1") {
+    console.log("Validation only: nothing deployed\n");
+    return null;
+  }
+
+  // Who executes the upgrade: the owner's key, or the owner Safe through a proposal
+  let signer = null;
+  let safeAddress = null;
+  if (proposeFile) {
+    safeAddress = requireConfig(config, "safeAddress");
+    if (safeAddress !== owner) console.log(`⚠️ The contract owner is ${owner}, not the Safe ${safeAddress}\n`);
+  } else {
+    [signer] = await ethers.getSigners();
+    if (signer.address !== owner) {
+      throw new Error(`${signer.address} is not the owner (${owner}): set SURFPOINTS_UPGRADE_PROPOSE to propose the upgrade to the owner Safe`);
+    }
+  }
+
+  // 2. Deploy the implementation (reused if this exact bytecode is already deployed)
+  console.log("2. Deploying new implementation...");
+  const newImplementation = await upgrades.prepareUpgrade(proxyAddress, NewImplementation, { kind: "uups" });
+  const newVersion = await NewImplementation.attach(newImplementation).version();
+  console.log("   Implementation:", newImplementation);
+  console.log("   Version:", newVersion, "\n");
+
+  if (newVersion === currentVersion) {
+    throw new Error(`The new implementation reports version() ${newVersion}, same as the deployed one: bump version() before upgrading`);
+  }
+
+  const upgradeData = proxy.interface.encodeFunctionData("upgradeToAndCall", [newImplementation, "0x"]);
+  const rollbackData = proxy.interface.encodeFunctionData("upgradeToAndCall", [currentImplementation, "0x"]);
+  const entry = {
+    contract: contractName,
+    previousVersion: currentVersion,
+    version: newVersion,
+    previousImplementation: currentImplementation,
+    implementation: newImplementation,
+  };
+
+  if (proposeFile) {
+    // 3. Check the call from the Safe, then add it to the batch
+    console.log("3. Proposing upgradeToAndCall to the Safe...");
+    try {
+      await ethers.provider.call({ from: safeAddress, to: proxyAddress, data: upgradeData });
+    } catch (error) {
+      const reason = error.revert ? error.revert.name : error.shortMessage || error.message;
+      throw new Error(`upgradeToAndCall from the Safe ${safeAddress} would revert: ${reason}`);
+    }
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const batch = new SafeBatch({ file: proposeFile, safeAddress, chainId, name: `SurfPoints upgrade to ${newVersion}` });
+    const index = batch.add({ to: proxyAddress, data: upgradeData });
+    console.log(`   📝 Proposed as transaction #${index + 1} in ${batch.file}\n`);
+
+    Object.assign(entry, { status: "proposed", safe: safeAddress, proposalFile: batch.file, proposalIndex: index });
+  } else {
+    // 3. Upgrade and check the proxy now runs the new implementation
+    console.log("3. Upgrading proxy...");
+    const tx = await proxy.connect(signer).upgradeToAndCall(newImplementation, "0x");
+    const receipt = await tx.wait();
+    console.log("   Transaction:", receipt.hash);
+
+    const implementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+    const version = await proxy.version();
+    if (implementation !== newImplementation || version !== newVersion) {
+      throw new Error(`Upgrade transaction ${receipt.hash} mined but the proxy reports implementation ${implementation}, version ${version}`);
+    }
+    console.log("   ✅ Proxy now reports version", version, "\n");
+
+    Object.assign(entry, { status: "executed", by: signer.address, transactionHash: receipt.hash, blockNumber: receipt.blockNumber });
+    deployment.implementationAddress = newImplementation;
+    deployment.version = newVersion;
+  }
+
+  entry.time = new Date().toISOString();
+  entry.rollback = { to: proxyAddress, data: rollbackData };
+  deployment.upgrades = [...(deployment.upgrades || []), entry];
+  fs.writeFileSync(config.deploymentFile, JSON.stringify(deployment, null, 2));
+  console.log("Upgrade history saved to", config.deploymentFile, "\n");
+
+  // Rollback plan
+  console.log("========================================");
+  console.log("ROLLBACK PLAN:");
+  console.log("========================================");
+  console.log("Point the proxy back at the previous implementation", currentImplementation);
+  console.log("by sending this call from the owner (also saved as `rollback` in the upgrade history):");
+  console.log("   to:  ", proxyAddress);
+  console.log("   data:", rollbackData);
+  console.log("Only roll back before the new implementation writes storage the old one does not know about.");
+  console.log("========================================\n");
+
+  return entry;
+}
+
+module.exports = { main };
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}